@@ -0,0 +1,155 @@
+// Benchmark the destination matcher (src/utils/destinationMatcher.js).
+//
+// Usage:
+//   node scripts/bench-matcher.js [options]
+//
+//   --dataset <file>      City dataset built by scripts/build-cities.js. Repeatable; by default the
+//                         bundled src/data/cities.json and the 11,019-place scripts/fixtures/cities-11k.json
+//   --iterations <n>      Timed runs per query (default 200)
+//   --no-baseline         Skip the old full-scan matcher, which is slow on big datasets
+//
+// The app modules are loaded through Vite's SSR loader, so they run exactly as written
+// (extensionless imports, import.meta.env) without a build step.
+import { readFileSync } from "node:fs";
+import { performance } from "node:perf_hooks";
+import { createServer } from "vite";
+
+// Misspellings, other-language names and gibberish for findBestMatch
+const FUZZY_QUERIES = [
+  "pariis", "londn", "tokio", "barselona", "new yourk", "sidny", "munchen", "rio de janero",
+  "kaapstad", "amstredam", "bangcock", "lisboa", "xyzzy", "sanfrancisco",
+];
+// Partial input for getDestinationSuggestions
+const PREFIX_QUERIES = ["pa", "lon", "san", "new y", "ber", "york", "mad", "kyo"];
+
+const DEFAULT_DATASETS = ["src/data/cities.json", "scripts/fixtures/cities-11k.json"];
+
+function parseArgs(argv) {
+  const options = { datasets: [], iterations: 200, baseline: true };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--dataset") options.datasets.push(argv[++i]);
+    else if (arg === "--iterations") options.iterations = Number(argv[++i]);
+    else if (arg === "--no-baseline") options.baseline = false;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  if (!options.datasets.length) options.datasets = DEFAULT_DATASETS;
+  return options;
+}
+
+// Mean and 95th percentile of `run(query)` over every query, in milliseconds
+function time(queries, iterations, run) {
+  const samples = [];
+  for (const query of queries) run(query); // warm up
+  for (let i = 0; i < iterations; i += 1) {
+    for (const query of queries) {
+      const start = performance.now();
+      run(query);
+      samples.push(performance.now() - start);
+    }
+  }
+  samples.sort((a, b) => a - b);
+  const mean = samples.reduce((sum, sample) => sum + sample, 0) / samples.length;
+  return { mean, p95: samples[Math.floor(samples.length * 0.95)] };
+}
+
+// The matcher as it was before the index: a full Levenshtein matrix against every spelling
+function fullScanMatcher(cities) {
+  const entries = cities.map((city) => ({
+    name: city.name,
+    names: [...new Set([city.name, city.asciiName, ...city.alternateNames].map((name) => name.toLowerCase()))],
+  }));
+
+  const levenshtein = (a, b) => {
+    const matrix = Array.from({ length: b.length + 1 }, (_, j) =>
+      Array.from({ length: a.length + 1 }, (_, i) => (j === 0 ? i : i === 0 ? j : 0))
+    );
+    for (let j = 1; j <= b.length; j += 1) {
+      for (let i = 1; i <= a.length; i += 1) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        matrix[j][i] = Math.min(matrix[j][i - 1] + 1, matrix[j - 1][i] + 1, matrix[j - 1][i - 1] + cost);
+      }
+    }
+    return matrix[b.length][a.length];
+  };
+
+  return (query) => {
+    let best = null;
+    let bestScore = 0;
+    for (const entry of entries) {
+      for (const name of entry.names) {
+        const score = 1 - levenshtein(query, name) / Math.max(query.length, name.length);
+        if (score > bestScore) {
+          bestScore = score;
+          best = entry.name;
+        }
+      }
+    }
+    return best;
+  };
+}
+
+const format = ({ mean, p95 }) => `mean ${mean.toFixed(3)} ms, p95 ${p95.toFixed(3)} ms`;
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  // Plain modules only: no app config, no dependency pre-bundling
+  const server = await createServer({
+    configFile: false,
+    optimizeDeps: { noDiscovery: true, include: [] },
+    server: { middlewareMode: true, hmr: false },
+    appType: "custom",
+    logLevel: "error",
+  });
+
+  try {
+    const { expandDataset } = await server.ssrLoadModule("/src/utils/cityDataset.js");
+    const { buildDestinationMatcher, createDestinationMatcher } = await server.ssrLoadModule("/src/utils/destinationMatcher.js");
+    const { runInSlices } = await server.ssrLoadModule("/src/utils/timeSlicing.js");
+
+    for (const dataset of options.datasets) {
+      const cities = expandDataset(JSON.parse(readFileSync(dataset, "utf8")));
+
+      const buildStart = performance.now();
+      const matcher = createDestinationMatcher(cities);
+      const buildTime = performance.now() - buildStart;
+
+      // The app builds the index in slices (see src/utils/timeSlicing.js); the longest one is
+      // how long the page can be held up
+      const slices = [];
+      const slicedStart = performance.now();
+      await runInSlices(buildDestinationMatcher(cities), { onSlice: (ms) => slices.push(ms) });
+      const slicedTime = performance.now() - slicedStart;
+
+      console.log(`${dataset}: ${matcher.size.places} places, ${matcher.size.spellings} spellings`);
+      console.log(`  index build            ${buildTime.toFixed(1)} ms at once (scripts)`);
+      console.log(
+        `  index build in slices  ${slicedTime.toFixed(1)} ms over ${slices.length} slices, longest ${Math.max(...slices).toFixed(1)} ms (app)`
+      );
+
+      for (const query of FUZZY_QUERIES) {
+        const result = matcher.findBestMatch(query);
+        const answer = result.destination ? `${result.destination} (${result.confidence.toFixed(2)})` : "no match";
+        console.log(`  ${query.padEnd(22)} → ${answer}`);
+      }
+
+      console.log(`  findBestMatch          ${format(time(FUZZY_QUERIES, options.iterations, (q) => matcher.findBestMatch(q)))}`);
+      console.log(
+        `  suggestions            ${format(time(PREFIX_QUERIES, options.iterations, (q) => matcher.getDestinationSuggestions(q)))}`
+      );
+
+      if (options.baseline) {
+        const fullScan = fullScanMatcher(cities);
+        // The full scan takes milliseconds per query, so a handful of runs is enough
+        console.log(`  full scan (before)     ${format(time(FUZZY_QUERIES, 3, fullScan))}`);
+      }
+    }
+  } finally {
+    await server.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,152 @@
+// Build the bundled city dataset (src/data/cities.json) from a GeoNames dump.
+//
+// Usage:
+//   node scripts/build-cities.js <cities.tsv> [options]
+//
+//   <cities.tsv>             GeoNames-style city table, e.g. cities15000.txt from
+//                            https://download.geonames.org/export/dump/
+//   --countries <file>       GeoNames countryInfo.txt, for country and continent names
+//   --min-population <n>     Skip smaller places (default 100000), except the namesakes
+//                            listed in scripts/namesakes.js
+//   --max-alternates <n>     Alternate names kept per city (default 12)
+//   --out <file>             Output path (default src/data/cities.json)
+//
+// The output is compact: one row per city in the order given by `fields`, plus a
+// country table, so several thousand cities stay small enough to ship as a lazy chunk.
+import { createReadStream, readFileSync, writeFileSync } from "node:fs";
+import { createInterface } from "node:readline";
+import { basename } from "node:path";
+import { namesakes } from "./namesakes.js";
+
+// Column positions in the GeoNames "geoname" table
+const COLUMNS = {
+  id: 0,
+  name: 1,
+  asciiName: 2,
+  alternateNames: 3,
+  lat: 4,
+  lon: 5,
+  featureClass: 6,
+  country: 8,
+  population: 14,
+};
+
+const FIELDS = ["id", "name", "asciiName", "alternateNames", "country", "population", "lat", "lon"];
+
+// Only Latin-script alternates are useful to a search box that folds to ASCII. GeoNames also
+// lists lower-case transliterations of non-Latin names ("pryz" for Paris); proper names and
+// codes (NYC, LIS) start with a capital, so that is required too.
+const LATIN_NAME = /^\p{Lu}[\p{Script=Latin}0-9 .,'’()-]*$/u;
+const MAX_NAME_LENGTH = 40;
+
+// Smaller places kept anyway, so same-named places can be told apart
+const NAMESAKE_IDS = new Set(namesakes.map((place) => place.id));
+
+// Accent-free lower case, so "Tōkyō" and "Tokyo" count as the same name
+const fold = (value) => value.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+
+function parseArgs(argv) {
+  const options = { minPopulation: 100000, maxAlternates: 12, out: "src/data/cities.json", countries: null, input: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--countries") options.countries = argv[++i];
+    else if (arg === "--min-population") options.minPopulation = Number(argv[++i]);
+    else if (arg === "--max-alternates") options.maxAlternates = Number(argv[++i]);
+    else if (arg === "--out") options.out = argv[++i];
+    else if (!arg.startsWith("--") && !options.input) options.input = arg;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!options.input) throw new Error("Missing input file (GeoNames cities TSV)");
+  if (!Number.isFinite(options.minPopulation) || !Number.isFinite(options.maxAlternates)) {
+    throw new Error("--min-population and --max-alternates take numbers");
+  }
+  return options;
+}
+
+// countryInfo.txt: ISO, ISO3, ISO-Numeric, fips, Country, Capital, Area, Population, Continent, ...
+function readCountries(file) {
+  const countries = {};
+  for (const line of readFileSync(file, "utf8").split("\n")) {
+    if (!line || line.startsWith("#")) continue;
+    const cols = line.split("\t");
+    if (cols[0] && cols[4]) countries[cols[0]] = { name: cols[4], continent: cols[8] || "" };
+  }
+  return countries;
+}
+
+// Keep distinct Latin-script alternates that differ from the main names, shortest first
+function pickAlternates(raw, name, asciiName, max) {
+  const seen = new Set([fold(name), fold(asciiName)]);
+  const names = [];
+  for (const candidate of raw ? raw.split(",") : []) {
+    const value = candidate.trim();
+    const key = fold(value);
+    if (!value || value.length > MAX_NAME_LENGTH || seen.has(key) || !LATIN_NAME.test(value)) continue;
+    seen.add(key);
+    names.push(value);
+  }
+  return names.sort((a, b) => a.length - b.length || a.localeCompare(b)).slice(0, max);
+}
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const countryInfo = options.countries ? readCountries(options.countries) : {};
+  const cities = [];
+  let skipped = 0;
+
+  const lines = createInterface({ input: createReadStream(options.input, "utf8"), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line || line.startsWith("#")) continue;
+    const cols = line.split("\t");
+    const population = Number(cols[COLUMNS.population]) || 0;
+    const lat = Number(cols[COLUMNS.lat]);
+    const lon = Number(cols[COLUMNS.lon]);
+
+    // Populated places only ("P"), with usable coordinates
+    const isLargeEnough = population >= options.minPopulation || NAMESAKE_IDS.has(Number(cols[COLUMNS.id]));
+    if (cols[COLUMNS.featureClass] !== "P" || !isLargeEnough || Number.isNaN(lat) || Number.isNaN(lon)) {
+      skipped += 1;
+      continue;
+    }
+
+    const name = cols[COLUMNS.name];
+    const asciiName = cols[COLUMNS.asciiName] || name;
+    cities.push([
+      Number(cols[COLUMNS.id]),
+      name,
+      asciiName === name ? "" : asciiName,
+      pickAlternates(cols[COLUMNS.alternateNames], name, asciiName, options.maxAlternates),
+      cols[COLUMNS.country],
+      population,
+      round(lat, 4),
+      round(lon, 4),
+    ]);
+  }
+
+  // Largest first, so ties in matching favour the better-known place
+  cities.sort((a, b) => b[5] - a[5]);
+
+  const usedCountries = {};
+  for (const city of cities) {
+    const code = city[4];
+    usedCountries[code] = countryInfo[code] || { name: code, continent: "" };
+  }
+
+  const dataset = {
+    source: `GeoNames ${basename(options.input)} (CC BY 4.0, https://www.geonames.org)`,
+    generated: new Date().toISOString().slice(0, 10),
+    fields: FIELDS,
+    countries: usedCountries,
+    cities,
+  };
+
+  writeFileSync(options.out, `${JSON.stringify(dataset)}\n`);
+  console.log(`Wrote ${cities.length} cities in ${Object.keys(usedCountries).length} countries to ${options.out} (${skipped} rows skipped)`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
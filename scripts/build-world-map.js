@@ -0,0 +1,151 @@
+// Build the offline world map (src/data/world-land.json) from a TopoJSON land outline.
+//
+// Usage:
+//   node scripts/build-world-map.js <land.json> [options]
+//
+//   <land.json>          TopoJSON with a "land" object, e.g. land-110m.json from the
+//                        world-atlas package (Natural Earth, public domain)
+//   --north <deg>        Northern edge of the map (default 84)
+//   --south <deg>        Southern edge of the map (default -60, which leaves out Antarctica)
+//   --out <file>         Output path (default src/data/world-land.json)
+//
+// The outline is drawn in an equirectangular projection with one unit per tenth of a degree
+// (x = (lon + 180) * 10, y = (90 - lat) * 10), so pins are placed with the same formula and
+// no map library or tile server is needed. The path uses relative integer steps to stay small.
+import { readFileSync, writeFileSync } from "node:fs";
+import { basename } from "node:path";
+
+// Units per degree
+const SCALE = 10;
+
+function parseArgs(argv) {
+  const options = { north: 84, south: -60, out: "src/data/world-land.json", input: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--north") options.north = Number(argv[++i]);
+    else if (arg === "--south") options.south = Number(argv[++i]);
+    else if (arg === "--out") options.out = argv[++i];
+    else if (!arg.startsWith("--") && !options.input) options.input = arg;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!options.input) throw new Error("Missing input file (TopoJSON land outline)");
+  if (!(options.north > options.south)) throw new Error("--north must be greater than --south");
+  return options;
+}
+
+// TopoJSON arcs are quantized and delta-encoded; turn them back into [lon, lat] points
+function decodeArcs(topology) {
+  const { scale, translate } = topology.transform || { scale: [1, 1], translate: [0, 0] };
+  return topology.arcs.map((arc) => {
+    let x = 0;
+    let y = 0;
+    return arc.map(([dx, dy]) => {
+      x += dx;
+      y += dy;
+      return topology.transform ? [x * scale[0] + translate[0], y * scale[1] + translate[1]] : [dx, dy];
+    });
+  });
+}
+
+// A ring is a list of arc indexes; ~index means the arc is walked backwards.
+// Consecutive arcs share their end point, so it is only kept once.
+function ringPoints(ring, arcs) {
+  const points = [];
+  for (const index of ring) {
+    const arc = index < 0 ? [...arcs[~index]].reverse() : arcs[index];
+    points.push(...(points.length ? arc.slice(1) : arc));
+  }
+  return points;
+}
+
+// Polygons (lists of rings) of every geometry in a TopoJSON object
+function polygonsOf(object) {
+  const geometries = object.type === "GeometryCollection" ? object.geometries : [object];
+  return geometries.flatMap((geometry) => {
+    if (geometry.type === "Polygon") return [geometry.arcs];
+    if (geometry.type === "MultiPolygon") return geometry.arcs;
+    return [];
+  });
+}
+
+// Rings that cross the antimeridian (Russia, Fiji) jump between +180 and -180. Unwrapped they
+// run past the edge of the map, so they are drawn again one world-width over; the map's
+// bounds clip both copies to the part that belongs on screen.
+function unwrap(points) {
+  const unwrapped = [points[0]];
+  for (let i = 1; i < points.length; i += 1) {
+    let [lon] = points[i];
+    const previous = unwrapped[i - 1][0];
+    while (lon - previous > 180) lon -= 360;
+    while (lon - previous < -180) lon += 360;
+    unwrapped.push([lon, points[i][1]]);
+  }
+  const copies = [unwrapped];
+  if (unwrapped.some(([lon]) => lon > 180)) copies.push(unwrapped.map(([lon, lat]) => [lon - 360, lat]));
+  if (unwrapped.some(([lon]) => lon < -180)) copies.push(unwrapped.map(([lon, lat]) => [lon + 360, lat]));
+  return copies;
+}
+
+// "M x y l dx dy dx dy … z" in whole units, skipping steps that round to nothing
+function ringPath(points) {
+  const projected = points.map(([lon, lat]) => [Math.round((lon + 180) * SCALE), Math.round((90 - lat) * SCALE)]);
+  const [start, ...rest] = projected;
+  let path = `M${start[0]} ${start[1]}l`;
+  let [x, y] = start;
+  let steps = 0;
+  for (const [nextX, nextY] of rest) {
+    if (nextX === x && nextY === y) continue;
+    // Negative numbers need no separator
+    path += `${steps && nextX - x >= 0 ? " " : ""}${nextX - x}${nextY - y >= 0 ? " " : ""}${nextY - y}`;
+    [x, y] = [nextX, nextY];
+    steps += 1;
+  }
+  return steps >= 2 ? `${path}z` : "";
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const topology = JSON.parse(readFileSync(options.input, "utf8"));
+  if (!topology.objects?.land) throw new Error("No \"land\" object in the TopoJSON file");
+  const arcs = decodeArcs(topology);
+
+  let rings = 0;
+  let skipped = 0;
+  const paths = [];
+  for (const polygon of polygonsOf(topology.objects.land)) {
+    for (const ring of polygon) {
+      const points = ringPoints(ring, arcs);
+      // Rings entirely outside the map (Antarctica) are left out
+      if (points.every(([, lat]) => lat < options.south || lat > options.north)) {
+        skipped += 1;
+        continue;
+      }
+      const path = unwrap(points).map(ringPath).join("");
+      if (path) {
+        paths.push(path);
+        rings += 1;
+      } else {
+        skipped += 1;
+      }
+    }
+  }
+
+  const top = Math.round((90 - options.north) * SCALE);
+  const map = {
+    source: `${basename(options.input)} (Natural Earth, public domain, via world-atlas)`,
+    generated: new Date().toISOString().slice(0, 10),
+    scale: SCALE,
+    viewBox: [0, top, 360 * SCALE, Math.round((options.north - options.south) * SCALE)],
+    path: paths.join(""),
+  };
+
+  writeFileSync(options.out, `${JSON.stringify(map)}\n`);
+  console.log(`Wrote ${rings} rings (${map.path.length} path characters) to ${options.out} (${skipped} rings skipped)`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
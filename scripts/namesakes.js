@@ -0,0 +1,26 @@
+// Places build-cities.js keeps below the population cut-off, by GeoNames id. Each shares its
+// name with a bigger place in the dataset, and travellers look for it by that name, so it has to
+// be there for the place chooser to tell the two apart ("Paris" → Paris, France or Paris, Texas).
+export const namesakes = [
+  { id: 4717560, label: "Paris, Texas" },
+  { id: 4219762, label: "Rome, Georgia" },
+  { id: 5601538, label: "Moscow, Idaho" },
+  { id: 4517009, label: "London, Ohio" },
+  { id: 5083330, label: "Berlin, New Hampshire" },
+  { id: 4791160, label: "Vienna, Virginia" },
+  { id: 4969622, label: "Lisbon, Maine" },
+  { id: 5152333, label: "Dublin, Ohio" },
+  { id: 4893591, label: "Geneva, Illinois" },
+  { id: 4062577, label: "Florence, Alabama" },
+  { id: 4165565, label: "Naples, Florida" },
+  { id: 4163971, label: "Melbourne, Florida" },
+  { id: 4440076, label: "Oxford, Mississippi" },
+  { id: 4185632, label: "Cairo, Georgia" },
+  { id: 5160783, label: "Lima, Ohio" },
+  { id: 4176380, label: "Venice, Florida" },
+  { id: 5405841, label: "Venice, California" },
+  // GeoNames counts only the historic centres, so the originals fall below the cut-off
+  // while their American namesakes are in
+  { id: 3164603, label: "Venice, Italy" },
+  { id: 2510409, label: "Toledo, Spain" },
+];
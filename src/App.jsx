@@ -3,29 +3,54 @@ import Navbar from "./components/Navbar";
 import Home from "./pages/Home";
 import Explore from "./pages/Explore";
 import Favourites from "./pages/Favourites";
+import Compare from "./pages/Compare";
+import Itineraries from "./pages/Itineraries";
+import ItineraryDetail from "./pages/ItineraryDetail";
+import Settings from "./pages/Settings";
+import FavouritesProvider from "./context/FavouritesProvider";
+import ItinerariesProvider from "./context/ItinerariesProvider";
+import PreferencesProvider from "./context/PreferencesProvider";
+import SearchHistoryProvider from "./context/SearchHistoryProvider";
 
 /**
  * Main Application Component
  * Sets up the routing and main layout structure of the application.
  * Includes the Navbar and a container for the page content.
+ * Shared stores (preferences, favourites, itineraries, search history) are provided here so every page sees the same data.
  */
 export default function App() {
   return (
     // BrowserRouter enables client-side routing
     <BrowserRouter>
-      <div className="min-vh-100 overflow-hidden">
-        {/* Navigation bar appears on all pages */}
-        <Navbar />
-        {/* Main content area with padding and container constraints */}
-        <main className="container py-5 safe-container">
-          {/* Define routes for the application */}
-          <Routes>
-            <Route path="/" element={<Home />} />
-            <Route path="/explore" element={<Explore />} />
-            <Route path="/favourites" element={<Favourites />} />
-          </Routes>
-        </main>
-      </div>
+      {/* Units, time/date formats and language apply to every page */}
+      <PreferencesProvider>
+        {/* Favourites are shared between Explore and the Favourites hub */}
+        <FavouritesProvider>
+          {/* Itineraries are built from saved favourites */}
+          <ItinerariesProvider>
+            {/* Recent searches feed the search bar on Home and Explore */}
+            <SearchHistoryProvider>
+              <div className="min-vh-100 overflow-hidden">
+                {/* Navigation bar appears on all pages */}
+                <Navbar />
+                {/* Main content area with padding and container constraints */}
+                <main className="container py-5 safe-container">
+                  {/* Define routes for the application */}
+                  <Routes>
+                    <Route path="/" element={<Home />} />
+                    <Route path="/explore" element={<Explore />} />
+                    <Route path="/favourites" element={<Favourites />} />
+                    <Route path="/compare" element={<Compare />} />
+                    <Route path="/itineraries" element={<Itineraries />} />
+                    <Route path="/itineraries/:id" element={<ItineraryDetail />} />
+                    <Route path="/settings" element={<Settings />} />
+                  </Routes>
+                </main>
+              </div>
+            </SearchHistoryProvider>
+          </ItinerariesProvider>
+        </FavouritesProvider>
+      </PreferencesProvider>
     </BrowserRouter>
   );
-}
\ No newline at end of file
+}
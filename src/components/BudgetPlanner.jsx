@@ -0,0 +1,316 @@
+import { useState, useEffect, useMemo } from "react";
+import { budgetCategories, budgetTiers } from "../data/costOfLiving";
+import { defaultExchangeRates } from "../data/exchangeRates";
+import { estimateBudget, getCostProfile, formatMoney } from "../utils/budget";
+import { readStorage, writeStorage, createId } from "../utils/storage";
+import { favouriteKey } from "../context/FavouritesContext";
+import useTranslation from "../hooks/useTranslation";
+
+const BUDGET_STORAGE_KEY = "travelwise:budgets";
+const RATES_STORAGE_KEY = "travelwise:exchange-rates";
+
+const emptyLineItem = { label: '', category: 'other', amount: '', currency: 'USD', per: 'trip' };
+
+/**
+ * Budget Planner Component
+ * Estimates daily and whole-trip costs for one destination.
+ * Features:
+ * - Cost-of-living estimates by travel style
+ * - User-entered line items in any currency
+ * - Editable, locally stored exchange rates
+ * - Category breakdown
+ *
+ * @param {object} destination - Saved favourite ({ name, country, ... })
+ */
+export default function BudgetPlanner({ destination }) {
+  const { t } = useTranslation();
+  const profile = getCostProfile(destination.name);
+  // Stored per favourite like the packing plans (see PackingPlanner)
+  const planKey = favouriteKey(destination);
+
+  // Restore this destination's saved budget settings and line items
+  const [plan, setPlan] = useState(() => {
+    const saved = readStorage(BUDGET_STORAGE_KEY, {});
+    return {
+      days: 5,
+      travellers: 1,
+      tier: 'mid',
+      currency: profile?.currency || 'USD',
+      lineItems: [],
+      ...(saved[planKey] ?? saved[destination.name]),
+    };
+  });
+  const [rates, setRates] = useState(() => ({
+    ...defaultExchangeRates,
+    ...readStorage(RATES_STORAGE_KEY, {}),
+  }));
+  const [draft, setDraft] = useState({ ...emptyLineItem, currency: plan.currency });
+  const [showRates, setShowRates] = useState(false);
+
+  // Persist into the shared per-destination map
+  useEffect(() => {
+    const all = readStorage(BUDGET_STORAGE_KEY, {});
+    writeStorage(BUDGET_STORAGE_KEY, { ...all, [planKey]: plan });
+  }, [planKey, plan]);
+
+  useEffect(() => {
+    writeStorage(RATES_STORAGE_KEY, rates);
+  }, [rates]);
+
+  const budget = useMemo(
+    () => estimateBudget({ destination: destination.name, ...plan, rates }),
+    [destination.name, plan, rates]
+  );
+
+  const currencies = Object.keys(rates);
+  const updatePlan = (changes) => setPlan((prev) => ({ ...prev, ...changes }));
+  const money = (amount) => formatMoney(amount, plan.currency);
+
+  const handleAddLineItem = (e) => {
+    e.preventDefault();
+    if (!draft.label.trim() || !(Number(draft.amount) > 0)) return;
+    updatePlan({
+      lineItems: [...plan.lineItems, { ...draft, id: createId(), label: draft.label.trim(), amount: Number(draft.amount) }],
+    });
+    setDraft({ ...emptyLineItem, currency: draft.currency });
+  };
+
+  const handleRemoveLineItem = (id) => {
+    updatePlan({ lineItems: plan.lineItems.filter((item) => item.id !== id) });
+  };
+
+  // Keep the raw input so the field can be cleared while typing;
+  // convertCurrency() ignores rates that are empty or zero.
+  const handleRateChange = (currency, value) => {
+    setRates((prev) => ({ ...prev, [currency]: value === '' ? '' : Number(value) }));
+  };
+
+  return (
+    <div className="d-flex flex-column gap-3">
+      {/* Trip settings */}
+      <div className="bg-secondary bg-opacity-10 rounded-3 p-3 border border-secondary border-opacity-25">
+        <div className="row g-3">
+          <div className="col-6 col-md-3">
+            <label htmlFor="budget-days" className="form-label small text-secondary fw-bold text-uppercase">{t('budget.days')}</label>
+            <input
+              id="budget-days"
+              type="number"
+              min="1"
+              max="90"
+              value={plan.days}
+              onChange={(e) => updatePlan({ days: Math.max(1, Number(e.target.value) || 1) })}
+              className="form-control bg-dark text-light border-secondary"
+            />
+          </div>
+          <div className="col-6 col-md-3">
+            <label htmlFor="budget-travellers" className="form-label small text-secondary fw-bold text-uppercase">{t('budget.travellers')}</label>
+            <input
+              id="budget-travellers"
+              type="number"
+              min="1"
+              max="20"
+              value={plan.travellers}
+              onChange={(e) => updatePlan({ travellers: Math.max(1, Number(e.target.value) || 1) })}
+              className="form-control bg-dark text-light border-secondary"
+            />
+          </div>
+          <div className="col-6 col-md-3">
+            <label htmlFor="budget-tier" className="form-label small text-secondary fw-bold text-uppercase">{t('budget.style')}</label>
+            <select
+              id="budget-tier"
+              value={plan.tier}
+              onChange={(e) => updatePlan({ tier: e.target.value })}
+              className="form-select bg-dark text-light border-secondary"
+            >
+              {Object.keys(budgetTiers).map((id) => (
+                <option key={id} value={id}>{t(`budget.tiers.${id}`)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-6 col-md-3">
+            <label htmlFor="budget-currency" className="form-label small text-secondary fw-bold text-uppercase">{t('budget.currency')}</label>
+            <select
+              id="budget-currency"
+              value={plan.currency}
+              onChange={(e) => updatePlan({ currency: e.target.value })}
+              className="form-select bg-dark text-light border-secondary"
+            >
+              {currencies.map((code) => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        {budget.isEstimated && (
+          <div className="small text-warning mt-3">
+            ⚠️ {t('budget.noCostData', { name: destination.name })}
+          </div>
+        )}
+      </div>
+
+      {/* Totals */}
+      <div className="row g-3 text-center">
+        <div className="col-6">
+          <div className="bg-primary bg-opacity-10 border border-primary border-opacity-25 rounded-3 p-3">
+            <div className="small text-secondary text-uppercase fw-bold">{t('budget.perDay')}</div>
+            <div className="h3 fw-bold text-white mb-0">{money(budget.perDay)}</div>
+          </div>
+        </div>
+        <div className="col-6">
+          <div className="bg-success bg-opacity-10 border border-success border-opacity-25 rounded-3 p-3">
+            <div className="small text-secondary text-uppercase fw-bold">{t('budget.wholeTrip')}</div>
+            <div className="h3 fw-bold text-white mb-0">{money(budget.total)}</div>
+          </div>
+        </div>
+      </div>
+
+      {/* Category breakdown */}
+      <div>
+        <h6 className="text-primary text-uppercase fw-bold small mb-2">{t('budget.breakdown')}</h6>
+        {budget.categories.filter((category) => category.total > 0).map((category) => (
+          <div key={category.id} className="mb-2">
+            <div className="d-flex justify-content-between small">
+              <span>{category.icon} {t(`budget.categories.${category.id}`)}</span>
+              <span className="text-secondary">
+                {t('budget.amountPerDay', { amount: money(category.perDay) })} · <strong className="text-white">{money(category.total)}</strong>
+              </span>
+            </div>
+            <div className="progress bg-secondary bg-opacity-25" style={{ height: '6px' }}>
+              <div className="progress-bar" style={{ width: `${budget.total ? (category.total / budget.total) * 100 : 0}%` }}></div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Line items */}
+      <div>
+        <h6 className="text-primary text-uppercase fw-bold small mb-2">{t('budget.yourCosts')}</h6>
+        {plan.lineItems.length > 0 && (
+          <ul className="list-unstyled d-flex flex-column gap-1 mb-2">
+            {plan.lineItems.map((item) => (
+              <li key={item.id} className="d-flex align-items-center gap-2 small bg-secondary bg-opacity-10 rounded-3 px-3 py-2">
+                <span className="flex-grow-1 text-truncate">{item.label}</span>
+                <span className="text-secondary">
+                  {item.per === 'day'
+                    ? t('budget.amountPerDay', { amount: formatMoney(item.amount, item.currency) })
+                    : formatMoney(item.amount, item.currency)}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleRemoveLineItem(item.id)}
+                  className="btn btn-sm btn-link text-danger p-0 text-decoration-none"
+                  aria-label={t('budget.remove', { name: item.label })}
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <form onSubmit={handleAddLineItem} className="row g-2">
+          <div className="col-12 col-md-4">
+            <input
+              type="text"
+              value={draft.label}
+              onChange={(e) => setDraft({ ...draft, label: e.target.value })}
+              placeholder={t('budget.form.descriptionPlaceholder')}
+              className="form-control form-control-sm bg-dark text-light border-secondary"
+              aria-label={t('budget.form.description')}
+            />
+          </div>
+          <div className="col-4 col-md-2">
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={draft.amount}
+              onChange={(e) => setDraft({ ...draft, amount: e.target.value })}
+              placeholder={t('budget.form.amount')}
+              className="form-control form-control-sm bg-dark text-light border-secondary"
+              aria-label={t('budget.form.amount')}
+            />
+          </div>
+          <div className="col-4 col-md-2">
+            <select
+              value={draft.currency}
+              onChange={(e) => setDraft({ ...draft, currency: e.target.value })}
+              className="form-select form-select-sm bg-dark text-light border-secondary"
+              aria-label={t('budget.form.currency')}
+            >
+              {currencies.map((code) => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-4 col-md-2">
+            <select
+              value={draft.category}
+              onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+              className="form-select form-select-sm bg-dark text-light border-secondary"
+              aria-label={t('budget.form.category')}
+            >
+              {budgetCategories.map((category) => (
+                <option key={category.id} value={category.id}>{t(`budget.categories.${category.id}`)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="col-6 col-md-1">
+            <select
+              value={draft.per}
+              onChange={(e) => setDraft({ ...draft, per: e.target.value })}
+              className="form-select form-select-sm bg-dark text-light border-secondary"
+              aria-label={t('budget.form.frequency')}
+            >
+              <option value="trip">{t('budget.form.once')}</option>
+              <option value="day">{t('budget.form.daily')}</option>
+            </select>
+          </div>
+          <div className="col-6 col-md-1">
+            <button type="submit" className="btn btn-sm btn-light fw-bold w-100">{t('budget.form.add')}</button>
+          </div>
+        </form>
+      </div>
+
+      {/* Exchange rates */}
+      <div>
+        <button
+          type="button"
+          onClick={() => setShowRates(!showRates)}
+          className="btn btn-sm btn-link text-secondary text-decoration-none fw-bold p-0"
+        >
+          {showRates ? '▾' : '▸'} {t('budget.rates.title')}
+        </button>
+        {showRates && (
+          <div className="mt-2">
+            <div className="row row-cols-3 row-cols-md-5 g-2">
+              {currencies.map((code) => (
+                <div className="col" key={code}>
+                  <div className="input-group input-group-sm">
+                    <span className="input-group-text bg-secondary bg-opacity-25 text-light border-secondary">{code}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={rates[code]}
+                      disabled={code === 'USD'}
+                      onChange={(e) => handleRateChange(code, e.target.value)}
+                      className="form-control bg-dark text-light border-secondary"
+                      aria-label={t('budget.rates.rate', { code })}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => setRates(defaultExchangeRates)}
+              className="btn btn-sm btn-link text-secondary text-decoration-none mt-2 p-0"
+            >
+              {t('budget.rates.reset')}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
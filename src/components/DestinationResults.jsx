@@ -0,0 +1,106 @@
+import useTranslation from "../hooks/useTranslation";
+
+// Card icon for a destination, from its first tag
+const tagEmoji = {
+  beach: '🏖️',
+  food: '🍜',
+  city: '🏙️',
+  mountains: '⛰️',
+  culture: '🏛️',
+  nature: '🌿',
+  nightlife: '🎉',
+  cheap: '💸',
+};
+
+/**
+ * Destination Results Component
+ * Result grid for a structured search ("japan", "beach asia"): what the query was read as,
+ * then the matching destinations, best first.
+ *
+ * @param {object} result - From searchDestinations(): { tags, continents, countries, text, total, results }
+ * @param {function} onSelect - Called with (name, place) when a destination is picked
+ * @param {function} onSearchAsPlace - Called to search the query as a plain place name instead
+ */
+export default function DestinationResults({ result, onSelect, onSearchAsPlace }) {
+  const { t } = useTranslation();
+  const { tags, continents, countries, text, total, results } = result;
+
+  // The query as it was understood, one chip per facet
+  const chips = [
+    ...countries.map(({ countryCode, country }) => ({ key: `country-${countryCode}`, label: `🏳️ ${country}` })),
+    ...continents.map((continent) => ({ key: `continent-${continent}`, label: `🌐 ${t(`continents.${continent}`)}` })),
+    ...tags.map((tag) => ({ key: `tag-${tag}`, label: `${tagEmoji[tag]} ${t(`tags.${tag}`)}` })),
+    ...(text ? [{ key: 'text', label: `🔤 “${text}”` }] : []),
+  ];
+
+  return (
+    <div className="glass-card p-4 p-sm-5 rounded-4 text-white animate-slide-up">
+      <div className="d-flex flex-column flex-sm-row align-items-sm-center justify-content-between gap-3 mb-4">
+        <div>
+          <h1 className="h3 fw-bold mb-2">🧭 {t('explore.results.title', { count: total })}</h1>
+          <div className="d-flex flex-wrap gap-2" aria-label={t('explore.results.filters')}>
+            {chips.map((chip) => (
+              <span key={chip.key} className="badge rounded-pill bg-white bg-opacity-10 fw-medium px-3 py-2">
+                {chip.label}
+              </span>
+            ))}
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={onSearchAsPlace}
+          className="btn btn-link p-0 text-white text-opacity-75 hover-text-white small text-decoration-none flex-shrink-0"
+        >
+          {t('explore.results.asPlace')}
+        </button>
+      </div>
+
+      {results.length === 0 ? (
+        <div className="text-center py-4">
+          <div className="display-5 mb-3">🔍</div>
+          <p className="fw-semibold mb-1">{t('explore.results.empty')}</p>
+          <p className="small text-white text-opacity-75 mb-0">{t('explore.results.emptyHint')}</p>
+        </div>
+      ) : (
+        <>
+          <div className="row row-cols-1 row-cols-sm-2 row-cols-lg-4 g-3">
+            {results.map((place) => (
+              <div className="col" key={`${place.name}-${place.countryCode}-${place.lat}`}>
+                <button
+                  type="button"
+                  onClick={() => onSelect(place.name, place)}
+                  className="glass-card hover-lift w-100 h-100 p-3 rounded-4 text-start text-white border-0 btn d-flex flex-column gap-2"
+                >
+                  <div className="d-flex align-items-center gap-3">
+                    <span className="fs-3">{tagEmoji[place.tags[0]] || '📍'}</span>
+                    <div style={{ minWidth: 0 }}>
+                      <div className="fw-semibold text-truncate">{place.name}</div>
+                      <div className="small text-white text-opacity-75 text-truncate">{place.country}</div>
+                    </div>
+                  </div>
+                  {place.tags.length > 0 && (
+                    <div className="d-flex flex-wrap gap-1">
+                      {place.tags.map((tag) => (
+                        <span
+                          key={tag}
+                          className={`badge rounded-pill fw-medium ${tags.includes(tag) ? 'bg-light text-dark' : 'bg-white bg-opacity-10'}`}
+                        >
+                          {t(`tags.${tag}`)}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </button>
+              </div>
+            ))}
+          </div>
+          {total > results.length && (
+            <p className="small text-white text-opacity-75 text-center mt-4 mb-0">
+              {t('explore.results.showing', { shown: results.length, count: total })}
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import { getWeatherEmoji } from "../utils/weather";
+import { convertTemperature } from "../utils/units";
+import { formatDate, formatDayLabel } from "../utils/format";
+import usePreferences from "../hooks/usePreferences";
+import useTranslation from "../hooks/useTranslation";
+
+/**
+ * Forecast Card Component
+ * Displays a multi-day forecast with daily min/max temperatures,
+ * precipitation chance and a condition icon for each day.
+ *
+ * @param {Array} days - Normalized ForecastDay list from the weather provider
+ * @param {string} units - Display units, "metric" or "imperial" (defaults to the user's preference)
+ */
+export default function ForecastCard({ days, units }) {
+  const { preferences } = usePreferences();
+  const displayUnits = units || preferences.units;
+  const { t } = useTranslation();
+
+  if (!days || days.length === 0) return null;
+
+  return (
+    <div className="glass-card p-4 rounded-4 mb-4 hover-lift animate-slide-up">
+      <div className="d-flex align-items-center gap-2 mb-4">
+        <span className="fs-4">📅</span>
+        <h2 className="h4 fw-bold text-dark mb-0">{t('weather.forecast', { count: days.length })}</h2>
+      </div>
+
+      <div className="row row-cols-2 row-cols-sm-3 row-cols-lg-5 g-3">
+        {days.map((day) => (
+          <div className="col" key={day.date}>
+            <div className="rounded-4 p-3 h-100 text-center d-flex flex-column gap-1" style={{ background: 'linear-gradient(135deg, #dbeafe, #f3e8ff)' }}>
+              <div className="fw-semibold text-dark" title={formatDate(day.date, preferences)}>
+                {formatDayLabel(day.date, preferences)}
+              </div>
+              <div className="fs-1" title={day.description}>{getWeatherEmoji(day.condition)}</div>
+              <div className="text-capitalize small text-secondary text-truncate">{day.description}</div>
+              <div className="text-dark">
+                <strong>{convertTemperature(day.max, displayUnits, day.units)}°</strong>
+                <span className="text-secondary"> / {convertTemperature(day.min, displayUnits, day.units)}°</span>
+              </div>
+              <div className="small text-primary">💧 {Math.round(day.pop * 100)}%</div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
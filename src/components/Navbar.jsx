@@ -1,25 +1,50 @@
 import { Link, useLocation } from "react-router-dom";
 import { useState } from "react";
+import useTranslation from "../hooks/useTranslation";
+import { locales } from "../i18n/locales";
 
 /**
  * Navigation Bar Component
  * Displays the application logo and navigation links.
  * Handles active state highlighting for the current route.
+ * Includes the language switcher; the choice is saved with the other preferences.
  */
 export default function Navbar() {
   const location = useLocation();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+  const { t, language, setLanguage } = useTranslation();
   
   // Helper to check if a path matches the current location
   const isActive = (path) => location.pathname === path;
   
   // Navigation configuration
   const navigationItems = [
-    { path: '/', label: 'Home', icon: '🏠' },
-    { path: '/explore', label: 'Explore', icon: '🌍' },
-    { path: '/favourites', label: 'Favourites', icon: '💖' }
+    { path: '/', label: t('nav.home'), icon: '🏠' },
+    { path: '/explore', label: t('nav.explore'), icon: '🌍' },
+    { path: '/favourites', label: t('nav.favourites'), icon: '💖' },
+    { path: '/compare', label: t('nav.compare'), icon: '⚖️' },
+    { path: '/settings', label: t('nav.settings'), icon: '⚙️' }
   ];
-  
+
+  // Compact language picker shared by the desktop and mobile menus
+  const languageSwitcher = (
+    <div className="btn-group btn-group-sm" role="group" aria-label={t('nav.language')}>
+      {locales.map((locale) => (
+        <button
+          key={locale.id}
+          type="button"
+          lang={locale.id}
+          title={locale.label}
+          aria-pressed={language === locale.id}
+          onClick={() => setLanguage(locale.id)}
+          className={`btn fw-bold ${language === locale.id ? 'btn-light' : 'btn-outline-light'}`}
+        >
+          {locale.short}
+        </button>
+      ))}
+    </div>
+  );
+
   return (
     <nav className="glass-navbar text-white shadow-lg sticky-top border-bottom border-white border-opacity-10 overflow-hidden">
       <div className="container py-3 safe-container">
@@ -55,13 +80,14 @@ export default function Navbar() {
                 )}
               </Link>
             ))}
+            <div className="ms-2">{languageSwitcher}</div>
           </div>
 
           {/* Mobile Menu Button */}
           <button
             onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
             className="d-md-none btn btn-link text-white p-2 text-decoration-none"
-            aria-label="Toggle menu"
+            aria-label={t('nav.toggleMenu')}
           >
             <div style={{ width: '24px', height: '24px', display: 'flex', flexDirection: 'column', justifyContent: 'space-around' }}>
               <span className={`bg-white w-100 transition-all duration-300 ${isMobileMenuOpen ? 'rotate-45 translate-y-2.5' : ''}`} style={{ height: '2px', transform: isMobileMenuOpen ? 'rotate(45deg) translate(5px, 5px)' : 'none' }}></span>
@@ -72,7 +98,7 @@ export default function Navbar() {
         </div>
 
         {/* Mobile Navigation Menu */}
-        <div className={`d-md-none overflow-hidden transition-all duration-300 ${isMobileMenuOpen ? 'mt-3' : ''}`} style={{ maxHeight: isMobileMenuOpen ? '300px' : '0', opacity: isMobileMenuOpen ? 1 : 0 }}>
+        <div className={`d-md-none overflow-hidden transition-all duration-300 ${isMobileMenuOpen ? 'mt-3' : ''}`} style={{ maxHeight: isMobileMenuOpen ? '400px' : '0', opacity: isMobileMenuOpen ? 1 : 0 }}>
           <div className="glass-card rounded-4 p-3 mx-2 d-flex flex-column gap-2">
             {navigationItems.map((item) => (
               <Link 
@@ -92,6 +118,7 @@ export default function Navbar() {
                 )}
               </Link>
             ))}
+            <div className="px-3 py-2">{languageSwitcher}</div>
           </div>
         </div>
       </div>
@@ -1,5 +1,16 @@
-import { useState } from "react";
-import { findBestMatch, getDestinationSuggestions } from "../utils/destinationMatcher";
+import { useMemo } from "react";
+import useTranslation from "../hooks/useTranslation";
+import useDestinationMatcher from "../hooks/useDestinationMatcher";
+
+// Popular picks; `id` is the catalog key for the tagline (destinations.*)
+const popularDestinations = [
+  { id: "paris", name: "Paris", emoji: "🗼" },
+  { id: "tokyo", name: "Tokyo", emoji: "🏯" },
+  { id: "newYork", name: "New York", emoji: "🗽" },
+  { id: "london", name: "London", emoji: "🎡" },
+  { id: "dubai", name: "Dubai", emoji: "🏙️" },
+  { id: "sydney", name: "Sydney", emoji: "🏖️" }
+];
 
 /**
  * No Results Found Component
@@ -7,34 +18,28 @@ import { findBestMatch, getDestinationSuggestions } from "../utils/destinationMa
  * Offers smart suggestions based on the failed search term.
  * 
  * @param {string} searchTerm - The failed search query
- * @param {function} onNewSearch - Handler to trigger a new search from suggestions
+ * @param {function} onNewSearch - Handler to trigger a new search from suggestions, called with (name, place)
  */
 export default function NoResultsFound({ searchTerm, onNewSearch }) {
-  // Calculate suggestions once on mount
-  const [suggestions] = useState(() => {
+  const { t } = useTranslation();
+  const matcher = useDestinationMatcher();
+
+  // Calculate suggestions for the failed search (again once the city dataset has loaded)
+  const suggestions = useMemo(() => {
     // Get suggestions for the failed search
-    const matchResult = findBestMatch(searchTerm, 0.3); // Lower threshold for suggestions
-    const basicSuggestions = getDestinationSuggestions(searchTerm, 3);
+    const matchResult = matcher.findBestMatch(searchTerm, 0.3); // Lower threshold for suggestions
+    const basicSuggestions = matcher.getDestinationSuggestions(searchTerm, 3);
     
     // Combine and deduplicate suggestions
     const allSuggestions = [
       ...matchResult.suggestions,
       ...basicSuggestions
     ].filter((item, index, self) => 
-      index === self.findIndex(t => t.name === item.name)
+      index === self.findIndex((other) => other.name === item.name && other.countryCode === item.countryCode)
     ).slice(0, 6);
 
     return allSuggestions;
-  });
-
-  const popularDestinations = [
-    { name: "Paris", emoji: "🗼", description: "The City of Light" },
-    { name: "Tokyo", emoji: "🏯", description: "Modern meets traditional" },
-    { name: "New York", emoji: "🗽", description: "The Big Apple" },
-    { name: "London", emoji: "🎡", description: "Historic and royal" },
-    { name: "Dubai", emoji: "🏙️", description: "Luxury and innovation" },
-    { name: "Sydney", emoji: "🏖️", description: "Harbor city beauty" }
-  ];
+  }, [searchTerm, matcher]);
 
   return (
     <div className="animate-fade-in">
@@ -42,10 +47,10 @@ export default function NoResultsFound({ searchTerm, onNewSearch }) {
         <div className="glass-card p-5 rounded-4 mx-auto" style={{ maxWidth: '600px' }}>
           <div className="display-1 mb-4">🤷‍♀️</div>
           <h1 className="h2 fw-bold text-dark mb-4">
-            No results found for "{searchTerm}"
+            {t('noResults.title', { term: searchTerm })}
           </h1>
           <p className="text-secondary mb-4">
-            Don't worry! Let's help you find what you're looking for.
+            {t('noResults.subtitle')}
           </p>
         </div>
       </div>
@@ -55,13 +60,13 @@ export default function NoResultsFound({ searchTerm, onNewSearch }) {
         <div className="mb-4">
           <div className="glass-card p-4 rounded-4">
             <h2 className="h3 fw-bold text-dark mb-4 d-flex align-items-center gap-2">
-              💡 Did you mean one of these?
+              💡 {t('noResults.suggestionsTitle')}
             </h2>
             <div className="row row-cols-1 row-cols-sm-2 row-cols-lg-3 g-4">
               {suggestions.map((suggestion, index) => (
-                <div className="col" key={suggestion.name}>
+                <div className="col" key={`${suggestion.name}-${suggestion.countryCode}`}>
                   <button
-                    onClick={() => onNewSearch(suggestion.name)}
+                    onClick={() => onNewSearch(suggestion.name, suggestion)}
                     className="glass-card p-4 rounded-4 hover-lift text-start w-100 transition-all scale-hover btn border-0"
                     style={{ animationDelay: `${index * 0.1}s` }}
                   >
@@ -88,7 +93,7 @@ export default function NoResultsFound({ searchTerm, onNewSearch }) {
       <div className="mb-4">
         <div className="glass-card p-4 rounded-4">
           <h2 className="h3 fw-bold text-dark mb-4 d-flex align-items-center gap-2">
-            🌟 Popular Destinations
+            🌟 {t('noResults.popularTitle')}
           </h2>
           <div className="row row-cols-1 row-cols-sm-2 row-cols-lg-3 g-4">
             {popularDestinations.map((destination, index) => (
@@ -107,7 +112,7 @@ export default function NoResultsFound({ searchTerm, onNewSearch }) {
                     </div>
                   </div>
                   <div className="small text-secondary">
-                    {destination.description}
+                    {t(`destinations.${destination.id}`)}
                   </div>
                 </button>
               </div>
@@ -119,19 +124,19 @@ export default function NoResultsFound({ searchTerm, onNewSearch }) {
       {/* Search Tips */}
       <div className="glass-card p-4 rounded-4 text-center">
         <div className="display-4 mb-4">📝</div>
-        <h3 className="h4 fw-bold text-dark mb-3">Search Tips</h3>
+        <h3 className="h4 fw-bold text-dark mb-3">{t('noResults.tipsTitle')}</h3>
         <div className="row row-cols-1 row-cols-md-3 g-4 small text-secondary">
           <div className="col d-flex align-items-center gap-2 justify-content-center">
             <span>✓</span>
-            <span>Try city names: "Paris", "Tokyo"</span>
+            <span>{t('noResults.tipCityNames')}</span>
           </div>
           <div className="col d-flex align-items-center gap-2 justify-content-center">
             <span>✓</span>
-            <span>Don't worry about spelling</span>
+            <span>{t('noResults.tipSpelling')}</span>
           </div>
           <div className="col d-flex align-items-center gap-2 justify-content-center">
             <span>✓</span>
-            <span>Use popular destinations</span>
+            <span>{t('noResults.tipPopular')}</span>
           </div>
         </div>
       </div>
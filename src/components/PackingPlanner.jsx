@@ -0,0 +1,199 @@
+import { useState, useEffect, useMemo } from "react";
+import useCurrentWeather from "../hooks/useCurrentWeather";
+import useForecast from "../hooks/useForecast";
+import {
+  tripTypes,
+  generatePackingList,
+  packingListToText,
+  packingListToMarkdown,
+  categoryTitle,
+  itemLabel,
+} from "../utils/packingList";
+import { readStorage, writeStorage } from "../utils/storage";
+import { favouriteKey } from "../context/FavouritesContext";
+import { formatTemperature } from "../utils/units";
+import usePreferences from "../hooks/usePreferences";
+import useTranslation from "../hooks/useTranslation";
+
+const PACKING_STORAGE_KEY = "travelwise:packing-lists";
+
+const METRIC = { units: "metric" };
+
+// Trigger a browser download for generated text content
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Packing Planner Component
+ * Generates a weather-appropriate, checkable packing list for one destination.
+ * Trip settings and checked items are persisted per destination.
+ *
+ * @param {object} destination - Saved favourite ({ name, country, coord, ... })
+ */
+export default function PackingPlanner({ destination }) {
+  // Plans are stored under the favourite's key, so Paris, France and Paris, Texas each have one.
+  // Plans saved before that are stored under the bare name.
+  const planKey = favouriteKey(destination);
+
+  // Restore this destination's saved settings and checklist
+  const [plan, setPlan] = useState(() => {
+    const saved = readStorage(PACKING_STORAGE_KEY, {});
+    return { tripLength: 3, tripType: 'leisure', checked: {}, ...(saved[planKey] ?? saved[destination.name]) };
+  });
+
+  // Persist into the shared per-destination map
+  useEffect(() => {
+    const all = readStorage(PACKING_STORAGE_KEY, {});
+    writeStorage(PACKING_STORAGE_KEY, { ...all, [planKey]: plan });
+  }, [planKey, plan]);
+
+  // Weather for the saved place itself (by coordinates, else "name,CC"), not its largest namesake.
+  // The packing rules are written in °C and m/s, so weather is always fetched in metric.
+  const weatherLocation = {
+    name: destination.name,
+    country: destination.country,
+    lat: destination.coord?.lat,
+    lon: destination.coord?.lon,
+  };
+  const { preferences } = usePreferences();
+  const { t } = useTranslation();
+  const { data: weather, loading: weatherLoading, error: weatherError } = useCurrentWeather(weatherLocation, METRIC);
+  const { data: forecastDays, loading: forecastLoading } = useForecast(weatherLocation, METRIC);
+
+  const list = useMemo(
+    () => generatePackingList({ weather, forecastDays: forecastDays || [], tripLength: plan.tripLength, tripType: plan.tripType }),
+    [weather, forecastDays, plan.tripLength, plan.tripType]
+  );
+
+  const totalItems = list.reduce((total, category) => total + category.items.length, 0);
+  const packedItems = list.reduce(
+    (total, category) => total + category.items.filter((item) => plan.checked[item.id]).length,
+    0
+  );
+
+  const updatePlan = (changes) => setPlan((prev) => ({ ...prev, ...changes }));
+
+  const toggleItem = (itemId) => {
+    setPlan((prev) => ({ ...prev, checked: { ...prev.checked, [itemId]: !prev.checked[itemId] } }));
+  };
+
+  const fileBase = `packing-${destination.name.toLowerCase().replace(/\s+/g, '-')}`;
+
+  const handleExportText = () => {
+    downloadFile(`${fileBase}.txt`, packingListToText(t, destination.name, list, plan.checked), 'text/plain');
+  };
+
+  const handleExportMarkdown = () => {
+    downloadFile(`${fileBase}.md`, packingListToMarkdown(t, destination.name, list, plan.checked), 'text/markdown');
+  };
+
+  const handleCopy = () => {
+    navigator.clipboard?.writeText(packingListToMarkdown(t, destination.name, list, plan.checked));
+  };
+
+  return (
+    <div className="d-flex flex-column gap-3">
+      {/* Trip settings */}
+      <div className="bg-secondary bg-opacity-10 rounded-3 p-3 border border-secondary border-opacity-25">
+        <div className="row g-3 align-items-end">
+          <div className="col-sm-4">
+            <label htmlFor="packing-length" className="form-label small text-secondary fw-bold text-uppercase">{t('packing.tripLength')}</label>
+            <input
+              id="packing-length"
+              type="number"
+              min="1"
+              max="60"
+              value={plan.tripLength}
+              onChange={(e) => updatePlan({ tripLength: Math.max(1, Number(e.target.value) || 1) })}
+              className="form-control bg-dark text-light border-secondary"
+            />
+          </div>
+          <div className="col-sm-8">
+            <span className="form-label d-block small text-secondary fw-bold text-uppercase">{t('packing.tripType')}</span>
+            <div className="d-flex flex-wrap gap-2">
+              {tripTypes.map((type) => (
+                <button
+                  key={type.id}
+                  type="button"
+                  onClick={() => updatePlan({ tripType: type.id })}
+                  className={`btn btn-sm rounded-pill fw-bold ${
+                    plan.tripType === type.id ? 'btn-primary' : 'btn-outline-light'
+                  }`}
+                >
+                  {type.icon} {t(`packing.tripTypes.${type.id}`)}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+        <div className="small text-secondary mt-3">
+          {weatherLoading || forecastLoading
+            ? `⏳ ${t('packing.weather.loading')}`
+            : weatherError
+              ? `⚠️ ${t('packing.weather.error', { error: weatherError })}`
+              : weather
+                ? `🌡️ ${formatTemperature(weather.temperature, preferences.units)}, ${weather.description}${
+                    forecastDays?.length ? ` • ${t('packing.weather.forecast', { count: forecastDays.length })}` : ''
+                  }`
+                : `⚠️ ${t('packing.weather.unavailable')}`}
+        </div>
+      </div>
+
+      {/* Progress */}
+      <div>
+        <div className="d-flex justify-content-between small mb-1">
+          <span className="fw-bold">{t('packing.packed')}</span>
+          <span className="text-secondary">{packedItems} / {totalItems}</span>
+        </div>
+        <div className="progress bg-secondary bg-opacity-25" style={{ height: '6px' }}>
+          <div className="progress-bar bg-success" style={{ width: `${totalItems ? (packedItems / totalItems) * 100 : 0}%` }}></div>
+        </div>
+      </div>
+
+      {/* Checklist */}
+      <div className="overflow-auto pe-1" style={{ maxHeight: '45vh' }}>
+        {list.map((category) => (
+          <div key={category.id} className="mb-3">
+            <h6 className="text-primary text-uppercase fw-bold small mb-2">{category.icon} {categoryTitle(t, category)}</h6>
+            {category.items.map((item) => (
+              <div key={item.id} className="form-check">
+                <input
+                  id={`packing-${item.id}`}
+                  type="checkbox"
+                  className="form-check-input"
+                  checked={!!plan.checked[item.id]}
+                  onChange={() => toggleItem(item.id)}
+                />
+                <label
+                  htmlFor={`packing-${item.id}`}
+                  className={`form-check-label ${plan.checked[item.id] ? 'text-secondary text-decoration-line-through' : ''}`}
+                >
+                  {itemLabel(t, item)}
+                </label>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {/* Export actions */}
+      <div className="d-flex flex-wrap gap-2">
+        <button type="button" onClick={handleExportText} className="btn btn-sm btn-outline-light fw-bold rounded-3">📄 {t('packing.exportText')}</button>
+        <button type="button" onClick={handleExportMarkdown} className="btn btn-sm btn-outline-light fw-bold rounded-3">📝 {t('packing.exportMarkdown')}</button>
+        <button type="button" onClick={handleCopy} className="btn btn-sm btn-outline-light fw-bold rounded-3">📋 {t('packing.copyMarkdown')}</button>
+        {packedItems > 0 && (
+          <button type="button" onClick={() => updatePlan({ checked: {} })} className="btn btn-sm btn-link text-secondary text-decoration-none fw-bold ms-auto">
+            {t('packing.uncheckAll')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
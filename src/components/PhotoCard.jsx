@@ -1,4 +1,5 @@
 import { useState } from "react";
+import useTranslation from "../hooks/useTranslation";
 
 /**
  * Photo Card Component
@@ -8,13 +9,14 @@ import { useState } from "react";
  * - Hover effects and animations
  * - Click handler for modal view
  * 
- * @param {object} photo - The photo object from Unsplash API
+ * @param {object} photo - Normalized Photo from the photo provider
  * @param {number} index - Index for staggered animation delay
  * @param {function} onClick - Handler for opening the photo modal
  */
 export default function PhotoCard({ photo, index, onClick }) {
   const [isLoaded, setIsLoaded] = useState(false);
   const [hasError, setHasError] = useState(false);
+  const { t } = useTranslation();
 
   const handleImageLoad = () => {
     setIsLoaded(true);
@@ -31,7 +33,7 @@ export default function PhotoCard({ photo, index, onClick }) {
       <div className="glass-card rounded-4 overflow-hidden hover-lift cursor-pointer ratio ratio-1x1 d-flex align-items-center justify-content-center bg-light">
         <div className="text-center p-4">
           <div className="display-4 mb-2">📷</div>
-          <p className="text-secondary small">Image unavailable</p>
+          <p className="text-secondary small">{t('photos.card.unavailable')}</p>
         </div>
       </div>
     );
@@ -51,7 +53,7 @@ export default function PhotoCard({ photo, index, onClick }) {
       {/* Actual Image */}
       <img
         src={photo.urls.small}
-        alt={photo.alt_description || "Destination photo"}
+        alt={photo.alt || "Destination photo"}
         className={`w-100 h-100 object-fit-cover transition-all ${
           isLoaded ? 'opacity-100' : 'opacity-0'
         }`}
@@ -73,10 +75,10 @@ export default function PhotoCard({ photo, index, onClick }) {
       <div className="position-absolute bottom-0 start-0 end-0 p-2 p-sm-3 transition-all photo-card-info" style={{ background: 'linear-gradient(to top, rgba(0,0,0,0.8), transparent)' }}>
         <div className="text-white">
           <p className="small fw-medium text-truncate mb-1">
-            {photo.alt_description || "Beautiful view"}
+            {photo.alt || "Beautiful view"}
           </p>
           <p className="small text-white text-opacity-75 d-flex align-items-center justify-content-between mb-0">
-            <span className="text-truncate">📸 {photo.user.name}</span>
+            <span className="text-truncate">📸 {photo.author.name}</span>
             <span className="d-flex align-items-center gap-1 flex-shrink-0 ms-2">
               💝 {photo.likes || 0}
             </span>
@@ -87,7 +89,7 @@ export default function PhotoCard({ photo, index, onClick }) {
       {/* Click hint */}
       <div className="position-absolute top-0 end-0 m-1 m-sm-2 transition-opacity photo-card-hint">
         <div className="glass-card px-1 px-sm-2 py-1 rounded-3">
-          <span className="text-white small">Click to expand</span>
+          <span className="text-white small">{t('photos.card.expand')}</span>
         </div>
       </div>
     </div>
@@ -0,0 +1,78 @@
+import useTranslation from "../hooks/useTranslation";
+
+/**
+ * Photo Filters Component
+ * Toolbar above the photo rail for the filters the photo provider supports
+ * (orientation, colour palette, sort order).
+ *
+ * @param {Array} filters - Provider search filters ({ id, label, options }); labels are message keys
+ * @param {object} values - Selected value per filter id ("" = default)
+ * @param {function} onChange - Called with (filterId, value)
+ * @param {function} onReset - Clears every filter
+ */
+export default function PhotoFilters({ filters, values, onChange, onReset }) {
+  const { t } = useTranslation();
+
+  if (!filters?.length) return null;
+
+  const isFiltered = filters.some((filter) => values[filter.id]);
+
+  return (
+    <div className="glass-card p-3 rounded-4 mb-3 d-flex flex-wrap align-items-center gap-3 small text-white">
+      {filters.map((filter) => {
+        const selected = values[filter.id] || '';
+        const hasSwatches = filter.options.some((option) => option.swatch);
+
+        return (
+          <div key={filter.id} className="d-flex flex-wrap align-items-center gap-2" role="group" aria-label={t(filter.label)}>
+            <span className="text-white text-opacity-75 fw-semibold">{t(filter.label)}</span>
+            {hasSwatches
+              ? filter.options.map((option) => (
+                  <button
+                    key={option.value || 'any'}
+                    type="button"
+                    onClick={() => onChange(filter.id, option.value)}
+                    title={t(option.label)}
+                    aria-label={t(option.label)}
+                    aria-pressed={selected === option.value}
+                    className={`btn p-0 rounded-circle border ${
+                      selected === option.value ? 'border-white border-2' : 'border-white border-opacity-25'
+                    }`}
+                    style={{
+                      width: '24px',
+                      height: '24px',
+                      background: option.swatch || 'transparent',
+                    }}
+                  >
+                    {!option.swatch && <span className="small text-white">∅</span>}
+                  </button>
+                ))
+              : filter.options.map((option) => (
+                  <button
+                    key={option.value || 'any'}
+                    type="button"
+                    onClick={() => onChange(filter.id, option.value)}
+                    aria-pressed={selected === option.value}
+                    className={`btn btn-sm rounded-pill fw-semibold ${
+                      selected === option.value ? 'btn-light' : 'btn-outline-light'
+                    }`}
+                  >
+                    {t(option.label)}
+                  </button>
+                ))}
+          </div>
+        );
+      })}
+
+      {isFiltered && (
+        <button
+          type="button"
+          onClick={onReset}
+          className="btn btn-sm btn-link text-white text-opacity-75 text-decoration-none ms-auto"
+        >
+          {t('photos.filters.clear')}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import { useEffect } from "react";
+import useTranslation from "../hooks/useTranslation";
 
 /**
  * Photo Modal Component
@@ -8,7 +9,7 @@ import { useEffect } from "react";
  * - Scroll locking for the background page
  * - Backdrop click to close
  * 
- * @param {object} photo - The photo object to display
+ * @param {object} photo - The normalized Photo to display
  * @param {boolean} isOpen - Visibility state
  * @param {function} onClose - Handler to close the modal
  * @param {function} onNext - Handler for next photo
@@ -17,6 +18,8 @@ import { useEffect } from "react";
  * @param {boolean} hasPrev - Whether there is a previous photo
  */
 export default function PhotoModal({ photo, isOpen, onClose, onNext, onPrev, hasNext, hasPrev }) {
+  const { t } = useTranslation();
+
   useEffect(() => {
     // Handle keyboard events for navigation and closing
     const handleKeyDown = (e) => {
@@ -69,7 +72,7 @@ export default function PhotoModal({ photo, isOpen, onClose, onNext, onPrev, has
           onClick={onClose}
           className="position-absolute top-0 end-0 m-2 btn btn-dark rounded-circle d-flex align-items-center justify-content-center p-0 scale-hover border-0"
           style={{ width: '40px', height: '40px', zIndex: 10, background: 'rgba(0,0,0,0.5)' }}
-          aria-label="Close modal"
+          aria-label={t('photos.modal.close')}
         >
           ✕
         </button>
@@ -80,7 +83,7 @@ export default function PhotoModal({ photo, isOpen, onClose, onNext, onPrev, has
             onClick={onPrev}
             className="position-absolute start-0 top-50 translate-middle-y m-2 btn btn-dark rounded-circle d-flex align-items-center justify-content-center p-0 scale-hover border-0"
             style={{ width: '48px', height: '48px', zIndex: 10, background: 'rgba(0,0,0,0.5)' }}
-            aria-label="Previous photo"
+            aria-label={t('photos.modal.previous')}
           >
             ←
           </button>
@@ -91,7 +94,7 @@ export default function PhotoModal({ photo, isOpen, onClose, onNext, onPrev, has
             onClick={onNext}
             className="position-absolute end-0 top-50 translate-middle-y m-2 btn btn-dark rounded-circle d-flex align-items-center justify-content-center p-0 scale-hover border-0"
             style={{ width: '48px', height: '48px', zIndex: 10, background: 'rgba(0,0,0,0.5)' }}
-            aria-label="Next photo"
+            aria-label={t('photos.modal.next')}
           >
             →
           </button>
@@ -101,7 +104,7 @@ export default function PhotoModal({ photo, isOpen, onClose, onNext, onPrev, has
         <div className="position-relative w-100 h-100 overflow-hidden rounded-4 bg-black d-flex align-items-center justify-content-center">
           <img
             src={photo.urls.full || photo.urls.regular}
-            alt={photo.alt_description || "Destination photo"}
+            alt={photo.alt || "Destination photo"}
             className="img-fluid rounded-4"
             style={{ maxHeight: '100%', maxWidth: '100%', objectFit: 'contain' }}
             loading="lazy"
@@ -117,13 +120,13 @@ export default function PhotoModal({ photo, isOpen, onClose, onNext, onPrev, has
               <div className="d-flex flex-column flex-sm-row align-items-sm-center justify-content-between gap-3">
                 <div className="overflow-hidden">
                   <h3 className="h5 fw-semibold mb-1 text-truncate">
-                    {photo.alt_description || "Beautiful destination"}
+                    {photo.alt || "Beautiful destination"}
                   </h3>
                 </div>
                 
                 <div className="d-flex gap-2 flex-shrink-0">
                   <a
-                    href={photo.links.download}
+                    href={photo.downloadUrl}
                     target="_blank"
                     rel="noopener noreferrer"
                     className="glass-card px-2 px-sm-3 py-1 py-sm-2 rounded-3 small fw-medium text-white hover-bg-opacity-25 transition-all d-flex align-items-center gap-1 btn border-0 text-decoration-none"
@@ -1,4 +1,5 @@
 import { useState, useEffect, useCallback } from "react";
+import useTranslation from "../hooks/useTranslation";
 
 /**
  * Search Correction Component
@@ -13,6 +14,7 @@ import { useState, useEffect, useCallback } from "react";
 export default function SearchCorrection({ originalQuery, correctedQuery, onAccept, onReject }) {
   const [isVisible, setIsVisible] = useState(true);
   const [isClosing, setIsClosing] = useState(false);
+  const { t } = useTranslation();
 
   // Handle closing animation and state update
   const handleClose = useCallback(() => {
@@ -49,24 +51,24 @@ export default function SearchCorrection({ originalQuery, correctedQuery, onAcce
           <div className="fs-4">🤔</div>
           <div className="flex-grow-1">
             <h4 className="text-white fw-semibold mb-1">
-              Did you mean "{correctedQuery}"?
+              {t('correction.title', { term: correctedQuery })}
             </h4>
             <p className="text-white text-opacity-75 small mb-3">
-              We found a close match for "<span className="text-warning">{originalQuery}</span>"
+              {t('correction.closeMatch')} "<span className="text-warning">{originalQuery}</span>"
             </p>
             <div className="d-flex gap-2">
               <button
                 onClick={handleAccept}
                 className="btn btn-success px-4 py-2 rounded-3 small fw-medium transition-all scale-hover border-0"
               >
-                ✓ Yes, search "{correctedQuery}"
+                ✓ {t('correction.accept', { term: correctedQuery })}
               </button>
               <button
                 onClick={handleClose}
                 className="btn btn-light bg-opacity-10 text-white px-4 py-2 rounded-3 small fw-medium transition-all border-0"
                 style={{ background: 'rgba(255,255,255,0.1)' }}
               >
-                ✕ No, keep original
+                ✕ {t('correction.reject')}
               </button>
             </div>
           </div>
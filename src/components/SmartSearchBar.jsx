@@ -1,5 +1,16 @@
 import { useState, useEffect, useRef } from "react";
-import { getDestinationSuggestions, findBestMatch } from "../utils/destinationMatcher";
+import { AUTO_CORRECT_CONFIDENCE, loadDestinationMatcher } from "../utils/destinationMatcher";
+import useTranslation from "../hooks/useTranslation";
+import useDestinationMatcher from "../hooks/useDestinationMatcher";
+import useSearchHistory from "../hooks/useSearchHistory";
+import useGeolocation from "../hooks/useGeolocation";
+import { historyKey, rankWithHistory } from "../utils/searchHistory";
+
+// Pills shown before anything has been searched on this device
+const defaultPills = ['Paris', 'Tokyo', 'New York', 'London'].map((name) => ({ name }));
+
+// Recent searches listed when the field is empty
+const RECENT_LIMIT = 6;
 
 /**
  * Smart Search Bar Component
@@ -7,11 +18,18 @@ import { getDestinationSuggestions, findBestMatch } from "../utils/destinationMa
  * - Debounced typeahead suggestions
  * - Fuzzy matching for typo correction
  * - Keyboard navigation support
+ * - Search history: recent searches when the field is empty, revisited places ranked first
+ * - "Use my location": searches the destination nearest to the browser's position
  * 
- * @param {function} onSearch - Callback function triggered on valid search
- * @param {string} placeholder - Input placeholder text
+ * @param {function} onSearch - Called with (name, place) on a valid search; `place` ({ countryCode, lat, lon, ... })
+ *   is set when the search resolved to a known city, so same-named places can be told apart
+ * @param {string} placeholder - Input placeholder text (defaults to the translated "Where would you like to go?")
  */
-export default function SmartSearchBar({ onSearch, placeholder = "Where would you like to go?" }) {
+export default function SmartSearchBar({ onSearch, placeholder }) {
+  const { t } = useTranslation();
+  const matcher = useDestinationMatcher();
+  const { history, recentSearches, addSearch, removeSearch, clearHistory } = useSearchHistory();
+  const geolocation = useGeolocation();
   const [query, setQuery] = useState("");
   const [suggestions, setSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
@@ -21,11 +39,13 @@ export default function SmartSearchBar({ onSearch, placeholder = "Where would yo
   const inputRef = useRef(null);
 
   // Effect: Debounce user input and fetch suggestions
-  // Waits 150ms after last keystroke before calculating suggestions
+  // Waits 150ms after last keystroke before calculating suggestions,
+  // and recalculates once the full city dataset has loaded.
+  // Extra matcher suggestions leave room for places from the history to move up.
   useEffect(() => {
     const timeoutId = setTimeout(() => {
       if (query.trim().length >= 2) {
-        const newSuggestions = getDestinationSuggestions(query.trim(), 5);
+        const newSuggestions = rankWithHistory(matcher.getDestinationSuggestions(query.trim(), 10), history, query.trim(), 5);
         setSuggestions(newSuggestions);
         setShowSuggestions(newSuggestions.length > 0);
       } else {
@@ -35,7 +55,17 @@ export default function SmartSearchBar({ onSearch, placeholder = "Where would yo
     }, 150); // Debounce for better performance
 
     return () => clearTimeout(timeoutId);
-  }, [query]);
+  }, [query, matcher, history]);
+
+  // With an empty field the dropdown lists recent searches instead of suggestions
+  const showRecent = isFocused && !query.trim() && recentSearches.length > 0;
+  const listItems = showRecent ? recentSearches.slice(0, RECENT_LIMIT) : showSuggestions ? suggestions : [];
+
+  // Every search goes into the history before the page handles it
+  const search = (name, place = null) => {
+    addSearch(name, place);
+    onSearch(name, place);
+  };
 
   // Handle form submission
   // Uses fuzzy matching to correct typos automatically if confidence is high
@@ -44,12 +74,20 @@ export default function SmartSearchBar({ onSearch, placeholder = "Where would yo
     const searchQuery = query.trim();
     if (!searchQuery) return;
 
+    // Country, continent and tag searches ("japan", "beach asia") go through as typed
+    if (matcher.searchDestinations(searchQuery, 0)) {
+      search(searchQuery);
+      setQuery("");
+      setShowSuggestions(false);
+      return;
+    }
+
     // Use smart matching to find the best destination
-    const matchResult = findBestMatch(searchQuery);
+    const matchResult = matcher.findBestMatch(searchQuery);
     
-    if (matchResult.hasGoodMatch && matchResult.confidence > 0.8) {
+    if (matchResult.hasGoodMatch && matchResult.confidence >= AUTO_CORRECT_CONFIDENCE) {
       // High confidence match - use the corrected destination automatically
-      onSearch(matchResult.destination);
+      search(matchResult.destination, matchResult.place);
       setQuery("");
       setShowSuggestions(false);
     } else if (matchResult.suggestions.length > 0) {
@@ -57,29 +95,58 @@ export default function SmartSearchBar({ onSearch, placeholder = "Where would yo
       setShowSuggestions(true);
     } else {
       // No good match found - search as is
-      onSearch(searchQuery);
+      search(searchQuery);
       setQuery("");
       setShowSuggestions(false);
     }
   };
 
   // Clicking a suggestion immediately triggers a search and resets local state.
-  const handleSuggestionClick = (suggestionName) => {
-    onSearch(suggestionName);
+  // Suggestions carry their country and coordinates; the default pills are names only.
+  const handleSuggestionClick = (suggestionName, place = null) => {
+    search(suggestionName, place);
     setQuery("");
     setShowSuggestions(false);
+    setIsFocused(false);
+    setSelectedSuggestionIndex(-1);
+    inputRef.current?.blur();
+  };
+
+  // Search the destination nearest to the user. Its own coordinates are used rather than the
+  // position, so the URL and the search history never hold the user's exact location.
+  // A refused or failed lookup leaves a message under the field instead.
+  const handleUseLocation = async () => {
+    // The built-in list has no town near most people, so wait for the city dataset
+    // (loaded while the browser locates); only if it fails is the built-in list used
+    const [position, datasetMatcher] = await Promise.all([
+      geolocation.locate(),
+      loadDestinationMatcher().catch(() => null),
+    ]);
+    if (!position) return;
+    const [nearest] = (datasetMatcher || matcher).findNearby(position.lat, position.lon, 1);
+    if (nearest) handleSuggestionClick(nearest.name, nearest);
+  };
+
+  // Forget one recent search; the field keeps focus so the list stays open
+  const handleRemoveRecent = (entry) => {
+    removeSearch(entry);
+    setSelectedSuggestionIndex(-1);
+  };
+
+  const handleQueryChange = (e) => {
+    setQuery(e.target.value);
     setSelectedSuggestionIndex(-1);
   };
 
   // Keyboard navigation for the suggestion list (up/down/enter/escape).
   const handleKeyDown = (e) => {
-    if (!showSuggestions || suggestions.length === 0) return;
+    if (listItems.length === 0) return;
 
     switch (e.key) {
       case "ArrowDown":
         e.preventDefault();
         setSelectedSuggestionIndex((prev) =>
-          prev < suggestions.length - 1 ? prev + 1 : prev
+          prev < listItems.length - 1 ? prev + 1 : prev
         );
         break;
       case "ArrowUp":
@@ -89,11 +156,18 @@ export default function SmartSearchBar({ onSearch, placeholder = "Where would yo
       case "Enter":
         e.preventDefault();
         if (selectedSuggestionIndex >= 0) {
-          handleSuggestionClick(suggestions[selectedSuggestionIndex].name);
+          handleSuggestionClick(listItems[selectedSuggestionIndex].name, listItems[selectedSuggestionIndex]);
         } else {
           handleSubmit(e);
         }
         break;
+      case "Delete":
+        // Shift+Delete forgets the highlighted recent search
+        if (showRecent && e.shiftKey && selectedSuggestionIndex >= 0) {
+          e.preventDefault();
+          handleRemoveRecent(listItems[selectedSuggestionIndex]);
+        }
+        break;
       case "Escape":
         setShowSuggestions(false);
         setSelectedSuggestionIndex(-1);
@@ -135,78 +209,135 @@ export default function SmartSearchBar({ onSearch, placeholder = "Where would yo
               type="text"
               className="bg-transparent text-white w-100 py-3 px-2 border-0 fs-5 fw-medium shadow-none"
               style={{ outline: 'none' }}
-              placeholder={placeholder}
+              placeholder={placeholder || t('search.placeholder')}
               value={query}
-              onChange={(e) => setQuery(e.target.value)}
+              onChange={handleQueryChange}
               onFocus={handleFocus}
               onBlur={handleBlur}
               onKeyDown={handleKeyDown}
-              aria-label="Search destination"
+              aria-label={t('search.label')}
               autoComplete="off"
             />
+            {geolocation.isSupported && (
+              <button
+                type="button"
+                onClick={handleUseLocation}
+                disabled={geolocation.status === 'locating'}
+                className="btn glass-card text-white border-0 rounded-4 px-3 py-3 flex-shrink-0 scale-hover"
+                aria-label={t('search.location.use')}
+                title={t('search.location.use')}
+              >
+                {geolocation.status === 'locating' ? (
+                  <span className="spinner-border spinner-border-sm" role="status" aria-label={t('search.location.locating')}></span>
+                ) : (
+                  '📍'
+                )}
+              </button>
+            )}
             <button
               type="submit"
               className="text-white px-4 px-sm-5 py-3 rounded-4 fw-semibold transition-all scale-hover flex-shrink-0 border-0"
               style={{ background: 'linear-gradient(to right, #a855f7, #ec4899)' }}
             >
-              <span className="d-none d-sm-inline">✈️ Explore</span>
+              <span className="d-none d-sm-inline">✈️ {t('search.submit')}</span>
               <span className="d-sm-none">✈️</span>
             </button>
           </div>
         </div>
 
-        {/* Smart Suggestions Dropdown */}
-        {showSuggestions && suggestions.length > 0 && (
+        {/* Smart Suggestions Dropdown (recent searches while the field is empty) */}
+        {listItems.length > 0 && (
           <div 
             ref={suggestionsRef}
             className="position-absolute top-100 start-0 end-0 mt-2 glass-card rounded-4 p-2 z-3 animate-slide-up overflow-hidden"
             style={{ maxHeight: '320px' }}
           >
-            <div className="small text-white text-opacity-75 px-4 py-2 border-bottom border-white border-opacity-10">
-              💡 Did you mean?
-            </div>
-            <div className="overflow-auto" style={{ maxHeight: '250px' }}>
-              {suggestions.map((suggestion, index) => (
+            <div className="small text-white text-opacity-75 px-4 py-2 border-bottom border-white border-opacity-10 d-flex align-items-center justify-content-between">
+              <span>{showRecent ? `🕘 ${t('search.recent')}` : `💡 ${t('search.didYouMean')}`}</span>
+              {showRecent && (
                 <button
-                  key={`${suggestion.name}-${index}`}
                   type="button"
-                  onClick={() => handleSuggestionClick(suggestion.name)}
-                  className={`w-100 text-start px-4 py-3 rounded-3 transition-all d-flex align-items-center justify-content-between btn border-0 ${
-                    index === selectedSuggestionIndex
-                      ? 'bg-white bg-opacity-25 text-white'
-                      : 'hover-bg-opacity-10 text-white text-opacity-90 hover-text-white'
-                  }`}
+                  // Keep focus in the field so the dropdown closes normally afterwards
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={clearHistory}
+                  className="btn btn-link btn-sm p-0 text-white text-opacity-75 hover-text-white text-decoration-none small"
                 >
-                  <div className="d-flex align-items-center gap-3">
-                    <span className="fs-5">🌍</span>
-                    <div>
-                      <div className="fw-medium">{suggestion.name}</div>
-                      <div className="small text-white text-opacity-50">{suggestion.country}</div>
-                    </div>
-                  </div>
-                  <div className={`small px-2 py-1 rounded-pill transition-opacity ${
-                    index === selectedSuggestionIndex ? 'opacity-100' : 'opacity-0'
-                  }`}>
-                    <span className="text-white text-opacity-50">↵</span>
-                  </div>
+                  {t('search.clearHistory')}
                 </button>
+              )}
+            </div>
+            <div className="overflow-auto" style={{ maxHeight: '250px' }}>
+              {listItems.map((item, index) => (
+                <div key={`${historyKey(item)}-${index}`} className="d-flex align-items-center gap-1">
+                  <button
+                    type="button"
+                    onClick={() => handleSuggestionClick(item.name, item)}
+                    className={`w-100 text-start px-4 py-3 rounded-3 transition-all d-flex align-items-center justify-content-between btn border-0 ${
+                      index === selectedSuggestionIndex
+                        ? 'bg-white bg-opacity-25 text-white'
+                        : 'hover-bg-opacity-10 text-white text-opacity-90 hover-text-white'
+                    }`}
+                  >
+                    <div className="d-flex align-items-center gap-3">
+                      <span className="fs-5">{showRecent || item.fromHistory ? '🕘' : '🌍'}</span>
+                      <div>
+                        <div className="fw-medium">{item.name}</div>
+                        {item.country && <div className="small text-white text-opacity-50">{item.country}</div>}
+                      </div>
+                    </div>
+                    <div className={`small px-2 py-1 rounded-pill transition-opacity ${
+                      index === selectedSuggestionIndex ? 'opacity-100' : 'opacity-0'
+                    }`}>
+                      <span className="text-white text-opacity-50">↵</span>
+                    </div>
+                  </button>
+                  {showRecent && (
+                    <button
+                      type="button"
+                      onMouseDown={(e) => e.preventDefault()}
+                      onClick={() => handleRemoveRecent(item)}
+                      className="btn btn-sm border-0 text-white text-opacity-50 hover-text-white px-3 flex-shrink-0"
+                      aria-label={t('search.removeRecent', { name: item.name })}
+                      title={t('search.removeRecent', { name: item.name })}
+                    >
+                      ✕
+                    </button>
+                  )}
+                </div>
               ))}
             </div>
           </div>
         )}
       </form>
 
-      {/* Quick suggestions pills */}
+      {/* Location lookup refused or failed */}
+      {(geolocation.status === 'denied' || geolocation.status === 'unavailable') && (
+        <div className="glass-card bg-warning bg-opacity-25 border border-warning text-white small px-4 py-2 rounded-4 mt-3 d-flex align-items-center gap-2" role="alert">
+          <span>📍</span>
+          <span className="flex-grow-1">{t(`search.location.${geolocation.status}`)}</span>
+          <button
+            type="button"
+            onClick={geolocation.reset}
+            className="btn btn-sm border-0 text-white text-opacity-75 hover-text-white p-0"
+            aria-label={t('search.location.dismiss')}
+          >
+            ✕
+          </button>
+        </div>
+      )}
+
+      {/* Quick suggestions pills: the latest searches, or a few classics on a new device */}
       {!showSuggestions && !isFocused && (
         <div className="d-flex flex-wrap gap-2 mt-4 justify-content-center px-2">
-          {['Paris', 'Tokyo', 'New York', 'London'].map((city) => (
+          {(recentSearches.length > 0 ? recentSearches.slice(0, defaultPills.length) : defaultPills).map((pill) => (
             <button
-              key={city}
+              key={historyKey(pill)}
               type="button"
-              onClick={() => handleSuggestionClick(city)}
+              onClick={() => handleSuggestionClick(pill.name, pill)}
               className="glass-card px-4 py-2 rounded-pill text-white text-opacity-75 hover-text-white scale-hover transition-all small fw-medium btn border-0"
+              title={pill.country ? `${pill.name}, ${pill.country}` : undefined}
             >
-              {city}
+              {pill.lastSearched ? `🕘 ${pill.name}` : pill.name}
             </button>
           ))}
         </div>
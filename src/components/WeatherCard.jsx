@@ -0,0 +1,64 @@
+import { getWeatherEmoji } from "../utils/weather";
+import { formatTemperature, formatSpeed } from "../utils/units";
+import usePreferences from "../hooks/usePreferences";
+import useTranslation from "../hooks/useTranslation";
+
+/**
+ * Weather Card Component
+ * Displays current conditions for a destination: temperature, description,
+ * humidity, wind, feels-like and a condition icon.
+ *
+ * @param {object} weather - Normalized CurrentWeather from the weather provider
+ * @param {string} units - Display units, "metric" or "imperial" (defaults to the user's preference)
+ */
+export default function WeatherCard({ weather, units }) {
+  const { preferences } = usePreferences();
+  const displayUnits = units || preferences.units;
+  const { t } = useTranslation();
+
+  return (
+    <div className="glass-card p-4 rounded-4 mb-4 hover-lift animate-slide-up">
+      <div className="d-flex align-items-center gap-2 mb-4">
+        <span className="fs-4">🌤️</span>
+        <h2 className="h4 fw-bold text-dark mb-0">{t('weather.current')}</h2>
+      </div>
+      
+      <div className="row row-cols-1 row-cols-md-3 g-4">
+        <div className="col text-center">
+          <div className="display-4 fw-bold text-primary mb-2">
+            {formatTemperature(weather.temperature, displayUnits, weather.units)}
+          </div>
+          <div className="text-capitalize text-dark fw-medium">
+            {weather.description}
+          </div>
+        </div>
+        
+        <div className="col d-flex flex-column gap-3 justify-content-center">
+          <div className="d-flex align-items-center gap-2">
+            <span>💧</span>
+            <span className="text-dark">{t('weather.humidity')} <strong>{weather.humidity}%</strong></span>
+          </div>
+          <div className="d-flex align-items-center gap-2">
+            <span>🌪️</span>
+            <span className="text-dark">{t('weather.wind')} <strong>{formatSpeed(weather.windSpeed, displayUnits, weather.units)}</strong></span>
+          </div>
+          <div className="d-flex align-items-center gap-2">
+            <span>🌡️</span>
+            <span className="text-dark">{t('weather.feelsLike')} <strong>{formatTemperature(weather.feelsLike, displayUnits, weather.units)}</strong></span>
+          </div>
+        </div>
+        
+        <div className="col">
+          <div className="p-4 rounded-4 h-100 d-flex flex-column align-items-center justify-content-center" style={{ background: 'linear-gradient(135deg, #dbeafe, #f3e8ff)' }}>
+            <div className="display-1 mb-2">
+              {getWeatherEmoji(weather.condition)}
+            </div>
+            <div className="text-center text-dark fw-medium">
+              {weather.location.name}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,212 @@
+import { useRef, useState } from "react";
+import worldLand from "../data/world-land.json";
+import useTranslation from "../hooks/useTranslation";
+
+// Pin styles by kind; labels are map.legend.<kind> in the catalogs
+const pinKinds = {
+  current: { color: '#facc15', icon: '📍' },
+  favourite: { color: '#ec4899', icon: '❤️' },
+  result: { color: '#22d3ee', icon: '🔎' },
+};
+
+const [MAP_X, MAP_Y, MAP_WIDTH, MAP_HEIGHT] = worldLand.viewBox;
+// Closest zoom: about 22° of longitude across
+const MIN_VIEW_WIDTH = MAP_WIDTH / 16;
+// Smallest area fitted around the pins, so a single pin still shows its region
+const MIN_FIT_WIDTH = MAP_WIDTH / 6;
+// A drag shorter than this (in pixels) is still a click
+const DRAG_THRESHOLD = 4;
+
+// Equirectangular projection, the same one scripts/build-world-map.js draws the land with
+const project = (lat, lon) => [(lon + 180) * worldLand.scale, (90 - lat) * worldLand.scale];
+
+const hasCoordinates = (pin) => Number.isFinite(pin.lat) && Number.isFinite(pin.lon);
+
+// Keep a view inside the map, keeping the map's aspect ratio
+function clampView({ x, y, width }) {
+  const w = Math.min(MAP_WIDTH, Math.max(MIN_VIEW_WIDTH, width));
+  const h = (w * MAP_HEIGHT) / MAP_WIDTH;
+  return {
+    x: Math.min(MAP_X + MAP_WIDTH - w, Math.max(MAP_X, x)),
+    y: Math.min(MAP_Y + MAP_HEIGHT - h, Math.max(MAP_Y, y)),
+    width: w,
+  };
+}
+
+// The view that shows every pin with some margin, or the whole map without pins
+function fitView(points) {
+  if (points.length === 0) return { x: MAP_X, y: MAP_Y, width: MAP_WIDTH };
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  const width = Math.max(MIN_FIT_WIDTH, (Math.max(...xs) - Math.min(...xs)) * 1.4,
+    ((Math.max(...ys) - Math.min(...ys)) * 1.4 * MAP_WIDTH) / MAP_HEIGHT);
+  const height = (width * MAP_HEIGHT) / MAP_WIDTH;
+  const centerX = (Math.min(...xs) + Math.max(...xs)) / 2;
+  const centerY = (Math.min(...ys) + Math.max(...ys)) / 2;
+  return clampView({ x: centerX - width / 2, y: centerY - height / 2, width });
+}
+
+/**
+ * World Map Component
+ * Offline SVG map (the land outline ships with the app, no tile server) with clickable pins.
+ * The view starts fitted around the pins; it can be zoomed with the buttons and panned by dragging.
+ *
+ * @param {object[]} pins - { id, name, country, lat, lon, kind: 'current' | 'favourite' | 'result' };
+ *   pins without coordinates are not drawn
+ * @param {function} onSelect - Called with the pin that was clicked (or activated with Enter)
+ * @param {string} label - Accessible name of the map
+ */
+export default function WorldMap({ pins, onSelect, label }) {
+  const { t } = useTranslation();
+  // null = fitted around the pins; set once the user zooms or pans
+  const [userView, setUserView] = useState(null);
+  const [activePin, setActivePin] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const dragRef = useRef(null);
+
+  const placed = pins.filter(hasCoordinates).map((pin) => ({ ...pin, point: project(pin.lat, pin.lon) }));
+  const view = userView || fitView(placed.map((pin) => pin.point));
+  const viewHeight = (view.width * MAP_HEIGHT) / MAP_WIDTH;
+  // Pins and labels keep the same size on screen at every zoom level
+  const unit = view.width / 360;
+
+  const zoom = (factor) => {
+    const width = view.width * factor;
+    setUserView(clampView({
+      x: view.x + (view.width - width) / 2,
+      y: view.y + (viewHeight - (width * MAP_HEIGHT) / MAP_WIDTH) / 2,
+      width,
+    }));
+  };
+
+  const handlePointerDown = (e) => {
+    dragRef.current = { startX: e.clientX, startY: e.clientY, view, moved: false };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = e.clientX - drag.startX;
+    const dy = e.clientY - drag.startY;
+    if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+    if (!drag.moved) {
+      drag.moved = true;
+      setIsDragging(true);
+      e.currentTarget.setPointerCapture(e.pointerId);
+    }
+    // Screen pixels to map units
+    const perPixel = drag.view.width / e.currentTarget.getBoundingClientRect().width;
+    setUserView(clampView({ x: drag.view.x - dx * perPixel, y: drag.view.y - dy * perPixel, width: drag.view.width }));
+  };
+
+  const handlePointerUp = () => {
+    if (!dragRef.current) return;
+    setIsDragging(false);
+    // The click that ends a drag comes right after this; it must not open a pin
+    setTimeout(() => {
+      dragRef.current = null;
+    }, 0);
+  };
+
+  const handlePinClick = (pin) => {
+    if (!dragRef.current?.moved) onSelect(pin);
+  };
+
+  const handlePinKeyDown = (e, pin) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      onSelect(pin);
+    }
+  };
+
+  const kindsShown = Object.keys(pinKinds).filter((kind) => placed.some((pin) => pin.kind === kind));
+  const missing = pins.length - placed.length;
+  // Draw the active pin last so it sits on top
+  const ordered = [...placed].sort((a, b) => (a.id === activePin) - (b.id === activePin));
+
+  return (
+    <div className="position-relative">
+      <svg
+        viewBox={`${view.x} ${view.y} ${view.width} ${viewHeight}`}
+        className="w-100 d-block rounded-4"
+        style={{ background: 'linear-gradient(180deg, #0f172a, #1e3a5f)', cursor: isDragging ? 'grabbing' : 'grab', touchAction: 'none' }}
+        role="group"
+        aria-label={label}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+      >
+        {/* Graticule every 30° */}
+        <g stroke="rgba(255,255,255,0.08)" strokeWidth={unit * 0.6}>
+          {[-150, -120, -90, -60, -30, 0, 30, 60, 90, 120, 150].map((lon) => (
+            <line key={`lon${lon}`} x1={project(0, lon)[0]} x2={project(0, lon)[0]} y1={MAP_Y} y2={MAP_Y + MAP_HEIGHT} />
+          ))}
+          {[-30, 0, 30, 60].map((lat) => (
+            <line key={`lat${lat}`} x1={MAP_X} x2={MAP_X + MAP_WIDTH} y1={project(lat, 0)[1]} y2={project(lat, 0)[1]} />
+          ))}
+        </g>
+
+        <path d={worldLand.path} fill="rgba(255,255,255,0.22)" stroke="rgba(255,255,255,0.35)" strokeWidth={unit * 0.4} fillRule="evenodd" />
+
+        {ordered.map((pin) => {
+          const [x, y] = pin.point;
+          const style = pinKinds[pin.kind] || pinKinds.result;
+          const isActive = pin.id === activePin;
+          const title = pin.country ? `${pin.name}, ${pin.country}` : pin.name;
+          return (
+            <g
+              key={pin.id}
+              role="button"
+              tabIndex={0}
+              aria-label={t('map.open', { name: title })}
+              style={{ cursor: 'pointer', outline: 'none' }}
+              onClick={() => handlePinClick(pin)}
+              onKeyDown={(e) => handlePinKeyDown(e, pin)}
+              onMouseEnter={() => setActivePin(pin.id)}
+              onMouseLeave={() => setActivePin(null)}
+              onFocus={() => setActivePin(pin.id)}
+              onBlur={() => setActivePin(null)}
+            >
+              <title>{title}</title>
+              <circle cx={x} cy={y} r={unit * (isActive ? 3.6 : 2.6)} fill={style.color} stroke="#0f172a" strokeWidth={unit * 0.6} />
+              {isActive && (
+                <text
+                  x={x + unit * 5}
+                  y={y + unit * 2}
+                  fontSize={unit * 5.5}
+                  fontWeight="600"
+                  fill="#fff"
+                  stroke="#0f172a"
+                  strokeWidth={unit * 1.5}
+                  paintOrder="stroke"
+                >
+                  {title}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+
+      {/* Zoom controls */}
+      <div className="position-absolute top-0 end-0 m-2 d-flex flex-column gap-1">
+        <button type="button" onClick={() => zoom(0.5)} className="btn btn-sm btn-light fw-bold" aria-label={t('map.zoomIn')} title={t('map.zoomIn')}>+</button>
+        <button type="button" onClick={() => zoom(2)} className="btn btn-sm btn-light fw-bold" aria-label={t('map.zoomOut')} title={t('map.zoomOut')}>−</button>
+        <button type="button" onClick={() => setUserView(null)} className="btn btn-sm btn-light" aria-label={t('map.reset')} title={t('map.reset')}>⟲</button>
+      </div>
+
+      {(kindsShown.length > 0 || missing > 0) && (
+        <div className="d-flex flex-wrap align-items-center gap-3 mt-3 small text-white text-opacity-75">
+          {kindsShown.map((kind) => (
+            <span key={kind} className="d-flex align-items-center gap-2">
+              <span className="d-inline-block rounded-circle" style={{ width: '10px', height: '10px', background: pinKinds[kind].color }}></span>
+              {pinKinds[kind].icon} {t(`map.legend.${kind}`)}
+            </span>
+          ))}
+          {missing > 0 && <span>{t('map.unplaced', { count: missing })}</span>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import { createContext } from "react";
+
+// Shared favourites store.
+// The provider lives in FavouritesProvider.jsx and components read it through useFavourites().
+export const FavouritesContext = createContext(null);
+
+export const FAVOURITES_STORAGE_KEY = "travelwise:favourites";
+
+// Favourites are told apart by name and country code, so Paris, France and Paris, Texas are two.
+// Places saved before the country was recorded match any place of their name.
+export const favouriteKey = (destination) => `${destination.name}|${destination.country || ""}`;
+
+export const isSameFavourite = (a, b) =>
+  a.name === b.name && (!a.country || !b.country || a.country === b.country);
+
+// A favourite as a place ({ name, countryCode, lat, lon }), the shape the matcher and the
+// Explore and Compare links use
+export const favouritePlace = (favourite) => ({
+  name: favourite.name,
+  countryCode: favourite.country || null,
+  lat: favourite.coord?.lat ?? null,
+  lon: favourite.coord?.lon ?? null,
+});
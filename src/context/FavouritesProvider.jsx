@@ -0,0 +1,87 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { FavouritesContext, FAVOURITES_STORAGE_KEY, isSameFavourite } from "./FavouritesContext";
+import { readStorage, writeStorage } from "../utils/storage";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mock data for default favourites if storage is empty. `savedAt` is a timestamp;
+// pages show it relative to now in the user's language (formatRelativeTime).
+const createDefaultFavourites = (now) => [
+  { name: 'Paris', country: 'FR', emoji: '🗼', note: 'Sunset over the Seine', savedAt: now - 2 * DAY_MS },
+  { name: 'Tokyo', country: 'JP', emoji: '🏯', note: 'Sakura season wish-list', savedAt: now - 7 * DAY_MS },
+  { name: 'New York', country: 'US', emoji: '🗽', note: 'Broadway + food crawl', savedAt: now - 14 * DAY_MS },
+];
+
+/**
+ * Favourites Provider Component
+ * Owns the list of saved destinations and keeps it in sync with localStorage.
+ * Any page (Explore, Favourites) can read or update it through useFavourites().
+ *
+ * @param {ReactNode} children - The part of the tree that can access favourites
+ */
+export default function FavouritesProvider({ children }) {
+  // Initialize favourites from localStorage or defaults
+  const [favourites, setFavourites] = useState(() =>
+    readStorage(FAVOURITES_STORAGE_KEY, null) ?? createDefaultFavourites(Date.now())
+  );
+
+  // Persist favourites to localStorage whenever they change
+  useEffect(() => {
+    writeStorage(FAVOURITES_STORAGE_KEY, favourites);
+  }, [favourites]);
+
+  // Keep other open tabs in sync when favourites change there
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key === FAVOURITES_STORAGE_KEY) {
+        setFavourites(readStorage(FAVOURITES_STORAGE_KEY, []));
+      }
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
+  // Destinations are { name, country } (an ISO country code), see isSameFavourite
+  const isFavourite = useCallback(
+    (destination) => favourites.some((item) => isSameFavourite(item, destination)),
+    [favourites]
+  );
+
+  const addFavourite = useCallback((destination) => {
+    setFavourites((prev) => {
+      if (prev.some((item) => isSameFavourite(item, destination))) return prev;
+      return [...prev, { ...destination, savedAt: Date.now() }];
+    });
+  }, []);
+
+  const removeFavourite = useCallback((destination) => {
+    setFavourites((prev) => prev.filter((item) => !isSameFavourite(item, destination)));
+  }, []);
+
+  // Returns true if the destination is saved after the toggle
+  const toggleFavourite = useCallback((destination) => {
+    if (isFavourite(destination)) {
+      removeFavourite(destination);
+      return false;
+    }
+    addFavourite(destination);
+    return true;
+  }, [isFavourite, addFavourite, removeFavourite]);
+
+  const clearFavourites = useCallback(() => setFavourites([]), []);
+
+  const value = useMemo(() => ({
+    favourites,
+    isFavourite,
+    addFavourite,
+    removeFavourite,
+    toggleFavourite,
+    clearFavourites,
+  }), [favourites, isFavourite, addFavourite, removeFavourite, toggleFavourite, clearFavourites]);
+
+  return (
+    <FavouritesContext.Provider value={value}>
+      {children}
+    </FavouritesContext.Provider>
+  );
+}
@@ -0,0 +1,59 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { act, renderHook } from "@testing-library/react";
+import FavouritesProvider from "./FavouritesProvider";
+import { FAVOURITES_STORAGE_KEY } from "./FavouritesContext";
+import useFavourites from "../hooks/useFavourites";
+import { loadDestinationMatcher } from "../utils/destinationMatcher";
+
+const renderFavourites = () => renderHook(() => useFavourites(), { wrapper: FavouritesProvider });
+
+const parisFrance = { name: "Paris", country: "FR" };
+const parisTexas = { name: "Paris", country: "US" };
+
+describe("FavouritesProvider", () => {
+  beforeEach(() => {
+    localStorage.setItem(FAVOURITES_STORAGE_KEY, "[]");
+  });
+
+  it("keeps same-named places in different countries apart", () => {
+    const { result } = renderFavourites();
+
+    act(() => {
+      result.current.addFavourite(parisFrance);
+    });
+    expect(result.current.isFavourite(parisFrance)).toBe(true);
+    expect(result.current.isFavourite(parisTexas)).toBe(false);
+
+    act(() => {
+      result.current.addFavourite(parisTexas);
+    });
+    act(() => {
+      expect(result.current.toggleFavourite(parisFrance)).toBe(false);
+    });
+    expect(result.current.favourites.map((item) => item.country)).toEqual(["US"]);
+  });
+
+  it("saves each Paris in the city dataset as its own favourite", async () => {
+    const matcher = await loadDestinationMatcher();
+    const { result } = renderFavourites();
+
+    // Explore saves a place with its ISO country code
+    for (const place of matcher.findPlaces("paris")) {
+      act(() => {
+        result.current.addFavourite({ name: place.name, country: place.countryCode, coord: { lat: place.lat, lon: place.lon } });
+      });
+    }
+    expect(result.current.favourites.map((item) => `${item.name}, ${item.country}`)).toEqual(["Paris, FR", "Paris, US"]);
+  });
+
+  it("matches a favourite saved without a country by name", () => {
+    localStorage.setItem(FAVOURITES_STORAGE_KEY, JSON.stringify([{ name: "Paris", note: "" }]));
+    const { result } = renderFavourites();
+
+    expect(result.current.isFavourite(parisFrance)).toBe(true);
+    act(() => {
+      result.current.addFavourite(parisFrance);
+    });
+    expect(result.current.favourites).toHaveLength(1);
+  });
+});
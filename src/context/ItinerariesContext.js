@@ -0,0 +1,10 @@
+import { createContext } from "react";
+
+// Shared itineraries store.
+// The provider lives in ItinerariesProvider.jsx and components read it through useItineraries().
+export const ItinerariesContext = createContext(null);
+
+export const ITINERARIES_STORAGE_KEY = "travelwise:itineraries";
+
+// An itinerary created without a name is stored with an empty one and shown in the UI language
+export const itineraryName = (t, itinerary) => itinerary.name || t("itineraries.untitled");
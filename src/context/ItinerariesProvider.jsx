@@ -0,0 +1,137 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { ItinerariesContext, ITINERARIES_STORAGE_KEY } from "./ItinerariesContext";
+import { readStorage, writeStorage, createId } from "../utils/storage";
+
+// A fresh day with no stops yet
+const createDay = () => ({ id: createId(), stops: [] });
+
+/**
+ * Itineraries Provider Component
+ * Owns the user's trip itineraries and keeps them in sync with localStorage.
+ * Each itinerary holds ordered days, and each day holds ordered stops taken
+ * from saved favourites.
+ *
+ * @param {ReactNode} children - The part of the tree that can access itineraries
+ */
+export default function ItinerariesProvider({ children }) {
+  const [itineraries, setItineraries] = useState(() =>
+    readStorage(ITINERARIES_STORAGE_KEY, [])
+  );
+
+  // Persist itineraries to localStorage whenever they change
+  useEffect(() => {
+    writeStorage(ITINERARIES_STORAGE_KEY, itineraries);
+  }, [itineraries]);
+
+  // Keep other open tabs in sync when itineraries change there
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key === ITINERARIES_STORAGE_KEY) {
+        setItineraries(readStorage(ITINERARIES_STORAGE_KEY, []));
+      }
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
+  // Apply an update function to a single itinerary by id
+  const updateItinerary = useCallback((id, update) => {
+    setItineraries((prev) =>
+      prev.map((item) => (item.id === id ? { ...update(item), updatedAt: Date.now() } : item))
+    );
+  }, []);
+
+  // Apply an update function to a single day's stops
+  const updateStops = useCallback((id, dayId, update) => {
+    updateItinerary(id, (itinerary) => ({
+      ...itinerary,
+      days: itinerary.days.map((day) =>
+        day.id === dayId ? { ...day, stops: update(day.stops) } : day
+      ),
+    }));
+  }, [updateItinerary]);
+
+  const getItinerary = useCallback(
+    (id) => itineraries.find((item) => item.id === id) || null,
+    [itineraries]
+  );
+
+  // Returns the id of the new itinerary so callers can navigate to it
+  const createItinerary = useCallback((name) => {
+    const id = createId();
+    const now = Date.now();
+    setItineraries((prev) => [
+      ...prev,
+      { id, name: name || '', days: [createDay()], createdAt: now, updatedAt: now },
+    ]);
+    return id;
+  }, []);
+
+  const renameItinerary = useCallback((id, name) => {
+    updateItinerary(id, (itinerary) => ({ ...itinerary, name }));
+  }, [updateItinerary]);
+
+  const deleteItinerary = useCallback((id) => {
+    setItineraries((prev) => prev.filter((item) => item.id !== id));
+  }, []);
+
+  const addDay = useCallback((id) => {
+    updateItinerary(id, (itinerary) => ({ ...itinerary, days: [...itinerary.days, createDay()] }));
+  }, [updateItinerary]);
+
+  const removeDay = useCallback((id, dayId) => {
+    updateItinerary(id, (itinerary) => ({
+      ...itinerary,
+      days: itinerary.days.filter((day) => day.id !== dayId),
+    }));
+  }, [updateItinerary]);
+
+  // Add a saved favourite as a stop at the end of the given day. The stop keeps the favourite's
+  // country code and coordinates, so it links to the same namesake in Explore.
+  const addStop = useCallback((id, dayId, destination) => {
+    const stop = {
+      id: createId(),
+      name: destination.name,
+      country: destination.country || '',
+      coord: destination.coord || null,
+      emoji: destination.emoji || '📍',
+    };
+    updateStops(id, dayId, (stops) => [...stops, stop]);
+  }, [updateStops]);
+
+  const removeStop = useCallback((id, dayId, stopId) => {
+    updateStops(id, dayId, (stops) => stops.filter((stop) => stop.id !== stopId));
+  }, [updateStops]);
+
+  // Move a stop up (-1) or down (+1) within its day
+  const moveStop = useCallback((id, dayId, stopId, offset) => {
+    updateStops(id, dayId, (stops) => {
+      const from = stops.findIndex((stop) => stop.id === stopId);
+      const to = from + offset;
+      if (from < 0 || to < 0 || to >= stops.length) return stops;
+      const next = [...stops];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  }, [updateStops]);
+
+  const value = useMemo(() => ({
+    itineraries,
+    getItinerary,
+    createItinerary,
+    renameItinerary,
+    deleteItinerary,
+    addDay,
+    removeDay,
+    addStop,
+    removeStop,
+    moveStop,
+  }), [itineraries, getItinerary, createItinerary, renameItinerary, deleteItinerary, addDay, removeDay, addStop, removeStop, moveStop]);
+
+  return (
+    <ItinerariesContext.Provider value={value}>
+      {children}
+    </ItinerariesContext.Provider>
+  );
+}
@@ -0,0 +1,30 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { act, renderHook } from "@testing-library/react";
+import ItinerariesProvider from "./ItinerariesProvider";
+import { ITINERARIES_STORAGE_KEY } from "./ItinerariesContext";
+import useItineraries from "../hooks/useItineraries";
+
+const renderItineraries = () => renderHook(() => useItineraries(), { wrapper: ItinerariesProvider });
+
+describe("ItinerariesProvider", () => {
+  beforeEach(() => {
+    localStorage.setItem(ITINERARIES_STORAGE_KEY, "[]");
+  });
+
+  it("keeps a stop's country code and coordinates, so namesakes stay apart", () => {
+    const { result } = renderItineraries();
+
+    let id;
+    act(() => {
+      id = result.current.createItinerary("Road trip");
+    });
+    const dayId = result.current.getItinerary(id).days[0].id;
+    act(() => {
+      result.current.addStop(id, dayId, { name: "Paris", country: "US", coord: { lat: 33.6609, lon: -95.5555 }, emoji: "🤠" });
+    });
+
+    expect(result.current.getItinerary(id).days[0].stops).toEqual([
+      expect.objectContaining({ name: "Paris", country: "US", coord: { lat: 33.6609, lon: -95.5555 }, emoji: "🤠" }),
+    ]);
+  });
+});
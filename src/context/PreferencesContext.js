@@ -0,0 +1,32 @@
+import { createContext } from "react";
+import { unitSystems } from "../utils/units";
+import { locales } from "../i18n/locales";
+
+// Shared user preferences (units, time and date formats, language).
+// The provider lives in PreferencesProvider.jsx and components read it through usePreferences().
+export const PreferencesContext = createContext(null);
+
+export const PREFERENCES_STORAGE_KEY = "travelwise:preferences";
+
+export const defaultPreferences = {
+  units: "metric",
+  timeFormat: "24h",
+  dateFormat: "dmy",
+  language: "en",
+};
+
+// Allowed values for each preference, in the order the settings page lists them
+export const preferenceOptions = {
+  units: unitSystems.map((system) => ({ id: system.id, label: system.title })),
+  timeFormat: [
+    { id: "24h", label: "24-hour (18:30)" },
+    { id: "12h", label: "12-hour (6:30 PM)" },
+  ],
+  dateFormat: [
+    { id: "dmy", label: "DD/MM/YYYY" },
+    { id: "mdy", label: "MM/DD/YYYY" },
+    { id: "ymd", label: "YYYY-MM-DD" },
+  ],
+  // Only languages with a UI catalog (see i18n/locales.js)
+  language: locales.map((locale) => ({ id: locale.id, label: locale.label })),
+};
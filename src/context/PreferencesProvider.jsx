@@ -0,0 +1,70 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import {
+  PreferencesContext,
+  PREFERENCES_STORAGE_KEY,
+  defaultPreferences,
+  preferenceOptions,
+} from "./PreferencesContext";
+import { readStorage, writeStorage } from "../utils/storage";
+
+// Merge stored values over the defaults, dropping anything that is no longer a valid option
+function loadPreferences() {
+  const stored = readStorage(PREFERENCES_STORAGE_KEY, {});
+  const preferences = { ...defaultPreferences };
+  for (const [key, options] of Object.entries(preferenceOptions)) {
+    if (options.some((option) => option.id === stored?.[key])) preferences[key] = stored[key];
+  }
+  return preferences;
+}
+
+/**
+ * Preferences Provider Component
+ * Owns the user's display preferences and keeps them in sync with localStorage.
+ * Weather cards, forecasts and any time or date display read them through usePreferences().
+ *
+ * @param {ReactNode} children - The part of the tree that can access preferences
+ */
+export default function PreferencesProvider({ children }) {
+  const [preferences, setPreferences] = useState(loadPreferences);
+
+  // Persist preferences to localStorage whenever they change
+  useEffect(() => {
+    writeStorage(PREFERENCES_STORAGE_KEY, preferences);
+  }, [preferences]);
+
+  // Let the browser (screen readers, hyphenation) know the chosen language
+  useEffect(() => {
+    document.documentElement.lang = preferences.language;
+  }, [preferences.language]);
+
+  // Keep other open tabs in sync when preferences change there
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key === PREFERENCES_STORAGE_KEY) {
+        setPreferences(loadPreferences());
+      }
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
+  // Ignores unknown keys and values that are not listed in preferenceOptions
+  const setPreference = useCallback((key, value) => {
+    if (!preferenceOptions[key]?.some((option) => option.id === value)) return;
+    setPreferences((prev) => (prev[key] === value ? prev : { ...prev, [key]: value }));
+  }, []);
+
+  const resetPreferences = useCallback(() => setPreferences(defaultPreferences), []);
+
+  const value = useMemo(() => ({
+    preferences,
+    setPreference,
+    resetPreferences,
+  }), [preferences, setPreference, resetPreferences]);
+
+  return (
+    <PreferencesContext.Provider value={value}>
+      {children}
+    </PreferencesContext.Provider>
+  );
+}
@@ -0,0 +1,7 @@
+import { createContext } from "react";
+
+// Shared search history store.
+// The provider lives in SearchHistoryProvider.jsx and components read it through useSearchHistory().
+export const SearchHistoryContext = createContext(null);
+
+export const SEARCH_HISTORY_STORAGE_KEY = "travelwise:search-history";
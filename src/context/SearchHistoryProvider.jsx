@@ -0,0 +1,65 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { SearchHistoryContext, SEARCH_HISTORY_STORAGE_KEY } from "./SearchHistoryContext";
+import { readStorage, writeStorage } from "../utils/storage";
+import { historyKey, recordSearch, sanitizeHistory } from "../utils/searchHistory";
+
+const readHistory = () => sanitizeHistory(readStorage(SEARCH_HISTORY_STORAGE_KEY, []));
+
+/**
+ * Search History Provider Component
+ * Remembers the destinations searched on this device and keeps them in localStorage.
+ * The search bar lists them as recent searches and ranks them first in its suggestions.
+ *
+ * @param {ReactNode} children - The part of the tree that can access the history
+ */
+export default function SearchHistoryProvider({ children }) {
+  const [history, setHistory] = useState(readHistory);
+
+  // Persist the history whenever it changes
+  useEffect(() => {
+    writeStorage(SEARCH_HISTORY_STORAGE_KEY, history);
+  }, [history]);
+
+  // Keep other open tabs in sync when they record a search
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key === SEARCH_HISTORY_STORAGE_KEY) {
+        setHistory(readHistory());
+      }
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
+  // Record a search; `place` ({ country, countryCode, lat, lon }) is set when it resolved to a known city
+  const addSearch = useCallback((name, place = null) => {
+    setHistory((prev) => recordSearch(prev, name, place));
+  }, []);
+
+  const removeSearch = useCallback((entry) => {
+    const key = historyKey(entry);
+    setHistory((prev) => prev.filter((item) => historyKey(item) !== key));
+  }, []);
+
+  const clearHistory = useCallback(() => setHistory([]), []);
+
+  // Most recent first
+  const recentSearches = useMemo(
+    () => [...history].sort((a, b) => (b.lastSearched || 0) - (a.lastSearched || 0)),
+    [history]
+  );
+
+  const value = useMemo(() => ({
+    history,
+    recentSearches,
+    addSearch,
+    removeSearch,
+    clearHistory,
+  }), [history, recentSearches, addSearch, removeSearch, clearHistory]);
+
+  return (
+    <SearchHistoryContext.Provider value={value}>
+      {children}
+    </SearchHistoryContext.Provider>
+  );
+}
@@ -0,0 +1,45 @@
+// Bundled cost-of-living table for the curated destinations in destinationsDB
+// Mid-range daily costs per traveller in USD, plus the local currency.
+// Figures are rough averages meant for trip estimates, not quotes.
+
+// Category and tier names are in the "budget" section of the i18n catalogs
+export const budgetCategories = [
+  { id: 'accommodation', icon: '🏨' },
+  { id: 'food', icon: '🍽️' },
+  { id: 'transport', icon: '🚇' },
+  { id: 'activities', icon: '🎟️' },
+  { id: 'other', icon: '🧾' },
+];
+
+// Multipliers applied to the mid-range figures for each travel style
+export const budgetTiers = {
+  budget: { accommodation: 0.4, food: 0.6, transport: 0.8, activities: 0.6 },
+  mid: { accommodation: 1, food: 1, transport: 1, activities: 1 },
+  luxury: { accommodation: 2.5, food: 2, transport: 2, activities: 1.8 },
+};
+
+export const costOfLiving = {
+  "Paris": { currency: "EUR", accommodation: 180, food: 60, transport: 12, activities: 35 },
+  "Tokyo": { currency: "JPY", accommodation: 150, food: 45, transport: 12, activities: 30 },
+  "London": { currency: "GBP", accommodation: 190, food: 60, transport: 15, activities: 35 },
+  "New York": { currency: "USD", accommodation: 250, food: 70, transport: 15, activities: 40 },
+  "Dubai": { currency: "AED", accommodation: 170, food: 50, transport: 20, activities: 45 },
+  "Sydney": { currency: "AUD", accommodation: 160, food: 55, transport: 14, activities: 30 },
+  "Barcelona": { currency: "EUR", accommodation: 130, food: 45, transport: 10, activities: 30 },
+  "Amsterdam": { currency: "EUR", accommodation: 170, food: 55, transport: 12, activities: 30 },
+  "Rome": { currency: "EUR", accommodation: 130, food: 45, transport: 10, activities: 30 },
+  "Berlin": { currency: "EUR", accommodation: 120, food: 40, transport: 10, activities: 25 },
+  "Prague": { currency: "CZK", accommodation: 90, food: 30, transport: 6, activities: 20 },
+  "Vienna": { currency: "EUR", accommodation: 130, food: 45, transport: 9, activities: 25 },
+  "Bangkok": { currency: "THB", accommodation: 60, food: 20, transport: 6, activities: 20 },
+  "Istanbul": { currency: "TRY", accommodation: 70, food: 25, transport: 6, activities: 20 },
+  "Cairo": { currency: "EGP", accommodation: 50, food: 15, transport: 5, activities: 20 },
+  "Mumbai": { currency: "INR", accommodation: 70, food: 15, transport: 5, activities: 15 },
+  "Singapore": { currency: "SGD", accommodation: 180, food: 40, transport: 10, activities: 35 },
+  "Los Angeles": { currency: "USD", accommodation: 210, food: 60, transport: 25, activities: 40 },
+  "Hong Kong": { currency: "HKD", accommodation: 170, food: 45, transport: 8, activities: 30 },
+  "Seoul": { currency: "KRW", accommodation: 120, food: 35, transport: 8, activities: 25 },
+};
+
+// Used for destinations that are not in the table
+export const defaultCosts = { currency: "USD", accommodation: 120, food: 40, transport: 10, activities: 25 };
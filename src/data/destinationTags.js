@@ -0,0 +1,167 @@
+// Vocabulary for structured destination searches ("beach asia", "cheap food", "japan")
+// and the tags of well-known destinations. The city dataset knows where places are
+// (country and continent), not what they are like; that part is curated here.
+// A tagged place is looked up by name (any spelling) and ISO country code. Places the
+// dataset lacks (resorts, islands, small towns) carry their own coordinates and are added.
+
+// Tags and the words (English and Spanish, folded by normalizeName) that ask for them
+export const tagSynonyms = {
+  beach: ["beach", "beaches", "seaside", "coast", "island", "islands", "playa", "playas", "isla"],
+  food: ["food", "foodie", "cuisine", "gastronomy", "comida", "gastronomia"],
+  city: ["city", "cities", "urban", "city break", "ciudad", "ciudades"],
+  mountains: ["mountain", "mountains", "hiking", "ski", "skiing", "alps", "montana", "montanas", "esqui"],
+  culture: ["culture", "history", "historic", "museums", "art", "cultura", "historia", "museos"],
+  nature: ["nature", "scenery", "outdoors", "wildlife", "safari", "naturaleza", "paisajes"],
+  nightlife: ["nightlife", "party", "clubs", "vida nocturna", "fiesta"],
+  cheap: ["cheap", "budget", "affordable", "inexpensive", "barato", "barata", "economico"],
+};
+
+// GeoNames continent codes and the words for them
+export const continentNames = {
+  AF: ["africa"],
+  AN: ["antarctica", "antartida"],
+  AS: ["asia"],
+  EU: ["europe", "europa"],
+  NA: ["north america", "norteamerica", "america del norte"],
+  OC: ["oceania", "australasia", "pacific"],
+  SA: ["south america", "sudamerica", "america del sur"],
+};
+
+// Other names for countries, on top of the names in the dataset
+export const countryAliases = {
+  AE: ["uae", "emirates"],
+  CZ: ["czech republic", "czechia"],
+  GB: ["uk", "britain", "great britain", "england", "scotland", "wales"],
+  KR: ["korea"],
+  MK: ["north macedonia"],
+  NL: ["holland"],
+  TR: ["turkiye"],
+  US: ["usa", "america", "united states of america"],
+};
+
+export const taggedPlaces = [
+  // Europe
+  { name: "Paris", country: "France", countryCode: "FR", continent: "EU", tags: ["city", "food", "culture"] },
+  { name: "Nice", country: "France", countryCode: "FR", continent: "EU", tags: ["beach", "food"] },
+  { name: "Chamonix", country: "France", countryCode: "FR", continent: "EU", tags: ["mountains", "nature"], lat: 45.9237, lon: 6.8694 },
+  { name: "London", country: "United Kingdom", countryCode: "GB", continent: "EU", tags: ["city", "culture", "nightlife"] },
+  { name: "Edinburgh", country: "United Kingdom", countryCode: "GB", continent: "EU", tags: ["city", "culture"] },
+  { name: "Dublin", country: "Ireland", countryCode: "IE", continent: "EU", tags: ["city", "nightlife"] },
+  { name: "Barcelona", country: "Spain", countryCode: "ES", continent: "EU", tags: ["city", "beach", "food", "nightlife"] },
+  { name: "Seville", country: "Spain", countryCode: "ES", continent: "EU", tags: ["culture", "food"] },
+  { name: "Málaga", country: "Spain", countryCode: "ES", continent: "EU", tags: ["beach", "food"] },
+  { name: "Palma", country: "Spain", countryCode: "ES", continent: "EU", tags: ["beach", "nightlife"] },
+  { name: "Lisbon", country: "Portugal", countryCode: "PT", continent: "EU", tags: ["city", "food", "culture"] },
+  { name: "Porto", country: "Portugal", countryCode: "PT", continent: "EU", tags: ["food", "culture"] },
+  { name: "Funchal", country: "Portugal", countryCode: "PT", continent: "EU", tags: ["nature", "beach"] },
+  { name: "Rome", country: "Italy", countryCode: "IT", continent: "EU", tags: ["city", "food", "culture"] },
+  { name: "Florence", country: "Italy", countryCode: "IT", continent: "EU", tags: ["culture", "food"] },
+  { name: "Naples", country: "Italy", countryCode: "IT", continent: "EU", tags: ["food", "culture", "cheap"] },
+  { name: "Bologna", country: "Italy", countryCode: "IT", continent: "EU", tags: ["food"] },
+  { name: "Venice", country: "Italy", countryCode: "IT", continent: "EU", tags: ["culture"], lat: 45.4371, lon: 12.3327 },
+  { name: "Amsterdam", country: "Netherlands", countryCode: "NL", continent: "EU", tags: ["city", "culture", "nightlife"] },
+  { name: "Berlin", country: "Germany", countryCode: "DE", continent: "EU", tags: ["city", "culture", "nightlife"] },
+  { name: "Munich", country: "Germany", countryCode: "DE", continent: "EU", tags: ["city", "food"] },
+  { name: "Prague", country: "Czechia", countryCode: "CZ", continent: "EU", tags: ["city", "culture", "cheap"] },
+  { name: "Vienna", country: "Austria", countryCode: "AT", continent: "EU", tags: ["city", "culture"] },
+  { name: "Innsbruck", country: "Austria", countryCode: "AT", continent: "EU", tags: ["mountains"] },
+  { name: "Zermatt", country: "Switzerland", countryCode: "CH", continent: "EU", tags: ["mountains", "nature"], lat: 46.0207, lon: 7.7491 },
+  { name: "Interlaken", country: "Switzerland", countryCode: "CH", continent: "EU", tags: ["mountains", "nature"], lat: 46.6863, lon: 7.8632 },
+  { name: "Budapest", country: "Hungary", countryCode: "HU", continent: "EU", tags: ["city", "nightlife", "cheap"] },
+  { name: "Kraków", country: "Poland", countryCode: "PL", continent: "EU", tags: ["culture", "cheap"] },
+  { name: "Copenhagen", country: "Denmark", countryCode: "DK", continent: "EU", tags: ["city", "food"] },
+  { name: "Bergen", country: "Norway", countryCode: "NO", continent: "EU", tags: ["nature", "mountains"] },
+  { name: "Reykjavík", country: "Iceland", countryCode: "IS", continent: "EU", tags: ["nature"] },
+  { name: "Athens", country: "Greece", countryCode: "GR", continent: "EU", tags: ["culture", "food"] },
+  { name: "Santorini", country: "Greece", countryCode: "GR", continent: "EU", tags: ["beach"], lat: 36.3932, lon: 25.4615 },
+  { name: "Dubrovnik", country: "Croatia", countryCode: "HR", continent: "EU", tags: ["beach", "culture"], lat: 42.6507, lon: 18.0944 },
+  { name: "Split", country: "Croatia", countryCode: "HR", continent: "EU", tags: ["beach", "nightlife"] },
+  { name: "Sarajevo", country: "Bosnia and Herzegovina", countryCode: "BA", continent: "EU", tags: ["culture", "cheap"] },
+  { name: "Tbilisi", country: "Georgia", countryCode: "GE", continent: "AS", tags: ["food", "culture", "cheap"] },
+  { name: "Istanbul", country: "Turkey", countryCode: "TR", continent: "AS", tags: ["city", "food", "culture", "cheap"] },
+  { name: "Antalya", country: "Turkey", countryCode: "TR", continent: "AS", tags: ["beach"] },
+
+  // Asia
+  { name: "Tokyo", country: "Japan", countryCode: "JP", continent: "AS", tags: ["city", "food", "nightlife"] },
+  { name: "Kyoto", country: "Japan", countryCode: "JP", continent: "AS", tags: ["culture", "food"] },
+  { name: "Osaka", country: "Japan", countryCode: "JP", continent: "AS", tags: ["food", "city", "nightlife"] },
+  { name: "Sapporo", country: "Japan", countryCode: "JP", continent: "AS", tags: ["mountains", "food"] },
+  { name: "Naha", country: "Japan", countryCode: "JP", continent: "AS", tags: ["beach"] },
+  { name: "Seoul", country: "South Korea", countryCode: "KR", continent: "AS", tags: ["city", "food", "nightlife"] },
+  { name: "Busan", country: "South Korea", countryCode: "KR", continent: "AS", tags: ["beach", "food"] },
+  { name: "Jeju City", country: "South Korea", countryCode: "KR", continent: "AS", tags: ["beach", "nature"] },
+  { name: "Hong Kong", country: "Hong Kong", countryCode: "HK", continent: "AS", tags: ["city", "food", "nightlife"] },
+  { name: "Taipei", country: "Taiwan", countryCode: "TW", continent: "AS", tags: ["city", "food"] },
+  { name: "Singapore", country: "Singapore", countryCode: "SG", continent: "AS", tags: ["city", "food"] },
+  { name: "Bangkok", country: "Thailand", countryCode: "TH", continent: "AS", tags: ["city", "food", "nightlife", "cheap"] },
+  { name: "Chiang Mai", country: "Thailand", countryCode: "TH", continent: "AS", tags: ["culture", "nature", "cheap"] },
+  { name: "Phuket", country: "Thailand", countryCode: "TH", continent: "AS", tags: ["beach", "nightlife"], lat: 7.8804, lon: 98.3923 },
+  { name: "Krabi", country: "Thailand", countryCode: "TH", continent: "AS", tags: ["beach", "nature", "cheap"], lat: 8.0863, lon: 98.9063 },
+  { name: "Hanoi", country: "Vietnam", countryCode: "VN", continent: "AS", tags: ["food", "culture", "cheap"] },
+  { name: "Ho Chi Minh City", country: "Vietnam", countryCode: "VN", continent: "AS", tags: ["city", "food", "cheap"] },
+  { name: "Da Nang", country: "Vietnam", countryCode: "VN", continent: "AS", tags: ["beach", "cheap"] },
+  { name: "Hoi An", country: "Vietnam", countryCode: "VN", continent: "AS", tags: ["culture", "food", "cheap"], lat: 15.8801, lon: 108.338 },
+  { name: "Siem Reap", country: "Cambodia", countryCode: "KH", continent: "AS", tags: ["culture", "cheap"] },
+  { name: "Luang Prabang", country: "Laos", countryCode: "LA", continent: "AS", tags: ["culture", "nature", "cheap"], lat: 19.8856, lon: 102.1347 },
+  { name: "Kuala Lumpur", country: "Malaysia", countryCode: "MY", continent: "AS", tags: ["city", "food", "cheap"] },
+  { name: "George Town", country: "Malaysia", countryCode: "MY", continent: "AS", tags: ["food", "culture", "cheap"] },
+  { name: "Bali", country: "Indonesia", countryCode: "ID", continent: "AS", tags: ["beach", "nature", "cheap"], lat: -8.4095, lon: 115.1889 },
+  { name: "Yogyakarta", country: "Indonesia", countryCode: "ID", continent: "AS", tags: ["culture", "cheap"] },
+  { name: "Cebu City", country: "Philippines", countryCode: "PH", continent: "AS", tags: ["beach", "cheap"] },
+  { name: "Mumbai", country: "India", countryCode: "IN", continent: "AS", tags: ["city", "food", "cheap"] },
+  { name: "Jaipur", country: "India", countryCode: "IN", continent: "AS", tags: ["culture", "cheap"] },
+  { name: "Delhi", country: "India", countryCode: "IN", continent: "AS", tags: ["culture", "food", "cheap"] },
+  { name: "Colombo", country: "Sri Lanka", countryCode: "LK", continent: "AS", tags: ["beach", "cheap"] },
+  { name: "Kathmandu", country: "Nepal", countryCode: "NP", continent: "AS", tags: ["mountains", "culture", "cheap"] },
+  { name: "Pokhara", country: "Nepal", countryCode: "NP", continent: "AS", tags: ["mountains", "nature", "cheap"] },
+  { name: "Dubai", country: "United Arab Emirates", countryCode: "AE", continent: "AS", tags: ["city", "beach", "nightlife"] },
+  { name: "Tel Aviv", country: "Israel", countryCode: "IL", continent: "AS", tags: ["beach", "nightlife", "food"] },
+
+  // Africa
+  { name: "Cairo", country: "Egypt", countryCode: "EG", continent: "AF", tags: ["culture", "cheap"] },
+  { name: "Marrakesh", country: "Morocco", countryCode: "MA", continent: "AF", tags: ["culture", "food", "cheap"] },
+  { name: "Fès", country: "Morocco", countryCode: "MA", continent: "AF", tags: ["culture", "cheap"] },
+  { name: "Cape Town", country: "South Africa", countryCode: "ZA", continent: "AF", tags: ["beach", "nature", "food"] },
+  { name: "Zanzibar", country: "Tanzania", countryCode: "TZ", continent: "AF", tags: ["beach", "culture"] },
+  { name: "Arusha", country: "Tanzania", countryCode: "TZ", continent: "AF", tags: ["nature", "mountains"] },
+  { name: "Nairobi", country: "Kenya", countryCode: "KE", continent: "AF", tags: ["nature", "city"] },
+  { name: "Mombasa", country: "Kenya", countryCode: "KE", continent: "AF", tags: ["beach"] },
+  { name: "Port Louis", country: "Mauritius", countryCode: "MU", continent: "AF", tags: ["beach"] },
+
+  // North America
+  { name: "New York", country: "United States", countryCode: "US", continent: "NA", tags: ["city", "food", "culture", "nightlife"] },
+  { name: "Los Angeles", country: "United States", countryCode: "US", continent: "NA", tags: ["city", "beach"] },
+  { name: "San Francisco", country: "United States", countryCode: "US", continent: "NA", tags: ["city", "food"] },
+  { name: "New Orleans", country: "United States", countryCode: "US", continent: "NA", tags: ["food", "nightlife", "culture"] },
+  { name: "Las Vegas", country: "United States", countryCode: "US", continent: "NA", tags: ["nightlife"] },
+  { name: "Miami", country: "United States", countryCode: "US", continent: "NA", tags: ["beach", "nightlife"] },
+  { name: "Honolulu", country: "United States", countryCode: "US", continent: "NA", tags: ["beach", "nature"] },
+  { name: "Denver", country: "United States", countryCode: "US", continent: "NA", tags: ["mountains"] },
+  { name: "Vancouver", country: "Canada", countryCode: "CA", continent: "NA", tags: ["city", "nature", "mountains"] },
+  { name: "Banff", country: "Canada", countryCode: "CA", continent: "NA", tags: ["mountains", "nature"], lat: 51.1784, lon: -115.5708 },
+  { name: "Montréal", country: "Canada", countryCode: "CA", continent: "NA", tags: ["city", "food", "culture"] },
+  { name: "Mexico City", country: "Mexico", countryCode: "MX", continent: "NA", tags: ["city", "food", "culture", "cheap"] },
+  { name: "Oaxaca", country: "Mexico", countryCode: "MX", continent: "NA", tags: ["food", "culture", "cheap"] },
+  { name: "Cancún", country: "Mexico", countryCode: "MX", continent: "NA", tags: ["beach", "nightlife"] },
+  { name: "Tulum", country: "Mexico", countryCode: "MX", continent: "NA", tags: ["beach", "culture"], lat: 20.2114, lon: -87.4654 },
+  { name: "Havana", country: "Cuba", countryCode: "CU", continent: "NA", tags: ["culture", "nightlife", "cheap"] },
+
+  // South America
+  { name: "Rio de Janeiro", country: "Brazil", countryCode: "BR", continent: "SA", tags: ["beach", "city", "nightlife"] },
+  { name: "Florianópolis", country: "Brazil", countryCode: "BR", continent: "SA", tags: ["beach"] },
+  { name: "Buenos Aires", country: "Argentina", countryCode: "AR", continent: "SA", tags: ["city", "food", "nightlife", "cheap"] },
+  { name: "Mendoza", country: "Argentina", countryCode: "AR", continent: "SA", tags: ["food", "mountains"] },
+  { name: "Lima", country: "Peru", countryCode: "PE", continent: "SA", tags: ["food", "city"] },
+  { name: "Cusco", country: "Peru", countryCode: "PE", continent: "SA", tags: ["mountains", "culture", "cheap"] },
+  { name: "Medellín", country: "Colombia", countryCode: "CO", continent: "SA", tags: ["city", "nightlife", "cheap"] },
+  { name: "Cartagena", country: "Colombia", countryCode: "CO", continent: "SA", tags: ["beach", "culture"] },
+  { name: "Quito", country: "Ecuador", countryCode: "EC", continent: "SA", tags: ["mountains", "culture", "cheap"] },
+
+  // Oceania
+  { name: "Sydney", country: "Australia", countryCode: "AU", continent: "OC", tags: ["city", "beach", "food"] },
+  { name: "Melbourne", country: "Australia", countryCode: "AU", continent: "OC", tags: ["city", "food", "culture"] },
+  { name: "Gold Coast", country: "Australia", countryCode: "AU", continent: "OC", tags: ["beach", "nightlife"] },
+  { name: "Cairns", country: "Australia", countryCode: "AU", continent: "OC", tags: ["beach", "nature"] },
+  { name: "Auckland", country: "New Zealand", countryCode: "NZ", continent: "OC", tags: ["city", "nature"] },
+  { name: "Queenstown", country: "New Zealand", countryCode: "NZ", continent: "OC", tags: ["mountains", "nature"], lat: -45.0312, lon: 168.6626 },
+];
@@ -0,0 +1,27 @@
+// Default exchange-rate table (units of each currency per 1 USD)
+// Users can override these in the Budget planner; overrides are stored locally.
+
+export const baseCurrency = "USD";
+
+export const defaultExchangeRates = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  JPY: 150,
+  AED: 3.67,
+  AUD: 1.52,
+  CAD: 1.36,
+  CHF: 0.88,
+  CZK: 23.2,
+  THB: 36,
+  TRY: 32,
+  EGP: 48,
+  INR: 83,
+  SGD: 1.35,
+  HKD: 7.82,
+  KRW: 1340,
+  CNY: 7.2,
+  MXN: 17,
+  ZAR: 18.5,
+  BRL: 5,
+};
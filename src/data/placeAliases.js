@@ -0,0 +1,43 @@
+// Alias, historical and nickname spellings for places, by name and ISO country code.
+// GeoNames already lists many of these (Bombay, Saigon, Peking), but the bundled dataset only
+// keeps each city's shortest alternates, and the built-in destination list has none at all.
+// A record applies to the place named `name` or any of its aliases in that country.
+
+export const placeAliases = [
+  { name: "İstanbul", country: "TR", aliases: ["Istanbul", "Constantinople", "Byzantium", "Stamboul"] },
+  { name: "Mumbai", country: "IN", aliases: ["Bombay"] },
+  { name: "Chennai", country: "IN", aliases: ["Madras"] },
+  { name: "Kolkata", country: "IN", aliases: ["Calcutta"] },
+  { name: "Bengaluru", country: "IN", aliases: ["Bangalore"] },
+  { name: "Ho Chi Minh City", country: "VN", aliases: ["Saigon", "Ho Chi Minh", "HCMC"] },
+  { name: "Yangon", country: "MM", aliases: ["Rangoon"] },
+  { name: "Beijing", country: "CN", aliases: ["Peking", "Peiping"] },
+  { name: "Guangzhou", country: "CN", aliases: ["Canton"] },
+  { name: "Hong Kong", country: "HK", aliases: ["HK"] },
+  { name: "Tokyo", country: "JP", aliases: ["Edo"] },
+  { name: "Seoul", country: "KR", aliases: ["Hanyang", "Keijo"] },
+  { name: "Jakarta", country: "ID", aliases: ["Batavia"] },
+  { name: "Saint Petersburg", country: "RU", aliases: ["St Petersburg", "Leningrad", "Petrograd"] },
+  { name: "Volgograd", country: "RU", aliases: ["Stalingrad", "Tsaritsyn"] },
+  { name: "Kiev", country: "UA", aliases: ["Kyiv"] },
+  { name: "Astana", country: "KZ", aliases: ["Nur-Sultan", "Akmola", "Tselinograd"] },
+  { name: "Almaty", country: "KZ", aliases: ["Alma-Ata"] },
+  { name: "Oslo", country: "NO", aliases: ["Christiania", "Kristiania"] },
+  { name: "Gdańsk", country: "PL", aliases: ["Danzig"] },
+  { name: "Köln", country: "DE", aliases: ["Cologne"] },
+  { name: "Munich", country: "DE", aliases: ["München"] },
+  { name: "Vienna", country: "AT", aliases: ["Wien"] },
+  { name: "Prague", country: "CZ", aliases: ["Praha"] },
+  { name: "Rome", country: "IT", aliases: ["Roma"] },
+  { name: "Bratislava", country: "SK", aliases: ["Pressburg", "Pozsony"] },
+  { name: "İzmir", country: "TR", aliases: ["Izmir", "Smyrna"] },
+  { name: "Thessaloníki", country: "GR", aliases: ["Salonica"] },
+  { name: "Harare", country: "ZW", aliases: ["Salisbury"] },
+  { name: "Kinshasa", country: "CD", aliases: ["Léopoldville"] },
+  { name: "Maputo", country: "MZ", aliases: ["Lourenço Marques"] },
+  { name: "New York City", country: "US", aliases: ["New York", "NYC", "NY", "Big Apple", "New Amsterdam"] },
+  { name: "Los Angeles", country: "US", aliases: ["LA", "L.A."] },
+  { name: "San Francisco", country: "US", aliases: ["SF", "Frisco"] },
+  { name: "Las Vegas", country: "US", aliases: ["Vegas"] },
+  { name: "Mexico City", country: "MX", aliases: ["Ciudad de México", "CDMX"] },
+];
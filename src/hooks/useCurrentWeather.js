@@ -0,0 +1,28 @@
+import { useCallback } from "react";
+import { getWeatherProvider } from "../providers/registry";
+import useProviderFetch from "./useProviderFetch";
+import usePreferences from "./usePreferences";
+
+/**
+ * Custom hook for the current weather at a destination.
+ * Uses the active weather provider and returns a normalized CurrentWeather object.
+ * Units and language follow the user's preferences unless the caller overrides them.
+ *
+ * @param {import("../providers/types").WeatherLocation} query - Destination name, or a place
+ *   with a country code and coordinates ({ name, country, lat, lon })
+ * @param {object} options - { units, lang } overrides
+ * @returns {object} - { data, loading, isValidating, isRefreshing, error, refetch, mutate }
+ */
+export default function useCurrentWeather(query, { units: unitsOverride, lang: langOverride } = {}) {
+  const { preferences } = usePreferences();
+  const units = unitsOverride || preferences.units;
+  const lang = langOverride || preferences.language;
+
+  const provider = getWeatherProvider();
+  const request = provider.getCurrentRequest(query, { units, lang });
+
+  // Tag the result with its unit system so components can convert for display
+  const parse = useCallback((json) => ({ ...provider.parseCurrent(json), units }), [provider, units]);
+
+  return useProviderFetch(request, parse, 5 * 60 * 1000);
+}
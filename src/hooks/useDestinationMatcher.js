@@ -0,0 +1,14 @@
+import { useSyncExternalStore } from "react";
+import { getDestinationMatcher, subscribeDestinationMatcher } from "../utils/destinationMatcher";
+
+/**
+ * Custom hook for the destination matcher, re-rendering when the city dataset replaces the
+ * built-in list. The matcher is a new object each time its results can change, so memos that
+ * match during render list it as a dependency and are recomputed against the full dataset.
+ *
+ * @returns {object} - { findBestMatch, getDestinationSuggestions, findPlaces, searchDestinations, findNearby, size }
+ *   (see utils/destinationMatcher.js)
+ */
+export default function useDestinationMatcher() {
+  return useSyncExternalStore(subscribeDestinationMatcher, getDestinationMatcher);
+}
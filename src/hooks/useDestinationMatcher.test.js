@@ -0,0 +1,21 @@
+import { describe, expect, it } from "vitest";
+import { renderHook, waitFor } from "@testing-library/react";
+import useDestinationMatcher from "./useDestinationMatcher";
+import { destinationsDB, loadDestinationMatcher } from "../utils/destinationMatcher";
+
+describe("useDestinationMatcher", () => {
+  it("starts on the built-in list and swaps to the city dataset once it loads", async () => {
+    const { result, rerender } = renderHook(() => useDestinationMatcher());
+    const fallback = result.current;
+    expect(fallback.size.places).toBeLessThan(destinationsDB.length * 10);
+
+    // Same object until something changes, so memos keyed on it stay put
+    rerender();
+    expect(result.current).toBe(fallback);
+
+    const loaded = await loadDestinationMatcher();
+    await waitFor(() => expect(result.current).toBe(loaded));
+    expect(result.current.size.places).toBeGreaterThan(fallback.size.places);
+    expect(result.current.findPlaces("London").map((place) => place.countryCode)).toEqual(expect.arrayContaining(["GB", "CA"]));
+  });
+});
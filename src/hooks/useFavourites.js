@@ -0,0 +1,17 @@
+import { useContext } from "react";
+import { FavouritesContext } from "../context/FavouritesContext";
+
+/**
+ * Custom hook to access the shared favourites store.
+ * Must be used inside <FavouritesProvider>.
+ *
+ * @returns {object} - { favourites, isFavourite, addFavourite, removeFavourite, toggleFavourite, clearFavourites }
+ *   Destinations are identified by name and country code ({ name, country }), see isSameFavourite
+ */
+export default function useFavourites() {
+  const context = useContext(FavouritesContext);
+  if (!context) {
+    throw new Error("useFavourites must be used within a FavouritesProvider");
+  }
+  return context;
+}
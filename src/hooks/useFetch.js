@@ -1,105 +1,158 @@
 import { useState, useEffect, useRef, useCallback } from "react";
-
-// Simple in-memory cache (module-scoped)
-// This cache persists across component re-renders and unmounts/remounts
-// It maps a key (url + options) to the response data and timestamp
-const cache = new Map();
+import cache from "../utils/cache/httpCache";
+import { DEFAULT_RETRY, sharedRequest, splitRequestOptions } from "../utils/request";
 
 /**
- * Custom hook for data fetching with caching, race condition handling, and manual refetch support.
+ * Custom hook for data fetching with caching, request deduplication, stale-while-revalidate,
+ * race condition handling, and manual refetch support.
  * 
  * @param {string} url - The URL to fetch data from.
- * @param {object} options - Fetch options (method, headers, body, etc.).
+ * @param {object} options - Fetch options (method, headers, body, etc.) plus:
+ *   `ttl` - cache freshness in ms;
+ *   `staleWhileRevalidate` - serve stale cached data while refreshing in the background (default true);
+ *   `retry` - { retries, baseDelay, maxDelay } for network errors and 5xx responses, or false to disable.
  * @param {Array} deps - Dependency array to trigger refetching.
- * @returns {object} - { data, loading, error, refetch }
+ * @returns {object} - { data, loading, isValidating, isRefreshing, error, refetch, mutate }
+ *   `loading` is true only while there is nothing to show; `isValidating` whenever a request is running;
+ *   `isRefreshing` while a manual refetch() is running.
  */
 export default function useFetch(url, options = {}, deps = []) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [isValidating, setIsValidating] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
   const [error, setError] = useState(null);
   
-  // Ref to track manual refetch triggers
-  const refetchIndex = useRef(0);
   // Ref to track the latest fetch request and prevent race conditions
   const fetchToken = useRef(0);
+  // Controller of the running fetch, so a refetch or unmount can cancel it
+  const controllerRef = useRef(null);
+  // Number of refetch() calls still running (a newer one can cancel an older one)
+  const pendingRefetches = useRef(0);
+  // Latest data, readable from mutate() updaters without a re-render
+  const dataRef = useRef(null);
+
+  const updateData = useCallback((value) => {
+    dataRef.current = value;
+    setData(value);
+  }, []);
 
-  // Create a stable key for the cache based on URL and options
-  const optionsString = JSON.stringify(options);
+  // Create a stable key for the cache based on URL and fetch options (cache settings are not part of the request)
+  const { ttl, staleWhileRevalidate, retry, fetchOptions } = splitRequestOptions(options);
+  const retryString = JSON.stringify(retry === false ? { retries: 0 } : retry || {});
+  const optionsString = JSON.stringify(fetchOptions);
   const key = url ? `${url}|${optionsString}` : null;
 
   /**
    * The core fetching logic wrapped in useCallback.
    * Handles caching, network requests, and state updates.
+   * Resolves with the data, or rejects with the request error (also stored in `error`).
+   *
+   * @param {AbortSignal} signal - Cancels this run
+   * @param {boolean} force - Skip the cache and go to the network with a request of its own
    */
-  const fetchNow = useCallback(async (signal) => {
-    if (!url) return;
+  const fetchNow = useCallback(async (signal, force = false) => {
+    if (!url) return null;
 
     // Increment token to identify this specific fetch request
     const currentToken = ++fetchToken.current;
-    const hasCache = cache.has(key);
+    const isLatest = () => !signal.aborted && fetchToken.current === currentToken;
 
-    // Return cached value if available and fresh
-    if (hasCache) {
-      const { data: cachedData, timestamp } = cache.get(key);
-      const ttl = options.ttl || 5 * 60 * 1000; // Default 5 minutes
-      const isFresh = Date.now() - timestamp < ttl;
+    const cached = force ? null : await cache.get(key);
+    if (!isLatest()) return null;
 
-      if (isFresh) {
-        setData(cachedData);
-        setLoading(false);
-        return; // Exit early if cache is valid
-      }
+    // Return cached value if available and fresh
+    if (cached?.isFresh) {
+      updateData(cached.data);
+      setLoading(false);
+      setIsValidating(false);
+      return cached.data; // Exit early if cache is valid
     }
 
-    // Only show loading state if we don't already have a cached value (or if it's stale)
-    setLoading(true);
+    // Stale data is shown straight away and refreshed in the background;
+    // only show the loading state when there is nothing cached to fall back on.
+    // A forced refetch keeps whatever is on screen.
+    const showStale = staleWhileRevalidate && !!cached;
+    if (showStale) updateData(cached.data);
+    if (!force) setLoading(!showStale);
+    setIsValidating(true);
     setError(null);
     try {
-      const res = await fetch(url, { ...options, signal });
-      if (!res.ok) throw new Error(`HTTP ${res.status} - ${res.statusText}`);
-      const json = await res.json();
-      
-      // Update cache with new data
-      cache.set(key, { data: json, timestamp: Date.now() });
-      
+      // Rebuild the options from their string form so this callback only depends on stable values
+      const retrySettings = { ...DEFAULT_RETRY, ...JSON.parse(retryString) };
+      const json = await sharedRequest(key, url, JSON.parse(optionsString), ttl, retrySettings, signal, force);
+
       // Only update state if this is still the latest request
-      if (fetchToken.current === currentToken) {
-        setData(json);
+      if (isLatest()) {
+        updateData(json);
       }
+      return json;
     } catch (err) {
       // Ignore abort errors (cancelled requests)
-      if (err.name !== "AbortError") setError(err.message || String(err));
+      if (err.name !== "AbortError" && isLatest()) setError(err.message || String(err));
+      throw err;
     } finally {
       // Only turn off loading if this is still the latest request
-      if (fetchToken.current === currentToken) {
+      if (isLatest()) {
         setLoading(false);
+        setIsValidating(false);
       }
     }
-  }, [key, url, options]); // Re-create fetchNow when key, URL or options change
+  }, [key, url, optionsString, retryString, ttl, staleWhileRevalidate, updateData]); // Re-create fetchNow when key, URL or options change
 
   // Effect to trigger the fetch when dependencies change
   useEffect(() => {
     if (!url) return;
     const controller = new AbortController();
-    const signal = controller.signal;
-    fetchNow(signal);
+    controllerRef.current = controller;
+    // Errors are already stored in state
+    fetchNow(controller.signal).catch(() => {});
     
-    // Cleanup function to abort the fetch if the component unmounts or deps change
-    return () => controller.abort();
+    // Cleanup function to abort the fetch (or a refetch started since) if the component unmounts or deps change
+    return () => {
+      controller.abort();
+      controllerRef.current?.abort();
+    };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [url, fetchNow, refetchIndex.current, ...deps]);
+  }, [url, fetchNow, ...deps]);
+
+  /**
+   * Manually refetch, bypassing the cache.
+   * Cancels the running fetch and keeps the current data on screen until the new data arrives.
+   *
+   * @returns {Promise<*>} - Resolves with the fresh data, rejects with the request error
+   */
+  const refetch = useCallback(async () => {
+    if (!key) return null;
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    pendingRefetches.current += 1;
+    setIsRefreshing(true);
+    try {
+      await cache.delete(key);
+      return await fetchNow(controller.signal, true);
+    } finally {
+      pendingRefetches.current -= 1;
+      setIsRefreshing(pendingRefetches.current > 0);
+    }
+  }, [key, fetchNow]);
 
   /**
-   * Function to manually trigger a refetch.
-   * Invalidates the cache for the current key and increments the refetch index.
+   * Replace the data locally (e.g. an optimistic update) and in the cache.
+   *
+   * @param {*|function} next - New data, or an updater receiving the current data
+   * @param {object} config - { revalidate } also refetch from the network afterwards
+   * @returns {Promise<*>} - The new data, or the refetched data when revalidating
    */
-  const refetch = useCallback(() => {
-    // invalidate this key and increment refetchIndex to re-run effect
-    if (key) cache.delete(key);
-    refetchIndex.current += 1;
-    // force effect to re-run by updating refetchIndex (ref change)
-    // component will pick this change via ref in deps list
-  }, [key]);
+  const mutate = useCallback(async (next, { revalidate = false } = {}) => {
+    if (!key) return null;
+    const value = typeof next === "function" ? next(dataRef.current) : next;
+    updateData(value);
+    await cache.set(key, value, { ttl });
+    return revalidate ? refetch() : value;
+  }, [key, ttl, refetch, updateData]);
 
-  return { data, loading, error, refetch };
-}
\ No newline at end of file
+  return { data, loading, isValidating, isRefreshing, error, refetch, mutate };
+}
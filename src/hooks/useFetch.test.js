@@ -0,0 +1,180 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { act, renderHook, waitFor } from "@testing-library/react";
+import useFetch from "./useFetch";
+
+// Every test asks for its own URL, so the shared response cache never answers from an earlier test.
+// The host has no client-side rate budget.
+let urlCount = 0;
+const nextUrl = () => `https://api.example.test/data?test=${(urlCount += 1)}`;
+
+const jsonResponse = (body) =>
+  new Response(JSON.stringify(body), { status: 200, headers: { "Content-Type": "application/json" } });
+
+// A fetch stub answering { version: 1 }, { version: 2 }, ... in call order.
+// hold() keeps responses back until the function it returns is called.
+function stubFetch() {
+  let calls = 0;
+  let gate = null;
+  const fetchStub = vi.fn(async () => {
+    calls += 1;
+    const version = calls;
+    if (gate) await gate.promise;
+    return jsonResponse({ version });
+  });
+  vi.stubGlobal("fetch", fetchStub);
+  return {
+    fetchStub,
+    hold() {
+      let release;
+      gate = { promise: new Promise((resolve) => { release = resolve; }) };
+      return () => {
+        gate = null;
+        release();
+      };
+    },
+  };
+}
+
+describe("useFetch", () => {
+  let stub;
+  let url;
+
+  beforeEach(() => {
+    stub = stubFetch();
+    url = nextUrl();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("loads data on mount", async () => {
+    const { result } = renderHook(() => useFetch(url));
+    await waitFor(() => expect(result.current.data).toEqual({ version: 1 }));
+    expect(result.current.loading).toBe(false);
+    expect(stub.fetchStub).toHaveBeenCalledTimes(1);
+  });
+
+  describe("refetch", () => {
+    it("bypasses the cache and resolves with the fresh data", async () => {
+      const { result } = renderHook(() => useFetch(url));
+      await waitFor(() => expect(result.current.data).toEqual({ version: 1 }));
+
+      let fresh;
+      await act(async () => {
+        fresh = await result.current.refetch();
+      });
+
+      expect(fresh).toEqual({ version: 2 });
+      expect(result.current.data).toEqual({ version: 2 });
+      expect(stub.fetchStub).toHaveBeenCalledTimes(2);
+    });
+
+    it("reports isRefreshing while the request runs and keeps the old data on screen", async () => {
+      const { result } = renderHook(() => useFetch(url));
+      await waitFor(() => expect(result.current.data).toEqual({ version: 1 }));
+      expect(result.current.isRefreshing).toBe(false);
+
+      const release = stub.hold();
+      let pending;
+      act(() => {
+        pending = result.current.refetch();
+      });
+      await waitFor(() => expect(result.current.isRefreshing).toBe(true));
+      expect(result.current.data).toEqual({ version: 1 });
+      expect(result.current.loading).toBe(false);
+
+      release();
+      await act(async () => {
+        await pending;
+      });
+      expect(result.current.isRefreshing).toBe(false);
+      expect(result.current.data).toEqual({ version: 2 });
+    });
+
+    it("sends a new request instead of joining the one it cancels", async () => {
+      const release = stub.hold();
+      const { result } = renderHook(() => useFetch(url));
+      await waitFor(() => expect(stub.fetchStub).toHaveBeenCalledTimes(1));
+
+      let pending;
+      act(() => {
+        pending = result.current.refetch();
+      });
+      await waitFor(() => expect(stub.fetchStub).toHaveBeenCalledTimes(2));
+
+      release();
+      await act(async () => {
+        expect(await pending).toEqual({ version: 2 });
+      });
+      expect(result.current.data).toEqual({ version: 2 });
+    });
+
+    it("rejects with the request error and clears isRefreshing", async () => {
+      // Stable options, as a component would keep them
+      const options = { retry: false };
+      const { result } = renderHook(() => useFetch(url, options));
+      await waitFor(() => expect(result.current.data).toEqual({ version: 1 }));
+
+      stub.fetchStub.mockResolvedValueOnce(new Response("{}", { status: 404, statusText: "Not Found" }));
+      await act(async () => {
+        await expect(result.current.refetch()).rejects.toThrow("HTTP 404");
+      });
+      expect(result.current.isRefreshing).toBe(false);
+      expect(result.current.error).toBe("HTTP 404 - Not Found");
+    });
+  });
+
+  describe("mutate", () => {
+    it("replaces the data without a request", async () => {
+      const { result } = renderHook(() => useFetch(url));
+      await waitFor(() => expect(result.current.data).toEqual({ version: 1 }));
+
+      let value;
+      await act(async () => {
+        value = await result.current.mutate({ version: "local" });
+      });
+
+      expect(value).toEqual({ version: "local" });
+      expect(result.current.data).toEqual({ version: "local" });
+      expect(stub.fetchStub).toHaveBeenCalledTimes(1);
+    });
+
+    it("accepts an updater and stores the result in the cache", async () => {
+      const { result } = renderHook(() => useFetch(url));
+      await waitFor(() => expect(result.current.data).toEqual({ version: 1 }));
+
+      await act(async () => {
+        await result.current.mutate((current) => ({ ...current, liked: true }));
+      });
+      expect(result.current.data).toEqual({ version: 1, liked: true });
+
+      // A second component reading the same URL gets the mutated data from the cache
+      const { result: other } = renderHook(() => useFetch(url));
+      await waitFor(() => expect(other.current.data).toEqual({ version: 1, liked: true }));
+      expect(stub.fetchStub).toHaveBeenCalledTimes(1);
+    });
+
+    it("shows the optimistic data, then the server's with revalidate", async () => {
+      const { result } = renderHook(() => useFetch(url));
+      await waitFor(() => expect(result.current.data).toEqual({ version: 1 }));
+
+      const release = stub.hold();
+      let pending;
+      act(() => {
+        pending = result.current.mutate({ version: "optimistic" }, { revalidate: true });
+      });
+      await waitFor(() => expect(result.current.data).toEqual({ version: "optimistic" }));
+      await waitFor(() => expect(result.current.isRefreshing).toBe(true));
+
+      release();
+      let value;
+      await act(async () => {
+        value = await pending;
+      });
+      expect(value).toEqual({ version: 2 });
+      expect(result.current.data).toEqual({ version: 2 });
+      expect(result.current.isRefreshing).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,31 @@
+import { useCallback } from "react";
+import { getWeatherProvider } from "../providers/registry";
+import useProviderFetch from "./useProviderFetch";
+import usePreferences from "./usePreferences";
+
+/**
+ * Custom hook for the multi-day forecast at a destination.
+ * Uses the active weather provider and returns normalized ForecastDay objects.
+ * Units and language follow the user's preferences unless the caller overrides them.
+ *
+ * @param {import("../providers/types").WeatherLocation} query - Destination name, or a place
+ *   with a country code and coordinates ({ name, country, lat, lon })
+ * @param {object} options - { units, lang } overrides
+ * @returns {object} - { data, loading, isValidating, isRefreshing, error, refetch, mutate }
+ */
+export default function useForecast(query, { units: unitsOverride, lang: langOverride } = {}) {
+  const { preferences } = usePreferences();
+  const units = unitsOverride || preferences.units;
+  const lang = langOverride || preferences.language;
+
+  const provider = getWeatherProvider();
+  const request = provider.getForecastRequest(query, { units, lang });
+
+  // Tag each day with its unit system so components can convert for display
+  const parse = useCallback(
+    (json) => provider.parseForecast(json).map((day) => ({ ...day, units })),
+    [provider, units]
+  );
+
+  return useProviderFetch(request, parse, 30 * 60 * 1000);
+}
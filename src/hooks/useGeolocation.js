@@ -0,0 +1,47 @@
+import { useCallback, useState } from "react";
+
+// City-level accuracy is plenty to find the nearest destination, and answers faster
+const POSITION_OPTIONS = { enableHighAccuracy: false, timeout: 10000, maximumAge: 10 * 60 * 1000 };
+
+const isSupported = () => typeof navigator !== "undefined" && "geolocation" in navigator;
+
+// GeolocationPositionError codes: 1 = permission denied, 2 = position unavailable, 3 = timeout
+const errorStatus = (error) => (error.code === 1 ? "denied" : "unavailable");
+
+/**
+ * Custom hook for reading the user's position with the browser Geolocation API.
+ * Nothing is asked for until locate() is called, so the permission prompt only
+ * appears after the user chose to use their location.
+ *
+ * @returns {object} - { status, isSupported, locate(), reset() }
+ *   status is "idle" | "locating" | "located" | "denied" | "unavailable";
+ *   locate() resolves to { lat, lon }, or null when the position could not be read
+ */
+export default function useGeolocation() {
+  const [status, setStatus] = useState("idle");
+
+  const locate = useCallback(() => {
+    if (!isSupported()) {
+      setStatus("unavailable");
+      return Promise.resolve(null);
+    }
+    setStatus("locating");
+    return new Promise((resolve) => {
+      navigator.geolocation.getCurrentPosition(
+        (position) => {
+          setStatus("located");
+          resolve({ lat: position.coords.latitude, lon: position.coords.longitude });
+        },
+        (error) => {
+          setStatus(errorStatus(error));
+          resolve(null);
+        },
+        POSITION_OPTIONS
+      );
+    });
+  }, []);
+
+  const reset = useCallback(() => setStatus("idle"), []);
+
+  return { status, isSupported: isSupported(), locate, reset };
+}
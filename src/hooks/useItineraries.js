@@ -0,0 +1,16 @@
+import { useContext } from "react";
+import { ItinerariesContext } from "../context/ItinerariesContext";
+
+/**
+ * Custom hook to access the shared itineraries store.
+ * Must be used inside <ItinerariesProvider>.
+ *
+ * @returns {object} - { itineraries, getItinerary, createItinerary, renameItinerary, deleteItinerary, addDay, removeDay, addStop, removeStop, moveStop }
+ */
+export default function useItineraries() {
+  const context = useContext(ItinerariesContext);
+  if (!context) {
+    throw new Error("useItineraries must be used within an ItinerariesProvider");
+  }
+  return context;
+}
@@ -0,0 +1,13 @@
+import { getPhotoProvider } from "../providers/registry";
+import useProviderFetch from "./useProviderFetch";
+
+/**
+ * Custom hook for a single photo by id (e.g. from a shared /explore?photo= link).
+ *
+ * @param {string|null} id - Photo id, or null to skip
+ * @returns {object} - { data, loading, isValidating, isRefreshing, error, refetch, mutate }
+ */
+export default function usePhoto(id) {
+  const provider = getPhotoProvider();
+  return useProviderFetch(provider.getPhotoRequest(id), provider.parsePhoto, 60 * 60 * 1000);
+}
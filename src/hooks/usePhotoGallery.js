@@ -0,0 +1,98 @@
+import { useState, useMemo, useCallback, useRef } from "react";
+import { getPhotoProvider } from "../providers/registry";
+import { fetchJson } from "../utils/request";
+import usePhotoSearch from "./usePhotoSearch";
+
+const PHOTO_TTL = 5 * 60 * 1000;
+
+const NO_EXTRA_PAGES = { key: null, pages: [], loading: false, error: null };
+
+/**
+ * Custom hook for a paginated photo gallery.
+ * The first page comes from usePhotoSearch (stale-while-revalidate, refetch);
+ * loadMore() appends the following pages, which are cached per query like any other request.
+ *
+ * @param {string} query - Search term
+ * @param {object} params - Provider search parameters (e.g. { perPage })
+ * @returns {object} - { photos, total, totalPages, hasMore, loadMore, loading, loadingMore, error, refetch, ... }
+ *   plus the remaining first-page state from usePhotoSearch (isValidating, isRefreshing)
+ */
+export default function usePhotoGallery(query, params) {
+  const provider = getPhotoProvider();
+  const firstPageParams = useMemo(() => ({ ...params, page: 1 }), [params]);
+  const { data: firstPage, error: firstPageError, refetch: refetchFirstPage, ...state } = usePhotoSearch(
+    query,
+    firstPageParams
+  );
+
+  // Pages after the first, tagged with the search they belong to so a new query or filter starts over
+  const galleryKey = `${query}|${JSON.stringify(params || {})}`;
+  const [more, setMore] = useState(NO_EXTRA_PAGES);
+  const extra = more.key === galleryKey ? more : NO_EXTRA_PAGES;
+
+  // Guards against the scroll handler asking for the same page twice before state updates
+  const requested = useRef(null);
+
+  const pages = useMemo(() => (firstPage ? [firstPage, ...extra.pages] : []), [firstPage, extra.pages]);
+
+  // Search results can shift between requests, so the same photo may appear on two pages
+  const photos = useMemo(() => {
+    const seen = new Set();
+    return pages
+      .flatMap((page) => page.photos)
+      .filter((photo) => (seen.has(photo.id) ? false : seen.add(photo.id)));
+  }, [pages]);
+
+  const totalPages = firstPage?.totalPages || 0;
+  const hasMore = pages.length > 0 && pages.length < totalPages;
+
+  /**
+   * Fetch and append the next page.
+   *
+   * @returns {Promise<object|null>} - The PhotoPage that was added, or null
+   */
+  const loadMore = useCallback(async () => {
+    const nextPage = pages.length + 1;
+    const requestKey = `${galleryKey}|${nextPage}`;
+    if (!hasMore || requested.current === requestKey) return null;
+
+    const request = provider.getSearchRequest(query, { ...params, page: nextPage });
+    if (!request) return null;
+
+    requested.current = requestKey;
+    setMore((prev) => ({ ...(prev.key === galleryKey ? prev : { pages: [] }), key: galleryKey, loading: true, error: null }));
+    try {
+      const page = provider.parseSearch(await fetchJson(request.url, { ...request.options, ttl: PHOTO_TTL }));
+      setMore((prev) =>
+        prev.key === galleryKey && prev.pages.length === nextPage - 2
+          ? { ...prev, pages: [...prev.pages, page], loading: false }
+          : prev
+      );
+      return page;
+    } catch (err) {
+      setMore((prev) => (prev.key === galleryKey ? { ...prev, loading: false, error: err.message || String(err) } : prev));
+      return null;
+    } finally {
+      if (requested.current === requestKey) requested.current = null;
+    }
+  }, [pages.length, galleryKey, query, hasMore, provider, params]);
+
+  // A refresh starts the gallery over from the first page
+  const refetch = useCallback(() => {
+    setMore(NO_EXTRA_PAGES);
+    return refetchFirstPage();
+  }, [refetchFirstPage]);
+
+  return {
+    ...state,
+    photos,
+    total: firstPage?.total || 0,
+    totalPages,
+    hasMore,
+    loadMore,
+    loadingMore: extra.loading,
+    error: firstPageError,
+    loadMoreError: extra.error,
+    refetch,
+  };
+}
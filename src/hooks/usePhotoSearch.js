@@ -0,0 +1,15 @@
+import { getPhotoProvider } from "../providers/registry";
+import useProviderFetch from "./useProviderFetch";
+
+/**
+ * Custom hook for destination photo search.
+ * Uses the active photo provider and returns a normalized PhotoPage.
+ *
+ * @param {string} query - Search term
+ * @param {object} params - Provider search parameters (e.g. { perPage })
+ * @returns {object} - { data, loading, isValidating, isRefreshing, error, refetch, mutate }
+ */
+export default function usePhotoSearch(query, params) {
+  const provider = getPhotoProvider();
+  return useProviderFetch(provider.getSearchRequest(query, params), provider.parseSearch, 5 * 60 * 1000);
+}
@@ -0,0 +1,16 @@
+import { useContext } from "react";
+import { PreferencesContext } from "../context/PreferencesContext";
+
+/**
+ * Custom hook to access the user's display preferences.
+ * Must be used inside <PreferencesProvider>.
+ *
+ * @returns {object} - { preferences: { units, timeFormat, dateFormat, language }, setPreference, resetPreferences }
+ */
+export default function usePreferences() {
+  const context = useContext(PreferencesContext);
+  if (!context) {
+    throw new Error("usePreferences must be used within a PreferencesProvider");
+  }
+  return context;
+}
@@ -0,0 +1,38 @@
+import { useCallback, useMemo } from "react";
+import useFetch from "./useFetch";
+
+/**
+ * Fetch a provider request through useFetch and normalize the response.
+ *
+ * @param {object|null} request - { url, options } from a provider, or null to skip
+ * @param {function} parse - Provider parser turning raw JSON into domain objects
+ * @param {number} ttl - Cache freshness in milliseconds
+ * @returns {object} - { data, loading, isValidating, isRefreshing, error, refetch, mutate } where data
+ *   and the value refetch() resolves with are normalized; mutate() takes the raw API response
+ */
+export default function useProviderFetch(request, parse, ttl) {
+  const url = request?.url || null;
+  const requestOptions = request?.options;
+
+  // Keep the options object stable so useFetch does not re-run on every render
+  const options = useMemo(() => ({ ...requestOptions, ttl }), [requestOptions, ttl]);
+
+  const { data: raw, refetch: refetchRaw, ...state } = useFetch(url, options, [url]);
+
+  // Parse once per response; a parser failure means the API shape was unexpected
+  const data = useMemo(() => {
+    if (!raw) return null;
+    try {
+      return parse(raw);
+    } catch {
+      return null;
+    }
+  }, [raw, parse]);
+
+  const refetch = useCallback(
+    () => refetchRaw().then((json) => (json ? parse(json) : null)),
+    [refetchRaw, parse]
+  );
+
+  return { data, refetch, ...state };
+}
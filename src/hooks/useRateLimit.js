@@ -0,0 +1,12 @@
+import { useSyncExternalStore } from "react";
+import { subscribeRateLimits, getRateLimit } from "../utils/rateLimiter";
+
+/**
+ * Live request quota for an API host.
+ *
+ * @param {string} host - e.g. "api.unsplash.com"
+ * @returns {object|null} - { host, limit, remaining, resetAt } or null when the host has no budget
+ */
+export default function useRateLimit(host) {
+  return useSyncExternalStore(subscribeRateLimits, () => (host ? getRateLimit(host) : null));
+}
@@ -0,0 +1,16 @@
+import { useContext } from "react";
+import { SearchHistoryContext } from "../context/SearchHistoryContext";
+
+/**
+ * Custom hook to access the search history of this device.
+ * Must be used inside <SearchHistoryProvider>.
+ *
+ * @returns {object} - { history, recentSearches, addSearch, removeSearch, clearHistory }
+ */
+export default function useSearchHistory() {
+  const context = useContext(SearchHistoryContext);
+  if (!context) {
+    throw new Error("useSearchHistory must be used within a SearchHistoryProvider");
+  }
+  return context;
+}
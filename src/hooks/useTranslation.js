@@ -0,0 +1,21 @@
+import { useMemo } from "react";
+import usePreferences from "./usePreferences";
+import { createTranslator } from "../i18n/translate";
+
+/**
+ * Custom hook for translated UI strings in the user's chosen language.
+ * The language itself is a preference, so it persists and syncs across tabs with the others.
+ *
+ * @returns {object} - { t, language, setLanguage }
+ *   t(key, values) formats a message from src/i18n/messages, e.g. t("explore.photos.count", { count: 3 })
+ */
+export default function useTranslation() {
+  const { preferences, setPreference } = usePreferences();
+  const language = preferences.language;
+
+  return useMemo(() => ({
+    t: createTranslator(language),
+    language,
+    setLanguage: (id) => setPreference("language", id),
+  }), [language, setPreference]);
+}
@@ -0,0 +1,13 @@
+// Locales the UI ships with. Adding one means adding a catalog in ./messages and listing it here;
+// the Navbar switcher and the settings page pick it up automatically.
+import en from "./messages/en";
+import es from "./messages/es";
+
+export const DEFAULT_LOCALE = "en";
+
+export const locales = [
+  { id: "en", label: "English", short: "EN" },
+  { id: "es", label: "Español", short: "ES" },
+];
+
+export const catalogs = { en, es };
@@ -0,0 +1,562 @@
+// English UI strings (the fallback catalog; every key must exist here)
+// {name} placeholders are interpolated; objects with one/other (and optional zero) are plural forms.
+const en = {
+  nav: {
+    home: "Home",
+    explore: "Explore",
+    favourites: "Favourites",
+    compare: "Compare",
+    settings: "Settings",
+    toggleMenu: "Toggle menu",
+    language: "Language",
+  },
+
+  search: {
+    placeholder: "Where would you like to go?",
+    label: "Search destination",
+    submit: "Explore",
+    didYouMean: "Did you mean?",
+    recent: "Recent searches",
+    clearHistory: "Clear history",
+    removeRecent: "Remove {name} from recent searches",
+    location: {
+      use: "Use my location",
+      locating: "Finding your location…",
+      denied: "Location access was denied. Allow it in your browser's site settings, or search by name.",
+      unavailable: "Your location could not be found right now. Try again, or search by name.",
+      dismiss: "Dismiss",
+    },
+  },
+
+  destinations: {
+    paris: "The City of Light",
+    tokyo: "Modern meets traditional",
+    newYork: "The Big Apple",
+    london: "Historic and royal",
+    dubai: "Luxury and innovation",
+    sydney: "Harbor city beauty",
+  },
+
+  tags: {
+    beach: "Beach",
+    food: "Food",
+    city: "City",
+    mountains: "Mountains",
+    culture: "Culture",
+    nature: "Nature",
+    nightlife: "Nightlife",
+    cheap: "Budget-friendly",
+  },
+
+  continents: {
+    AF: "Africa",
+    AN: "Antarctica",
+    AS: "Asia",
+    EU: "Europe",
+    NA: "North America",
+    OC: "Oceania",
+    SA: "South America",
+  },
+
+  home: {
+    heroTitle: "Discover Amazing",
+    heroHighlight: "Destinations",
+    tagline: "Explore the world with real-time weather, stunning photos, and local insights",
+    popularTitle: "Popular Destinations",
+    features: {
+      weatherTitle: "Real-time Weather",
+      weatherText: "Get current weather conditions for any destination worldwide",
+      photosTitle: "Stunning Photos",
+      photosText: "Browse beautiful high-quality photos from around the globe",
+      favouritesTitle: "Save Favorites",
+      favouritesText: "Keep track of your dream destinations and plan future trips",
+    },
+  },
+
+  noResults: {
+    title: "No results found for \"{term}\"",
+    subtitle: "Don't worry! Let's help you find what you're looking for.",
+    suggestionsTitle: "Did you mean one of these?",
+    popularTitle: "Popular Destinations",
+    tipsTitle: "Search Tips",
+    tipCityNames: "Try city names: \"Paris\", \"Tokyo\"",
+    tipSpelling: "Don't worry about spelling",
+    tipPopular: "Use popular destinations",
+  },
+
+  correction: {
+    title: "Did you mean \"{term}\"?",
+    closeMatch: "We found a close match for",
+    accept: "Yes, search \"{term}\"",
+    reject: "No, keep original",
+  },
+
+  explore: {
+    home: "Home",
+    explore: "Explore",
+    tabs: {
+      label: "Explore sections",
+      overview: "Overview",
+      weather: "Weather",
+      photos: "Photos",
+    },
+    units: "Units",
+    empty: {
+      title: "Ready to explore?",
+      text: "Search any destination to see weather, photos, and smart suggestions. Start typing below or pick a quick option.",
+      placeholder: "Search a city or destination...",
+      startOver: "Start over",
+      goToFavourites: "Go to favourites",
+    },
+    config: {
+      title: "Configuration Required",
+      intro: "The following API keys need to be configured:",
+      readme: "Please check the README.md file for setup instructions.",
+    },
+    newSearch: "New Search",
+    refresh: "Refresh Data",
+    updating: "Updating…",
+    searchAnother: "Search another destination...",
+    tagline: "Discover weather and stunning visuals",
+    save: "Save to favourites",
+    saved: "Saved to favourites",
+    results: {
+      title: {
+        zero: "No destinations found",
+        one: "{count} destination",
+        other: "{count} destinations",
+      },
+      filters: "Search understood as",
+      asPlace: "Search this as a place name instead",
+      empty: "Nothing matches all of that.",
+      emptyHint: "Try fewer words, e.g. just a country, a continent or one interest.",
+      showing: {
+        one: "Showing {shown} of {count} destination",
+        other: "Showing {shown} of {count} destinations",
+      },
+      mapLabel: "Map of the matching destinations",
+    },
+    nearby: {
+      title: "Nearby destinations",
+      subtitle: "Closest to {name}",
+      open: "Open {name}, {distance} away",
+    },
+    map: {
+      title: "On the map",
+      label: "Map of {name} and your favourites",
+    },
+    chooser: {
+      title: "Which {name}?",
+      hint: "Several places share this name. Pick the one you mean:",
+      label: "Places called {name}",
+    },
+    status: {
+      query: "Search query:",
+      corrected: "Using corrected term:",
+      weatherLocation: "Weather location:",
+      place: "Place:",
+      photosFound: "Photos found:",
+      cityDiffers: "Weather city differs from search term",
+    },
+    errors: {
+      weather: "Weather data unavailable: {error}",
+      forecast: "Forecast unavailable: {error}",
+      photos: "Photos unavailable: {error}",
+      quotaPaused: "Photo requests are paused until {time} to stay within the API quota.",
+      loadMore: "Couldn't load more photos: {error}",
+    },
+    photos: {
+      title: "Beautiful Photos",
+      loaded: {
+        one: "{shown} of {count} photo • Click to expand",
+        other: "{shown} of {count} photos • Click to expand",
+      },
+      quota: "{remaining}/{limit} requests left",
+      quotaTitle: "Photo API requests left in the current window",
+      scrollLeft: "Scroll photos left",
+      scrollRight: "Scroll photos right",
+      scrollHint: "Scroll to browse",
+      loadMore: "Load more photos →",
+      loading: "Loading…",
+      showing: {
+        one: "Showing {shown} of {count} photo",
+        other: "Showing {shown} of {count} photos",
+      },
+      none: "No photos found for {term}",
+      clearFilters: "Try clearing some of the photo filters",
+      tryAnother: "Try searching for a different destination",
+    },
+  },
+
+  weather: {
+    current: "Current Weather",
+    humidity: "Humidity:",
+    wind: "Wind:",
+    feelsLike: "Feels like:",
+    forecast: {
+      one: "{count}-Day Forecast",
+      other: "{count}-Day Forecast",
+    },
+  },
+
+  map: {
+    open: "Open {name} in Explore",
+    zoomIn: "Zoom in",
+    zoomOut: "Zoom out",
+    reset: "Fit to pins",
+    legend: {
+      current: "Current destination",
+      favourite: "Favourite",
+      result: "Search result",
+    },
+    unplaced: {
+      one: "{count} place without coordinates is not shown",
+      other: "{count} places without coordinates are not shown",
+    },
+  },
+
+  photos: {
+    card: {
+      unavailable: "Image unavailable",
+      expand: "Click to expand",
+    },
+    modal: {
+      close: "Close",
+      previous: "Previous photo",
+      next: "Next photo",
+    },
+    filters: {
+      clear: "Clear filters",
+      orientation: {
+        label: "Orientation",
+        any: "Any",
+        landscape: "Landscape",
+        portrait: "Portrait",
+        squarish: "Square",
+      },
+      color: {
+        label: "Colour",
+        any: "Any",
+        black_and_white: "Black & white",
+        black: "Black",
+        white: "White",
+        yellow: "Yellow",
+        orange: "Orange",
+        red: "Red",
+        purple: "Purple",
+        magenta: "Magenta",
+        green: "Green",
+        teal: "Teal",
+        blue: "Blue",
+      },
+      orderBy: {
+        label: "Sort",
+        relevance: "Relevance",
+        latest: "Latest",
+      },
+    },
+  },
+
+  favourites: {
+    hub: "Hub",
+    intro: "Your personal atlas for future adventures. Map your dreams, organize your stays, and discover the world's finest.",
+    stats: {
+      destinations: "Destinations",
+      itineraries: "Itineraries",
+    },
+    sections: {
+      saved: "Saved",
+      planning: "Planning",
+      ideas: "Ideas",
+    },
+    bucketList: {
+      title: "Bucket List",
+      subtitle: "Your curated collection of world wonders.",
+      findMore: "Find more",
+      reset: "Reset Hub",
+      confirmReset: "Are you sure you want to clear your travel hub?",
+      emptyTitle: "Your suitcase is empty",
+      emptyText: "Browse the explore page to start pinning your favorite global destinations.",
+      emptyCta: "Go explore now →",
+      noNotes: "No notes added",
+      planTrip: "Plan Trip",
+      details: "Details",
+      remove: "Remove {name} from favourites",
+      compare: "Compare",
+      compareHint: "Compare the weather at your first {max} favourites side by side",
+    },
+    views: {
+      label: "Bucket list views",
+      list: "List",
+      map: "Map",
+    },
+    map: {
+      label: "Map of your favourites",
+      hint: "Click a pin to open it in Explore; drag to move around.",
+    },
+    toast: {
+      saved: "Saved {name} to your hub!",
+      removed: "Removed {name} from favourites",
+    },
+    planning: {
+      eyebrow: "Strategy Suite",
+      title: "Master your next 1,000 miles.",
+      text: "Use your saved gems to build instant packing lists, transit maps, and hotel shortlist comparisons.",
+      plannerTitle: "{tool} Planner",
+      selectDestination: "Select Destination",
+      open: "Open →",
+      noSaved: "No saved destinations yet.",
+      findFirst: "Find a place first",
+      changeDestination: "← Change destination",
+      done: "Done",
+    },
+    tools: {
+      itinerary: { title: "Itinerary", desc: "Day-by-day plans", detail: "Arrange your saved places into ordered days." },
+      packing: { title: "Packing", desc: "Smart lists", detail: "Generate weather-appropriate packing lists based on your destination's forecast." },
+      budget: { title: "Budget", desc: "Expense tracking", detail: "Estimate daily costs for food, transport, and accommodation." },
+      lodging: { title: "Lodging", desc: "Top rated stays", detail: "Find the best neighborhoods and rated hotels for your stay." },
+      foodie: { title: "Foodie", desc: "Local eats", detail: "Discover must-try local dishes and top-rated restaurants." },
+    },
+    ideas: {
+      title: "Inspired by your Taste",
+      subtitle: "Trending spots from fellow globetrotters.",
+      save: "Save",
+      saved: "Saved",
+      destination: "Destination",
+      types: {
+        City: "City",
+        Food: "Food",
+        Scenery: "Scenery",
+      },
+      notes: {
+        lisbon: "Coastal views & custard tarts",
+        seoul: "Markets, cafes, neon nights",
+        capeTown: "Table Mountain and vineyards",
+        vancouver: "Mountains, sea, and sushi",
+        mexicoCity: "Food stalls, murals, and mezcal",
+        rome: "Pasta, piazzas, and sunset walks",
+        barcelona: "Gaudí lines, tapas nights, seaside rides",
+        bali: "Rice terraces, surf, and slow mornings",
+      },
+    },
+  },
+
+  itineraries: {
+    title: "Itineraries",
+    subtitle: "Plan your trips day by day using your saved destinations.",
+    backToHub: "Back to hub",
+    namePlaceholder: "Trip name, e.g. Summer in Europe",
+    newName: "New itinerary name",
+    create: "New trip",
+    untitled: "Untitled trip",
+    emptyTitle: "No itineraries yet",
+    emptyText: "Create your first trip above, then add days and stops from your favourites.",
+    name: "Itinerary name",
+    save: "Save",
+    open: "Open",
+    rename: "Rename",
+    delete: "Delete {name}",
+    confirmDelete: "Delete \"{name}\"? This cannot be undone.",
+    days: {
+      one: "{count} day",
+      other: "{count} days",
+    },
+    stops: {
+      one: "{count} stop",
+      other: "{count} stops",
+    },
+    detail: {
+      notFoundTitle: "Itinerary not found",
+      notFoundText: "It may have been deleted or the link is incorrect.",
+      viewAll: "View all itineraries",
+      allItineraries: "All itineraries",
+      deleteTrip: "Delete trip",
+      day: "Day {day}",
+      removeDay: "Remove day",
+      confirmRemoveDay: {
+        one: "Remove Day {day} and its {count} stop?",
+        other: "Remove Day {day} and its {count} stops?",
+      },
+      noStops: "No stops yet. Add one from your favourites below.",
+      moveUp: "Move {name} up",
+      moveDown: "Move {name} down",
+      removeStop: "Remove {name}",
+      addStop: "Add a stop from favourites…",
+      addStopLabel: "Add a stop to day {day}",
+      saveFirst: "Save a destination first",
+      addDay: "Add day",
+    },
+  },
+
+  packing: {
+    tripLength: "Trip length (days)",
+    tripType: "Trip type",
+    tripTypes: {
+      leisure: "Leisure",
+      business: "Business",
+      adventure: "Adventure",
+      beach: "Beach",
+    },
+    weather: {
+      loading: "Checking the forecast…",
+      error: "Weather unavailable ({error}) — showing a general list.",
+      unavailable: "Weather unavailable — showing a general list.",
+      forecast: {
+        one: "{count}-day forecast included",
+        other: "{count}-day forecast included",
+      },
+    },
+    packed: "Packed",
+    exportText: "Export .txt",
+    exportMarkdown: "Export .md",
+    copyMarkdown: "Copy Markdown",
+    uncheckAll: "Uncheck all",
+    export: {
+      title: "Packing list: {destination}",
+    },
+    categories: {
+      essentials: "Essentials",
+      clothing: "Clothing",
+      weather: "Weather Gear",
+      toiletries: "Toiletries",
+      tech: "Tech",
+      activity: "Trip Extras",
+    },
+    items: {
+      passport: "Passport / ID",
+      wallet: "Wallet, cards and some local cash",
+      insurance: "Travel insurance details",
+      bookings: "Booking confirmations",
+      toothbrush: "Toothbrush and toothpaste",
+      deodorant: "Deodorant",
+      medication: "Personal medication",
+      "phone-charger": "Phone charger",
+      adapter: "Travel plug adapter",
+      underwear: "Underwear × {count}",
+      socks: "Socks × {count}",
+      sleepwear: "Sleepwear",
+      "t-shirts": "T-shirts × {count}",
+      shorts: "Shorts or light trousers",
+      "long-sleeves": "Long-sleeve tops × {count}",
+      "light-jacket": "Light jacket or sweater",
+      "base-layers": "Thermal base layers",
+      "mid-layer": "Fleece or mid layer",
+      "warm-coat": "Warm coat",
+      hat: "Warm hat",
+      gloves: "Gloves",
+      scarf: "Scarf",
+      umbrella: "Compact umbrella",
+      "rain-jacket": "Waterproof rain jacket",
+      "waterproof-shoes": "Waterproof shoes",
+      "snow-boots": "Insulated snow boots",
+      "hand-warmers": "Hand warmers",
+      sunglasses: "Sunglasses",
+      sunscreen: "Sunscreen (SPF 30+)",
+      "sun-hat": "Sun hat",
+      windbreaker: "Windbreaker",
+      "insect-repellent": "Insect repellent",
+      laundry: "Travel laundry detergent",
+      "power-bank": "Power bank",
+      "formal-outfits": "Formal outfits × {count}",
+      "dress-shoes": "Dress shoes",
+      laptop: "Laptop and charger",
+      "business-cards": "Business cards",
+      "hiking-boots": "Hiking boots",
+      daypack: "Daypack",
+      "water-bottle": "Reusable water bottle",
+      "first-aid": "First-aid kit",
+      headlamp: "Headlamp",
+      swimwear: "Swimwear",
+      "beach-towel": "Beach towel",
+      "flip-flops": "Flip-flops",
+      "after-sun": "After-sun lotion",
+      "walking-shoes": "Comfortable walking shoes",
+      "day-bag": "Day bag",
+      guidebook: "Guidebook or offline maps",
+    },
+  },
+
+  budget: {
+    days: "Days",
+    travellers: "Travellers",
+    style: "Style",
+    currency: "Currency",
+    tiers: {
+      budget: "Budget",
+      mid: "Mid-range",
+      luxury: "Luxury",
+    },
+    categories: {
+      accommodation: "Accommodation",
+      food: "Food & drink",
+      transport: "Local transport",
+      activities: "Activities",
+      other: "Other",
+    },
+    noCostData: "No cost data for {name} yet — using a generic estimate.",
+    perDay: "Per day",
+    wholeTrip: "Whole trip",
+    breakdown: "Breakdown",
+    amountPerDay: "{amount}/day",
+    yourCosts: "Your costs",
+    remove: "Remove {name}",
+    form: {
+      description: "Cost description",
+      descriptionPlaceholder: "e.g. Flights, museum pass",
+      amount: "Amount",
+      currency: "Cost currency",
+      category: "Cost category",
+      frequency: "Cost frequency",
+      once: "Once",
+      daily: "Daily",
+      add: "Add",
+    },
+    rates: {
+      title: "Exchange rates (per 1 USD)",
+      rate: "{code} per USD",
+      reset: "Reset to defaults",
+    },
+  },
+
+  compare: {
+    title: "Compare destinations",
+    subtitle: "Current weather side by side for up to {max} places.",
+    addPlaceholder: "Add a destination to compare",
+    fromFavourites: "From your favourites:",
+    add: "Add {name} to the comparison",
+    remove: "Remove {name} from the comparison",
+    full: "Comparing the maximum of {max} destinations. Remove one to add another.",
+    needTwo: "Add at least two destinations to compare them.",
+    config: "Weather or photos are not configured: {keys}",
+    loading: "Loading weather",
+    error: "Weather unavailable: {error}",
+    best: "Best",
+    winnerHint: "Best means the temperature closest to 22 °C, humidity closest to 50%, the calmest wind and the clearest sky.",
+    openInExplore: "Open in Explore",
+    metrics: {
+      temperature: "Temperature",
+      humidity: "Humidity",
+      wind: "Wind",
+      conditions: "Conditions",
+    },
+  },
+
+  settings: {
+    title: "Settings",
+    subtitle: "Preferences are saved on this device.",
+    reset: "Reset to defaults",
+    preview: "Preview:",
+    sections: {
+      units: { title: "Units", description: "Temperatures and wind speed in weather cards and forecasts." },
+      timeFormat: { title: "Time format", description: "Clock used for times such as quota resets." },
+      dateFormat: { title: "Date format", description: "How full dates are written." },
+      language: { title: "Language", description: "Interface text, weather descriptions and day names." },
+    },
+    options: {
+      units: { metric: "Metric (°C, m/s)", imperial: "Imperial (°F, mph)" },
+      timeFormat: { "24h": "24-hour (18:30)", "12h": "12-hour (6:30 PM)" },
+    },
+  },
+};
+
+export default en;
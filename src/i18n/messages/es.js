@@ -0,0 +1,561 @@
+// Spanish UI strings; keys missing here fall back to English
+const es = {
+  nav: {
+    home: "Inicio",
+    explore: "Explorar",
+    favourites: "Favoritos",
+    compare: "Comparar",
+    settings: "Ajustes",
+    toggleMenu: "Abrir o cerrar el menú",
+    language: "Idioma",
+  },
+
+  search: {
+    placeholder: "¿A dónde te gustaría ir?",
+    label: "Buscar destino",
+    submit: "Explorar",
+    didYouMean: "¿Quisiste decir?",
+    recent: "Búsquedas recientes",
+    clearHistory: "Borrar historial",
+    removeRecent: "Quitar {name} de las búsquedas recientes",
+    location: {
+      use: "Usar mi ubicación",
+      locating: "Buscando tu ubicación…",
+      denied: "Se denegó el acceso a la ubicación. Permítelo en la configuración del sitio de tu navegador o busca por nombre.",
+      unavailable: "No se pudo obtener tu ubicación ahora. Inténtalo de nuevo o busca por nombre.",
+      dismiss: "Cerrar",
+    },
+  },
+
+  destinations: {
+    paris: "La Ciudad de la Luz",
+    tokyo: "Lo moderno se une a lo tradicional",
+    newYork: "La Gran Manzana",
+    london: "Histórica y real",
+    dubai: "Lujo e innovación",
+    sydney: "Belleza junto a la bahía",
+  },
+
+  tags: {
+    beach: "Playa",
+    food: "Gastronomía",
+    city: "Ciudad",
+    mountains: "Montaña",
+    culture: "Cultura",
+    nature: "Naturaleza",
+    nightlife: "Vida nocturna",
+    cheap: "Económico",
+  },
+
+  continents: {
+    AF: "África",
+    AN: "Antártida",
+    AS: "Asia",
+    EU: "Europa",
+    NA: "Norteamérica",
+    OC: "Oceanía",
+    SA: "Sudamérica",
+  },
+
+  home: {
+    heroTitle: "Descubre destinos",
+    heroHighlight: "increíbles",
+    tagline: "Explora el mundo con el tiempo en directo, fotos impresionantes y consejos locales",
+    popularTitle: "Destinos populares",
+    features: {
+      weatherTitle: "El tiempo en directo",
+      weatherText: "Consulta el tiempo actual de cualquier destino del mundo",
+      photosTitle: "Fotos impresionantes",
+      photosText: "Explora fotos de gran calidad de todo el planeta",
+      favouritesTitle: "Guarda favoritos",
+      favouritesText: "Lleva la cuenta de tus destinos soñados y planifica tus próximos viajes",
+    },
+  },
+
+  noResults: {
+    title: "No hay resultados para «{term}»",
+    subtitle: "¡No te preocupes! Te ayudamos a encontrar lo que buscas.",
+    suggestionsTitle: "¿Quisiste decir alguno de estos?",
+    popularTitle: "Destinos populares",
+    tipsTitle: "Consejos de búsqueda",
+    tipCityNames: "Prueba con nombres de ciudades: «París», «Tokio»",
+    tipSpelling: "No te preocupes por la ortografía",
+    tipPopular: "Usa destinos populares",
+  },
+
+  correction: {
+    title: "¿Quisiste decir «{term}»?",
+    closeMatch: "Encontramos una coincidencia cercana para",
+    accept: "Sí, buscar «{term}»",
+    reject: "No, mantener original",
+  },
+
+  explore: {
+    home: "Inicio",
+    explore: "Explorar",
+    tabs: {
+      label: "Secciones de Explorar",
+      overview: "Resumen",
+      weather: "Tiempo",
+      photos: "Fotos",
+    },
+    units: "Unidades",
+    empty: {
+      title: "¿Listo para explorar?",
+      text: "Busca cualquier destino para ver el tiempo, fotos y sugerencias inteligentes. Empieza a escribir o elige una opción rápida.",
+      placeholder: "Busca una ciudad o destino...",
+      startOver: "Empezar de nuevo",
+      goToFavourites: "Ir a favoritos",
+    },
+    config: {
+      title: "Configuración necesaria",
+      intro: "Hay que configurar las siguientes claves de API:",
+      readme: "Consulta el archivo README.md para ver las instrucciones de configuración.",
+    },
+    newSearch: "Nueva búsqueda",
+    refresh: "Actualizar datos",
+    updating: "Actualizando…",
+    searchAnother: "Busca otro destino...",
+    tagline: "Descubre el tiempo y paisajes impresionantes",
+    save: "Guardar en favoritos",
+    saved: "Guardado en favoritos",
+    results: {
+      title: {
+        zero: "No se encontraron destinos",
+        one: "{count} destino",
+        other: "{count} destinos",
+      },
+      filters: "Búsqueda entendida como",
+      asPlace: "Buscar esto como nombre de lugar",
+      empty: "Nada coincide con todo eso.",
+      emptyHint: "Prueba con menos palabras, p. ej. solo un país, un continente o un interés.",
+      showing: {
+        one: "Mostrando {shown} de {count} destino",
+        other: "Mostrando {shown} de {count} destinos",
+      },
+      mapLabel: "Mapa de los destinos encontrados",
+    },
+    nearby: {
+      title: "Destinos cercanos",
+      subtitle: "Los más cercanos a {name}",
+      open: "Abrir {name}, a {distance}",
+    },
+    map: {
+      title: "En el mapa",
+      label: "Mapa de {name} y tus favoritos",
+    },
+    chooser: {
+      title: "¿Qué {name}?",
+      hint: "Varios lugares comparten este nombre. Elige el que buscas:",
+      label: "Lugares llamados {name}",
+    },
+    status: {
+      query: "Búsqueda:",
+      corrected: "Usando el término corregido:",
+      weatherLocation: "Ubicación del tiempo:",
+      place: "Lugar:",
+      photosFound: "Fotos encontradas:",
+      cityDiffers: "La ciudad del tiempo no coincide con la búsqueda",
+    },
+    errors: {
+      weather: "Datos del tiempo no disponibles: {error}",
+      forecast: "Pronóstico no disponible: {error}",
+      photos: "Fotos no disponibles: {error}",
+      quotaPaused: "Las peticiones de fotos están en pausa hasta las {time} para no superar la cuota de la API.",
+      loadMore: "No se pudieron cargar más fotos: {error}",
+    },
+    photos: {
+      title: "Fotos preciosas",
+      loaded: {
+        one: "{shown} de {count} foto • Pulsa para ampliar",
+        other: "{shown} de {count} fotos • Pulsa para ampliar",
+      },
+      quota: "Quedan {remaining}/{limit} peticiones",
+      quotaTitle: "Peticiones a la API de fotos que quedan en el periodo actual",
+      scrollLeft: "Desplazar fotos a la izquierda",
+      scrollRight: "Desplazar fotos a la derecha",
+      scrollHint: "Desliza para ver más",
+      loadMore: "Cargar más fotos →",
+      loading: "Cargando…",
+      showing: {
+        one: "Mostrando {shown} de {count} foto",
+        other: "Mostrando {shown} de {count} fotos",
+      },
+      none: "No se encontraron fotos de {term}",
+      clearFilters: "Prueba a quitar algunos filtros de fotos",
+      tryAnother: "Prueba a buscar otro destino",
+    },
+  },
+
+  weather: {
+    current: "El tiempo ahora",
+    humidity: "Humedad:",
+    wind: "Viento:",
+    feelsLike: "Sensación:",
+    forecast: {
+      one: "Pronóstico de {count} día",
+      other: "Pronóstico de {count} días",
+    },
+  },
+
+  map: {
+    open: "Abrir {name} en Explorar",
+    zoomIn: "Acercar",
+    zoomOut: "Alejar",
+    reset: "Ajustar a los marcadores",
+    legend: {
+      current: "Destino actual",
+      favourite: "Favorito",
+      result: "Resultado de búsqueda",
+    },
+    unplaced: {
+      one: "{count} lugar sin coordenadas no se muestra",
+      other: "{count} lugares sin coordenadas no se muestran",
+    },
+  },
+
+  photos: {
+    card: {
+      unavailable: "Imagen no disponible",
+      expand: "Haz clic para ampliar",
+    },
+    modal: {
+      close: "Cerrar",
+      previous: "Foto anterior",
+      next: "Foto siguiente",
+    },
+    filters: {
+      clear: "Quitar filtros",
+      orientation: {
+        label: "Orientación",
+        any: "Cualquiera",
+        landscape: "Horizontal",
+        portrait: "Vertical",
+        squarish: "Cuadrada",
+      },
+      color: {
+        label: "Color",
+        any: "Cualquiera",
+        black_and_white: "Blanco y negro",
+        black: "Negro",
+        white: "Blanco",
+        yellow: "Amarillo",
+        orange: "Naranja",
+        red: "Rojo",
+        purple: "Morado",
+        magenta: "Magenta",
+        green: "Verde",
+        teal: "Verde azulado",
+        blue: "Azul",
+      },
+      orderBy: {
+        label: "Orden",
+        relevance: "Relevancia",
+        latest: "Más recientes",
+      },
+    },
+  },
+
+  favourites: {
+    hub: "Hub",
+    intro: "Tu atlas personal para futuras aventuras. Traza tus sueños, organiza tus estancias y descubre lo mejor del mundo.",
+    stats: {
+      destinations: "Destinos",
+      itineraries: "Itinerarios",
+    },
+    sections: {
+      saved: "Guardados",
+      planning: "Planificar",
+      ideas: "Ideas",
+    },
+    bucketList: {
+      title: "Lista de deseos",
+      subtitle: "Tu colección de maravillas del mundo.",
+      findMore: "Buscar más",
+      reset: "Vaciar hub",
+      confirmReset: "¿Seguro que quieres vaciar tu hub de viajes?",
+      emptyTitle: "Tu maleta está vacía",
+      emptyText: "Visita la página Explorar para empezar a guardar tus destinos favoritos.",
+      emptyCta: "Explorar ahora →",
+      noNotes: "Sin notas",
+      planTrip: "Planificar",
+      details: "Detalles",
+      remove: "Quitar {name} de favoritos",
+      compare: "Comparar",
+      compareHint: "Compara el tiempo de tus primeros {max} favoritos lado a lado",
+    },
+    views: {
+      label: "Vistas de la lista de deseos",
+      list: "Lista",
+      map: "Mapa",
+    },
+    map: {
+      label: "Mapa de tus favoritos",
+      hint: "Pulsa un marcador para abrirlo en Explorar; arrastra para moverte.",
+    },
+    toast: {
+      saved: "¡{name} guardado en tu hub!",
+      removed: "{name} eliminado de favoritos",
+    },
+    planning: {
+      eyebrow: "Kit de estrategia",
+      title: "Domina tus próximos 1.000 kilómetros.",
+      text: "Usa tus lugares guardados para crear listas de equipaje, mapas de transporte y comparativas de hoteles al instante.",
+      plannerTitle: "Planificador: {tool}",
+      selectDestination: "Elige un destino",
+      open: "Abrir →",
+      noSaved: "Aún no hay destinos guardados.",
+      findFirst: "Busca un lugar primero",
+      changeDestination: "← Cambiar destino",
+      done: "Hecho",
+    },
+    tools: {
+      itinerary: { title: "Itinerario", desc: "Planes día a día", detail: "Organiza tus lugares guardados en días ordenados." },
+      packing: { title: "Equipaje", desc: "Listas inteligentes", detail: "Genera listas de equipaje adaptadas al pronóstico de tu destino." },
+      budget: { title: "Presupuesto", desc: "Control de gastos", detail: "Calcula el coste diario de comida, transporte y alojamiento." },
+      lodging: { title: "Alojamiento", desc: "Estancias mejor valoradas", detail: "Encuentra los mejores barrios y hoteles para tu estancia." },
+      foodie: { title: "Gastronomía", desc: "Comida local", detail: "Descubre platos locales imprescindibles y los mejores restaurantes." },
+    },
+    ideas: {
+      title: "Inspirado en tus gustos",
+      subtitle: "Lugares de moda entre otros trotamundos.",
+      save: "Guardar",
+      saved: "Guardado",
+      destination: "Destino",
+      types: {
+        City: "Ciudad",
+        Food: "Comida",
+        Scenery: "Paisaje",
+      },
+      notes: {
+        lisbon: "Vistas a la costa y pasteles de nata",
+        seoul: "Mercados, cafés y noches de neón",
+        capeTown: "La Montaña de la Mesa y viñedos",
+        vancouver: "Montañas, mar y sushi",
+        mexicoCity: "Puestos de comida, murales y mezcal",
+        rome: "Pasta, plazas y paseos al atardecer",
+        barcelona: "Líneas de Gaudí, noches de tapas y paseos junto al mar",
+        bali: "Terrazas de arroz, surf y mañanas tranquilas",
+      },
+    },
+  },
+
+  itineraries: {
+    title: "Itinerarios",
+    subtitle: "Planifica tus viajes día a día con tus destinos guardados.",
+    backToHub: "Volver al hub",
+    namePlaceholder: "Nombre del viaje, p. ej. Verano en Europa",
+    newName: "Nombre del nuevo itinerario",
+    create: "Nuevo viaje",
+    untitled: "Viaje sin título",
+    emptyTitle: "Aún no hay itinerarios",
+    emptyText: "Crea tu primer viaje arriba y añade días y paradas desde tus favoritos.",
+    name: "Nombre del itinerario",
+    save: "Guardar",
+    open: "Abrir",
+    rename: "Renombrar",
+    delete: "Eliminar {name}",
+    confirmDelete: "¿Eliminar \"{name}\"? No se puede deshacer.",
+    days: {
+      one: "{count} día",
+      other: "{count} días",
+    },
+    stops: {
+      one: "{count} parada",
+      other: "{count} paradas",
+    },
+    detail: {
+      notFoundTitle: "Itinerario no encontrado",
+      notFoundText: "Puede que se haya eliminado o que el enlace sea incorrecto.",
+      viewAll: "Ver todos los itinerarios",
+      allItineraries: "Todos los itinerarios",
+      deleteTrip: "Eliminar viaje",
+      day: "Día {day}",
+      removeDay: "Quitar día",
+      confirmRemoveDay: {
+        one: "¿Quitar el día {day} y su parada?",
+        other: "¿Quitar el día {day} y sus {count} paradas?",
+      },
+      noStops: "Aún no hay paradas. Añade una desde tus favoritos abajo.",
+      moveUp: "Subir {name}",
+      moveDown: "Bajar {name}",
+      removeStop: "Quitar {name}",
+      addStop: "Añadir una parada desde favoritos…",
+      addStopLabel: "Añadir una parada al día {day}",
+      saveFirst: "Guarda antes un destino",
+      addDay: "Añadir día",
+    },
+  },
+
+  packing: {
+    tripLength: "Duración (días)",
+    tripType: "Tipo de viaje",
+    tripTypes: {
+      leisure: "Ocio",
+      business: "Negocios",
+      adventure: "Aventura",
+      beach: "Playa",
+    },
+    weather: {
+      loading: "Consultando el pronóstico…",
+      error: "El tiempo no está disponible ({error}); se muestra una lista general.",
+      unavailable: "El tiempo no está disponible; se muestra una lista general.",
+      forecast: {
+        one: "incluye el pronóstico de {count} día",
+        other: "incluye el pronóstico de {count} días",
+      },
+    },
+    packed: "En la maleta",
+    exportText: "Exportar .txt",
+    exportMarkdown: "Exportar .md",
+    copyMarkdown: "Copiar Markdown",
+    uncheckAll: "Desmarcar todo",
+    export: {
+      title: "Lista de equipaje: {destination}",
+    },
+    categories: {
+      essentials: "Imprescindibles",
+      clothing: "Ropa",
+      weather: "Para el tiempo",
+      toiletries: "Aseo",
+      tech: "Tecnología",
+      activity: "Extras del viaje",
+    },
+    items: {
+      passport: "Pasaporte / DNI",
+      wallet: "Cartera, tarjetas y algo de efectivo local",
+      insurance: "Datos del seguro de viaje",
+      bookings: "Confirmaciones de reserva",
+      toothbrush: "Cepillo y pasta de dientes",
+      deodorant: "Desodorante",
+      medication: "Medicación personal",
+      "phone-charger": "Cargador del móvil",
+      adapter: "Adaptador de enchufe",
+      underwear: "Ropa interior × {count}",
+      socks: "Calcetines × {count}",
+      sleepwear: "Pijama",
+      "t-shirts": "Camisetas × {count}",
+      shorts: "Pantalones cortos o ligeros",
+      "long-sleeves": "Camisetas de manga larga × {count}",
+      "light-jacket": "Chaqueta ligera o jersey",
+      "base-layers": "Ropa térmica",
+      "mid-layer": "Forro polar o capa intermedia",
+      "warm-coat": "Abrigo",
+      hat: "Gorro",
+      gloves: "Guantes",
+      scarf: "Bufanda",
+      umbrella: "Paraguas plegable",
+      "rain-jacket": "Chubasquero",
+      "waterproof-shoes": "Calzado impermeable",
+      "snow-boots": "Botas de nieve aislantes",
+      "hand-warmers": "Calentadores de manos",
+      sunglasses: "Gafas de sol",
+      sunscreen: "Protector solar (FPS 30+)",
+      "sun-hat": "Sombrero para el sol",
+      windbreaker: "Cortavientos",
+      "insect-repellent": "Repelente de insectos",
+      laundry: "Detergente de viaje",
+      "power-bank": "Batería externa",
+      "formal-outfits": "Trajes formales × {count}",
+      "dress-shoes": "Zapatos de vestir",
+      laptop: "Portátil y cargador",
+      "business-cards": "Tarjetas de visita",
+      "hiking-boots": "Botas de montaña",
+      daypack: "Mochila de día",
+      "water-bottle": "Botella de agua reutilizable",
+      "first-aid": "Botiquín",
+      headlamp: "Linterna frontal",
+      swimwear: "Bañador",
+      "beach-towel": "Toalla de playa",
+      "flip-flops": "Chanclas",
+      "after-sun": "Loción para después del sol",
+      "walking-shoes": "Calzado cómodo para caminar",
+      "day-bag": "Bolso de día",
+      guidebook: "Guía o mapas sin conexión",
+    },
+  },
+
+  budget: {
+    days: "Días",
+    travellers: "Viajeros",
+    style: "Estilo",
+    currency: "Moneda",
+    tiers: {
+      budget: "Económico",
+      mid: "Intermedio",
+      luxury: "Lujo",
+    },
+    categories: {
+      accommodation: "Alojamiento",
+      food: "Comida y bebida",
+      transport: "Transporte local",
+      activities: "Actividades",
+      other: "Otros",
+    },
+    noCostData: "Aún no hay datos de costes para {name}; se usa una estimación general.",
+    perDay: "Por día",
+    wholeTrip: "Todo el viaje",
+    breakdown: "Desglose",
+    amountPerDay: "{amount}/día",
+    yourCosts: "Tus gastos",
+    remove: "Quitar {name}",
+    form: {
+      description: "Descripción del gasto",
+      descriptionPlaceholder: "p. ej. Vuelos, pase de museos",
+      amount: "Importe",
+      currency: "Moneda del gasto",
+      category: "Categoría del gasto",
+      frequency: "Frecuencia del gasto",
+      once: "Una vez",
+      daily: "Diario",
+      add: "Añadir",
+    },
+    rates: {
+      title: "Tipos de cambio (por 1 USD)",
+      rate: "{code} por USD",
+      reset: "Restablecer valores",
+    },
+  },
+
+  compare: {
+    title: "Comparar destinos",
+    subtitle: "El tiempo actual lado a lado para hasta {max} lugares.",
+    addPlaceholder: "Añade un destino para comparar",
+    fromFavourites: "De tus favoritos:",
+    add: "Añadir {name} a la comparación",
+    remove: "Quitar {name} de la comparación",
+    full: "Ya comparas el máximo de {max} destinos. Quita uno para añadir otro.",
+    needTwo: "Añade al menos dos destinos para compararlos.",
+    config: "El tiempo o las fotos no están configurados: {keys}",
+    loading: "Cargando el tiempo",
+    error: "Tiempo no disponible: {error}",
+    best: "Mejor",
+    winnerHint: "Mejor significa la temperatura más cercana a 22 °C, la humedad más cercana al 50 %, el viento más suave y el cielo más despejado.",
+    openInExplore: "Abrir en Explorar",
+    metrics: {
+      temperature: "Temperatura",
+      humidity: "Humedad",
+      wind: "Viento",
+      conditions: "Condiciones",
+    },
+  },
+
+  settings: {
+    title: "Ajustes",
+    subtitle: "Las preferencias se guardan en este dispositivo.",
+    reset: "Restablecer",
+    preview: "Vista previa:",
+    sections: {
+      units: { title: "Unidades", description: "Temperatura y velocidad del viento en las tarjetas del tiempo y los pronósticos." },
+      timeFormat: { title: "Formato de hora", description: "Reloj usado para horas como el reinicio de la cuota." },
+      dateFormat: { title: "Formato de fecha", description: "Cómo se escriben las fechas completas." },
+      language: { title: "Idioma", description: "Textos de la interfaz, descripciones del tiempo y nombres de los días." },
+    },
+    options: {
+      units: { metric: "Métrico (°C, m/s)", imperial: "Imperial (°F, mph)" },
+      timeFormat: { "24h": "24 horas (18:30)", "12h": "12 horas (6:30 p. m.)" },
+    },
+  },
+};
+
+export default es;
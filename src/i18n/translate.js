@@ -0,0 +1,44 @@
+// Message lookup, interpolation and pluralization for the UI catalogs in ./messages
+//
+// Keys are dotted paths into a catalog ("explore.photos.count"). A message is either
+// a string with {placeholders}, or an object of plural forms picked with Intl.PluralRules
+// for the `count` value ({ zero?, one, few?, many?, other }). Missing keys fall back to
+// English, then to the key itself so a gap is visible rather than blank.
+import { catalogs, DEFAULT_LOCALE } from "./locales";
+
+const lookup = (catalog, key) =>
+  key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), catalog);
+
+// Pick the plural form for `count`; "zero" is an explicit override, not a CLDR category
+function selectPlural(forms, count, pluralRules) {
+  if (count === 0 && forms.zero !== undefined) return forms.zero;
+  return forms[pluralRules.select(count)] ?? forms.other;
+}
+
+/**
+ * Build a translate function for one locale.
+ *
+ * @param {string} locale - Catalog id, e.g. "en" or "es"
+ * @returns {function} - t(key, values) returning the formatted message
+ */
+export function createTranslator(locale) {
+  const catalog = catalogs[locale] || catalogs[DEFAULT_LOCALE];
+  const fallback = catalogs[DEFAULT_LOCALE];
+  const pluralRules = new Intl.PluralRules(locale);
+  const numberFormat = new Intl.NumberFormat(locale);
+
+  return function t(key, values = {}) {
+    let message = lookup(catalog, key) ?? lookup(fallback, key);
+    if (message === undefined) return key;
+
+    if (typeof message === "object") {
+      message = typeof values.count === "number" ? selectPlural(message, values.count, pluralRules) : message.other;
+    }
+
+    return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+      const value = values[name];
+      if (value === undefined || value === null) return match;
+      return typeof value === "number" ? numberFormat.format(value) : String(value);
+    });
+  };
+}
@@ -0,0 +1,36 @@
+// Mock backend configuration
+// Read from env at startup and adjustable at runtime with configureMock() (e.g. in tests).
+//
+//   VITE_MOCK_API=true        serve fixtures instead of calling the real APIs
+//   VITE_MOCK_LATENCY=400     artificial delay per request, in milliseconds
+//   VITE_MOCK_ERROR=429       fail every mocked request with this status (401, 404 or 429)
+//   VITE_MOCK_ERROR=photos:429,weather:401   ...or only requests of a given kind
+//                                            (kinds: weather, forecast, photos, photo)
+//   VITE_MOCK_PHOTO_LIMIT=50  photo requests allowed per minute before the mock answers 429
+
+const env = import.meta.env || {};
+
+// Parse "429" or "photos:429,weather:401" into { "*": 429 } / { photos: 429, weather: 401 }
+export function parseMockErrors(value) {
+  const errors = {};
+  if (!value) return errors;
+  for (const part of String(value).split(",")) {
+    const [kind, status] = part.includes(":") ? part.split(":") : ["*", part];
+    const code = Number(status);
+    if (code) errors[kind.trim()] = code;
+  }
+  return errors;
+}
+
+export const mockConfig = {
+  enabled: env.VITE_MOCK_API === "true",
+  latency: Number(env.VITE_MOCK_LATENCY ?? 400),
+  errors: parseMockErrors(env.VITE_MOCK_ERROR),
+  photoLimit: Number(env.VITE_MOCK_PHOTO_LIMIT ?? 50),
+};
+
+export const isMockMode = () => mockConfig.enabled;
+
+export function configureMock(overrides) {
+  Object.assign(mockConfig, overrides);
+}
@@ -0,0 +1,312 @@
+// Offline mock backend
+// A drop-in replacement for window.fetch that answers OpenWeatherMap and Unsplash
+// requests from recorded fixtures, with configurable latency and error injection.
+// useFetch switches to it when VITE_MOCK_API=true (see ./config.js).
+import { mockConfig } from "./config";
+import { getCities } from "../utils/cityDataset";
+import weatherFixtures from "./fixtures/weather.json";
+import forecastFixture from "./fixtures/forecast.json";
+import photosFixture from "./fixtures/photos.json";
+
+const statusText = {
+  401: "Unauthorized",
+  404: "Not Found",
+  429: "Too Many Requests",
+};
+
+// Error bodies shaped like the real APIs return them
+const errorBodies = {
+  openweathermap: {
+    401: { cod: 401, message: "Invalid API key. Please see https://openweathermap.org/faq#error401 for more info." },
+    404: { cod: "404", message: "city not found" },
+    429: { cod: 429, message: "Your account is temporary blocked due to exceeding of requests limitation of your subscription type." },
+  },
+  unsplash: {
+    401: { errors: ["OAuth error: The access token is invalid"] },
+    404: { errors: ["Couldn't find Photo"] },
+    429: { errors: ["Rate Limit Exceeded"] },
+  },
+};
+
+// Simulated Unsplash quota so rate-limit headers look realistic: mockConfig.photoLimit
+// requests per window, refilled when the window ends (the 429's Retry-After says when)
+const UNSPLASH_WINDOW_MS = 60 * 1000;
+let unsplashUsed = 0;
+let unsplashWindowStart = 0;
+
+// Start a new window once the current one has ended
+function unsplashQuota(now = Date.now()) {
+  if (now - unsplashWindowStart >= UNSPLASH_WINDOW_MS) {
+    unsplashWindowStart = now;
+    unsplashUsed = 0;
+  }
+  return {
+    limit: mockConfig.photoLimit,
+    remaining: Math.max(0, mockConfig.photoLimit - unsplashUsed),
+    retryAfter: Math.ceil((unsplashWindowStart + UNSPLASH_WINDOW_MS - now) / 1000),
+  };
+}
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    statusText: status === 200 ? "OK" : statusText[status] || "Error",
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+}
+
+// Wait for the configured latency, rejecting like fetch does if the request is aborted
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("The operation was aborted.", "AbortError"));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(new DOMException("The operation was aborted.", "AbortError"));
+    });
+  });
+}
+
+// Small deterministic hash so synthesized data is stable per city
+function hash(text) {
+  let value = 0;
+  for (const char of text) value = (value * 31 + char.charCodeAt(0)) | 0;
+  return Math.abs(value);
+}
+
+const titleCase = (text) => text.replace(/\b\w/g, (char) => char.toUpperCase());
+
+// Nearest city to a coordinate: a recorded one, or one from the city dataset once it has loaded
+function nearestCity(lat, lon) {
+  const candidates = [
+    ...Object.entries(weatherFixtures).map(([name, fixture]) => ({ name, country: fixture.sys.country, ...fixture.coord })),
+    ...(getCities() || []).map((city) => ({ name: city.name, country: city.countryCode, lat: city.lat, lon: city.lon })),
+  ];
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = (candidate.lat - lat) ** 2 + (candidate.lon - lon) ** 2;
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  // Within about half a degree, as the real API names the nearest station
+  return bestDistance < 0.25 ? best : null;
+}
+
+// The place an OpenWeatherMap request asks about: "q" ("Paris" or "Paris,FR") or lat/lon
+function placeFromParams(params) {
+  if (params.has("lat") && params.has("lon")) {
+    const lat = Number(params.get("lat"));
+    const lon = Number(params.get("lon"));
+    const city = nearestCity(lat, lon);
+    return { name: city?.name || `${lat.toFixed(2)}, ${lon.toFixed(2)}`, country: city?.country || "", coord: { lat, lon } };
+  }
+  const [name, country] = (params.get("q") || "").split(",");
+  return { name: titleCase(name.trim()), country: (country || "").trim().toUpperCase(), coord: null };
+}
+
+// The recording for a place, unless the request named a different country (London, CA is not London, GB)
+function fixtureFor(place) {
+  const fixture = weatherFixtures[place.name];
+  return fixture && (!place.country || fixture.sys.country === place.country) ? fixture : null;
+}
+
+// Recorded fixture for known cities; other cities get the Paris recording,
+// renamed and nudged so every place looks a little different.
+function currentWeatherFor(place) {
+  const known = fixtureFor(place);
+  if (known) return known;
+  const key = `${place.name},${place.country}`;
+  const shift = (hash(key) % 15) - 5;
+  const base = weatherFixtures.Paris;
+  return {
+    ...base,
+    name: place.name,
+    id: hash(key),
+    coord: place.coord || base.coord,
+    sys: { ...base.sys, country: place.country || base.sys.country },
+    main: {
+      ...base.main,
+      temp: base.main.temp + shift,
+      feels_like: base.main.feels_like + shift,
+      temp_min: base.main.temp_min + shift,
+      temp_max: base.main.temp_max + shift,
+    },
+  };
+}
+
+// Replay the recorded forecast starting from the current 3-hour slot
+function forecastFor(place) {
+  const known = fixtureFor(place);
+  const firstSlot = Math.floor(Date.now() / 1000 / 10800) * 10800;
+  const offset = firstSlot - forecastFixture.list[0].dt;
+  const shift = known ? 0 : (hash(`${place.name},${place.country}`) % 15) - 5;
+  return {
+    ...forecastFixture,
+    city: {
+      ...forecastFixture.city,
+      name: place.name,
+      country: known?.sys.country || place.country || forecastFixture.city.country,
+      coord: known?.coord || place.coord || forecastFixture.city.coord,
+      timezone: known?.timezone ?? forecastFixture.city.timezone,
+    },
+    list: forecastFixture.list.map((slot) => ({
+      ...slot,
+      dt: slot.dt + offset,
+      main: {
+        ...slot.main,
+        temp: slot.main.temp + shift,
+        temp_min: slot.main.temp_min + shift,
+        temp_max: slot.main.temp_max + shift,
+      },
+    })),
+  };
+}
+
+// The fixtures are recorded in metric; convert when the request asks for units=imperial
+const toFahrenheit = (celsius) => Math.round(((celsius * 9) / 5 + 32) * 100) / 100;
+const toMph = (metresPerSecond) => Math.round(metresPerSecond * 2.23694 * 100) / 100;
+
+function convertReading(reading, units) {
+  if (units !== "imperial") return reading;
+  const main = { ...reading.main };
+  for (const field of ["temp", "feels_like", "temp_min", "temp_max"]) {
+    if (typeof main[field] === "number") main[field] = toFahrenheit(main[field]);
+  }
+  const wind = reading.wind ? { ...reading.wind, speed: toMph(reading.wind.speed) } : reading.wind;
+  return { ...reading, main, wind };
+}
+
+// Offline placeholder image: a gradient SVG labelled with the photo description
+function placeholderImage(photo, width) {
+  const height = Math.round((width * photo.height) / photo.width);
+  const label = (photo.alt_description || "").replace(/[<&>"]/g, "");
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    + `<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${photo.color}"/><stop offset="1" stop-color="#764ba2"/></linearGradient></defs>`
+    + `<rect width="100%" height="100%" fill="url(#g)"/>`
+    + `<text x="50%" y="50%" fill="#fff" font-family="sans-serif" font-size="${Math.round(width / 18)}" text-anchor="middle">${label}</text>`
+    + `</svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+// Orientation filter as Unsplash applies it
+const orientationMatches = {
+  landscape: (photo) => photo.width > photo.height * 1.1,
+  portrait: (photo) => photo.height > photo.width * 1.1,
+  squarish: (photo) => Math.abs(photo.width - photo.height) <= Math.max(photo.width, photo.height) * 0.1,
+};
+
+function photoSearchFor(params) {
+  const page = Number(params.get("page") || 1);
+  const perPage = Number(params.get("per_page") || 10);
+  const query = params.get("query") || "";
+
+  // Orientation filters the recordings; "latest" reverses them. Colour is accepted but ignored.
+  const matches = orientationMatches[params.get("orientation")];
+  let recorded = matches ? photosFixture.results.filter(matches) : photosFixture.results;
+  if (params.get("order_by") === "latest") recorded = [...recorded].reverse();
+  if (!recorded.length) return { total: 0, total_pages: 0, results: [] };
+
+  // Cycle through the recorded photos so every page has results
+  const results = Array.from({ length: perPage }, (_, index) => {
+    const position = (page - 1) * perPage + index;
+    return mockPhoto(recorded[position % recorded.length], position, query);
+  });
+  return { ...photosFixture, results };
+}
+
+// A recorded photo at a position in the results, with a unique id ("mock0004-15")
+function mockPhoto(photo, position, query) {
+  const small = placeholderImage(photo, 400);
+  const regular = placeholderImage(photo, 1080);
+  return {
+    ...photo,
+    id: `${photo.id}-${position}`,
+    alt_description: query ? `${query} – ${photo.alt_description}` : photo.alt_description,
+    urls: { small, regular, full: regular },
+    links: { download: regular },
+  };
+}
+
+// Single photo by the id handed out in search results
+function photoById(id) {
+  const [recordedId, position] = id.split("-");
+  const photo = photosFixture.results.find((result) => result.id === recordedId);
+  return photo ? mockPhoto(photo, Number(position) || 0, "") : null;
+}
+
+// Identify which API and resource a URL targets
+function classify(url) {
+  if (url.hostname === "api.openweathermap.org") {
+    if (url.pathname.endsWith("/forecast")) return { api: "openweathermap", kind: "forecast" };
+    if (url.pathname.endsWith("/weather")) return { api: "openweathermap", kind: "weather" };
+  }
+  if (url.hostname === "api.unsplash.com" && url.pathname.startsWith("/search/photos")) {
+    return { api: "unsplash", kind: "photos" };
+  }
+  if (url.hostname === "api.unsplash.com" && url.pathname.startsWith("/photos/")) {
+    return { api: "unsplash", kind: "photo" };
+  }
+  return null;
+}
+
+/**
+ * Mock implementation of fetch().
+ *
+ * @param {string} input - Request URL
+ * @param {object} init - Fetch options (only `signal` is used)
+ * @returns {Promise<Response>}
+ */
+export default async function mockFetch(input, init = {}) {
+  const url = new URL(input, window.location.origin);
+  const route = classify(url);
+
+  await delay(mockConfig.latency, init.signal);
+
+  if (!route) {
+    return jsonResponse({ message: `No mock fixture for ${url.pathname}` }, 404);
+  }
+
+  const quota = route.api === "unsplash" ? unsplashQuota() : null;
+  const rateHeaders = quota
+    ? { "X-Ratelimit-Limit": String(quota.limit), "X-Ratelimit-Remaining": String(quota.remaining) }
+    : {};
+
+  // Injected errors: a status for this kind of request, or for everything
+  const injected = mockConfig.errors[route.kind] || mockConfig.errors["*"];
+  if (injected) {
+    const headers = injected === 429 ? { ...rateHeaders, "Retry-After": String(quota?.retryAfter ?? 60) } : rateHeaders;
+    return jsonResponse(errorBodies[route.api][injected] || { message: "Mock error" }, injected, headers);
+  }
+
+  if (quota) {
+    if (quota.remaining === 0) {
+      return jsonResponse(errorBodies.unsplash[429], 429, { ...rateHeaders, "Retry-After": String(quota.retryAfter) });
+    }
+    unsplashUsed += 1;
+    rateHeaders["X-Ratelimit-Remaining"] = String(quota.remaining - 1);
+  }
+
+  switch (route.kind) {
+    case "weather":
+      return jsonResponse(convertReading(currentWeatherFor(placeFromParams(url.searchParams)), url.searchParams.get("units")));
+    case "forecast": {
+      const forecast = forecastFor(placeFromParams(url.searchParams));
+      const units = url.searchParams.get("units");
+      return jsonResponse({ ...forecast, list: forecast.list.map((slot) => convertReading(slot, units)) });
+    }
+    case "photo": {
+      const photo = photoById(decodeURIComponent(url.pathname.slice("/photos/".length)));
+      return photo
+        ? jsonResponse(photo, 200, rateHeaders)
+        : jsonResponse(errorBodies.unsplash[404], 404, rateHeaders);
+    }
+    default:
+      return jsonResponse(photoSearchFor(url.searchParams), 200, rateHeaders);
+  }
+}
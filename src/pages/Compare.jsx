@@ -0,0 +1,253 @@
+import { useMemo } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import useCurrentWeather from "../hooks/useCurrentWeather";
+import usePhotoSearch from "../hooks/usePhotoSearch";
+import useFavourites from "../hooks/useFavourites";
+import { favouriteKey, favouritePlace } from "../context/FavouritesContext";
+import usePreferences from "../hooks/usePreferences";
+import useTranslation from "../hooks/useTranslation";
+import useDestinationMatcher from "../hooks/useDestinationMatcher";
+import SmartSearchBar from "../components/SmartSearchBar";
+import { getMissingProviderConfig } from "../providers/registry";
+import { compareUrl, isSameComparePlace, readComparePlaces, MAX_COMPARE_PLACES } from "../utils/compareUrl";
+import { compareMetrics, findWinners } from "../utils/compare";
+import { choosePlace, exploreUrl, placeParams } from "../utils/exploreUrl";
+import { formatTemperature, formatSpeed } from "../utils/units";
+import { getWeatherEmoji } from "../utils/weather";
+
+// One cover photo per destination is enough
+const COVER_PHOTO_PARAMS = { perPage: 1, orientation: 'landscape' };
+
+/**
+ * Compare Page Component
+ * Two to four destinations side by side (the "places" URL param, e.g. /compare?places=Paris;US,Rome,Lisbon,
+ * see utils/compareUrl.js).
+ * Features:
+ * - Current weather for every destination, fetched in parallel
+ * - Aligned rows for temperature, humidity, wind and conditions, with the best on each highlighted
+ * - A cover photo per destination
+ * - Destinations added by search or from the favourites, removed per column
+ */
+export default function Compare() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { favourites } = useFavourites();
+  const { preferences } = usePreferences();
+  const { t } = useTranslation();
+  const matcher = useDestinationMatcher();
+
+  const entries = useMemo(() => readComparePlaces(location.search), [location.search]);
+  const names = entries.map((entry) => entry.name);
+
+  // The city each entry stands for: the namesake its country and coordinates point to, else the
+  // largest one with that name, else null for unknown names. Photos of a less obvious namesake
+  // need the country to find the right city, as in Explore.
+  const columns = useMemo(() => {
+    return entries.map((entry) => {
+      const namesakes = matcher.findPlaces(entry.name);
+      const place = choosePlace(namesakes, entry.countryCode || entry.lat != null ? entry : null);
+      const photoQuery = place && place !== namesakes[0] && place.country ? `${entry.name} ${place.country}` : entry.name;
+      return { place, photoQuery };
+    });
+  }, [entries, matcher]);
+  const places = columns.map((column) => column.place);
+
+  // Weather by coordinates when the city is known, else by name
+  const weatherLocation = (index) => {
+    if (index >= names.length) return null;
+    const place = places[index];
+    return place ? { name: names[index], country: place.countryCode, lat: place.lat, lon: place.lon } : names[index];
+  };
+
+  // A fixed slot per column keeps the hook calls the same on every render;
+  // empty slots (null) fetch nothing, the rest load in parallel
+  const weatherSlots = [
+    useCurrentWeather(weatherLocation(0)),
+    useCurrentWeather(weatherLocation(1)),
+    useCurrentWeather(weatherLocation(2)),
+    useCurrentWeather(weatherLocation(3)),
+  ];
+  const photoSlots = [
+    usePhotoSearch(columns[0]?.photoQuery ?? null, COVER_PHOTO_PARAMS),
+    usePhotoSearch(columns[1]?.photoQuery ?? null, COVER_PHOTO_PARAMS),
+    usePhotoSearch(columns[2]?.photoQuery ?? null, COVER_PHOTO_PARAMS),
+    usePhotoSearch(columns[3]?.photoQuery ?? null, COVER_PHOTO_PARAMS),
+  ];
+
+  const weathers = names.map((_, index) => weatherSlots[index].data);
+  const winners = Object.fromEntries(compareMetrics.map((metric) => [metric.id, findWinners(weathers, metric)]));
+
+  const missingKeys = getMissingProviderConfig();
+  const isFull = names.length >= MAX_COMPARE_PLACES;
+  const isCompared = (place) => entries.some((other) => isSameComparePlace(other, place));
+  const addableFavourites = favourites.filter((f) => !isCompared(favouritePlace(f)));
+
+  // Editing the list replaces the history entry, like Explore's view changes
+  const setEntries = (nextEntries) => {
+    navigate(compareUrl(nextEntries), { replace: true });
+  };
+
+  // `place` (a search suggestion or a favourite) pins the namesake; without one the name alone is kept
+  const handleAdd = (name, place = null) => {
+    const entry = { name, countryCode: place?.countryCode || null, lat: place?.lat ?? null, lon: place?.lon ?? null };
+    if (!isFull && !isCompared(entry)) setEntries([...entries, entry]);
+  };
+
+  const handleRemove = (index) => {
+    setEntries(entries.filter((_, other) => other !== index));
+  };
+
+  const handleOpen = (index) => {
+    navigate(exploreUrl(names[index], placeParams(places[index])));
+  };
+
+  const metricValue = (metric, weather) => {
+    switch (metric.id) {
+      case 'temperature':
+        return formatTemperature(weather.temperature, preferences.units, weather.units);
+      case 'humidity':
+        return `${weather.humidity}%`;
+      case 'wind':
+        return formatSpeed(weather.windSpeed, preferences.units, weather.units);
+      default:
+        return `${getWeatherEmoji(weather.condition)} ${weather.description}`;
+    }
+  };
+
+  return (
+    <div className="animate-fade-in container py-4">
+      <div className="glass-card p-4 p-sm-5 rounded-4 mb-4 text-white">
+        <div className="text-center mb-4">
+          <h1 className="display-6 fw-bold mb-2">⚖️ {t('compare.title')}</h1>
+          <p className="text-white text-opacity-75 mb-0">{t('compare.subtitle', { max: MAX_COMPARE_PLACES })}</p>
+        </div>
+
+        {isFull ? (
+          <p className="text-center small text-white text-opacity-75 mb-0">{t('compare.full', { max: MAX_COMPARE_PLACES })}</p>
+        ) : (
+          <>
+            <SmartSearchBar onSearch={handleAdd} placeholder={t('compare.addPlaceholder')} />
+            {addableFavourites.length > 0 && (
+              <div className="d-flex flex-wrap align-items-center justify-content-center gap-2 mt-4">
+                <span className="small text-white text-opacity-75">💖 {t('compare.fromFavourites')}</span>
+                {addableFavourites.map((f) => (
+                  <button
+                    key={favouriteKey(f)}
+                    type="button"
+                    onClick={() => handleAdd(f.name, favouritePlace(f))}
+                    className="btn btn-sm btn-outline-light rounded-pill px-3 fw-semibold"
+                    aria-label={t('compare.add', { name: f.name })}
+                  >
+                    + {f.name}
+                  </button>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {missingKeys.length > 0 && (
+        <div className="glass-card bg-warning bg-opacity-25 border border-warning text-white p-4 rounded-4 mb-4">
+          ⚙️ {t('compare.config', { keys: missingKeys.join(', ') })}
+        </div>
+      )}
+
+      {names.length < 2 && (
+        <div className="glass-card p-4 rounded-4 mb-4 text-center text-white text-opacity-75">
+          {t('compare.needTwo')}
+        </div>
+      )}
+
+      {names.length > 0 && (
+        <>
+          <div className="row g-3 align-items-stretch">
+            {entries.map(({ name, countryCode, lat }, index) => {
+              const { data: weather, loading, error } = weatherSlots[index];
+              const photo = photoSlots[index].data?.photos[0];
+              return (
+                <div key={`${name}|${countryCode || ''}|${lat ?? ''}`} className="col-12 col-md-6 col-lg">
+                  <div className="glass-card rounded-4 overflow-hidden h-100 text-white d-flex flex-column animate-slide-up">
+                    {/* Cover photo */}
+                    <div
+                      className="position-relative d-flex align-items-center justify-content-center"
+                      style={{ height: '160px', background: 'linear-gradient(135deg, #6610f2, #db2777)' }}
+                    >
+                      {photo ? (
+                        <img src={photo.urls.small} alt={photo.alt || name} className="position-absolute top-0 start-0 w-100 h-100 object-fit-cover" />
+                      ) : (
+                        <span className="display-4 user-select-none">📍</span>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => handleRemove(index)}
+                        className="btn btn-light btn-sm position-absolute top-0 end-0 m-2 rounded-circle shadow-sm"
+                        style={{ width: '32px', height: '32px' }}
+                        aria-label={t('compare.remove', { name })}
+                        title={t('compare.remove', { name })}
+                      >
+                        ✕
+                      </button>
+                    </div>
+
+                    <div className="p-3 d-flex flex-column flex-grow-1 gap-2">
+                      <div>
+                        <h2 className="h5 fw-bold mb-0 text-truncate">{name}</h2>
+                        <div className="small text-white text-opacity-75 text-truncate">
+                          {/* A non-breaking space keeps the rows aligned while loading */}
+                          {weather?.location.name
+                            ? [weather.location.name, weather.location.country].filter(Boolean).join(', ')
+                            : '\u00a0'}
+                        </div>
+                      </div>
+
+                      {/* One row per metric, in the same order in every column */}
+                      {compareMetrics.map((metric) => {
+                        const isWinner = winners[metric.id].has(index);
+                        return (
+                          <div
+                            key={metric.id}
+                            className={`rounded-3 px-3 py-2 border ${
+                              isWinner ? 'bg-success bg-opacity-25 border-success' : 'bg-white bg-opacity-10 border-white border-opacity-10'
+                            }`}
+                            style={{ minHeight: '64px' }}
+                          >
+                            <div className="small text-white text-opacity-75 d-flex justify-content-between">
+                              <span>{metric.icon} {t(`compare.metrics.${metric.id}`)}</span>
+                              {isWinner && <span className="fw-semibold text-white">🏆 {t('compare.best')}</span>}
+                            </div>
+                            <div className="fw-semibold text-capitalize text-truncate">
+                              {weather ? metricValue(metric, weather) : loading ? (
+                                <span className="spinner-border spinner-border-sm" role="status" aria-label={t('compare.loading')}></span>
+                              ) : '—'}
+                            </div>
+                          </div>
+                        );
+                      })}
+
+                      {error && !weather && (
+                        <div className="small text-warning">{t('compare.error', { error })}</div>
+                      )}
+
+                      <button
+                        type="button"
+                        onClick={() => handleOpen(index)}
+                        className="btn btn-outline-light btn-sm fw-semibold rounded-3 mt-auto"
+                      >
+                        🌍 {t('compare.openInExplore')}
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {names.length >= 2 && (
+            <p className="small text-white text-opacity-75 text-center mt-4 mb-0">🏆 {t('compare.winnerHint')}</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
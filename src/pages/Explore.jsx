@@ -1,63 +1,135 @@
 import { useLocation, useNavigate } from "react-router-dom";
-import useFetch from "../hooks/useFetch";
+import useCurrentWeather from "../hooks/useCurrentWeather";
+import useForecast from "../hooks/useForecast";
+import usePhotoGallery from "../hooks/usePhotoGallery";
+import usePhoto from "../hooks/usePhoto";
 import Loader from "../components/Loader";
 import SmartSearchBar from "../components/SmartSearchBar";
 import SearchCorrection from "../components/SearchCorrection";
 import NoResultsFound from "../components/NoResultsFound";
 import PhotoModal from "../components/PhotoModal";
 import PhotoCard from "../components/PhotoCard";
-import { findBestMatch } from "../utils/destinationMatcher";
-import { useState, useMemo, useRef } from "react";
+import PhotoFilters from "../components/PhotoFilters";
+import ForecastCard from "../components/ForecastCard";
+import WeatherCard from "../components/WeatherCard";
+import DestinationResults from "../components/DestinationResults";
+import WorldMap from "../components/WorldMap";
+import useFavourites from "../hooks/useFavourites";
+import { favouriteKey, isSameFavourite } from "../context/FavouritesContext";
+import useRateLimit from "../hooks/useRateLimit";
+import usePreferences from "../hooks/usePreferences";
+import useTranslation from "../hooks/useTranslation";
+import useDestinationMatcher from "../hooks/useDestinationMatcher";
+import { getMissingProviderConfig, getPhotoProvider } from "../providers/registry";
+import { choosePlace, exploreUrl, isSamePlace, placeParams, readPlaceParams, updateQueryString } from "../utils/exploreUrl";
+import { unitSystems, isUnitSystem, formatDistance } from "../utils/units";
+import { formatTime } from "../utils/format";
+import { AUTO_CORRECT_CONFIDENCE } from "../utils/destinationMatcher";
+import { useMemo, useRef } from "react";
 
 /**
  * Explore Page Component
  * The main search results page.
  * Orchestrates:
  * - Search term processing and fuzzy correction
- * - Data fetching (Weather and Photos)
- * - Displaying results (Weather cards, Photo grid)
+ * - Data fetching (Weather, Forecast and Photos) through the provider registry
+ * - Displaying results (Weather cards, Forecast, Photo grid)
  * - Modal interactions for photo viewing
+ * - Saving the resolved destination to favourites
  */
+const PHOTOS_PER_PAGE = 12;
+
+// Nearby destinations listed under the overview
+const NEARBY_LIMIT = 6;
+
+// Explore sections; the overview shows everything. Labels are explore.tabs.<id> in the catalogs.
+const exploreTabs = [
+  { id: 'overview', icon: '🧭' },
+  { id: 'weather', icon: '🌤️' },
+  { id: 'photos', icon: '📸' },
+];
+
+// Read photo filters from the URL, ignoring values the provider does not offer
+function readPhotoFilters(filters, search) {
+  const params = new URLSearchParams(search);
+  const values = {};
+  for (const filter of filters) {
+    const value = params.get(filter.id);
+    if (value && filter.options.some((option) => option.value === value)) values[filter.id] = value;
+  }
+  return values;
+}
+
 export default function Explore() {
-  const params = new URLSearchParams(useLocation().search);
+  const location = useLocation();
+  const params = new URLSearchParams(location.search);
   const navigate = useNavigate();
   const searchTerm = params.get("search");
-  
-  // State for photo modal
-  const [selectedPhoto, setSelectedPhoto] = useState(null);
-  const [photoModalIndex, setPhotoModalIndex] = useState(0);
-  const [isPhotoModalOpen, setIsPhotoModalOpen] = useState(false);
+
+  // All view state comes from the URL (see utils/exploreUrl.js)
+  const isExactSearch = params.get("exact") === "1";
+  const photoId = params.get("photo");
+  // Units in the URL override the saved preference, so a shared link shows what the sender saw
+  const { preferences } = usePreferences();
+  const { t } = useTranslation();
+  const units = isUnitSystem(params.get("units")) ? params.get("units") : preferences.units;
+  const activeTab = exploreTabs.some((tab) => tab.id === params.get("tab")) ? params.get("tab") : 'overview';
+
+  // Update view state in place; replacing the history entry keeps Back meaning "leave Explore"
+  const updateView = (changes) => {
+    navigate({ search: updateQueryString(location.search, changes) }, { replace: true });
+  };
+
   const photoRailRef = useRef(null);
+  const { favourites, isFavourite, toggleFavourite } = useFavourites();
+
+  // Matching runs against a built-in list until the city dataset has loaded, then again
+  const matcher = useDestinationMatcher();
+
+  // Country, continent and tag searches ("japan", "beach asia") list destinations instead of
+  // showing one. An exact search is always a place name.
+  const destinationResults = useMemo(() => {
+    return searchTerm && !isExactSearch ? matcher.searchDestinations(searchTerm) : null;
+  }, [searchTerm, isExactSearch, matcher]);
 
   // Normalize the search term with fuzzy matching for more reliable fetches.
-  // If confidence is high (>82%), we use the corrected term automatically.
+  // If confidence is high (see AUTO_CORRECT_CONFIDENCE), we use the corrected term automatically.
+  // An exact search (the user rejected the correction) is used as typed.
+  // A result list has no single destination, so nothing is fetched for it.
   const effectiveSearchTerm = useMemo(() => {
-    if (!searchTerm) return null;
-    const matchResult = findBestMatch(searchTerm);
-    if (matchResult.hasGoodMatch && matchResult.confidence >= 0.82) {
+    if (!searchTerm || destinationResults) return null;
+    if (isExactSearch) return searchTerm;
+    const matchResult = matcher.findBestMatch(searchTerm);
+    if (matchResult.hasGoodMatch && matchResult.confidence >= AUTO_CORRECT_CONFIDENCE) {
       return matchResult.destination;
     }
     return searchTerm;
-  }, [searchTerm]);
+  }, [searchTerm, isExactSearch, destinationResults, matcher]);
 
-  // API Keys from environment variables
-  const OPENWEATHER_KEY = import.meta.env.VITE_OPENWEATHER_KEY;
-  const UNSPLASH_KEY = import.meta.env.VITE_UNSPLASH_KEY;
+  // Places sharing the name (Paris, France and Paris, Texas); more than one shows the chooser
+  const places = useMemo(() => {
+    return effectiveSearchTerm ? matcher.findPlaces(effectiveSearchTerm) : [];
+  }, [effectiveSearchTerm, matcher]);
+  const place = useMemo(() => choosePlace(places, readPlaceParams(location.search)), [places, location.search]);
 
-  // Check if API keys are configured
-  const missingKeys = [];
-  if (!OPENWEATHER_KEY || OPENWEATHER_KEY === "your_openweathermap_api_key_here") {
-    missingKeys.push("OpenWeatherMap API key");
-  }
-  if (!UNSPLASH_KEY || UNSPLASH_KEY === "your_unsplash_access_key_here") {
-    missingKeys.push("Unsplash API key");
-  }
+  // Weather by coordinates (or "name,CC") when the place is known, so the right Paris is used
+  const weatherLocation = place
+    ? { name: place.name || effectiveSearchTerm, country: place.countryCode, lat: place.lat, lon: place.lon }
+    : effectiveSearchTerm;
+
+  // Photos of a less obvious namesake need the country to find the right city
+  const photoQuery = place && place !== places[0] && place.country
+    ? `${place.name} ${place.country}`
+    : effectiveSearchTerm;
+
+  // Each active provider reports its own missing configuration (e.g. API keys)
+  const missingKeys = getMissingProviderConfig();
 
   // Calculate spelling corrections when search term changes
   // This determines if we should show the "Did you mean...?" popup
   const correctionData = useMemo(() => {
-    if (searchTerm && searchTerm.length > 2) {
-      const matchResult = findBestMatch(searchTerm);
+    if (searchTerm && searchTerm.length > 2 && !isExactSearch && !destinationResults) {
+      const matchResult = matcher.findBestMatch(searchTerm);
       
       // Return correction data if we have a good match that's different from the original
       if (matchResult.hasGoodMatch && 
@@ -67,19 +139,26 @@ export default function Explore() {
         return {
           original: searchTerm,
           corrected: matchResult.destination,
+          place: matchResult.place,
           confidence: matchResult.confidence
         };
       }
     }
     return null;
-  }, [searchTerm]);
+  }, [searchTerm, isExactSearch, destinationResults, matcher]);
 
   // Derive showCorrection directly from correctionData
   const showCorrection = !!correctionData;
 
-  // Navigate to a new search term, triggering fresh fetches.
-  const handleNewSearch = (query) => {
-    navigate(`/explore?search=${query}`);
+  // Navigate to a new search term, triggering fresh fetches. The chosen units carry over,
+  // and a picked suggestion's country and coordinates come along to pin down the place.
+  const handleNewSearch = (query, nextPlace = null) => {
+    navigate(exploreUrl(query, { ...placeParams(nextPlace), units: units === preferences.units ? null : units }));
+  };
+
+  // Switch to another place with the same name; its photos are a different gallery
+  const handleChoosePlace = (nextPlace) => {
+    updateView({ ...placeParams(nextPlace), photo: null });
   };
 
   const handleBackHome = () => {
@@ -89,40 +168,39 @@ export default function Explore() {
   // Apply the suggested correction.
   const handleAcceptCorrection = () => {
     if (correctionData) {
-      navigate(`/explore?search=${correctionData.corrected}`);
+      handleNewSearch(correctionData.corrected, correctionData.place);
     }
   };
 
   const handleRejectCorrection = () => {
-    // Keep the original query and force a rerender without correction UI.
-    navigate(`/explore?search=${searchTerm}`);
+    // Keep the original query; "exact" hides the correction UI, skips auto-correction
+    // and reads the query as a place name rather than a country, continent or tag search.
+    updateView({ exact: 1 });
   };
 
-  // Photo modal handlers
-  const handlePhotoClick = (photo, index) => {
-    setSelectedPhoto(photo);
-    setPhotoModalIndex(index);
-    setIsPhotoModalOpen(true);
+  // Photo modal handlers: the open photo is the "photo" URL param
+  const handlePhotoClick = (photo) => {
+    updateView({ photo: photo.id });
   };
 
   const handlePhotoModalClose = () => {
-    setIsPhotoModalOpen(false);
-    setSelectedPhoto(null);
+    updateView({ photo: null });
   };
 
-  const handleNextPhoto = () => {
-    if (photos?.results && photoModalIndex < photos.results.length - 1) {
-      const nextIndex = photoModalIndex + 1;
-      setPhotoModalIndex(nextIndex);
-      setSelectedPhoto(photos.results[nextIndex]);
+  // Stepping past the last loaded photo fetches the next page first
+  const handleNextPhoto = async () => {
+    if (photoIndex >= 0 && photoIndex < photoList.length - 1) {
+      updateView({ photo: photoList[photoIndex + 1].id });
+    } else if (hasMorePhotos) {
+      const page = await loadMorePhotos();
+      const next = page?.photos.find((photo) => !photoList.some((loaded) => loaded.id === photo.id));
+      if (next) updateView({ photo: next.id });
     }
   };
 
   const handlePrevPhoto = () => {
-    if (photos?.results && photoModalIndex > 0) {
-      const prevIndex = photoModalIndex - 1;
-      setPhotoModalIndex(prevIndex);
-      setSelectedPhoto(photos.results[prevIndex]);
+    if (photoIndex > 0) {
+      updateView({ photo: photoList[photoIndex - 1].id });
     }
   };
 
@@ -134,37 +212,120 @@ export default function Explore() {
     rail.scrollBy({ left: distance, behavior: "smooth" });
   };
 
-  const weatherUrl =
-    effectiveSearchTerm && OPENWEATHER_KEY && OPENWEATHER_KEY !== "your_openweathermap_api_key_here"
-      ? `https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(
-          effectiveSearchTerm
-        )}&appid=${OPENWEATHER_KEY}&units=metric`
-      : null;
-
-  const photoUrl =
-    effectiveSearchTerm && UNSPLASH_KEY && UNSPLASH_KEY !== "your_unsplash_access_key_here"
-      ? `https://api.unsplash.com/search/photos?query=${encodeURIComponent(
-          effectiveSearchTerm
-        )}&client_id=${UNSPLASH_KEY}&per_page=12`
-      : null;
-
   const {
     data: weather,
     loading: weatherLoading,
+    isValidating: weatherValidating,
     error: weatherError,
     refetch: refetchWeather,
-  } = useFetch(weatherUrl, { ttl: 5 * 60 * 1000 }, [effectiveSearchTerm]);
+  } = useCurrentWeather(weatherLocation, { units });
 
+  // Daily min/max, precipitation chance and condition for the forecast card
   const {
-    data: photos,
+    data: forecastDays,
+    isValidating: forecastValidating,
+    error: forecastError,
+    refetch: refetchForecast,
+  } = useForecast(weatherLocation, { units });
+
+  // Photo filters live in the query string so filtered galleries can be shared
+  const photoFilters = getPhotoProvider().searchFilters || [];
+  const photoFilterValues = readPhotoFilters(photoFilters, location.search);
+  const photoFilterKey = JSON.stringify(photoFilterValues);
+  const isPhotoFiltered = Object.keys(photoFilterValues).length > 0;
+
+  // Stable search parameters so the photo request is not rebuilt on every render
+  const photoSearchParams = useMemo(
+    () => ({ perPage: PHOTOS_PER_PAGE, ...JSON.parse(photoFilterKey) }),
+    [photoFilterKey]
+  );
+
+  // A different filter means a different gallery, so any open photo is closed
+  const handlePhotoFilterChange = (id, value) => updateView({ [id]: value, photo: null });
+
+  const handlePhotoFilterReset = () =>
+    updateView({ ...Object.fromEntries(photoFilters.map((filter) => [filter.id, null])), photo: null });
+
+  const {
+    photos: photoList,
+    total: photoTotal,
+    hasMore: hasMorePhotos,
+    loadMore: loadMorePhotos,
+    loadingMore: photosLoadingMore,
+    loadMoreError: photoLoadMoreError,
     loading: photoLoading,
+    isValidating: photoValidating,
     error: photoError,
     refetch: refetchPhotos,
-  } = useFetch(photoUrl, { ttl: 5 * 60 * 1000 }, [effectiveSearchTerm]);
+  } = usePhotoGallery(photoQuery, photoSearchParams);
+
+  // A linked photo that is not in the loaded pages is fetched on its own
+  const photoIndex = photoId ? photoList.findIndex((photo) => photo.id === photoId) : -1;
+  const { data: linkedPhoto } = usePhoto(photoId && photoIndex === -1 && !photoLoading ? photoId : null);
+  const selectedPhoto = photoIndex >= 0
+    ? photoList[photoIndex]
+    : linkedPhoto?.id === photoId ? linkedPhoto : null;
+
+  // Fetch the next page when the rail is scrolled close to its end
+  const handleRailScroll = (event) => {
+    const rail = event.currentTarget;
+    if (!hasMorePhotos || photosLoadingMore) return;
+    if (rail.scrollLeft + rail.clientWidth >= rail.scrollWidth - rail.clientWidth / 2) {
+      loadMorePhotos();
+    }
+  };
 
-  const handleRefresh = () => {
-    refetchWeather();
-    refetchPhotos();
+  // Remaining photo API budget (Unsplash demo keys allow 50 requests an hour)
+  const photoQuota = useRateLimit(getPhotoProvider().rateLimit?.host);
+  const quotaResetTime = photoQuota?.resetAt
+    ? formatTime(photoQuota.resetAt, preferences)
+    : null;
+
+  // Cached data stays on screen while any of it is being refreshed in the background
+  const isUpdating = weatherValidating || forecastValidating || photoValidating;
+
+  // Refetch everything in parallel; failures surface through each hook's error state
+  const handleRefresh = () => Promise.allSettled([refetchWeather(), refetchForecast(), refetchPhotos()]);
+
+  // Save the place the weather API resolved to, so the hub gets the canonical
+  // name, country and coordinates rather than the raw search term.
+  const favouriteName = weather?.location.name || effectiveSearchTerm;
+  const favouriteCountry = weather?.location.country || place?.countryCode || '';
+  const isSaved = favouriteName ? isFavourite({ name: favouriteName, country: favouriteCountry }) : false;
+
+  // The destination on the map among the favourites: the chosen place, else where the weather API
+  // put the search. Favourites saved without coordinates are left off.
+  const currentPoint = place?.lat != null ? place : weather?.location;
+  const mapPins = [
+    ...(currentPoint?.lat != null
+      ? [{ id: 'current', kind: 'current', name: favouriteName, country: place?.country || weather?.location.country, lat: currentPoint.lat, lon: currentPoint.lon }]
+      : []),
+    ...favourites
+      .filter((f) => f.coord && !isSameFavourite(f, { name: favouriteName, country: favouriteCountry }))
+      .map((f) => ({ id: `favourite-${favouriteKey(f)}`, kind: 'favourite', name: f.name, country: f.country, lat: f.coord.lat, lon: f.coord.lon })),
+  ];
+
+  // Other destinations around it, nearest first; the place itself (or its dataset twin a few
+  // hundred metres off) is left out
+  const currentLat = currentPoint?.lat ?? null;
+  const currentLon = currentPoint?.lon ?? null;
+  const nearbyPlaces = useMemo(() => {
+    if (currentLat == null || currentLon == null) return [];
+    return matcher.findNearby(currentLat, currentLon, NEARBY_LIMIT + 1)
+      .filter((nearbyPlace) => nearbyPlace.distanceKm >= 1 && nearbyPlace.name !== favouriteName)
+      .slice(0, NEARBY_LIMIT);
+  }, [currentLat, currentLon, favouriteName, matcher]);
+
+  const handleToggleFavourite = () => {
+    if (!favouriteName) return;
+    toggleFavourite({
+      name: favouriteName,
+      emoji: '📍',
+      note: weather?.description || '',
+      country: favouriteCountry,
+      coord: weather?.location.lat != null ? { lat: weather.location.lat, lon: weather.location.lon } : null,
+      photo: photoList[0]?.urls.small || null,
+    });
   };
 
   if (!searchTerm) {
@@ -172,21 +333,21 @@ export default function Explore() {
       <div className="py-5 animate-fade-in container safe-container">
         <div className="glass-card p-4 p-sm-5 rounded-4 mx-auto text-center d-flex flex-column gap-4" style={{ maxWidth: '800px' }}>
           <div className="d-flex align-items-center justify-content-center gap-3 text-white text-opacity-90 small">
-            <button onClick={handleBackHome} className="glass-card px-3 py-1 rounded-pill hover-bg-opacity-10 transition-colors btn btn-link text-decoration-none text-white border-0">🏠 Home</button>
+            <button onClick={handleBackHome} className="glass-card px-3 py-1 rounded-pill hover-bg-opacity-10 transition-colors btn btn-link text-decoration-none text-white border-0">🏠 {t('explore.home')}</button>
             <span className="text-white text-opacity-50">→</span>
-            <span className="glass-card px-3 py-1 rounded-pill bg-white bg-opacity-10">🌍 Explore</span>
+            <span className="glass-card px-3 py-1 rounded-pill bg-white bg-opacity-10">🌍 {t('explore.explore')}</span>
           </div>
 
           <div>
             <div className="display-4 mb-4">🗺️</div>
-            <h1 className="h2 fw-bold text-light mb-3">Ready to explore?</h1>
+            <h1 className="h2 fw-bold text-light mb-3">{t('explore.empty.title')}</h1>
             <p className="text-white text-opacity-75 mx-auto" style={{ maxWidth: '600px' }}>
-              Search any destination to see weather, photos, and smart suggestions. Start typing below or pick a quick option.
+              {t('explore.empty.text')}
             </p>
           </div>
 
           <div className="mx-auto w-100" style={{ maxWidth: '600px' }}>
-            <SmartSearchBar onSearch={handleNewSearch} placeholder="Search a city or destination..." />
+            <SmartSearchBar onSearch={handleNewSearch} placeholder={t('explore.empty.placeholder')} />
           </div>
 
           <div className="d-flex flex-wrap gap-2 justify-content-center">
@@ -202,23 +363,69 @@ export default function Explore() {
           </div>
 
           <div className="d-flex flex-wrap justify-content-center gap-3 small text-white text-opacity-75">
-            <button onClick={handleBackHome} className="glass-card px-4 py-2 rounded-3 hover-bg-opacity-10 transition-colors btn text-white border-0">Start over</button>
-            <button onClick={() => navigate('/favourites')} className="glass-card px-4 py-2 rounded-3 hover-bg-opacity-10 transition-colors btn text-white border-0">Go to favourites</button>
+            <button onClick={handleBackHome} className="glass-card px-4 py-2 rounded-3 hover-bg-opacity-10 transition-colors btn text-white border-0">{t('explore.empty.startOver')}</button>
+            <button onClick={() => navigate('/favourites')} className="glass-card px-4 py-2 rounded-3 hover-bg-opacity-10 transition-colors btn text-white border-0">{t('explore.empty.goToFavourites')}</button>
           </div>
         </div>
       </div>
     );
   }
 
+  // Result grid for a country, continent or tag search; picking a place opens it here
+  if (destinationResults) {
+    return (
+      <div className="animate-fade-in container py-4">
+        <div className="glass-card p-4 rounded-4 mb-4">
+          <div className="d-flex align-items-center gap-2 small text-white text-opacity-75">
+            <button
+              onClick={handleBackHome}
+              className="text-white text-decoration-none d-flex align-items-center gap-1 btn btn-link p-0 border-0"
+            >
+              🏠 {t('explore.home')}
+            </button>
+            <span>→</span>
+            <span className="text-white fw-medium">🌍 {t('explore.explore')}</span>
+            <span>→</span>
+            <span className="text-white fw-bold">{searchTerm}</span>
+          </div>
+          <div className="mt-4">
+            <SmartSearchBar onSearch={handleNewSearch} placeholder={t('explore.searchAnother')} />
+          </div>
+        </div>
+
+        <DestinationResults
+          result={destinationResults}
+          onSelect={handleNewSearch}
+          onSearchAsPlace={handleRejectCorrection}
+        />
+
+        {destinationResults.results.length > 0 && (
+          <div className="glass-card p-4 rounded-4 mt-4 text-white animate-slide-up">
+            <h2 className="h5 fw-bold mb-3">🗺️ {t('explore.map.title')}</h2>
+            <WorldMap
+              pins={destinationResults.results.map((result) => ({
+                id: `${result.name}-${result.countryCode}-${result.lat}`,
+                kind: 'result',
+                ...result,
+              }))}
+              onSelect={(pin) => handleNewSearch(pin.name, pin)}
+              label={t('explore.results.mapLabel')}
+            />
+          </div>
+        )}
+      </div>
+    );
+  }
+
   // Show API key configuration warning
   if (missingKeys.length > 0) {
     return (
       <div className="text-center py-5 animate-fade-in">
         <div className="glass-card p-5 rounded-4 mx-auto" style={{ maxWidth: '600px' }}>
           <div className="display-1 mb-4">⚙️</div>
-          <h1 className="h2 fw-bold text-warning mb-4">Configuration Required</h1>
+          <h1 className="h2 fw-bold text-warning mb-4">{t('explore.config.title')}</h1>
           <div className="bg-warning bg-opacity-10 border border-warning text-warning p-4 rounded-4">
-            <p className="mb-3 fw-medium">The following API keys need to be configured:</p>
+            <p className="mb-3 fw-medium">{t('explore.config.intro')}</p>
             <ul className="list-unstyled text-start d-flex flex-column gap-2">
               {missingKeys.map((key, index) => (
                 <li key={index} className="d-flex align-items-center gap-2">
@@ -228,7 +435,7 @@ export default function Explore() {
               ))}
             </ul>
             <p className="mt-4 small bg-white bg-opacity-50 p-3 rounded-3 text-dark">
-              💡 Please check the README.md file for setup instructions.
+              💡 {t('explore.config.readme')}
             </p>
           </div>
         </div>
@@ -238,7 +445,7 @@ export default function Explore() {
 
   // Check if we have no results (both weather and photos failed or no data)
   const hasNoResults = (!weather && !weatherLoading && weatherError) && 
-                      (!photos?.results?.length && !photoLoading);
+                      (!photoList.length && !photoLoading);
 
   // Show NoResultsFound component if no data is available
   if (hasNoResults && !weatherError?.includes('HTTP 401') && !photoError?.includes('401')) {
@@ -256,10 +463,10 @@ export default function Explore() {
               onClick={handleBackHome}
               className="text-white text-decoration-none d-flex align-items-center gap-1 btn btn-link p-0 border-0"
             >
-              🏠 Home
+              🏠 {t('explore.home')}
             </button>
             <span>→</span>
-            <span className="text-white fw-medium">🌍 Explore</span>
+            <span className="text-white fw-medium">🌍 {t('explore.explore')}</span>
             <span>→</span>
             <span className="text-white fw-bold">{searchTerm}</span>
           </div>
@@ -270,20 +477,28 @@ export default function Explore() {
               onClick={handleBackHome}
               className="glass-card px-4 py-2 rounded-3 text-white text-opacity-90 hover-text-white hover-bg-opacity-10 transition-all d-flex align-items-center gap-2 small fw-medium btn border-0"
             >
-              🏠 New Search
+              🏠 {t('explore.newSearch')}
             </button>
             <button
               onClick={handleRefresh}
+              disabled={isUpdating}
               className="glass-card px-4 py-2 rounded-3 text-white text-opacity-90 hover-text-white hover-bg-opacity-10 transition-all d-flex align-items-center gap-2 small fw-medium btn border-0"
             >
-              🔄 Refresh Data
+              {isUpdating ? (
+                <>
+                  <span className="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span>
+                  {t('explore.updating')}
+                </>
+              ) : (
+                `🔄 ${t('explore.refresh')}`
+              )}
             </button>
           </div>
         </div>
         
         {/* Inline Search Bar */}
         <div className="mt-4">
-          <SmartSearchBar onSearch={handleNewSearch} placeholder="Search another destination..." />
+          <SmartSearchBar onSearch={handleNewSearch} placeholder={t('explore.searchAnother')} />
         </div>
       </div>
 
@@ -297,195 +512,338 @@ export default function Explore() {
         />
       )}
 
+      {/* Place chooser when several places share the name */}
+      {places.length > 1 && place && (
+        <div className="glass-card p-4 rounded-4 mb-4 text-white animate-slide-up">
+          <div className="fw-semibold mb-1">🧭 {t('explore.chooser.title', { name: places[0].name })}</div>
+          <div className="small text-white text-opacity-75 mb-3">{t('explore.chooser.hint')}</div>
+          <div className="d-flex flex-wrap gap-2" role="group" aria-label={t('explore.chooser.label', { name: places[0].name })}>
+            {places.map((option) => {
+              const isChosen = isSamePlace(option, place);
+              return (
+                <button
+                  key={`${option.name}-${option.countryCode}-${option.lat}`}
+                  type="button"
+                  onClick={() => handleChoosePlace(option)}
+                  aria-pressed={isChosen}
+                  className={`btn btn-sm rounded-pill px-3 fw-semibold ${isChosen ? 'btn-light' : 'btn-outline-light'}`}
+                >
+                  📍 {option.name}, {option.country}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Destination Header */}
       <div className="text-center mb-4">
         <h1 className="display-5 fw-bold mb-2" style={{ background: 'linear-gradient(to right, #9333ea, #db2777)', WebkitBackgroundClip: 'text', WebkitTextFillColor: 'transparent' }}>
           🌍 {searchTerm}
         </h1>
-        <p className="text-white text-opacity-75">Discover weather and stunning visuals</p>
+        <p className="text-white text-opacity-75">{t('explore.tagline')}</p>
+        <button
+          type="button"
+          onClick={handleToggleFavourite}
+          disabled={!weather && !photoList.length}
+          className={`btn rounded-pill px-4 py-2 fw-semibold border-0 ${
+            isSaved ? 'btn-light text-danger' : 'glass-card text-white'
+          }`}
+          aria-pressed={isSaved}
+        >
+          {isSaved ? `❤️ ${t('explore.saved')}` : `🤍 ${t('explore.save')}`}
+        </button>
       </div>
 
       {/* Data status to confirm fetched destination */}
       <div className="glass-card p-4 rounded-4 mb-4 small text-white text-opacity-75 d-flex flex-wrap gap-3 align-items-center">
         <div className="d-flex align-items-center gap-2">
           <span>📍</span>
-          <span>Search query: <strong className="text-white">{searchTerm}</strong></span>
+          <span>{t('explore.status.query')} <strong className="text-white">{searchTerm}</strong></span>
         </div>
         {effectiveSearchTerm && effectiveSearchTerm !== searchTerm && (
           <div className="d-flex align-items-center gap-2 text-white text-opacity-75">
             <span>✨</span>
-            <span>Using corrected term: <strong className="text-white">{effectiveSearchTerm}</strong></span>
+            <span>{t('explore.status.corrected')} <strong className="text-white">{effectiveSearchTerm}</strong></span>
+          </div>
+        )}
+        {place?.country && (
+          <div className="d-flex align-items-center gap-2">
+            <span>🗺️</span>
+            <span>{t('explore.status.place')} <strong className="text-white">{place.name}, {place.country}</strong></span>
           </div>
         )}
-        {weather?.name && (
+        {weather?.location.name && (
           <div className="d-flex align-items-center gap-2">
             <span>✅</span>
-            <span>Weather location: <strong className="text-white">{weather.name}</strong></span>
+            <span>{t('explore.status.weatherLocation')} <strong className="text-white">{weather.location.name}</strong></span>
           </div>
         )}
-        {photos?.results?.length >= 0 && (
+        {photoList.length > 0 && (
           <div className="d-flex align-items-center gap-2">
             <span>📸</span>
-            <span>Photos returned: <strong className="text-white">{photos.results?.length || 0}</strong></span>
+            <span>{t('explore.status.photosFound')} <strong className="text-white">{photoTotal}</strong></span>
           </div>
         )}
-        {(weather?.name && weather.name.toLowerCase() !== searchTerm.toLowerCase()) && (
+        {/* Only a bare-name lookup can land somewhere else; a known place is fetched by coordinates */}
+        {!place && weather?.location.name && weather.location.name.toLowerCase() !== searchTerm.toLowerCase() && (
           <div className="d-flex align-items-center gap-2 text-warning">
             <span>⚠️</span>
-            <span>Weather city differs from search term</span>
+            <span>{t('explore.status.cityDiffers')}</span>
           </div>
         )}
       </div>
 
-      {weatherError && (
-        <div className="glass-card bg-danger bg-opacity-25 border border-danger text-white p-4 rounded-4 mb-4 animate-slide-up">
-          <div className="d-flex align-items-center gap-2">
-            <span>⚠️</span>
-            <span>Weather data unavailable: {weatherError}</span>
-          </div>
+      {/* Section tabs and units */}
+      <div className="d-flex flex-wrap align-items-center gap-2 mb-4">
+        <div className="d-flex flex-wrap gap-2" role="tablist" aria-label={t('explore.tabs.label')}>
+          {exploreTabs.map((tab) => (
+            <button
+              key={tab.id}
+              type="button"
+              role="tab"
+              aria-selected={activeTab === tab.id}
+              onClick={() => updateView({ tab: tab.id === 'overview' ? null : tab.id })}
+              className={`btn btn-sm rounded-pill px-3 fw-semibold ${
+                activeTab === tab.id ? 'btn-light' : 'glass-card text-white border-0'
+              }`}
+            >
+              {tab.icon} {t(`explore.tabs.${tab.id}`)}
+            </button>
+          ))}
         </div>
-      )}
-
-      {weather && (
-        <div className="glass-card p-4 rounded-4 mb-4 hover-lift animate-slide-up">
-          <div className="d-flex align-items-center gap-2 mb-4">
-            <span className="fs-4">🌤️</span>
-            <h2 className="h4 fw-bold text-dark mb-0">Current Weather</h2>
+        {activeTab !== 'photos' && (
+          <div className="btn-group btn-group-sm ms-auto" role="group" aria-label={t('explore.units')}>
+            {unitSystems.map((system) => (
+              <button
+                key={system.id}
+                type="button"
+                title={t(`settings.options.units.${system.id}`)}
+                aria-pressed={units === system.id}
+                onClick={() => updateView({ units: system.id === preferences.units ? null : system.id })}
+                className={`btn fw-semibold ${units === system.id ? 'btn-light' : 'btn-outline-light'}`}
+              >
+                {system.label}
+              </button>
+            ))}
           </div>
-          
-          <div className="row row-cols-1 row-cols-md-3 g-4">
-            <div className="col text-center">
-              <div className="display-4 fw-bold text-primary mb-2">
-                {Math.round(weather.main.temp)}°C
-              </div>
-              <div className="text-capitalize text-dark fw-medium">
-                {weather.weather[0].description}
-              </div>
-            </div>
-            
-            <div className="col d-flex flex-column gap-3 justify-content-center">
-              <div className="d-flex align-items-center gap-2">
-                <span>💧</span>
-                <span className="text-dark">Humidity: <strong>{weather.main.humidity}%</strong></span>
-              </div>
+        )}
+      </div>
+
+      {activeTab !== 'photos' && (
+        <>
+          {weatherError && (
+            <div className="glass-card bg-danger bg-opacity-25 border border-danger text-white p-4 rounded-4 mb-4 animate-slide-up">
               <div className="d-flex align-items-center gap-2">
-                <span>🌪️</span>
-                <span className="text-dark">Wind: <strong>{weather.wind.speed} m/s</strong></span>
+                <span>⚠️</span>
+                <span>{t('explore.errors.weather', { error: weatherError })}</span>
               </div>
+            </div>
+          )}
+
+          {weather && <WeatherCard weather={weather} units={units} />}
+
+          {forecastError && weather && (
+            <div className="glass-card bg-warning bg-opacity-25 border border-warning text-white p-4 rounded-4 mb-4 animate-slide-up">
               <div className="d-flex align-items-center gap-2">
-                <span>🌡️</span>
-                <span className="text-dark">Feels like: <strong>{Math.round(weather.main.feels_like)}°C</strong></span>
+                <span>📅</span>
+                <span>{t('explore.errors.forecast', { error: forecastError })}</span>
               </div>
             </div>
-            
-            <div className="col">
-              <div className="p-4 rounded-4 h-100 d-flex flex-column align-items-center justify-content-center" style={{ background: 'linear-gradient(135deg, #dbeafe, #f3e8ff)' }}>
-                <div className="display-1 mb-2">
-                  {weather.weather[0].main === 'Clear' ? '☀️' : 
-                   weather.weather[0].main === 'Clouds' ? '☁️' :
-                   weather.weather[0].main === 'Rain' ? '🌧️' :
-                   weather.weather[0].main === 'Snow' ? '❄️' : '🌤️'}
-                </div>
-                <div className="text-center text-dark fw-medium">
-                  {weather.name}
+          )}
+
+          <ForecastCard days={forecastDays} units={units} />
+        </>
+      )}
+
+      {activeTab === 'overview' && nearbyPlaces.length > 0 && (
+        <div className="glass-card p-4 rounded-4 mb-4 text-white animate-slide-up">
+          <div className="d-flex align-items-baseline justify-content-between flex-wrap gap-2 mb-3">
+            <h2 className="h5 fw-bold mb-0">📍 {t('explore.nearby.title')}</h2>
+            <span className="small text-white text-opacity-75">{t('explore.nearby.subtitle', { name: favouriteName || searchTerm })}</span>
+          </div>
+          <div className="row row-cols-1 row-cols-sm-2 row-cols-lg-3 g-2">
+            {nearbyPlaces.map((nearbyPlace) => {
+              const distance = formatDistance(nearbyPlace.distanceKm, units);
+              return (
+                <div className="col" key={`${nearbyPlace.name}-${nearbyPlace.countryCode}-${nearbyPlace.lat}`}>
+                  <button
+                    type="button"
+                    onClick={() => handleNewSearch(nearbyPlace.name, nearbyPlace)}
+                    className="glass-card hover-lift w-100 px-3 py-2 rounded-3 text-start text-white border-0 btn d-flex align-items-center justify-content-between gap-2"
+                    aria-label={t('explore.nearby.open', { name: nearbyPlace.name, distance })}
+                  >
+                    <span style={{ minWidth: 0 }}>
+                      <span className="d-block fw-semibold text-truncate">{nearbyPlace.name}</span>
+                      <span className="d-block small text-white text-opacity-75 text-truncate">{nearbyPlace.country}</span>
+                    </span>
+                    <span className="badge rounded-pill bg-white bg-opacity-10 fw-medium flex-shrink-0">{distance}</span>
+                  </button>
                 </div>
-              </div>
-            </div>
+              );
+            })}
           </div>
         </div>
       )}
 
-      {photoError && (
-        <div className="glass-card bg-danger bg-opacity-25 border border-danger text-white p-4 rounded-4 mb-4 animate-slide-up">
-          <div className="d-flex align-items-center gap-2">
-            <span>📸</span>
-            <span>Photos unavailable: {photoError}</span>
-          </div>
+      {activeTab === 'overview' && mapPins.length > 0 && (
+        <div className="glass-card p-4 rounded-4 mb-4 text-white animate-slide-up">
+          <h2 className="h5 fw-bold mb-3">🗺️ {t('explore.map.title')}</h2>
+          <WorldMap
+            pins={mapPins}
+            onSelect={(pin) => handleNewSearch(pin.name, pin)}
+            label={t('explore.map.label', { name: favouriteName || searchTerm })}
+          />
         </div>
       )}
 
-      {photos && photos.results && photos.results.length > 0 && (
-        <div className="animate-slide-up">
-          <div className="d-flex align-items-center gap-2 mb-4">
-            <span className="fs-4">📸</span>
-            <h2 className="h4 fw-bold text-white mb-0">Beautiful Photos</h2>
-            <div className="ms-auto small text-white text-opacity-75">
-              {photos.results.length} photos • Click to expand
+      {activeTab !== 'weather' && (
+        <>
+          {(photoList.length > 0 || isPhotoFiltered) && (
+            <PhotoFilters
+              filters={photoFilters}
+              values={photoFilterValues}
+              onChange={handlePhotoFilterChange}
+              onReset={handlePhotoFilterReset}
+            />
+          )}
+
+          {photoError && (
+            <div className="glass-card bg-danger bg-opacity-25 border border-danger text-white p-4 rounded-4 mb-4 animate-slide-up">
+              <div className="d-flex align-items-center gap-2">
+                <span>📸</span>
+                <span>{t('explore.errors.photos', { error: photoError })}</span>
+              </div>
+              {quotaResetTime && (
+                <div className="small text-white text-opacity-75 mt-2">
+                  {t('explore.errors.quotaPaused', { time: quotaResetTime })}
+                </div>
+              )}
             </div>
-          </div>
+          )}
+
+          {photoList.length > 0 && (
+            <div className="animate-slide-up">
+              <div className="d-flex align-items-center gap-2 mb-4">
+                <span className="fs-4">📸</span>
+                <h2 className="h4 fw-bold text-white mb-0">{t('explore.photos.title')}</h2>
+                <div className="ms-auto small text-white text-opacity-75 d-flex align-items-center gap-2">
+                  {t('explore.photos.loaded', { shown: photoList.length, count: photoTotal })}
+                  {photoQuota && (
+                    <span
+                      className={`badge rounded-pill ${photoQuota.remaining <= 5 ? 'bg-warning text-dark' : 'bg-dark bg-opacity-50'}`}
+                      title={t('explore.photos.quotaTitle')}
+                    >
+                      {t('explore.photos.quota', { remaining: photoQuota.remaining, limit: photoQuota.limit })}
+                    </span>
+                  )}
+                </div>
+              </div>
           
-          {/* Horizontal photo rail */}
-          <div className="d-flex align-items-center gap-3 small text-white text-opacity-75 mb-3">
-            <button
-              type="button"
-              onClick={() => handleScrollRail(-1)}
-              className="glass-card px-3 py-1 rounded-pill hover-bg-opacity-10 transition-colors d-flex align-items-center gap-1 btn border-0 text-white"
-              aria-label="Scroll photos left"
-            >
-              ←
-            </button>
-            <span className="glass-card px-3 py-1 rounded-pill">Scroll to browse</span>
-            <button
-              type="button"
-              onClick={() => handleScrollRail(1)}
-              className="glass-card px-3 py-1 rounded-pill hover-bg-opacity-10 transition-colors d-flex align-items-center gap-1 btn border-0 text-white"
-              aria-label="Scroll photos right"
-            >
-              →
-            </button>
-          </div>
+              {/* Horizontal photo rail */}
+              <div className="d-flex align-items-center gap-3 small text-white text-opacity-75 mb-3">
+                <button
+                  type="button"
+                  onClick={() => handleScrollRail(-1)}
+                  className="glass-card px-3 py-1 rounded-pill hover-bg-opacity-10 transition-colors d-flex align-items-center gap-1 btn border-0 text-white"
+                  aria-label={t('explore.photos.scrollLeft')}
+                >
+                  ←
+                </button>
+                <span className="glass-card px-3 py-1 rounded-pill">{t('explore.photos.scrollHint')}</span>
+                <button
+                  type="button"
+                  onClick={() => handleScrollRail(1)}
+                  className="glass-card px-3 py-1 rounded-pill hover-bg-opacity-10 transition-colors d-flex align-items-center gap-1 btn border-0 text-white"
+                  aria-label={t('explore.photos.scrollRight')}
+                >
+                  →
+                </button>
+              </div>
 
-          <div
-            ref={photoRailRef}
-            className="d-flex gap-3 overflow-auto pb-3 pe-2 flex-nowrap"
-            style={{ scrollSnapType: 'x mandatory' }}
-          >
-            {photos.results.slice(0, 15).map((photo, index) => (
               <div
-                key={photo.id}
-                className="flex-shrink-0"
-                style={{ scrollSnapAlign: 'start', width: '240px' }}
+                ref={photoRailRef}
+                onScroll={handleRailScroll}
+                className="d-flex gap-3 overflow-auto pb-3 pe-2 flex-nowrap"
+                style={{ scrollSnapType: 'x mandatory' }}
               >
-                <PhotoCard
-                  photo={photo}
-                  index={index}
-                  onClick={handlePhotoClick}
-                />
+                {photoList.map((photo, index) => (
+                  <div
+                    key={photo.id}
+                    className="flex-shrink-0"
+                    style={{ scrollSnapAlign: 'start', width: '240px' }}
+                  >
+                    <PhotoCard
+                      photo={photo}
+                      index={index}
+                      onClick={handlePhotoClick}
+                    />
+                  </div>
+                ))}
+
+                {/* Next page: loads on its own as the rail nears the end, or on click */}
+                {hasMorePhotos && (
+                  <div
+                    className="flex-shrink-0 d-flex align-items-center justify-content-center"
+                    style={{ scrollSnapAlign: 'start', width: '240px' }}
+                  >
+                    <button
+                      type="button"
+                      onClick={loadMorePhotos}
+                      disabled={photosLoadingMore}
+                      className="glass-card px-4 py-3 rounded-4 btn border-0 text-white fw-medium d-flex align-items-center gap-2"
+                    >
+                      {photosLoadingMore ? (
+                        <>
+                          <span className="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span>
+                          {t('explore.photos.loading')}
+                        </>
+                      ) : (
+                        t('explore.photos.loadMore')
+                      )}
+                    </button>
+                  </div>
+                )}
               </div>
-            ))}
-          </div>
-          
-          {/* Load more hint */}
-          {photos.results.length > 15 && (
-            <div className="text-center mt-4">
-              <div className="glass-card px-4 py-2 rounded-pill d-inline-block">
-                <span className="text-white text-opacity-75 small">
-                  Showing 15 of {photos.results.length} photos
-                </span>
+
+              {photoLoadMoreError && (
+                <div className="small text-warning mt-2">
+                  {t('explore.errors.loadMore', { error: photoLoadMoreError })}
+                </div>
+              )}
+
+              <div className="text-center mt-4">
+                <div className="glass-card px-4 py-2 rounded-pill d-inline-block">
+                  <span className="text-white text-opacity-75 small">
+                    {t('explore.photos.showing', { shown: photoList.length, count: photoTotal })}
+                  </span>
+                </div>
               </div>
             </div>
           )}
-        </div>
+
+          {!photoList.length && !photoLoading && !photoError && (
+            <div className="glass-card p-5 rounded-4 text-center animate-slide-up">
+              <div className="display-4 mb-4">🔍</div>
+              <p className="text-dark fw-medium">{t('explore.photos.none', { term: searchTerm })}</p>
+              <p className="text-secondary small mt-2">
+                {isPhotoFiltered ? t('explore.photos.clearFilters') : t('explore.photos.tryAnother')}
+              </p>
+            </div>
+          )}
+        </>
       )}
 
       {/* Photo Modal */}
       <PhotoModal
         photo={selectedPhoto}
-        isOpen={isPhotoModalOpen}
+        isOpen={!!selectedPhoto}
         onClose={handlePhotoModalClose}
         onNext={handleNextPhoto}
         onPrev={handlePrevPhoto}
-        hasNext={photos?.results && photoModalIndex < photos.results.length - 1}
-        hasPrev={photoModalIndex > 0}
+        hasNext={photoIndex >= 0 && (photoIndex < photoList.length - 1 || hasMorePhotos)}
+        hasPrev={photoIndex > 0}
       />
-
-      {!photos?.results?.length && !photoLoading && !photoError && (
-        <div className="glass-card p-5 rounded-4 text-center animate-slide-up">
-          <div className="display-4 mb-4">🔍</div>
-          <p className="text-dark fw-medium">No photos found for {searchTerm}</p>
-          <p className="text-secondary small mt-2">Try searching for a different destination</p>
-        </div>
-      )}
     </div>
   );
 }
\ No newline at end of file
@@ -1,23 +1,66 @@
-import React, { useEffect, useRef, useState } from "react";
-import { useNavigate } from "react-router-dom";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import useFavourites from "../hooks/useFavourites";
+import { favouriteKey, favouritePlace, isSameFavourite } from "../context/FavouritesContext";
+import useItineraries from "../hooks/useItineraries";
+import useSearchHistory from "../hooks/useSearchHistory";
+import useDestinationMatcher from "../hooks/useDestinationMatcher";
+import PackingPlanner from "../components/PackingPlanner";
+import BudgetPlanner from "../components/BudgetPlanner";
+import WorldMap from "../components/WorldMap";
+import { exploreUrl, placeParams, updateQueryString } from "../utils/exploreUrl";
+import { compareUrl, MAX_COMPARE_PLACES } from "../utils/compareUrl";
+import useTranslation from "../hooks/useTranslation";
+import usePreferences from "../hooks/usePreferences";
+import { formatRelativeTime } from "../utils/format";
 
 /**
  * Favourites Page Component
  * Manages the user's saved destinations and trip planning tools.
  * Features:
- * - List of saved places (persisted to localStorage)
+ * - List of saved places (shared favourites store, persisted to localStorage)
+ * - Map of saved places and the last explored destination (the "view=map" URL param)
  * - Recommended destinations based on categories
  * - Trip planning tools (Budget, Itinerary, Packing List)
  */
 export default function Favourites() {
   const navigate = useNavigate();
+  const location = useLocation();
   const savedRef = useRef(null);
   const plannerRef = useRef(null);
   const recommendationsRef = useRef(null);
 
   const [activeTool, setActiveTool] = useState(null);
+  const [toolDestination, setToolDestination] = useState(null);
   const [expandedItem, setExpandedItem] = useState(null);
   const [toast, setToast] = useState(null);
+  const { favourites, isFavourite, toggleFavourite, clearFavourites } = useFavourites();
+  const { itineraries } = useItineraries();
+  const { recentSearches } = useSearchHistory();
+  const { t } = useTranslation();
+  const { preferences } = usePreferences();
+  const matcher = useDestinationMatcher();
+
+  // The bucket list shows as cards or on the map; the map view lives in the URL so it can be linked
+  const isMapView = new URLSearchParams(location.search).get('view') === 'map';
+  const setMapView = (showMap) => {
+    navigate({ search: updateQueryString(location.search, { view: showMap ? 'map' : null }) }, { replace: true });
+  };
+
+  // Map pins: favourites at their saved coordinates (older saves and ideas have none, so the
+  // largest place with the name stands in), plus the last destination explored
+  const mapPins = useMemo(() => {
+    const pins = favourites.map((f) => {
+      const point = f.coord || matcher.findPlaces(f.name, 1)[0] || {};
+      return { id: `favourite-${favouriteKey(f)}`, kind: 'favourite', name: f.name, country: f.country, lat: point.lat, lon: point.lon };
+    });
+    const current = recentSearches.find((entry) => entry.lat != null);
+    if (current && !favourites.some((f) => isSameFavourite(f, { name: current.name, country: current.countryCode }))) {
+      const { name, country, countryCode, lat, lon } = current;
+      pins.push({ id: `current-${name}`, kind: 'current', name, country, countryCode, lat, lon });
+    }
+    return pins;
+  }, [favourites, recentSearches, matcher]);
 
   // Auto-dismiss toast notifications
   useEffect(() => {
@@ -27,68 +70,58 @@ export default function Favourites() {
     }
   }, [toast]);
 
-  // Mock data for default favourites if storage is empty
-  const defaultFavourites = [
-    { name: 'Paris', emoji: '🗼', note: 'Sunset over the Seine', saved: '2 days ago' },
-    { name: 'Tokyo', emoji: '🏯', note: 'Sakura season wish-list', saved: '1 week ago' },
-    { name: 'New York', emoji: '🗽', note: 'Broadway + food crawl', saved: '2 weeks ago' },
-  ];
-
-  // Mock data for recommendations
+  // Mock data for recommendations; notes come from the catalog (favourites.ideas.notes.<id>)
   const recommendedDestinations = [
-    { name: 'Lisbon', emoji: '⛵', note: 'Coastal views & custard tarts', type: 'Scenery' },
-    { name: 'Seoul', emoji: '🛍️', note: 'Markets, cafes, neon nights', type: 'City' },
-    { name: 'Cape Town', emoji: '⛰️', note: 'Table Mountain and vineyards', type: 'Scenery' },
-    { name: 'Vancouver', emoji: '🌲', note: 'Mountains, sea, and sushi', type: 'Scenery' },
-    { name: 'Mexico City', emoji: '🌮', note: 'Food stalls, murals, and mezcal', type: 'Food' },
-    { name: 'Rome', emoji: '🍝', note: 'Pasta, piazzas, and sunset walks', type: 'Food' },
-    { name: 'Barcelona', emoji: '🎨', note: 'Gaudí lines, tapas nights, seaside rides', type: 'City' },
-    { name: 'Bali', emoji: '🏝️', note: 'Rice terraces, surf, and slow mornings', type: 'Scenery' },
-  ];
-
-  // Initialize favourites from localStorage or defaults
-  const [favourites, setFavourites] = useState(() => {
-    try {
-      const stored = localStorage.getItem('travelwise:favourites');
-      return stored ? JSON.parse(stored) : defaultFavourites;
-    } catch {
-      return defaultFavourites;
-    }
-  });
-
-  // Persist favourites to localStorage whenever they change
-  useEffect(() => {
-    try {
-      localStorage.setItem('travelwise:favourites', JSON.stringify(favourites));
-    } catch {
-      // ignore storage failures
-    }
-  }, [favourites]);
+    { id: 'lisbon', name: 'Lisbon', country: 'PT', emoji: '⛵', type: 'Scenery' },
+    { id: 'seoul', name: 'Seoul', country: 'KR', emoji: '🛍️', type: 'City' },
+    { id: 'capeTown', name: 'Cape Town', country: 'ZA', emoji: '⛰️', type: 'Scenery' },
+    { id: 'vancouver', name: 'Vancouver', country: 'CA', emoji: '🌲', type: 'Scenery' },
+    { id: 'mexicoCity', name: 'Mexico City', country: 'MX', emoji: '🌮', type: 'Food' },
+    { id: 'rome', name: 'Rome', country: 'IT', emoji: '🍝', type: 'Food' },
+    { id: 'barcelona', name: 'Barcelona', country: 'ES', emoji: '🎨', type: 'City' },
+    { id: 'bali', name: 'Bali', country: 'ID', emoji: '🏝️', type: 'Scenery' },
+  ].map((dest) => ({ ...dest, note: t(`favourites.ideas.notes.${dest.id}`) }));
 
   const handleExploreNew = () => {
     navigate('/explore');
     window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
-  const handlePlanTrip = (name) => {
-    navigate(`/explore?search=${encodeURIComponent(name)}`);
+  // Saved places keep the coordinates they were saved with, so Explore opens the same one
+  const handlePlanTrip = (name, coord = null) => {
+    navigate(exploreUrl(name, placeParams(coord)));
+  };
+
+  // A map pin opens in Explore at its coordinates, so the right namesake is shown
+  const handleMapSelect = (pin) => {
+    navigate(exploreUrl(pin.name, placeParams(pin)));
   };
 
   const handleToggleFavourite = (destination) => {
-    setFavourites((prev) => {
-      const exists = prev.find((item) => item.name === destination.name);
-      if (exists) {
-        setToast({ message: `Removed ${destination.name} from favourites`, type: 'info' });
-        return prev.filter((item) => item.name !== destination.name);
-      }
-      setToast({ message: `Saved ${destination.name} to your hub!`, type: 'success' });
-      return [...prev, { ...destination, saved: 'Just now' }];
-    });
+    const isSaved = toggleFavourite(destination);
+    setToast(isSaved
+      ? { message: t('favourites.toast.saved', { name: destination.name }), type: 'success' }
+      : { message: t('favourites.toast.removed', { name: destination.name }), type: 'info' });
   };
 
   const handleClearFavourites = () => {
-    if (window.confirm("Are you sure you want to clear your travel hub?")) {
-      setFavourites([]);
+    if (window.confirm(t('favourites.bucketList.confirmReset'))) {
+      clearFavourites();
+    }
+  };
+
+  const closeTool = () => {
+    setActiveTool(null);
+    setToolDestination(null);
+  };
+
+  // Tools with a planner component open it in the modal; others jump to Explore
+  const handleSelectToolDestination = (destination) => {
+    if (activeTool.planner) {
+      setToolDestination(destination);
+    } else {
+      closeTool();
+      handlePlanTrip(destination.name, destination.coord);
     }
   };
 
@@ -96,12 +129,21 @@ export default function Favourites() {
     ref.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
   };
 
+  // Tools with a `path` open their own page; the rest open the destination picker modal,
+  // and those with a `planner` render it for the chosen destination.
+  // Title, description and detail come from the catalog (favourites.tools.<id>).
   const planningTools = [
-    { title: 'Packing', icon: '👔', desc: 'Smart lists', detail: 'Generate weather-appropriate packing lists based on your destination\'s forecast.' },
-    { title: 'Budget', icon: '💰', desc: 'Expense tracking', detail: 'Estimate daily costs for food, transport, and accommodation.' },
-    { title: 'Lodging', icon: '🏠', desc: 'Top rated stays', detail: 'Find the best neighborhoods and rated hotels for your stay.' },
-    { title: 'Foodie', icon: '🍱', desc: 'Local eats', detail: 'Discover must-try local dishes and top-rated restaurants.' },
-  ];
+    { id: 'itinerary', icon: '🗓️', path: '/itineraries' },
+    { id: 'packing', icon: '👔', planner: PackingPlanner },
+    { id: 'budget', icon: '💰', planner: BudgetPlanner },
+    { id: 'lodging', icon: '🏠' },
+    { id: 'foodie', icon: '🍱' },
+  ].map((tool) => ({
+    ...tool,
+    title: t(`favourites.tools.${tool.id}.title`),
+    desc: t(`favourites.tools.${tool.id}.desc`),
+    detail: t(`favourites.tools.${tool.id}.detail`),
+  }));
 
   return (
     <div className="min-vh-100 bg-dark text-light pb-5">
@@ -111,10 +153,10 @@ export default function Favourites() {
         <header className="text-center py-5 mb-5 position-relative">
           <div className="mb-4">
             <h1 className="display-1 fw-bold text-white">
-              Travel<span className="text-primary">Wise</span> Hub
+              Travel<span className="text-primary">Wise</span> {t('favourites.hub')}
             </h1>
             <p className="lead text-secondary mx-auto" style={{ maxWidth: '600px' }}>
-              Your personal atlas for future adventures. Map your dreams, organize your stays, and discover the world's finest.
+              {t('favourites.intro')}
             </p>
           </div>
 
@@ -122,28 +164,31 @@ export default function Favourites() {
           <div className="d-flex justify-content-center gap-3 mb-4">
             <div className="bg-secondary bg-opacity-10 border border-secondary border-opacity-25 px-4 py-3 rounded-4 text-center">
               <span className="d-block h3 fw-bold text-white mb-0">{favourites.length}</span>
-              <small className="text-uppercase fw-bold text-primary" style={{ fontSize: '0.7rem', letterSpacing: '0.1em' }}>Destinations</small>
-            </div>
-            <div className="bg-secondary bg-opacity-10 border border-secondary border-opacity-25 px-4 py-3 rounded-4 text-center">
-              <span className="d-block h3 fw-bold text-white mb-0">0</span>
-              <small className="text-uppercase fw-bold text-info" style={{ fontSize: '0.7rem', letterSpacing: '0.1em' }}>Itineraries</small>
+              <small className="text-uppercase fw-bold text-primary" style={{ fontSize: '0.7rem', letterSpacing: '0.1em' }}>{t('favourites.stats.destinations')}</small>
             </div>
+            <button
+              onClick={() => navigate('/itineraries')}
+              className="btn bg-secondary bg-opacity-10 border border-secondary border-opacity-25 px-4 py-3 rounded-4 text-center"
+            >
+              <span className="d-block h3 fw-bold text-white mb-0">{itineraries.length}</span>
+              <small className="text-uppercase fw-bold text-info" style={{ fontSize: '0.7rem', letterSpacing: '0.1em' }}>{t('favourites.stats.itineraries')}</small>
+            </button>
           </div>
 
           {/* Navigation Pills */}
           <nav className="sticky-top py-3 d-flex justify-content-center" style={{ zIndex: 1020 }}>
              <div className="bg-dark bg-opacity-75 border border-secondary border-opacity-25 p-2 rounded-pill shadow d-flex gap-2">
                 {[
-                  { label: 'Saved', ref: savedRef, icon: '📍' },
-                  { label: 'Planning', ref: plannerRef, icon: '🗺️' },
-                  { label: 'Ideas', ref: recommendationsRef, icon: '✨' }
+                  { id: 'saved', ref: savedRef, icon: '📍' },
+                  { id: 'planning', ref: plannerRef, icon: '🗺️' },
+                  { id: 'ideas', ref: recommendationsRef, icon: '✨' }
                 ].map((item) => (
                   <button 
-                    key={item.label}
+                    key={item.id}
                     onClick={() => scrollToSection(item.ref)}
                     className="btn btn-sm btn-outline-light rounded-pill px-3 fw-bold border-0 d-flex align-items-center gap-2"
                   >
-                    <span>{item.icon}</span> {item.label}
+                    <span>{item.icon}</span> {t(`favourites.sections.${item.id}`)}
                   </button>
                 ))}
              </div>
@@ -154,45 +199,82 @@ export default function Favourites() {
         <section ref={savedRef} className="mb-5 pt-5">
           <div className="d-flex align-items-end justify-content-between border-bottom border-secondary border-opacity-25 pb-3 mb-4">
             <div>
-              <h2 className="h2 fw-bold text-white">Bucket List</h2>
-              <p className="text-secondary mb-0">Your curated collection of world wonders.</p>
+              <h2 className="h2 fw-bold text-white">{t('favourites.bucketList.title')}</h2>
+              <p className="text-secondary mb-0">{t('favourites.bucketList.subtitle')}</p>
             </div>
-            <div className="d-flex gap-2">
+            <div className="d-flex flex-wrap align-items-center justify-content-end gap-2">
+              <div className="btn-group" role="tablist" aria-label={t('favourites.views.label')}>
+                {[
+                  { id: 'list', icon: '📋', isMap: false },
+                  { id: 'map', icon: '🗺️', isMap: true },
+                ].map((view) => (
+                  <button
+                    key={view.id}
+                    type="button"
+                    role="tab"
+                    aria-selected={isMapView === view.isMap}
+                    onClick={() => setMapView(view.isMap)}
+                    className={`btn fw-bold ${isMapView === view.isMap ? 'btn-light' : 'btn-outline-light'}`}
+                  >
+                    {view.icon} {t(`favourites.views.${view.id}`)}
+                  </button>
+                ))}
+              </div>
               <button 
                 onClick={handleExploreNew}
                 className="btn btn-primary fw-bold rounded-4 px-4"
               >
-                Find more
+                {t('favourites.bucketList.findMore')}
               </button>
+              {favourites.length >= 2 && (
+                <button
+                  onClick={() => navigate(compareUrl(favourites.slice(0, MAX_COMPARE_PLACES).map(favouritePlace)))}
+                  className="btn btn-outline-light fw-bold rounded-4 px-3"
+                  title={t('favourites.bucketList.compareHint', { max: MAX_COMPARE_PLACES })}
+                >
+                  ⚖️ {t('favourites.bucketList.compare')}
+                </button>
+              )}
               {favourites.length > 0 && (
                 <button onClick={handleClearFavourites} className="btn btn-link text-secondary text-decoration-none fw-bold">
-                  Reset Hub
+                  {t('favourites.bucketList.reset')}
                 </button>
               )}
             </div>
           </div>
 
-          {favourites.length === 0 ? (
+          {isMapView ? (
+            <div className="bg-secondary bg-opacity-10 border border-secondary border-opacity-25 rounded-5 p-3 p-md-4">
+              <WorldMap pins={mapPins} onSelect={handleMapSelect} label={t('favourites.map.label')} />
+              <p className="text-secondary small mt-3 mb-0">{t('favourites.map.hint')}</p>
+            </div>
+          ) : favourites.length === 0 ? (
             <div className="bg-secondary bg-opacity-10 border border-secondary border-opacity-25 rounded-5 p-5 text-center">
               <div className="display-1 mb-3">🎒</div>
-              <h3 className="h3 fw-bold text-white">Your suitcase is empty</h3>
-              <p className="text-secondary mx-auto mb-4" style={{ maxWidth: '300px' }}>Browse the explore page to start pinning your favorite global destinations.</p>
-              <button onClick={handleExploreNew} className="btn btn-link text-primary fw-bold text-decoration-none border-bottom border-primary">Go explore now →</button>
+              <h3 className="h3 fw-bold text-white">{t('favourites.bucketList.emptyTitle')}</h3>
+              <p className="text-secondary mx-auto mb-4" style={{ maxWidth: '300px' }}>{t('favourites.bucketList.emptyText')}</p>
+              <button onClick={handleExploreNew} className="btn btn-link text-primary fw-bold text-decoration-none border-bottom border-primary">{t('favourites.bucketList.emptyCta')}</button>
             </div>
           ) : (
             <div className="row g-4">
               {favourites.map((item) => (
-                <div key={item.name} className="col-md-6 col-lg-4">
+                <div key={favouriteKey(item)} className="col-md-6 col-lg-4">
                   <div className="card bg-dark border-secondary border-opacity-25 h-100 rounded-4 overflow-hidden">
                     <div 
                       className="card-img-top bg-gradient p-5 d-flex align-items-center justify-content-center position-relative" 
                       style={{ height: '200px', background: 'linear-gradient(135deg, #6610f2, #6f42c1)', cursor: 'pointer' }}
                       onClick={() => setExpandedItem(item)}
                     >
-                      <span className="display-1 user-select-none">{item.emoji}</span>
+                      {/* Places saved from Explore carry a cover photo instead of an emoji */}
+                      {item.photo ? (
+                        <img src={item.photo} alt={item.name} className="position-absolute top-0 start-0 w-100 h-100 object-fit-cover" />
+                      ) : (
+                        <span className="display-1 user-select-none">{item.emoji}</span>
+                      )}
                       <button 
                         onClick={(e) => { e.stopPropagation(); handleToggleFavourite(item); }}
                         className="btn btn-light position-absolute top-0 end-0 m-3 rounded-circle p-2 shadow-sm text-danger"
+                        aria-label={t('favourites.bucketList.remove', { name: item.name })}
                         style={{ width: '40px', height: '40px', display: 'flex', alignItems: 'center', justifyContent: 'center' }}
                       >
                         ❤️
@@ -202,27 +284,33 @@ export default function Favourites() {
                       <div className="d-flex justify-content-between align-items-start mb-3">
                         <div>
                           <h3 className="h4 fw-bold text-white mb-1">{item.name}</h3>
-                          <p className="text-secondary small fst-italic mb-0">"{item.note || 'No notes added'}"</p>
+                          {item.country && (
+                            <p className="text-secondary small mb-1">📍 {item.country}</p>
+                          )}
+                          <p className="text-secondary small fst-italic mb-0">"{item.note || t('favourites.bucketList.noNotes')}"</p>
                         </div>
-                        <span className="badge bg-success bg-opacity-25 text-success rounded-pill px-3 py-2">
-                          {item.saved}
-                        </span>
+                        {/* Older saves stored an English label instead of a time; they go without */}
+                        {item.savedAt && (
+                          <span className="badge bg-success bg-opacity-25 text-success rounded-pill px-3 py-2">
+                            {formatRelativeTime(item.savedAt, preferences)}
+                          </span>
+                        )}
                       </div>
                       <div className="mt-auto row g-2">
                         <div className="col-6">
                           <button 
-                            onClick={() => handlePlanTrip(item.name)}
+                            onClick={() => handlePlanTrip(item.name, item.coord)}
                             className="btn btn-light w-100 fw-bold rounded-3"
                           >
-                            Plan Trip
+                            {t('favourites.bucketList.planTrip')}
                           </button>
                         </div>
                         <div className="col-6">
                           <button 
-                            onClick={() => handlePlanTrip(item.name)}
+                            onClick={() => handlePlanTrip(item.name, item.coord)}
                             className="btn btn-outline-light w-100 fw-bold rounded-3"
                           >
-                            Details
+                            {t('favourites.bucketList.details')}
                           </button>
                         </div>
                       </div>
@@ -239,12 +327,12 @@ export default function Favourites() {
           <div className="bg-primary bg-gradient rounded-5 p-5 position-relative overflow-hidden shadow-lg">
             <div className="row align-items-center g-5 position-relative" style={{ zIndex: 1 }}>
               <div className="col-lg-6">
-                <span className="text-white-50 fw-bold text-uppercase small letter-spacing-2">Strategy Suite</span>
-                <h2 className="display-4 fw-bold text-white mb-3">Master your next 1,000 miles.</h2>
-                <p className="text-white-50 lead mb-4">Use your saved gems to build instant packing lists, transit maps, and hotel shortlist comparisons.</p>
+                <span className="text-white-50 fw-bold text-uppercase small letter-spacing-2">{t('favourites.planning.eyebrow')}</span>
+                <h2 className="display-4 fw-bold text-white mb-3">{t('favourites.planning.title')}</h2>
+                <p className="text-white-50 lead mb-4">{t('favourites.planning.text')}</p>
                 <div className="d-flex flex-wrap gap-2">
                    {favourites.slice(0, 5).map(f => (
-                     <button key={f.name} onClick={() => handlePlanTrip(f.name)} className="btn btn-sm btn-outline-light rounded-pill fw-bold border-0 bg-white bg-opacity-25">
+                     <button key={favouriteKey(f)} onClick={() => handlePlanTrip(f.name, f.coord)} className="btn btn-sm btn-outline-light rounded-pill fw-bold border-0 bg-white bg-opacity-25">
                        📍 {f.name}
                      </button>
                    ))}
@@ -253,9 +341,9 @@ export default function Favourites() {
               <div className="col-lg-6">
                 <div className="row g-3">
                   {planningTools.map((tool) => (
-                    <div key={tool.title} className="col-6">
+                    <div key={tool.id} className="col-6">
                       <div 
-                        onClick={() => setActiveTool(tool)}
+                        onClick={() => (tool.path ? navigate(tool.path) : setActiveTool(tool))}
                         className="card bg-white bg-opacity-10 border-0 h-100 p-3 text-white cursor-pointer hover-overlay"
                         style={{ cursor: 'pointer' }}
                       >
@@ -276,13 +364,13 @@ export default function Favourites() {
         {/* --- RECOMMENDATIONS --- */}
         <section ref={recommendationsRef} className="mb-5 pt-5">
           <div className="text-center mb-5">
-            <h2 className="display-5 fw-bold text-white">Inspired by your Taste</h2>
-            <p className="text-secondary">Trending spots from fellow globetrotters.</p>
+            <h2 className="display-5 fw-bold text-white">{t('favourites.ideas.title')}</h2>
+            <p className="text-secondary">{t('favourites.ideas.subtitle')}</p>
           </div>
 
           <div className="row g-4">
             {recommendedDestinations.map((dest) => {
-              const isSaved = favourites.some(f => f.name === dest.name);
+              const isSaved = isFavourite(dest);
               // Bootstrap colors
               const bgClass = 
                 dest.type === 'City' ? 'bg-primary' :
@@ -304,7 +392,7 @@ export default function Favourites() {
                         <div>
                           <div className="d-flex justify-content-between align-items-center mb-1">
                             <h4 className="h5 fw-bold text-white mb-0">{dest.name}</h4>
-                            <span className="badge bg-secondary bg-opacity-25 text-secondary text-uppercase" style={{ fontSize: '0.6rem' }}>{dest.type}</span>
+                            <span className="badge bg-secondary bg-opacity-25 text-secondary text-uppercase" style={{ fontSize: '0.6rem' }}>{t(`favourites.ideas.types.${dest.type}`)}</span>
                           </div>
                           <p className="small text-secondary mb-0">{dest.note}</p>
                         </div>
@@ -317,7 +405,7 @@ export default function Favourites() {
                           : 'btn-light text-dark'
                         }`}
                       >
-                        {isSaved ? '✅ Saved' : '❤️ Save'}
+                        {isSaved ? `✅ ${t('favourites.ideas.saved')}` : `❤️ ${t('favourites.ideas.save')}`}
                       </button>
                     </div>
                   </div>
@@ -329,8 +417,8 @@ export default function Favourites() {
 
         {/* --- PLANNING MODAL --- */}
         {activeTool && (
-          <div className="modal fade show d-block" style={{ backgroundColor: 'rgba(0,0,0,0.8)' }} onClick={() => setActiveTool(null)}>
-             <div className="modal-dialog modal-dialog-centered">
+          <div className="modal fade show d-block" style={{ backgroundColor: 'rgba(0,0,0,0.8)' }} onClick={closeTool}>
+             <div className={`modal-dialog modal-dialog-centered ${toolDestination ? 'modal-lg' : ''}`}>
                <div className="modal-content bg-dark text-light border-secondary rounded-4 overflow-hidden" onClick={e => e.stopPropagation()}>
                   <div className="modal-header border-0 position-relative p-4">
                     <div className="position-absolute top-0 start-0 w-100" style={{ height: '5px', background: 'linear-gradient(to right, #6610f2, #6f42c1)' }}></div>
@@ -339,47 +427,58 @@ export default function Favourites() {
                         {activeTool.icon}
                       </div>
                       <div>
-                        <h5 className="modal-title fw-bold">{activeTool.title} Planner</h5>
+                        <h5 className="modal-title fw-bold">
+                          {t('favourites.planning.plannerTitle', { tool: activeTool.title })}{toolDestination && ` · ${toolDestination.name}`}
+                        </h5>
                         <p className="small text-secondary mb-0">{activeTool.detail}</p>
                       </div>
                     </div>
-                    <button type="button" className="btn-close btn-close-white position-absolute top-0 end-0 m-3" onClick={() => setActiveTool(null)}></button>
+                    <button type="button" className="btn-close btn-close-white position-absolute top-0 end-0 m-3" onClick={closeTool}></button>
                   </div>
                   
                   <div className="modal-body p-4 pt-0">
+                    {toolDestination ? (
+                      <activeTool.planner key={favouriteKey(toolDestination)} destination={toolDestination} />
+                    ) : (
                     <div className="bg-secondary bg-opacity-10 rounded-3 p-3 border border-secondary border-opacity-25">
-                      <h6 className="text-primary text-uppercase fw-bold small mb-3">Select Destination</h6>
+                      <h6 className="text-primary text-uppercase fw-bold small mb-3">{t('favourites.planning.selectDestination')}</h6>
                       {favourites.length > 0 ? (
-                        <div className="d-grid gap-2">
-                          {favourites.slice(0, 3).map(f => (
+                        <div className="d-grid gap-2 overflow-auto" style={{ maxHeight: '50vh' }}>
+                          {favourites.map(f => (
                             <button 
-                              key={f.name}
-                              onClick={() => {
-                                setActiveTool(null);
-                                handlePlanTrip(f.name);
-                              }}
+                              key={favouriteKey(f)}
+                              onClick={() => handleSelectToolDestination(f)}
                               className="btn btn-outline-light border-0 text-start d-flex justify-content-between align-items-center p-2 rounded-3 hover-bg-secondary"
                             >
                               <span className="fw-medium">📍 {f.name}</span>
-                              <span className="text-secondary small">Open →</span>
+                              <span className="text-secondary small">{t('favourites.planning.open')}</span>
                             </button>
                           ))}
                         </div>
                       ) : (
                         <div className="text-center py-3">
-                          <p className="text-secondary small mb-2">No saved destinations yet.</p>
-                          <button onClick={handleExploreNew} className="btn btn-link btn-sm text-primary fw-bold text-decoration-none">Find a place first</button>
+                          <p className="text-secondary small mb-2">{t('favourites.planning.noSaved')}</p>
+                          <button onClick={handleExploreNew} className="btn btn-link btn-sm text-primary fw-bold text-decoration-none">{t('favourites.planning.findFirst')}</button>
                         </div>
                       )}
                     </div>
+                    )}
                   </div>
                   
                   <div className="modal-footer border-0 p-4 pt-0">
+                    {toolDestination && (
+                      <button
+                        onClick={() => setToolDestination(null)}
+                        className="btn btn-link text-secondary text-decoration-none fw-bold me-auto"
+                      >
+                        {t('favourites.planning.changeDestination')}
+                      </button>
+                    )}
                     <button 
-                      onClick={() => setActiveTool(null)}
+                      onClick={closeTool}
                       className="btn btn-light fw-bold rounded-3 px-4"
                     >
-                      Done
+                      {t('favourites.planning.done')}
                     </button>
                   </div>
                </div>
@@ -395,12 +494,18 @@ export default function Favourites() {
                 <div className="modal-body p-0 position-relative">
                     <button type="button" className="btn-close btn-close-white position-absolute top-0 end-0 m-3 z-3" onClick={() => setExpandedItem(null)}></button>
                     <div className="d-flex align-items-center justify-content-center" style={{ height: '500px', background: 'linear-gradient(135deg, #6610f2, #6f42c1)' }}>
-                        <span className="display-1 user-select-none" style={{ fontSize: '8rem' }}>{expandedItem.emoji}</span>
+                        {expandedItem.photo ? (
+                          <img src={expandedItem.photo} alt={expandedItem.name} className="w-100 h-100 object-fit-cover" />
+                        ) : (
+                          <span className="display-1 user-select-none" style={{ fontSize: '8rem' }}>{expandedItem.emoji}</span>
+                        )}
                     </div>
                     <div className="p-4">
                         <h3 className="fw-bold">{expandedItem.name}</h3>
                         <p className="text-secondary">{expandedItem.note}</p>
-                        <span className="badge bg-secondary bg-opacity-25 text-secondary text-uppercase">{expandedItem.type || 'Destination'}</span>
+                        <span className="badge bg-secondary bg-opacity-25 text-secondary text-uppercase">
+                          {expandedItem.type ? t(`favourites.ideas.types.${expandedItem.type}`) : t('favourites.ideas.destination')}
+                        </span>
                     </div>
                 </div>
               </div>
@@ -1,5 +1,7 @@
 import SmartSearchBar from "../components/SmartSearchBar";
 import { useNavigate } from "react-router-dom";
+import { exploreUrl, placeParams } from "../utils/exploreUrl";
+import useTranslation from "../hooks/useTranslation";
 
 /**
  * Home Page Component
@@ -12,10 +14,11 @@ import { useNavigate } from "react-router-dom";
  */
 export default function Home() {
   const navigate = useNavigate();
+  const { t } = useTranslation();
 
-  // Navigate to the explore page with the search query
-  const handleSearch = (query) => {
-    navigate(`/explore?search=${query}`);
+  // Navigate to the explore page with the search query (and the picked place, if any)
+  const handleSearch = (query, place) => {
+    navigate(exploreUrl(query, placeParams(place)));
   };
 
   // Pre-defined popular destinations with styling data
@@ -34,16 +37,16 @@ export default function Home() {
       <div className="text-center py-5 animate-fade-in px-3">
         <div className="animate-float">
           <h1 className="display-3 fw-bold mb-4" style={{ background: 'linear-gradient(to right, #ffffff, #e9d5ff, #ffffff)', WebkitBackgroundClip: 'text', WebkitTextFillColor: 'transparent', lineHeight: '1.2' }}>
-            Discover Amazing
+            {t('home.heroTitle')}
             <br />
             <span style={{ background: 'linear-gradient(to right, #fde047, #fb923c)', WebkitBackgroundClip: 'text', WebkitTextFillColor: 'transparent' }}>
-              Destinations
+              {t('home.heroHighlight')}
             </span>
           </h1>
         </div>
         
         <p className="lead text-white text-opacity-75 mb-5 mx-auto animate-slide-up px-3" style={{ maxWidth: '600px' }}>
-          ✨ Explore the world with real-time weather, stunning photos, and local insights ✨
+          ✨ {t('home.tagline')} ✨
         </p>
 
         {/* Search Bar Container */}
@@ -56,7 +59,7 @@ export default function Home() {
       <div className="flex-grow-1 px-3">
         <div className="glass-card rounded-4 p-4 p-sm-5 animate-slide-up container">
           <h2 className="h2 fw-bold text-center mb-4 mb-sm-5 text-dark">
-            🌟 Popular Destinations
+            🌟 {t('home.popularTitle')}
           </h2>
           
           <div className="row row-cols-2 row-cols-sm-3 row-cols-lg-6 g-3 g-sm-4">
@@ -87,24 +90,24 @@ export default function Home() {
             <div className="col">
               <div className="glass-card p-4 rounded-4 text-center hover-lift h-100">
                 <div className="display-4 mb-3">🌤️</div>
-                <h3 className="h4 fw-bold text-dark mb-2">Real-time Weather</h3>
-                <p className="text-secondary">Get current weather conditions for any destination worldwide</p>
+                <h3 className="h4 fw-bold text-dark mb-2">{t('home.features.weatherTitle')}</h3>
+                <p className="text-secondary">{t('home.features.weatherText')}</p>
               </div>
             </div>
             
             <div className="col">
               <div className="glass-card p-4 rounded-4 text-center hover-lift h-100">
                 <div className="display-4 mb-3">📸</div>
-                <h3 className="h4 fw-bold text-dark mb-2">Stunning Photos</h3>
-                <p className="text-secondary">Browse beautiful high-quality photos from around the globe</p>
+                <h3 className="h4 fw-bold text-dark mb-2">{t('home.features.photosTitle')}</h3>
+                <p className="text-secondary">{t('home.features.photosText')}</p>
               </div>
             </div>
             
             <div className="col">
               <div className="glass-card p-4 rounded-4 text-center hover-lift h-100">
                 <div className="display-4 mb-3">💖</div>
-                <h3 className="h4 fw-bold text-dark mb-2">Save Favorites</h3>
-                <p className="text-secondary">Keep track of your dream destinations and plan future trips</p>
+                <h3 className="h4 fw-bold text-dark mb-2">{t('home.features.favouritesTitle')}</h3>
+                <p className="text-secondary">{t('home.features.favouritesText')}</p>
               </div>
             </div>
           </div>
@@ -0,0 +1,149 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import useItineraries from "../hooks/useItineraries";
+import { itineraryName } from "../context/ItinerariesContext";
+import useTranslation from "../hooks/useTranslation";
+
+/**
+ * Itineraries Page Component
+ * Lists the user's trip itineraries.
+ * Features:
+ * - Create a new itinerary and jump straight into it
+ * - Inline rename and delete
+ * - Summary of days and stops per itinerary
+ */
+export default function Itineraries() {
+  const navigate = useNavigate();
+  const { itineraries, createItinerary, renameItinerary, deleteItinerary } = useItineraries();
+  const { t } = useTranslation();
+
+  const [newName, setNewName] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState("");
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const id = createItinerary(newName.trim());
+    setNewName("");
+    navigate(`/itineraries/${id}`);
+  };
+
+  const startRename = (itinerary) => {
+    setEditingId(itinerary.id);
+    setEditingName(itinerary.name);
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (editingName.trim()) {
+      renameItinerary(editingId, editingName.trim());
+    }
+    setEditingId(null);
+  };
+
+  const handleDelete = (itinerary) => {
+    if (window.confirm(t('itineraries.confirmDelete', { name: itineraryName(t, itinerary) }))) {
+      deleteItinerary(itinerary.id);
+    }
+  };
+
+  // Count every stop across all days of an itinerary
+  const countStops = (itinerary) =>
+    itinerary.days.reduce((total, day) => total + day.stops.length, 0);
+
+  return (
+    <div className="min-vh-100 bg-dark text-light pb-5 rounded-4">
+      <div className="container pt-5">
+        <header className="d-flex flex-column flex-md-row align-items-md-end justify-content-between gap-3 border-bottom border-secondary border-opacity-25 pb-3 mb-4">
+          <div>
+            <button onClick={() => navigate('/favourites')} className="btn btn-link text-secondary text-decoration-none p-0 mb-2">
+              ← {t('itineraries.backToHub')}
+            </button>
+            <h1 className="h2 fw-bold text-white">{t('itineraries.title')}</h1>
+            <p className="text-secondary mb-0">{t('itineraries.subtitle')}</p>
+          </div>
+          <form onSubmit={handleCreate} className="d-flex gap-2">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder={t('itineraries.namePlaceholder')}
+              className="form-control bg-dark text-light border-secondary"
+              aria-label={t('itineraries.newName')}
+            />
+            <button type="submit" className="btn btn-primary fw-bold rounded-4 px-4 text-nowrap">
+              + {t('itineraries.create')}
+            </button>
+          </form>
+        </header>
+
+        {itineraries.length === 0 ? (
+          <div className="bg-secondary bg-opacity-10 border border-secondary border-opacity-25 rounded-5 p-5 text-center">
+            <div className="display-1 mb-3">🗓️</div>
+            <h2 className="h3 fw-bold text-white">{t('itineraries.emptyTitle')}</h2>
+            <p className="text-secondary mx-auto mb-0" style={{ maxWidth: '360px' }}>
+              {t('itineraries.emptyText')}
+            </p>
+          </div>
+        ) : (
+          <div className="row g-4">
+            {itineraries.map((itinerary) => (
+              <div key={itinerary.id} className="col-md-6 col-lg-4">
+                <div className="card bg-dark border-secondary border-opacity-25 h-100 rounded-4">
+                  <div className="card-body p-4 d-flex flex-column gap-3">
+                    {editingId === itinerary.id ? (
+                      <form onSubmit={handleRename} className="d-flex gap-2">
+                        <input
+                          type="text"
+                          value={editingName}
+                          onChange={(e) => setEditingName(e.target.value)}
+                          className="form-control form-control-sm bg-dark text-light border-secondary"
+                          aria-label={t('itineraries.name')}
+                          autoFocus
+                        />
+                        <button type="submit" className="btn btn-sm btn-light fw-bold">{t('itineraries.save')}</button>
+                      </form>
+                    ) : (
+                      <h2 className="h4 fw-bold text-white mb-0 text-truncate">{itineraryName(t, itinerary)}</h2>
+                    )}
+
+                    <div className="d-flex gap-2 small">
+                      <span className="badge bg-info bg-opacity-25 text-info rounded-pill px-3 py-2">
+                        {t('itineraries.days', { count: itinerary.days.length })}
+                      </span>
+                      <span className="badge bg-success bg-opacity-25 text-success rounded-pill px-3 py-2">
+                        {t('itineraries.stops', { count: countStops(itinerary) })}
+                      </span>
+                    </div>
+
+                    <div className="mt-auto d-flex gap-2">
+                      <button
+                        onClick={() => navigate(`/itineraries/${itinerary.id}`)}
+                        className="btn btn-light fw-bold rounded-3 flex-grow-1"
+                      >
+                        {t('itineraries.open')}
+                      </button>
+                      <button
+                        onClick={() => startRename(itinerary)}
+                        className="btn btn-outline-light fw-bold rounded-3"
+                      >
+                        {t('itineraries.rename')}
+                      </button>
+                      <button
+                        onClick={() => handleDelete(itinerary)}
+                        className="btn btn-outline-danger fw-bold rounded-3"
+                        aria-label={t('itineraries.delete', { name: itineraryName(t, itinerary) })}
+                      >
+                        🗑️
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
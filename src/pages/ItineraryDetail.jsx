@@ -0,0 +1,224 @@
+import { useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import useItineraries from "../hooks/useItineraries";
+import { itineraryName } from "../context/ItinerariesContext";
+import useFavourites from "../hooks/useFavourites";
+import { favouriteKey, favouritePlace } from "../context/FavouritesContext";
+import useTranslation from "../hooks/useTranslation";
+import { exploreUrl, placeParams } from "../utils/exploreUrl";
+
+/**
+ * Itinerary Detail Page Component
+ * Edits a single itinerary addressed by /itineraries/:id.
+ * Features:
+ * - Rename and delete the itinerary
+ * - Add and remove days
+ * - Add stops from saved favourites and reorder them within a day
+ */
+export default function ItineraryDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const {
+    getItinerary,
+    renameItinerary,
+    deleteItinerary,
+    addDay,
+    removeDay,
+    addStop,
+    removeStop,
+    moveStop,
+  } = useItineraries();
+  const { favourites } = useFavourites();
+  const { t } = useTranslation();
+
+  const itinerary = getItinerary(id);
+
+  const [isEditingName, setIsEditingName] = useState(false);
+  const [editingName, setEditingName] = useState("");
+
+  if (!itinerary) {
+    return (
+      <div className="text-center py-5 animate-fade-in">
+        <div className="glass-card p-5 rounded-4 mx-auto" style={{ maxWidth: '600px' }}>
+          <div className="display-1 mb-4">🧭</div>
+          <h1 className="h2 fw-bold text-white mb-3">{t('itineraries.detail.notFoundTitle')}</h1>
+          <p className="text-white text-opacity-75 mb-4">{t('itineraries.detail.notFoundText')}</p>
+          <button onClick={() => navigate('/itineraries')} className="btn btn-light fw-bold rounded-3 px-4">
+            {t('itineraries.detail.viewAll')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const startRename = () => {
+    setEditingName(itinerary.name);
+    setIsEditingName(true);
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (editingName.trim()) {
+      renameItinerary(itinerary.id, editingName.trim());
+    }
+    setIsEditingName(false);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(t('itineraries.confirmDelete', { name: itineraryName(t, itinerary) }))) {
+      deleteItinerary(itinerary.id);
+      navigate('/itineraries');
+    }
+  };
+
+  const handleRemoveDay = (day, index) => {
+    if (day.stops.length === 0 || window.confirm(t('itineraries.detail.confirmRemoveDay', { day: index + 1, count: day.stops.length }))) {
+      removeDay(itinerary.id, day.id);
+    }
+  };
+
+  // The <select> holds the favourite's key (name and country); look up the full record to store as a stop
+  const handleAddStop = (dayId, key) => {
+    const destination = favourites.find((item) => favouriteKey(item) === key);
+    if (destination) addStop(itinerary.id, dayId, destination);
+  };
+
+  return (
+    <div className="min-vh-100 bg-dark text-light pb-5 rounded-4">
+      <div className="container pt-5">
+        {/* --- HEADER --- */}
+        <header className="border-bottom border-secondary border-opacity-25 pb-3 mb-4">
+          <button onClick={() => navigate('/itineraries')} className="btn btn-link text-secondary text-decoration-none p-0 mb-2">
+            ← {t('itineraries.detail.allItineraries')}
+          </button>
+          <div className="d-flex flex-column flex-md-row align-items-md-center justify-content-between gap-3">
+            {isEditingName ? (
+              <form onSubmit={handleRename} className="d-flex gap-2 flex-grow-1" style={{ maxWidth: '480px' }}>
+                <input
+                  type="text"
+                  value={editingName}
+                  onChange={(e) => setEditingName(e.target.value)}
+                  className="form-control bg-dark text-light border-secondary"
+                  aria-label={t('itineraries.name')}
+                  autoFocus
+                />
+                <button type="submit" className="btn btn-light fw-bold">{t('itineraries.save')}</button>
+              </form>
+            ) : (
+              <h1 className="h2 fw-bold text-white mb-0">{itineraryName(t, itinerary)}</h1>
+            )}
+            <div className="d-flex gap-2">
+              {!isEditingName && (
+                <button onClick={startRename} className="btn btn-outline-light fw-bold rounded-3">
+                  {t('itineraries.rename')}
+                </button>
+              )}
+              <button onClick={handleDelete} className="btn btn-outline-danger fw-bold rounded-3">
+                {t('itineraries.detail.deleteTrip')}
+              </button>
+            </div>
+          </div>
+        </header>
+
+        {/* --- DAYS --- */}
+        <div className="d-flex flex-column gap-4">
+          {itinerary.days.map((day, dayIndex) => (
+            <section key={day.id} className="card bg-dark border-secondary border-opacity-25 rounded-4">
+              <div className="card-body p-4">
+                <div className="d-flex align-items-center justify-content-between mb-3">
+                  <h2 className="h5 fw-bold text-white mb-0">
+                    <span className="text-info">{t('itineraries.detail.day', { day: dayIndex + 1 })}</span>
+                    <span className="text-secondary small fw-normal ms-2">
+                      {t('itineraries.stops', { count: day.stops.length })}
+                    </span>
+                  </h2>
+                  <button
+                    onClick={() => handleRemoveDay(day, dayIndex)}
+                    className="btn btn-sm btn-link text-secondary text-decoration-none"
+                  >
+                    {t('itineraries.detail.removeDay')}
+                  </button>
+                </div>
+
+                {day.stops.length === 0 ? (
+                  <p className="text-secondary small fst-italic">{t('itineraries.detail.noStops')}</p>
+                ) : (
+                  <ol className="list-unstyled d-flex flex-column gap-2 mb-3">
+                    {day.stops.map((stop, stopIndex) => (
+                      <li
+                        key={stop.id}
+                        className="d-flex align-items-center gap-3 bg-secondary bg-opacity-10 border border-secondary border-opacity-25 rounded-3 px-3 py-2"
+                      >
+                        <span className="text-secondary small fw-bold" style={{ width: '1.5rem' }}>{stopIndex + 1}.</span>
+                        <span className="fs-5">{stop.emoji}</span>
+                        <div className="flex-grow-1 overflow-hidden">
+                          <button
+                            onClick={() => navigate(exploreUrl(stop.name, placeParams(favouritePlace(stop))))}
+                            className="btn btn-link p-0 text-white fw-semibold text-decoration-none text-truncate"
+                          >
+                            {stop.name}
+                          </button>
+                          {stop.country && <div className="small text-secondary">{stop.country}</div>}
+                        </div>
+                        <div className="btn-group btn-group-sm">
+                          <button
+                            onClick={() => moveStop(itinerary.id, day.id, stop.id, -1)}
+                            disabled={stopIndex === 0}
+                            className="btn btn-outline-light"
+                            aria-label={t('itineraries.detail.moveUp', { name: stop.name })}
+                          >
+                            ↑
+                          </button>
+                          <button
+                            onClick={() => moveStop(itinerary.id, day.id, stop.id, 1)}
+                            disabled={stopIndex === day.stops.length - 1}
+                            className="btn btn-outline-light"
+                            aria-label={t('itineraries.detail.moveDown', { name: stop.name })}
+                          >
+                            ↓
+                          </button>
+                          <button
+                            onClick={() => removeStop(itinerary.id, day.id, stop.id)}
+                            className="btn btn-outline-danger"
+                            aria-label={t('itineraries.detail.removeStop', { name: stop.name })}
+                          >
+                            ✕
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+
+                {favourites.length > 0 ? (
+                  <select
+                    value=""
+                    onChange={(e) => handleAddStop(day.id, e.target.value)}
+                    className="form-select form-select-sm bg-dark text-light border-secondary"
+                    style={{ maxWidth: '320px' }}
+                    aria-label={t('itineraries.detail.addStopLabel', { day: dayIndex + 1 })}
+                  >
+                    <option value="" disabled>+ {t('itineraries.detail.addStop')}</option>
+                    {favourites.map((item) => (
+                      <option key={favouriteKey(item)} value={favouriteKey(item)}>
+                        {item.country ? `${item.name}, ${item.country}` : item.name}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <button onClick={() => navigate('/explore')} className="btn btn-link btn-sm text-primary fw-bold text-decoration-none p-0">
+                    {t('itineraries.detail.saveFirst')} →
+                  </button>
+                )}
+              </div>
+            </section>
+          ))}
+        </div>
+
+        <button onClick={() => addDay(itinerary.id)} className="btn btn-primary fw-bold rounded-4 px-4 mt-4">
+          + {t('itineraries.detail.addDay')}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import usePreferences from "../hooks/usePreferences";
+import useTranslation from "../hooks/useTranslation";
+import { preferenceOptions } from "../context/PreferencesContext";
+import { formatTemperature, formatSpeed } from "../utils/units";
+import { formatDate, formatTime } from "../utils/format";
+
+// Settings page sections, in display order. Date patterns and language names read the same
+// in every language; the other options have translated labels (settings.options.*).
+const preferenceSections = [
+  { id: 'units', translateOptions: true },
+  { id: 'timeFormat', translateOptions: true },
+  { id: 'dateFormat' },
+  { id: 'language' },
+];
+
+// Fixed sample values so the preview does not change between renders
+const SAMPLE_DATE = new Date(2024, 4, 1, 18, 30);
+
+/**
+ * Settings Page Component
+ * Lets the user choose units, time and date formats and language.
+ * Choices are saved in localStorage by PreferencesProvider and apply across the app.
+ */
+export default function Settings() {
+  const { preferences, setPreference, resetPreferences } = usePreferences();
+  const { t } = useTranslation();
+
+  return (
+    <div className="min-vh-100 bg-dark text-light pb-5 rounded-4">
+      <div className="container pt-5">
+        <header className="d-flex flex-column flex-md-row align-items-md-end justify-content-between gap-3 border-bottom border-secondary border-opacity-25 pb-3 mb-4">
+          <div>
+            <h1 className="h2 fw-bold text-white">{t('settings.title')}</h1>
+            <p className="text-secondary mb-0">{t('settings.subtitle')}</p>
+          </div>
+          <button type="button" onClick={resetPreferences} className="btn btn-outline-light fw-bold rounded-4 px-4 text-nowrap">
+            {t('settings.reset')}
+          </button>
+        </header>
+
+        <div className="d-flex flex-column gap-3">
+          {preferenceSections.map((section) => (
+            <fieldset key={section.id} className="bg-secondary bg-opacity-10 border border-secondary border-opacity-25 rounded-4 p-4">
+              <legend className="h5 fw-bold text-white float-none w-auto mb-1">{t(`settings.sections.${section.id}.title`)}</legend>
+              <p className="small text-secondary mb-3">{t(`settings.sections.${section.id}.description`)}</p>
+              <div className="d-flex flex-wrap gap-2">
+                {preferenceOptions[section.id].map((option) => (
+                  <button
+                    key={option.id}
+                    type="button"
+                    aria-pressed={preferences[section.id] === option.id}
+                    onClick={() => setPreference(section.id, option.id)}
+                    className={`btn btn-sm rounded-pill fw-bold ${
+                      preferences[section.id] === option.id ? 'btn-primary' : 'btn-outline-light'
+                    }`}
+                  >
+                    {section.translateOptions ? t(`settings.options.${section.id}.${option.id}`) : option.label}
+                  </button>
+                ))}
+              </div>
+            </fieldset>
+          ))}
+        </div>
+
+        {/* Live preview of the current choices */}
+        <div className="small text-secondary mt-4">
+          {t('settings.preview')} 🌡️ {formatTemperature(21, preferences.units)} • 🌪️ {formatSpeed(3.6, preferences.units)} •
+          🕒 {formatTime(SAMPLE_DATE, preferences)} • 📅 {formatDate(SAMPLE_DATE, preferences)}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+// Unsplash photo provider
+// Search: /search/photos, single photo: /photos/:id
+
+import { isMockMode } from "../../mocks/config";
+
+const API_BASE = "https://api.unsplash.com";
+const ACCESS_KEY = import.meta.env.VITE_UNSPLASH_KEY;
+
+// The mock backend needs no key
+const hasKey = () => isMockMode() || (!!ACCESS_KEY && ACCESS_KEY !== "your_unsplash_access_key_here");
+
+// Map an Unsplash photo object to the app's Photo shape
+export function normalizeUnsplashPhoto(photo) {
+  return {
+    id: photo.id,
+    description: photo.description || "",
+    alt: photo.alt_description || "",
+    urls: {
+      small: photo.urls?.small,
+      regular: photo.urls?.regular,
+      full: photo.urls?.full || photo.urls?.regular,
+    },
+    width: photo.width,
+    height: photo.height,
+    likes: photo.likes || 0,
+    author: {
+      name: photo.user?.name || "Unknown",
+      url: photo.user?.links?.html || "",
+    },
+    downloadUrl: photo.links?.download || photo.urls?.full,
+  };
+}
+
+// Search filters Unsplash understands, in toolbar order. The first option of each is the default.
+// Labels are i18n message keys; PhotoFilters translates them.
+const searchFilters = [
+  {
+    id: "orientation",
+    label: "photos.filters.orientation.label",
+    options: [
+      { value: "", label: "photos.filters.orientation.any" },
+      { value: "landscape", label: "photos.filters.orientation.landscape" },
+      { value: "portrait", label: "photos.filters.orientation.portrait" },
+      { value: "squarish", label: "photos.filters.orientation.squarish" },
+    ],
+  },
+  {
+    id: "color",
+    label: "photos.filters.color.label",
+    options: [
+      { value: "", label: "photos.filters.color.any", swatch: null },
+      { value: "black_and_white", label: "photos.filters.color.black_and_white", swatch: "linear-gradient(135deg, #000 50%, #fff 50%)" },
+      { value: "black", label: "photos.filters.color.black", swatch: "#111" },
+      { value: "white", label: "photos.filters.color.white", swatch: "#f8f9fa" },
+      { value: "yellow", label: "photos.filters.color.yellow", swatch: "#ffd43b" },
+      { value: "orange", label: "photos.filters.color.orange", swatch: "#fd7e14" },
+      { value: "red", label: "photos.filters.color.red", swatch: "#e03131" },
+      { value: "purple", label: "photos.filters.color.purple", swatch: "#7048e8" },
+      { value: "magenta", label: "photos.filters.color.magenta", swatch: "#d6336c" },
+      { value: "green", label: "photos.filters.color.green", swatch: "#2f9e44" },
+      { value: "teal", label: "photos.filters.color.teal", swatch: "#0ca678" },
+      { value: "blue", label: "photos.filters.color.blue", swatch: "#1c7ed6" },
+    ],
+  },
+  {
+    id: "orderBy",
+    label: "photos.filters.orderBy.label",
+    options: [
+      { value: "", label: "photos.filters.orderBy.relevance" },
+      { value: "latest", label: "photos.filters.orderBy.latest" },
+    ],
+  },
+];
+
+/** @type {import("../types").PhotoProvider} */
+const unsplash = {
+  id: "unsplash",
+  name: "Unsplash",
+  // Demo apps get 50 requests per hour; the limit header corrects this for production keys
+  rateLimit: { host: "api.unsplash.com", limit: 50, windowMs: 60 * 60 * 1000 },
+
+  getMissingConfig: () => (hasKey() ? [] : ["Unsplash API key"]),
+
+  searchFilters,
+
+  getSearchRequest: (query, { perPage = 12, page = 1, orientation, color, orderBy } = {}) => {
+    if (!query || !hasKey()) return null;
+    const params = new URLSearchParams({ query, client_id: ACCESS_KEY || "", per_page: perPage, page });
+    if (orientation) params.set("orientation", orientation);
+    if (color) params.set("color", color);
+    if (orderBy) params.set("order_by", orderBy);
+    return { url: `${API_BASE}/search/photos?${params}` };
+  },
+
+  getPhotoRequest: (id) => {
+    if (!id || !hasKey()) return null;
+    return { url: `${API_BASE}/photos/${encodeURIComponent(id)}?client_id=${encodeURIComponent(ACCESS_KEY || "")}` };
+  },
+
+  parsePhoto: normalizeUnsplashPhoto,
+
+  parseSearch: (json) => ({
+    photos: (json.results || []).map(normalizeUnsplashPhoto),
+    total: json.total || 0,
+    totalPages: json.total_pages || 0,
+  }),
+};
+
+export default unsplash;
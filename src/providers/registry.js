@@ -0,0 +1,44 @@
+// Data-provider registry
+// Pages ask the registry for "the weather provider" or "the photo provider"
+// instead of talking to a specific API. Swapping in another service (Open-Meteo,
+// Pexels, a local mock) means registering it here and selecting it with
+// VITE_WEATHER_PROVIDER / VITE_PHOTO_PROVIDER.
+import openWeatherMap from "./weather/openWeatherMap";
+import unsplash from "./photos/unsplash";
+import { setRateLimit } from "../utils/rateLimiter";
+
+const weatherProviders = new Map();
+const photoProviders = new Map();
+
+// Providers may declare a request budget for their API host
+export function registerWeatherProvider(provider) {
+  weatherProviders.set(provider.id, provider);
+  if (provider.rateLimit) setRateLimit(provider.rateLimit);
+}
+
+export function registerPhotoProvider(provider) {
+  photoProviders.set(provider.id, provider);
+  if (provider.rateLimit) setRateLimit(provider.rateLimit);
+}
+
+// Built-in providers
+registerWeatherProvider(openWeatherMap);
+registerPhotoProvider(unsplash);
+
+const DEFAULT_WEATHER_PROVIDER = "openweathermap";
+const DEFAULT_PHOTO_PROVIDER = "unsplash";
+
+/** @returns {import("./types").WeatherProvider} */
+export function getWeatherProvider(id = import.meta.env.VITE_WEATHER_PROVIDER) {
+  return weatherProviders.get(id) || weatherProviders.get(DEFAULT_WEATHER_PROVIDER);
+}
+
+/** @returns {import("./types").PhotoProvider} */
+export function getPhotoProvider(id = import.meta.env.VITE_PHOTO_PROVIDER) {
+  return photoProviders.get(id) || photoProviders.get(DEFAULT_PHOTO_PROVIDER);
+}
+
+// Collect configuration problems from every active provider (e.g. missing API keys)
+export function getMissingProviderConfig() {
+  return [...getWeatherProvider().getMissingConfig(), ...getPhotoProvider().getMissingConfig()];
+}
@@ -0,0 +1,122 @@
+// Shared shapes for the data-provider layer
+// Providers translate a third-party API into these normalized domain objects,
+// so pages and components never read raw response fields.
+
+/**
+ * A request descriptor handed to useFetch.
+ * @typedef {object} ProviderRequest
+ * @property {string} url - Fully built request URL
+ * @property {object} [options] - Extra fetch options (headers, etc.)
+ */
+
+/**
+ * @typedef {object} Place
+ * @property {string} name - Resolved place name
+ * @property {string} country - ISO country code (may be empty)
+ * @property {number|null} lat
+ * @property {number|null} lon
+ */
+
+/**
+ * Where to get weather for: a place name ("Paris"), or a place with a country code and/or
+ * coordinates to tell same-named places apart (Paris, FR vs Paris, US).
+ * Coordinates win when present.
+ * @typedef {string|{ name: string, country?: string, lat?: number|null, lon?: number|null }} WeatherLocation
+ */
+
+/**
+ * Options for weather requests.
+ * @typedef {object} WeatherRequestOptions
+ * @property {"metric"|"imperial"} [units] - °C and m/s, or °F and mph (default metric)
+ * @property {string} [lang] - Language code for descriptions (default "en")
+ */
+
+/**
+ * Current conditions, in the unit system that was requested
+ * (°C and m/s for metric, °F and mph for imperial; see `units`).
+ * `condition` is one of: Clear, Clouds, Rain, Drizzle, Thunderstorm, Snow, Mist.
+ * @typedef {object} CurrentWeather
+ * @property {Place} location
+ * @property {number} temperature
+ * @property {number} feelsLike
+ * @property {number} tempMin
+ * @property {number} tempMax
+ * @property {number} humidity - Percent
+ * @property {number} windSpeed
+ * @property {string} condition
+ * @property {string} description
+ * @property {"metric"|"imperial"} units - Added by useCurrentWeather
+ */
+
+/**
+ * One day of forecast, in the unit system that was requested.
+ * @typedef {object} ForecastDay
+ * @property {string} date - Local date, "YYYY-MM-DD"
+ * @property {number} min
+ * @property {number} max
+ * @property {number} pop - Highest chance of precipitation that day (0-1)
+ * @property {string|null} condition
+ * @property {string} description
+ * @property {"metric"|"imperial"} units - Added by useForecast
+ */
+
+/**
+ * @typedef {object} Photo
+ * @property {string} id
+ * @property {string} description
+ * @property {string} alt
+ * @property {{ small: string, regular: string, full: string }} urls
+ * @property {number} width
+ * @property {number} height
+ * @property {number} likes
+ * @property {{ name: string, url: string }} author
+ * @property {string} downloadUrl
+ */
+
+/**
+ * @typedef {object} PhotoPage
+ * @property {Photo[]} photos
+ * @property {number} total - Total matching photos
+ * @property {number} totalPages
+ */
+
+/**
+ * @typedef {object} RateLimit
+ * @property {string} host - API hostname the quota applies to
+ * @property {number} limit - Requests allowed per window
+ * @property {number} windowMs - Window length in milliseconds
+ */
+
+/**
+ * @typedef {object} SearchFilter
+ * @property {string} id - Search param name passed to getSearchRequest (e.g. "orientation")
+ * @property {string} label - Message key in the i18n catalogs, like the option labels
+ * @property {{ value: string, label: string, swatch?: string|null }[]} options - First option is the default
+ */
+
+/**
+ * @typedef {object} WeatherProvider
+ * @property {string} id
+ * @property {string} name - Display name
+ * @property {RateLimit} [rateLimit] - Client-side request budget (see utils/rateLimiter.js)
+ * @property {() => string[]} getMissingConfig - Human-readable list of missing settings
+ * @property {(location: WeatherLocation, options?: WeatherRequestOptions) => ProviderRequest|null} getCurrentRequest
+ * @property {(json: object) => CurrentWeather} parseCurrent
+ * @property {(location: WeatherLocation, options?: WeatherRequestOptions) => ProviderRequest|null} getForecastRequest
+ * @property {(json: object) => ForecastDay[]} parseForecast
+ */
+
+/**
+ * @typedef {object} PhotoProvider
+ * @property {string} id
+ * @property {string} name - Display name
+ * @property {RateLimit} [rateLimit] - Client-side request budget (see utils/rateLimiter.js)
+ * @property {() => string[]} getMissingConfig - Human-readable list of missing settings
+ * @property {SearchFilter[]} [searchFilters] - Filters the search supports, rendered by PhotoFilters
+ * @property {(query: string, params?: { perPage?: number, page?: number, [filter: string]: any }) => ProviderRequest|null} getSearchRequest
+ * @property {(json: object) => PhotoPage} parseSearch
+ * @property {(id: string) => ProviderRequest|null} getPhotoRequest - A single photo, for deep links
+ * @property {(json: object) => Photo} parsePhoto
+ */
+
+export {};
@@ -0,0 +1,104 @@
+// OpenWeatherMap weather provider
+// Current weather: /data/2.5/weather, forecast: /data/2.5/forecast (5 day / 3 hour)
+
+import { isMockMode } from "../../mocks/config";
+
+const API_BASE = "https://api.openweathermap.org/data/2.5";
+const API_KEY = import.meta.env.VITE_OPENWEATHER_KEY;
+
+// The mock backend needs no key
+const hasKey = () => isMockMode() || (!!API_KEY && API_KEY !== "your_openweathermap_api_key_here");
+
+// Fold OpenWeatherMap's atmosphere groups (Mist, Fog, Haze, ...) into "Mist"
+const atmosphereGroups = ["Mist", "Smoke", "Haze", "Dust", "Fog", "Sand", "Ash", "Squall", "Tornado"];
+const normalizeCondition = (main) => (atmosphereGroups.includes(main) ? "Mist" : main || null);
+
+// Where to ask about: coordinates when known (no ambiguity at all), else "name,CC", else the bare name
+function locationParams(location) {
+  if (typeof location === "string") return location ? { q: location } : null;
+  if (location?.lat != null && location?.lon != null) return { lat: location.lat, lon: location.lon };
+  if (!location?.name) return null;
+  return { q: location.country ? `${location.name},${location.country}` : location.name };
+}
+
+// `units` picks °C + m/s (metric) or °F + mph (imperial); `lang` translates the descriptions
+function buildRequest(endpoint, location, { units = "metric", lang = "en" } = {}) {
+  const where = locationParams(location);
+  if (!where || !hasKey()) return null;
+  const params = new URLSearchParams({ ...where, appid: API_KEY || "", units, lang });
+  return { url: `${API_BASE}/${endpoint}?${params}` };
+}
+
+// Pick the condition that appears most often in a list of 3-hour slots
+function dominantCondition(slots) {
+  const counts = {};
+  for (const slot of slots) {
+    const main = normalizeCondition(slot.weather?.[0]?.main);
+    if (main) counts[main] = (counts[main] || 0) + 1;
+  }
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+}
+
+/** @type {import("../types").WeatherProvider} */
+const openWeatherMap = {
+  id: "openweathermap",
+  name: "OpenWeatherMap",
+  // Free plan: 60 calls per minute
+  rateLimit: { host: "api.openweathermap.org", limit: 60, windowMs: 60 * 1000 },
+
+  getMissingConfig: () => (hasKey() ? [] : ["OpenWeatherMap API key"]),
+
+  getCurrentRequest: (location, options) => buildRequest("weather", location, options),
+
+  parseCurrent: (json) => ({
+    location: {
+      name: json.name,
+      country: json.sys?.country || "",
+      lat: json.coord?.lat ?? null,
+      lon: json.coord?.lon ?? null,
+    },
+    temperature: json.main.temp,
+    feelsLike: json.main.feels_like,
+    tempMin: json.main.temp_min ?? json.main.temp,
+    tempMax: json.main.temp_max ?? json.main.temp,
+    humidity: json.main.humidity,
+    windSpeed: json.wind?.speed ?? 0,
+    condition: normalizeCondition(json.weather?.[0]?.main),
+    description: json.weather?.[0]?.description || "",
+  }),
+
+  getForecastRequest: (location, options) => buildRequest("forecast", location, options),
+
+  // Collapse the 3-hour slots into one summary per local calendar day
+  parseForecast: (json, maxDays = 5) => {
+    if (!json?.list?.length) return [];
+
+    // Shift timestamps by the city's UTC offset so days split at local midnight
+    const offset = (json.city?.timezone || 0) * 1000;
+    const days = new Map();
+
+    for (const slot of json.list) {
+      const dayKey = new Date(slot.dt * 1000 + offset).toISOString().slice(0, 10);
+      if (!days.has(dayKey)) days.set(dayKey, []);
+      days.get(dayKey).push(slot);
+    }
+
+    return Array.from(days.entries())
+      .slice(0, maxDays)
+      .map(([date, slots]) => {
+        const condition = dominantCondition(slots);
+        const representative =
+          slots.find((slot) => normalizeCondition(slot.weather?.[0]?.main) === condition) || slots[0];
+        return {
+          date,
+          min: Math.min(...slots.map((slot) => slot.main.temp_min)),
+          max: Math.max(...slots.map((slot) => slot.main.temp_max)),
+          pop: Math.max(...slots.map((slot) => slot.pop || 0)),
+          condition,
+          description: representative.weather?.[0]?.description || "",
+        };
+      });
+  },
+};
+
+export default openWeatherMap;
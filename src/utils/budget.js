@@ -0,0 +1,84 @@
+// Trip budget calculations
+// Combines the bundled cost-of-living estimates with user-entered line items
+// and converts everything into the traveller's chosen currency.
+import { budgetCategories, budgetTiers, costOfLiving, defaultCosts } from "../data/costOfLiving";
+
+// Estimated categories come from the table; "other" is only fed by line items
+const estimatedCategories = ['accommodation', 'food', 'transport', 'activities'];
+
+// Convert an amount between two currencies using a USD-based rate table
+export function convertCurrency(amount, from, to, rates) {
+  if (from === to) return amount;
+  const fromRate = rates[from];
+  const toRate = rates[to];
+  if (!fromRate || !toRate) return amount;
+  return (amount / fromRate) * toRate;
+}
+
+export function getCostProfile(destinationName) {
+  return costOfLiving[destinationName] || null;
+}
+
+/**
+ * Estimate a trip budget.
+ *
+ * @param {object} input
+ * @param {string} input.destination - Destination name (key into the cost table)
+ * @param {number} input.days - Trip length in days
+ * @param {number} input.travellers - Number of travellers
+ * @param {string} input.tier - 'budget' | 'mid' | 'luxury'
+ * @param {Array} input.lineItems - [{ label, category, amount, currency, per: 'day' | 'trip' }]
+ * @param {string} input.currency - Currency to report totals in
+ * @param {object} input.rates - Units of each currency per 1 USD
+ * @returns {object} - { perDay, total, categories: [{ id, icon, perDay, total }], isEstimated }
+ */
+export function estimateBudget({ destination, days, travellers = 1, tier = 'mid', lineItems = [], currency, rates }) {
+  const tripDays = Math.max(1, days);
+  const people = Math.max(1, travellers);
+  const profile = getCostProfile(destination);
+  const costs = profile || defaultCosts;
+  const multipliers = budgetTiers[tier] || budgetTiers.mid;
+
+  const totals = Object.fromEntries(budgetCategories.map((category) => [category.id, 0]));
+
+  // Table estimates are per person per day in USD
+  for (const id of estimatedCategories) {
+    const dailyUsd = costs[id] * multipliers[id] * people;
+    totals[id] += convertCurrency(dailyUsd, 'USD', currency, rates) * tripDays;
+  }
+
+  // User line items are either daily or one-off, in any currency
+  for (const item of lineItems) {
+    const amount = Number(item.amount) || 0;
+    const converted = convertCurrency(amount, item.currency, currency, rates);
+    const category = totals[item.category] !== undefined ? item.category : 'other';
+    totals[category] += item.per === 'day' ? converted * tripDays : converted;
+  }
+
+  const categories = budgetCategories.map((category) => ({
+    ...category,
+    total: totals[category.id],
+    perDay: totals[category.id] / tripDays,
+  }));
+  const total = categories.reduce((sum, category) => sum + category.total, 0);
+
+  return {
+    perDay: total / tripDays,
+    total,
+    categories,
+    isEstimated: !profile,
+  };
+}
+
+// Format a money amount for display (e.g. "€1,234" or "¥150,000")
+export function formatMoney(amount, currency) {
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: 'currency',
+      currency,
+      maximumFractionDigits: amount >= 100 ? 0 : 2,
+    }).format(amount);
+  } catch {
+    return `${Math.round(amount)} ${currency}`;
+  }
+}
@@ -0,0 +1,192 @@
+// Size-bounded LRU cache on top of a pluggable storage backend
+// The cache keeps a small in-memory index (key -> size) in least- to most-recently-used
+// order; the backend holds the entries themselves. Backends share one async interface:
+// { name, get(key), set(key, entry), delete(key), entries(), clear() }.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Browsers report a full storage quota with different error names
+const isQuotaError = (err) =>
+  err?.name === "QuotaExceededError" || err?.name === "NS_ERROR_DOM_QUOTA_REACHED" || err?.code === 22;
+
+/**
+ * Create an LRU cache.
+ *
+ * @param {object} config
+ * @param {object} config.backend - Storage backend (memory, localStorage or IndexedDB)
+ * @param {number} config.maxEntries - Evict least recently used entries above this count
+ * @param {number} config.maxBytes - Evict least recently used entries above this size (JSON length)
+ * @param {number} config.maxAge - Drop entries older than this when the cache is loaded
+ * @returns {object} - { get, set, delete, invalidatePrefix, clear, stats }
+ */
+export default function createCache({ backend, maxEntries = 200, maxBytes = 2 * 1024 * 1024, maxAge = DAY }) {
+  const index = new Map();
+  let totalBytes = 0;
+  let ready = null;
+
+  // Index bookkeeping is synchronous so concurrent calls always see a consistent view
+  const track = (key, size) => {
+    untrack(key);
+    index.set(key, size);
+    totalBytes += size;
+  };
+
+  function untrack(key) {
+    if (!index.has(key)) return;
+    totalBytes -= index.get(key);
+    index.delete(key);
+  }
+
+  const remove = async (key) => {
+    untrack(key);
+    try {
+      await backend.delete(key);
+    } catch {
+      // the entry is already gone from the index; a leftover is dropped on next load
+    }
+  };
+
+  const oldestKey = (except) => {
+    for (const key of index.keys()) {
+      if (key !== except) return key;
+    }
+    return null;
+  };
+
+  // Drop least recently used entries until both limits are met
+  const evict = async (except) => {
+    while (index.size > maxEntries || totalBytes > maxBytes) {
+      const key = oldestKey(except);
+      if (!key) break;
+      await remove(key);
+    }
+  };
+
+  // Rebuild the index from whatever the backend kept from a previous session
+  const load = async () => {
+    try {
+      const now = Date.now();
+      const entries = await backend.entries();
+      entries.sort(([, a], [, b]) => (a.accessedAt || 0) - (b.accessedAt || 0));
+      for (const [key, entry] of entries) {
+        if (!entry || now - entry.timestamp > maxAge) {
+          await remove(key);
+        } else {
+          track(key, entry.size || 0);
+        }
+      }
+      await evict();
+    } catch {
+      // backend unavailable (private mode, blocked IndexedDB) — start empty
+    }
+  };
+
+  const init = () => {
+    ready = ready || load();
+    return ready;
+  };
+
+  /**
+   * Look up an entry and mark it as recently used.
+   *
+   * @param {string} key
+   * @returns {Promise<object|null>} - { data, timestamp, expiresAt, isFresh } or null
+   */
+  async function get(key) {
+    await init();
+    if (!index.has(key)) return null;
+
+    let entry;
+    try {
+      entry = await backend.get(key);
+    } catch {
+      entry = null;
+    }
+    if (!entry) {
+      untrack(key);
+      return null;
+    }
+
+    const now = Date.now();
+    track(key, entry.size || 0);
+    // Persist the access time so LRU order survives a reload
+    backend.set(key, { ...entry, accessedAt: now }).catch(() => {});
+
+    return {
+      data: entry.data,
+      timestamp: entry.timestamp,
+      expiresAt: entry.expiresAt,
+      isFresh: now < entry.expiresAt,
+    };
+  }
+
+  /**
+   * Store a value. Expired entries are kept (and can be served as stale data)
+   * until they are evicted or outlive maxAge.
+   *
+   * @param {string} key
+   * @param {*} data - Any JSON-serializable value
+   * @param {object} options - { ttl } freshness in milliseconds
+   */
+  async function set(key, data, { ttl = 5 * 60 * 1000 } = {}) {
+    await init();
+    const size = JSON.stringify(data)?.length || 0;
+    // Larger than the whole cache: not worth evicting everything else for
+    if (size > maxBytes) return;
+
+    const now = Date.now();
+    const entry = { data, timestamp: now, expiresAt: now + ttl, accessedAt: now, size };
+
+    track(key, size);
+    await evict(key);
+
+    // A full storage quota frees space by evicting older entries, then retries
+    for (;;) {
+      try {
+        await backend.set(key, entry);
+        return;
+      } catch (err) {
+        const victim = isQuotaError(err) ? oldestKey(key) : null;
+        if (!victim) {
+          untrack(key);
+          return;
+        }
+        await remove(victim);
+      }
+    }
+  }
+
+  async function deleteEntry(key) {
+    await init();
+    await remove(key);
+  }
+
+  /**
+   * Remove every entry whose key starts with a prefix,
+   * e.g. all current-weather responses for one API.
+   *
+   * @param {string} prefix
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async function invalidatePrefix(prefix) {
+    await init();
+    const keys = Array.from(index.keys()).filter((key) => key.startsWith(prefix));
+    await Promise.all(keys.map(remove));
+    return keys.length;
+  }
+
+  async function clear() {
+    await init();
+    index.clear();
+    totalBytes = 0;
+    try {
+      await backend.clear();
+    } catch {
+      // ignore storage failures
+    }
+  }
+
+  const stats = () => ({ backend: backend.name, entries: index.size, bytes: totalBytes });
+
+  return { get, set, delete: deleteEntry, invalidatePrefix, clear, stats };
+}
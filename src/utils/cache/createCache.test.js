@@ -0,0 +1,125 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import createCache from "./createCache";
+import createMemoryBackend from "./memoryBackend";
+
+const MINUTE = 60 * 1000;
+
+describe("createCache", () => {
+  beforeEach(() => {
+    // Only the clock is faked: the backends are promise-based
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(new Date("2026-10-19T12:00:00Z"));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe("LRU eviction", () => {
+    it("evicts the least recently used entry above maxEntries", async () => {
+      const cache = createCache({ backend: createMemoryBackend(), maxEntries: 2 });
+      await cache.set("a", 1);
+      await cache.set("b", 2);
+      // Reading "a" makes "b" the least recently used
+      await cache.get("a");
+      await cache.set("c", 3);
+
+      expect(await cache.get("b")).toBeNull();
+      expect((await cache.get("a")).data).toBe(1);
+      expect((await cache.get("c")).data).toBe(3);
+      expect(cache.stats().entries).toBe(2);
+    });
+
+    it("evicts the oldest entries above maxBytes, and skips values bigger than the cache", async () => {
+      // Each "xxxxxxxx" value is 10 bytes of JSON
+      const cache = createCache({ backend: createMemoryBackend(), maxBytes: 25 });
+      await cache.set("a", "xxxxxxxx");
+      await cache.set("b", "xxxxxxxx");
+      await cache.set("c", "xxxxxxxx");
+      expect(await cache.get("a")).toBeNull();
+      expect(cache.stats().bytes).toBe(20);
+
+      await cache.set("huge", "x".repeat(100));
+      expect(await cache.get("huge")).toBeNull();
+      expect(cache.stats().entries).toBe(2);
+    });
+
+    it("keeps the LRU order across a reload", async () => {
+      const backend = createMemoryBackend();
+      const before = createCache({ backend, maxEntries: 2 });
+      await before.set("a", 1);
+      vi.advanceTimersByTime(1000);
+      await before.set("b", 2);
+      vi.advanceTimersByTime(1000);
+      await before.get("a");
+
+      const after = createCache({ backend, maxEntries: 2 });
+      await after.set("c", 3);
+      expect(await after.get("b")).toBeNull();
+      expect((await after.get("a")).data).toBe(1);
+    });
+
+    it("frees space for a write when the storage quota is full", async () => {
+      const backend = createMemoryBackend();
+      const set = backend.set;
+      let full = false;
+      backend.set = async (key, entry) => {
+        if (full && key === "c") {
+          full = false;
+          throw new DOMException("Quota exceeded", "QuotaExceededError");
+        }
+        return set(key, entry);
+      };
+      const cache = createCache({ backend });
+      await cache.set("a", 1);
+      await cache.set("b", 2);
+      full = true;
+      await cache.set("c", 3);
+
+      expect(await cache.get("a")).toBeNull();
+      expect((await cache.get("c")).data).toBe(3);
+    });
+  });
+
+  describe("TTL", () => {
+    it("is fresh until the ttl has passed", async () => {
+      const cache = createCache({ backend: createMemoryBackend() });
+      await cache.set("weather", { temp: 20 }, { ttl: 5 * MINUTE });
+
+      vi.advanceTimersByTime(5 * MINUTE - 1);
+      expect(await cache.get("weather")).toMatchObject({ data: { temp: 20 }, isFresh: true });
+
+      vi.advanceTimersByTime(1);
+      expect((await cache.get("weather")).isFresh).toBe(false);
+    });
+
+    it("drops entries older than maxAge when it loads", async () => {
+      const backend = createMemoryBackend();
+      const before = createCache({ backend, maxAge: 60 * MINUTE });
+      await before.set("old", 1);
+      vi.advanceTimersByTime(30 * MINUTE);
+      await before.set("recent", 2);
+
+      vi.advanceTimersByTime(31 * MINUTE);
+      const after = createCache({ backend, maxAge: 60 * MINUTE });
+      expect(await after.get("old")).toBeNull();
+      expect((await after.get("recent")).data).toBe(2);
+    });
+  });
+
+  describe("stale-while-revalidate", () => {
+    it("still serves an expired entry, marked stale, until a new value replaces it", async () => {
+      const cache = createCache({ backend: createMemoryBackend() });
+      await cache.set("photos", ["old"], { ttl: MINUTE });
+      vi.advanceTimersByTime(10 * MINUTE);
+
+      const stale = await cache.get("photos");
+      expect(stale).toMatchObject({ data: ["old"], isFresh: false });
+      expect(stale.expiresAt).toBe(stale.timestamp + MINUTE);
+
+      // The revalidated response
+      await cache.set("photos", ["new"], { ttl: MINUTE });
+      expect(await cache.get("photos")).toMatchObject({ data: ["new"], isFresh: true });
+    });
+  });
+});
@@ -0,0 +1,50 @@
+// Shared response cache used by useFetch
+// Backend and limits come from the environment:
+//   VITE_CACHE_BACKEND      indexeddb (default) | localstorage | memory
+//   VITE_CACHE_MAX_ENTRIES  default 200
+//   VITE_CACHE_MAX_BYTES    default 2 MB
+// Falls back to localStorage, then memory, when the browser lacks the chosen backend.
+import { isMockMode } from "../../mocks/config";
+import createCache from "./createCache";
+import createMemoryBackend from "./memoryBackend";
+import createLocalStorageBackend from "./localStorageBackend";
+import createIndexedDbBackend from "./indexedDbBackend";
+
+const env = import.meta.env || {};
+
+// Mock responses live in their own namespace so they never leak into real sessions
+const NAMESPACE = isMockMode() ? "travelwise:mock-cache" : "travelwise:cache";
+
+const hasIndexedDb = () => typeof indexedDB !== "undefined";
+
+const hasLocalStorage = () => {
+  try {
+    return typeof localStorage !== "undefined" && !!localStorage;
+  } catch {
+    return false;
+  }
+};
+
+function createBackend(kind) {
+  if (kind === "memory") return createMemoryBackend();
+  if (kind !== "localstorage" && hasIndexedDb()) return createIndexedDbBackend(NAMESPACE);
+  if (hasLocalStorage()) return createLocalStorageBackend(NAMESPACE);
+  return createMemoryBackend();
+}
+
+const httpCache = createCache({
+  backend: createBackend((env.VITE_CACHE_BACKEND || "indexeddb").toLowerCase()),
+  maxEntries: Number(env.VITE_CACHE_MAX_ENTRIES) || 200,
+  maxBytes: Number(env.VITE_CACHE_MAX_BYTES) || 2 * 1024 * 1024,
+});
+
+/**
+ * Invalidate cached responses by URL prefix,
+ * e.g. invalidateCache("https://api.openweathermap.org/") after changing units.
+ *
+ * @param {string} prefix
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export const invalidateCache = (prefix) => httpCache.invalidatePrefix(prefix);
+
+export default httpCache;
@@ -0,0 +1,71 @@
+// IndexedDB cache backend
+// Holds far more than localStorage and keeps large responses off the main thread's
+// synchronous storage API. One database per namespace with a single object store.
+
+const STORE_NAME = "entries";
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+function openDatabase(name) {
+  const request = indexedDB.open(name, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+  return promisify(request);
+}
+
+/**
+ * Create a cache backend backed by IndexedDB.
+ *
+ * @param {string} namespace - Database name (e.g. "travelwise:cache")
+ * @returns {object} - Cache backend ({ name, get, set, delete, entries, clear })
+ */
+export default function createIndexedDbBackend(namespace) {
+  let database = null;
+
+  // Open lazily and reuse the connection
+  const getDatabase = () => {
+    database = database || openDatabase(namespace);
+    return database;
+  };
+
+  const withStore = async (mode, action) => {
+    const db = await getDatabase();
+    return promisify(action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  };
+
+  return {
+    name: "indexedDB",
+    get: (key) => withStore("readonly", (store) => store.get(key)),
+    set: async (key, entry) => {
+      await withStore("readwrite", (store) => store.put(entry, key));
+    },
+    delete: async (key) => {
+      await withStore("readwrite", (store) => store.delete(key));
+    },
+    // Walk a cursor so keys and values come from the same transaction
+    entries: async () => {
+      const db = await getDatabase();
+      return new Promise((resolve, reject) => {
+        const results = [];
+        const request = db.transaction(STORE_NAME, "readonly").objectStore(STORE_NAME).openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve(results);
+            return;
+          }
+          results.push([cursor.key, cursor.value]);
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+    },
+    clear: async () => {
+      await withStore("readwrite", (store) => store.clear());
+    },
+  };
+}
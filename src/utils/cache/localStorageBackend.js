@@ -0,0 +1,50 @@
+// localStorage cache backend
+// Every entry is stored as its own JSON item under "<namespace>:<key>".
+// Unlike utils/storage.js, write failures are thrown so the cache can evict and retry
+// when the storage quota is exceeded.
+
+/**
+ * Create a cache backend backed by localStorage.
+ *
+ * @param {string} namespace - Prefix for the storage keys (e.g. "travelwise:cache")
+ * @returns {object} - Cache backend ({ name, get, set, delete, entries, clear })
+ */
+export default function createLocalStorageBackend(namespace) {
+  const prefix = `${namespace}:`;
+
+  const read = (storageKey) => {
+    try {
+      const stored = localStorage.getItem(storageKey);
+      return stored ? JSON.parse(stored) : undefined;
+    } catch {
+      return undefined;
+    }
+  };
+
+  const ownKeys = () => {
+    const keys = [];
+    for (let index = 0; index < localStorage.length; index += 1) {
+      const storageKey = localStorage.key(index);
+      if (storageKey?.startsWith(prefix)) keys.push(storageKey);
+    }
+    return keys;
+  };
+
+  return {
+    name: "localStorage",
+    get: async (key) => read(prefix + key),
+    set: async (key, entry) => {
+      localStorage.setItem(prefix + key, JSON.stringify(entry));
+    },
+    delete: async (key) => {
+      localStorage.removeItem(prefix + key);
+    },
+    entries: async () =>
+      ownKeys()
+        .map((storageKey) => [storageKey.slice(prefix.length), read(storageKey)])
+        .filter(([, entry]) => entry),
+    clear: async () => {
+      ownKeys().forEach((storageKey) => localStorage.removeItem(storageKey));
+    },
+  };
+}
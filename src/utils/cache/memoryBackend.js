@@ -0,0 +1,26 @@
+// In-memory cache backend
+// Fastest option, but entries are lost on reload.
+
+/**
+ * Create a cache backend backed by a Map.
+ *
+ * @returns {object} - Cache backend ({ name, get, set, delete, entries, clear })
+ */
+export default function createMemoryBackend() {
+  const store = new Map();
+
+  return {
+    name: "memory",
+    get: async (key) => store.get(key),
+    set: async (key, entry) => {
+      store.set(key, entry);
+    },
+    delete: async (key) => {
+      store.delete(key);
+    },
+    entries: async () => Array.from(store.entries()),
+    clear: async () => {
+      store.clear();
+    },
+  };
+}
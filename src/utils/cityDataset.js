@@ -0,0 +1,67 @@
+// Lazily loaded city dataset
+// src/data/cities.json is generated from GeoNames by scripts/build-cities.js. It is too big
+// for the main bundle, so it is split into its own chunk and fetched on first use; the
+// destination matcher falls back to its small built-in list until it has arrived and been indexed.
+
+let cities = null;
+let loading = null;
+
+/**
+ * @typedef {object} City
+ * @property {number} id - GeoNames id
+ * @property {string} name - Local name, e.g. "Zürich"
+ * @property {string} asciiName - ASCII spelling, e.g. "Zurich"
+ * @property {string[]} alternateNames - Other spellings and exonyms (Latin script)
+ * @property {string} countryCode - ISO 3166 alpha-2
+ * @property {string} country - Country name
+ * @property {string} continent - GeoNames continent code (EU, AS, NA, SA, AF, OC, AN)
+ * @property {number} population
+ * @property {number} lat
+ * @property {number} lon
+ */
+
+// Turn the compact row format back into City objects (column order comes from `fields`)
+export function expandDataset({ fields, countries, cities: rows }) {
+  const at = Object.fromEntries(fields.map((field, index) => [field, index]));
+  return rows.map((row) => {
+    const countryCode = row[at.country];
+    const country = countries[countryCode] || {};
+    const name = row[at.name];
+    return {
+      id: row[at.id],
+      name,
+      asciiName: row[at.asciiName] || name,
+      alternateNames: row[at.alternateNames] || [],
+      countryCode,
+      country: country.name || countryCode,
+      continent: country.continent || "",
+      population: row[at.population] || 0,
+      lat: row[at.lat],
+      lon: row[at.lon],
+    };
+  });
+}
+
+/**
+ * Start loading the dataset (once). Safe to call during render.
+ *
+ * @returns {Promise<City[]|null>} - The cities, or null when the chunk failed to load
+ */
+export function loadCityDataset() {
+  if (!loading) {
+    loading = import("../data/cities.json")
+      .then(({ default: dataset }) => {
+        cities = expandDataset(dataset);
+        return cities;
+      })
+      .catch(() => {
+        // Allow a later call to retry (e.g. after a flaky connection)
+        loading = null;
+        return null;
+      });
+  }
+  return loading;
+}
+
+/** @returns {City[]|null} - Cities sorted by population (largest first), or null before loading */
+export const getCities = () => cities;
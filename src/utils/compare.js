@@ -0,0 +1,41 @@
+// Weather metrics compared side by side on the Compare page
+// Each metric scores a CurrentWeather (higher is better); the best column on a metric is highlighted.
+import { convertTemperature } from "./units";
+
+// A comfortable day out, in °C
+const IDEAL_TEMPERATURE = 22;
+// Neither dry nor muggy, in percent
+const IDEAL_HUMIDITY = 50;
+
+// Condition groups (see providers/types.js) from clearest to worst; unknown groups rank last
+const conditionOrder = ["Clear", "Clouds", "Mist", "Drizzle", "Rain", "Snow", "Thunderstorm"];
+const conditionScore = (condition) => {
+  const index = conditionOrder.indexOf(condition);
+  return index === -1 ? -conditionOrder.length : -index;
+};
+
+// Labels are compare.metrics.<id> in the catalogs. Wind speeds are compared as fetched:
+// every column is fetched in the same unit system.
+export const compareMetrics = [
+  { id: "temperature", icon: "🌡️", score: (weather) => -Math.abs(convertTemperature(weather.temperature, "metric", weather.units) - IDEAL_TEMPERATURE) },
+  { id: "humidity", icon: "💧", score: (weather) => -Math.abs(weather.humidity - IDEAL_HUMIDITY) },
+  { id: "wind", icon: "🌪️", score: (weather) => -weather.windSpeed },
+  { id: "conditions", icon: "🌤️", score: (weather) => conditionScore(weather.condition) },
+];
+
+/**
+ * The columns that win a metric. Nobody wins until at least two columns have weather,
+ * or when they all tie.
+ *
+ * @param {(object|null)[]} weathers - CurrentWeather per column, null while missing
+ * @param {object} metric - One of compareMetrics
+ * @returns {Set<number>} - Indexes of the winning columns (several on a tie)
+ */
+export function findWinners(weathers, metric) {
+  const scores = weathers.map((weather) => (weather ? metric.score(weather) : null));
+  const known = scores.filter((score) => score !== null && Number.isFinite(score));
+  if (known.length < 2) return new Set();
+  const best = Math.max(...known);
+  if (known.every((score) => score === best)) return new Set();
+  return new Set(scores.flatMap((score, index) => (score === best ? [index] : [])));
+}
@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { compareMetrics, findWinners } from "./compare";
+
+const metric = (id) => compareMetrics.find((candidate) => candidate.id === id);
+
+// A CurrentWeather with only what the metrics read
+const weather = (overrides) => ({
+  temperature: 22,
+  humidity: 50,
+  windSpeed: 3,
+  condition: "Clear",
+  units: "metric",
+  ...overrides,
+});
+
+describe("findWinners", () => {
+  it("picks the column with the best score", () => {
+    const weathers = [weather({ windSpeed: 8 }), weather({ windSpeed: 2 }), weather({ windSpeed: 5 })];
+    expect(findWinners(weathers, metric("wind"))).toEqual(new Set([1]));
+  });
+
+  it("scores temperature by distance from a comfortable day, in either unit system", () => {
+    // 30 °C is 8 from ideal; 68 °F (20 °C) is 2
+    const weathers = [weather({ temperature: 30 }), weather({ temperature: 68, units: "imperial" })];
+    expect(findWinners(weathers, metric("temperature"))).toEqual(new Set([1]));
+  });
+
+  it("ranks clearer conditions higher and unknown ones last", () => {
+    const weathers = [weather({ condition: "Rain" }), weather({ condition: "Clouds" }), weather({ condition: "Volcano" })];
+    expect(findWinners(weathers, metric("conditions"))).toEqual(new Set([1]));
+  });
+
+  it("lets several columns share a win", () => {
+    const weathers = [weather({ humidity: 45 }), weather({ humidity: 80 }), weather({ humidity: 55 })];
+    expect(findWinners(weathers, metric("humidity"))).toEqual(new Set([0, 2]));
+  });
+
+  it("names no winner when every column ties", () => {
+    expect(findWinners([weather(), weather(), weather()], metric("wind"))).toEqual(new Set());
+  });
+
+  it("skips columns still loading and waits for two with weather", () => {
+    expect(findWinners([weather(), null], metric("wind"))).toEqual(new Set());
+    expect(findWinners([null, weather({ windSpeed: 1 }), weather({ windSpeed: 4 })], metric("wind"))).toEqual(new Set([1]));
+  });
+
+  it("ignores values that are missing from the weather", () => {
+    const weathers = [weather({ windSpeed: undefined }), weather({ windSpeed: 6 }), weather({ windSpeed: 4 })];
+    expect(findWinners(weathers, metric("wind"))).toEqual(new Set([2]));
+  });
+});
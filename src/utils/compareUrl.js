@@ -0,0 +1,77 @@
+// Links into the Compare page
+// The compared destinations live in the query string as a comma-separated list, so a comparison
+// can be bookmarked or shared. Each entry is a name, optionally followed by the place's ISO
+// country code and coordinates, separated by semicolons, so the exact namesake is kept:
+// e.g. /compare?places=Paris;FR;48.8534;2.3488,Paris;US;33.6609;-95.5555,Rome
+// Entries are kept in the order given; commas and semicolons inside a name are not supported.
+import { placeParams } from "./exploreUrl";
+
+// The page compares two to four destinations side by side
+export const MAX_COMPARE_PLACES = 4;
+
+/**
+ * Build a Compare URL. Each name is encoded on its own so the separators stay readable.
+ *
+ * @param {object[]} places - { name, countryCode, lat, lon }; all but the name may be missing
+ * @returns {string} - e.g. "/compare?places=S%C3%A3o%20Paulo;BR,Paris"
+ */
+export function compareUrl(places) {
+  const entries = places.map((place) => {
+    const { country, lat, lon } = placeParams(place);
+    const parts = [encodeURIComponent(place.name), country || ""];
+    if (lat !== null && lon !== null) parts.push(lat, lon);
+    // Trailing empty parts are dropped: "Paris;;" is just "Paris"
+    while (parts.length > 1 && parts[parts.length - 1] === "") parts.pop();
+    return parts.join(";");
+  });
+  return entries.length > 0 ? `/compare?places=${entries.join(",")}` : "/compare";
+}
+
+/**
+ * Whether two compared entries stand for the same place: the same name (ignoring case), and the
+ * same country and coordinates (within about a kilometre) where both give them.
+ *
+ * @param {object} a - { name, countryCode, lat, lon }
+ * @param {object} b
+ * @returns {boolean}
+ */
+export function isSameComparePlace(a, b) {
+  if (a.name.toLowerCase() !== b.name.toLowerCase()) return false;
+  if (a.countryCode && b.countryCode && a.countryCode !== b.countryCode) return false;
+  if (a.lat == null || b.lat == null) return true;
+  return Math.abs(a.lat - b.lat) < 0.01 && Math.abs(a.lon - b.lon) < 0.01;
+}
+
+// One "name;CC;lat;lon" entry, ignoring a malformed country code or coordinates
+function readEntry(entry) {
+  const [rawName, rawCountry = "", rawLat, rawLon] = entry.split(";");
+  const name = rawName.trim();
+  if (!name) return null;
+  const country = rawCountry.trim().toUpperCase();
+  const lat = Number.parseFloat(rawLat);
+  const lon = Number.parseFloat(rawLon);
+  const hasCoordinates = Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+  return {
+    name,
+    countryCode: /^[A-Z]{2}$/.test(country) ? country : null,
+    lat: hasCoordinates ? lat : null,
+    lon: hasCoordinates ? lon : null,
+  };
+}
+
+/**
+ * Read the compared destinations from a query string: trimmed, without blanks or
+ * repeats (see isSameComparePlace), and at most MAX_COMPARE_PLACES of them.
+ *
+ * @param {string} search - location.search
+ * @returns {object[]} - { name, countryCode, lat, lon }, unknown parts null
+ */
+export function readComparePlaces(search) {
+  const places = (new URLSearchParams(search).get("places") || "")
+    .split(",")
+    .map(readEntry)
+    .filter(Boolean);
+  return places
+    .filter((place, index) => places.findIndex((other) => isSameComparePlace(other, place)) === index)
+    .slice(0, MAX_COMPARE_PLACES);
+}
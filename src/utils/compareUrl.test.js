@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import { compareUrl, isSameComparePlace, readComparePlaces, MAX_COMPARE_PLACES } from "./compareUrl";
+
+const named = (name) => ({ name, countryCode: null, lat: null, lon: null });
+
+describe("readComparePlaces", () => {
+  it("reads names in order, trimmed and without blanks", () => {
+    expect(readComparePlaces("?places=Paris,%20Rome%20,,Lisbon,")).toEqual([named("Paris"), named("Rome"), named("Lisbon")]);
+  });
+
+  it("reads a namesake's country code and coordinates", () => {
+    expect(readComparePlaces("?places=Paris;us;33.6609;-95.5555,London;CA")).toEqual([
+      { name: "Paris", countryCode: "US", lat: 33.6609, lon: -95.5555 },
+      { name: "London", countryCode: "CA", lat: null, lon: null },
+    ]);
+  });
+
+  it("drops a malformed country code or coordinates but keeps the name", () => {
+    expect(readComparePlaces("?places=Paris;USA;91;2,Rome;;abc;12,Lisbon;PT;38.7")).toEqual([
+      named("Paris"),
+      named("Rome"),
+      { name: "Lisbon", countryCode: "PT", lat: null, lon: null },
+    ]);
+  });
+
+  it("skips entries without a name", () => {
+    expect(readComparePlaces("?places=;FR;48.85;2.35,Rome")).toEqual([named("Rome")]);
+  });
+
+  it("removes repeats, ignoring case, but keeps namesakes in different places", () => {
+    expect(readComparePlaces("?places=Paris;FR,Paris;US,PARIS;fr").map((place) => place.countryCode)).toEqual(["FR", "US"]);
+  });
+
+  it("counts a bare name as a repeat of any namesake", () => {
+    expect(readComparePlaces("?places=Paris,paris,Paris;FR,Paris;US;33.66;-95.55")).toEqual([named("Paris")]);
+  });
+
+  it(`keeps at most ${MAX_COMPARE_PLACES} places`, () => {
+    expect(readComparePlaces("?places=A,B,C,D,E,F").map((place) => place.name)).toEqual(["A", "B", "C", "D"]);
+  });
+
+  it("returns nothing without a places param", () => {
+    expect(readComparePlaces("")).toEqual([]);
+    expect(readComparePlaces("?view=map")).toEqual([]);
+  });
+});
+
+describe("compareUrl", () => {
+  it("writes names with the country code and rounded coordinates they have", () => {
+    const url = compareUrl([
+      { name: "São Paulo", countryCode: "BR", lat: -23.547502, lon: -46.636108 },
+      { name: "London", countryCode: "CA" },
+      { name: "Rome" },
+    ]);
+    expect(url).toBe("/compare?places=S%C3%A3o%20Paulo;BR;-23.5475;-46.6361,London;CA,Rome");
+  });
+
+  it("reads back what it writes", () => {
+    const places = [
+      { name: "Paris", countryCode: "FR", lat: 48.8534, lon: 2.3488 },
+      { name: "Paris", countryCode: "US", lat: 33.6609, lon: -95.5555 },
+      named("Rome"),
+    ];
+    expect(readComparePlaces(compareUrl(places).slice("/compare".length))).toEqual(places);
+  });
+
+  it("links to the empty page for no places", () => {
+    expect(compareUrl([])).toBe("/compare");
+  });
+});
+
+describe("isSameComparePlace", () => {
+  it("tells namesakes apart by country or by coordinates", () => {
+    const veniceItaly = { name: "Venice", countryCode: "IT", lat: 45.4371, lon: 12.3326 };
+    const veniceFlorida = { name: "Venice", countryCode: "US", lat: 27.0998, lon: -82.4543 };
+    const veniceCalifornia = { name: "Venice", countryCode: "US", lat: 33.9908, lon: -118.4601 };
+    expect(isSameComparePlace(veniceItaly, veniceFlorida)).toBe(false);
+    expect(isSameComparePlace(veniceFlorida, veniceCalifornia)).toBe(false);
+    expect(isSameComparePlace(veniceFlorida, { ...veniceFlorida, lat: 27.1 })).toBe(true);
+    expect(isSameComparePlace(named("venice"), veniceItaly)).toBe(true);
+  });
+});
@@ -1,230 +1,689 @@
-// Popular destinations database with common misspellings and variations
-// This acts as a local knowledge base for destination matching
+import { placeAliases } from "../data/placeAliases";
+import { continentNames, countryAliases, tagSynonyms, taggedPlaces } from "../data/destinationTags";
+import { loadCityDataset } from "./cityDataset";
+import { boundedLevenshtein, buildFuzzyIndex, buildPrefixIndex } from "./fuzzyIndex";
+import { runInSlices, runToEnd, STEP_SIZE } from "./timeSlicing";
+import { compactName, normalizeName } from "./normalizeName";
+import { distanceKm } from "./geo";
+import { phoneticKey } from "./phonetic";
+
+// Popular destinations. Until the full city dataset (see ./cityDataset.js) has loaded
+// this is the whole search space. Misspellings need no listing: names are folded
+// (normalizeName) and compared by sound (phoneticKey) as well as by edit distance;
+// aliases and historical names come from ../data/placeAliases.js.
 export const destinationsDB = [
-  {
-    name: "Paris",
-    country: "France",
-    variations: ["paris", "pariis", "pariz", "parris", "pariss", "parise", "paries"]
-  },
-  {
-    name: "Tokyo",
-    country: "Japan",
-    variations: ["tokyo", "tokio", "tokoyo", "tokiyo", "tokyio", "toquio", "tokyo"]
-  },
-  {
-    name: "London",
-    country: "United Kingdom",
-    variations: ["london", "londan", "londin", "londun", "londn", "londen", "lundun"]
-  },
-  {
-    name: "New York",
-    country: "United States",
-    variations: ["new york", "newyork", "ny", "nyc", "new yourk", "newyourk", "nu york"]
-  },
-  {
-    name: "Dubai",
-    country: "United Arab Emirates",
-    variations: ["dubai", "dubay", "dubia", "dubi", "dubaii", "dubae", "doobai"]
-  },
-  {
-    name: "Sydney",
-    country: "Australia",
-    variations: ["sydney", "sidny", "sidnay", "sydny", "cidney", "sydnee", "sydnie"]
-  },
-  {
-    name: "Barcelona",
-    country: "Spain",
-    variations: ["barcelona", "barcellona", "barselona", "barcalona", "barcelon", "barselona"]
-  },
-  {
-    name: "Amsterdam",
-    country: "Netherlands",
-    variations: ["amsterdam", "amstardam", "amstardm", "amsterdm", "amstredam", "amsterdamm"]
-  },
-  {
-    name: "Rome",
-    country: "Italy",
-    variations: ["rome", "roma", "roome", "rom", "roam", "roem"]
-  },
-  {
-    name: "Berlin",
-    country: "Germany",
-    variations: ["berlin", "berln", "berlin", "berline", "belin", "birlin"]
-  },
-  {
-    name: "Prague",
-    country: "Czech Republic",
-    variations: ["prague", "prag", "praga", "praag", "pragua", "praque", "prauge"]
-  },
-  {
-    name: "Vienna",
-    country: "Austria",
-    variations: ["vienna", "viena", "wein", "vien", "veinna", "vianna", "vieena"]
-  },
-  {
-    name: "Bangkok",
-    country: "Thailand",
-    variations: ["bangkok", "bangcock", "bangkock", "bangok", "bankok", "bangkol"]
-  },
-  {
-    name: "Istanbul",
-    country: "Turkey",
-    variations: ["istanbul", "istambul", "istanbol", "istanbull", "istambol", "constantinople"]
-  },
-  {
-    name: "Cairo",
-    country: "Egypt",
-    variations: ["cairo", "cayro", "caeiro", "kairo", "cyro", "cario"]
-  },
-  {
-    name: "Mumbai",
-    country: "India",
-    variations: ["mumbai", "bombay", "mumbay", "mumbae", "mumbaii", "mumby"]
-  },
-  {
-    name: "Singapore",
-    country: "Singapore",
-    variations: ["singapore", "singapur", "singapoor", "singapoore", "singapre", "singpore"]
-  },
-  {
-    name: "Los Angeles",
-    country: "United States",
-    variations: ["los angeles", "losangeles", "la", "los angelos", "los angelis", "l.a."]
-  },
-  {
-    name: "Hong Kong",
-    country: "China",
-    variations: ["hong kong", "hongkong", "hk", "hong cong", "hong konk", "hongkong"]
-  },
-  {
-    name: "Seoul",
-    country: "South Korea",
-    variations: ["seoul", "seul", "soeul", "seoul", "seole", "suel"]
-  }
+  { name: "Paris", country: "France", countryCode: "FR", continent: "EU" },
+  { name: "Tokyo", country: "Japan", countryCode: "JP", continent: "AS" },
+  { name: "London", country: "United Kingdom", countryCode: "GB", continent: "EU" },
+  { name: "New York", country: "United States", countryCode: "US", continent: "NA" },
+  { name: "Dubai", country: "United Arab Emirates", countryCode: "AE", continent: "AS" },
+  { name: "Sydney", country: "Australia", countryCode: "AU", continent: "OC" },
+  { name: "Barcelona", country: "Spain", countryCode: "ES", continent: "EU" },
+  { name: "Amsterdam", country: "Netherlands", countryCode: "NL", continent: "EU" },
+  { name: "Rome", country: "Italy", countryCode: "IT", continent: "EU" },
+  { name: "Berlin", country: "Germany", countryCode: "DE", continent: "EU" },
+  { name: "Prague", country: "Czech Republic", countryCode: "CZ", continent: "EU" },
+  { name: "Vienna", country: "Austria", countryCode: "AT", continent: "EU" },
+  { name: "Bangkok", country: "Thailand", countryCode: "TH", continent: "AS" },
+  { name: "Istanbul", country: "Turkey", countryCode: "TR", continent: "AS" },
+  { name: "Cairo", country: "Egypt", countryCode: "EG", continent: "AF" },
+  { name: "Mumbai", country: "India", countryCode: "IN", continent: "AS" },
+  { name: "Singapore", country: "Singapore", countryCode: "SG", continent: "AS" },
+  { name: "Los Angeles", country: "United States", countryCode: "US", continent: "NA" },
+  { name: "Hong Kong", country: "Hong Kong", countryCode: "HK", continent: "AS" },
+  { name: "Seoul", country: "South Korea", countryCode: "KR", continent: "AS" }
 ];
 
-// Calculate Levenshtein distance between two strings
-// This measures the minimum number of single-character edits (insertions, deletions or substitutions)
-// required to change one word into the other
-function levenshteinDistance(str1, str2) {
-  const matrix = Array(str2.length + 1).fill(null).map(() => Array(str1.length + 1).fill(null));
-  
-  for (let i = 0; i <= str1.length; i += 1) {
-    matrix[0][i] = i;
-  }
-  
-  for (let j = 0; j <= str2.length; j += 1) {
-    matrix[j][0] = j;
-  }
-  
-  for (let j = 1; j <= str2.length; j += 1) {
-    for (let i = 1; i <= str1.length; i += 1) {
-      const indicator = str1[i - 1] === str2[j - 1] ? 0 : 1;
-      matrix[j][i] = Math.min(
-        matrix[j][i - 1] + 1, // deletion
-        matrix[j - 1][i] + 1, // insertion
-        matrix[j - 1][i - 1] + indicator, // substitution
-      );
+// Similarity score (0-1, where 1 is identical): the Levenshtein distance
+// (single-character insertions, deletions or substitutions) normalized by the longer length
+function calculateSimilarity(str1, str2) {
+  const maxLength = Math.max(str1.length, str2.length);
+  if (maxLength === 0) return 1;
+  return 1 - boundedLevenshtein(str1, str2, maxLength) / maxLength;
+}
+
+// Aliases by "<normalized name>|<country code>", for the place's name and each alias
+const aliasesByPlace = new Map();
+for (const record of placeAliases) {
+  for (const name of [record.name, ...record.aliases]) {
+    aliasesByPlace.set(`${normalizeName(name)}|${record.country}`, record);
+  }
+}
+
+// Search entry for a place: every spelling normalized (see ./normalizeName.js), own names first,
+// then the curated aliases, then the dataset's alternates (mostly other languages' spellings).
+// `primary` is how many leading names are the place's own (name, ASCII name); the rest lose to
+// a primary name on an exact match. `curated` also counts the aliases: only those spellings are
+// compared by sound, as the phonetic keys read names the English way.
+function toEntry(place, ownNames, alternateNames) {
+  const primaryNames = [...new Set(ownNames.map(normalizeName))].filter(Boolean);
+  const record = aliasesByPlace.get(`${primaryNames[0]}|${place.countryCode}`);
+  const aliases = [...new Set((record ? [record.name, ...record.aliases] : []).map(normalizeName))]
+    .filter((alias) => alias && !primaryNames.includes(alias));
+  const alternates = alternateNames
+    .map(normalizeName)
+    .filter((alternate) => alternate && !primaryNames.includes(alternate) && !aliases.includes(alternate));
+  return {
+    name: place.name,
+    country: place.country,
+    countryCode: place.countryCode || null,
+    continent: place.continent || "",
+    population: place.population ?? null,
+    lat: place.lat ?? null,
+    lon: place.lon ?? null,
+    names: [...primaryNames, ...aliases, ...new Set(alternates)],
+    primary: primaryNames.length,
+    curated: primaryNames.length + aliases.length,
+    tags: place.tags || [],
+  };
+}
+
+// Attach the curated tags (../data/destinationTags.js) to the entries they describe, matched by
+// any spelling in the same country (own names first). Tagged places the list lacks are appended.
+function* withTaggedPlaces(entries) {
+  const byName = new Map();
+  for (const ownNames of [true, false]) {
+    for (let entryIndex = 0; entryIndex < entries.length; entryIndex += 1) {
+      if (entryIndex % STEP_SIZE === 0) yield;
+      const entry = entries[entryIndex];
+      entry.names.forEach((name, nameIndex) => {
+        const key = `${name.replace(/ /g, "")}|${entry.countryCode}`;
+        if ((nameIndex < entry.primary) === ownNames && !byName.has(key)) byName.set(key, entry);
+      });
     }
   }
-  
-  return matrix[str2.length][str1.length];
+
+  const missing = [];
+  for (const record of taggedPlaces) {
+    const entry = byName.get(`${compactName(record.name)}|${record.countryCode}`);
+    if (entry) entry.tags = record.tags;
+    else missing.push(toEntry(record, [record.name], []));
+  }
+  return [...entries, ...missing];
 }
 
-// Calculate similarity score (0-1, where 1 is identical)
-// Normalizes the Levenshtein distance based on the string length
-function calculateSimilarity(str1, str2) {
-  const maxLength = Math.max(str1.length, str2.length);
-  if (maxLength === 0) return 1;
-  const distance = levenshteinDistance(str1.toLowerCase(), str2.toLowerCase());
-  return 1 - (distance / maxLength);
+const fallbackEntries = runToEnd(
+  withTaggedPlaces(destinationsDB.map((destination) => toEntry(destination, [destination.name], [])))
+);
+
+function* datasetEntries(cities) {
+  const entries = [];
+  for (let i = 0; i < cities.length; i += 1) {
+    if (i % STEP_SIZE === 0) yield;
+    const city = cities[i];
+    entries.push(toEntry(city, [city.name, city.asciiName], city.alternateNames));
+  }
+  return yield* withTaggedPlaces(entries);
 }
 
-// Find the best matching destination
-// Returns the best match, confidence score, and other suggestions
-export function findBestMatch(query, threshold = 0.6) {
-  const queryLower = query.toLowerCase().trim();
-  let bestMatch = null;
-  let bestScore = 0;
-  const suggestions = [];
+// Everything a query needs, built once per list of entries (ordered largest place first):
+// a flat list of spellings (with the entry each belongs to), exact-name lookups,
+// a trigram index for fuzzy matching and a prefix index for autocomplete.
+// A generator task (see ./timeSlicing.js): the dataset's takes a few hundred milliseconds.
+function* buildSearch(entries) {
+  const names = [];
+  const owners = [];
+  const isPrimary = [];
+  const isCurated = [];
+  for (let entryIndex = 0; entryIndex < entries.length; entryIndex += 1) {
+    if (entryIndex % STEP_SIZE === 0) yield;
+    entries[entryIndex].names.forEach((name, nameIndex) => {
+      names.push(name);
+      owners.push(entryIndex);
+      isPrimary.push(nameIndex < entries[entryIndex].primary);
+      isCurated.push(nameIndex < entries[entryIndex].curated);
+    });
+  }
+
+  // Exact lookups ignore spacing ("newyork"). Every place with the name is kept, largest first
+  // (entries are ordered by population), so "London" is London, UK before London, Canada.
+  const exactPrimary = new Map();
+  const exactAlternate = new Map();
+  // Own names and curated aliases by phonetic key, also in population order
+  const phonetic = new Map();
+  for (let id = 0; id < names.length; id += 1) {
+    if (id % STEP_SIZE === 0) yield;
+    const compact = names[id].replace(/ /g, "");
+    const lookup = isPrimary[id] ? exactPrimary : exactAlternate;
+    const places = lookup.get(compact);
+    if (!places) lookup.set(compact, [owners[id]]);
+    else if (places[places.length - 1] !== owners[id]) places.push(owners[id]);
+
+    if (!isCurated[id]) continue;
+    const key = phoneticKey(compact);
+    if (key.length < MIN_PHONETIC_KEY) continue;
+    const list = phonetic.get(key);
+    if (list) list.push(id);
+    else phonetic.set(key, [id]);
+  }
+
+  // Prefix keys: every spelling, plus each later word of a place's own name ("york" in "new york"),
+  // ranked as in getDestinationSuggestions
+  const keys = [...names];
+  const keyNames = names.map((_, id) => id);
+  const keyRanks = names.map((_, id) => (isPrimary[id] ? 0 : 2));
+  for (let id = 0; id < names.length; id += 1) {
+    if (id % STEP_SIZE === 0) yield;
+    if (!isPrimary[id]) continue;
+    const name = names[id];
+    for (let space = name.indexOf(" "); space !== -1; space = name.indexOf(" ", space + 1)) {
+      keys.push(name.slice(space + 1));
+      keyNames.push(id);
+      keyRanks.push(1);
+    }
+  }
 
-  for (const destination of destinationsDB) {
-    // Check exact matches first
-    if (destination.variations.includes(queryLower)) {
-      return {
-        destination: destination.name,
-        confidence: 1.0,
-        isExact: true,
-        suggestions: []
-      };
+  // Countries by folded name and alias ("japan", "uk"), for structured queries
+  const countries = new Map();
+  const addCountry = (name, countryCode) => {
+    const key = normalizeName(name);
+    if (key && !countries.has(key)) countries.set(key, countryCode);
+  };
+  // Thousands of places share a couple of hundred countries; each is folded once
+  const seenCountries = new Set();
+  for (const entry of entries) {
+    const seenKey = `${entry.country}|${entry.countryCode}`;
+    if (!entry.country || !entry.countryCode || seenCountries.has(seenKey)) continue;
+    seenCountries.add(seenKey);
+    addCountry(entry.country, entry.countryCode);
+  }
+  for (const [countryCode, aliases] of Object.entries(countryAliases)) {
+    for (const alias of aliases) addCountry(alias, countryCode);
+  }
+
+  return {
+    entries,
+    names,
+    owners,
+    isPrimary,
+    exactPrimary,
+    exactAlternate,
+    phonetic,
+    fuzzy: yield* buildFuzzyIndex(names),
+    prefix: yield* buildPrefixIndex(keys),
+    countries,
+    keyNames,
+    keyRanks,
+    // Per-query scratch space for suggestIn
+    bestRank: new Uint8Array(entries.length),
+    bestName: new Int32Array(entries.length),
+  };
+}
+
+function* buildDatasetSearch(cities) {
+  return yield* buildSearch(yield* datasetEntries(cities));
+}
+
+let fallbackSearch = null;
+let datasetSearch = null;
+let datasetBuild = null;
+let datasetError = null;
+const matcherListeners = new Set();
+
+// Load the dataset and index it a slice at a time, so typing and scrolling carry on meanwhile.
+// Listeners hear when the dataset's search takes over or fails. A failed load or index build
+// rejects and is remembered in datasetError; the next call retries.
+function buildDatasetSearchOnce() {
+  if (!datasetBuild) {
+    datasetBuild = loadCityDataset()
+      .then((cities) => {
+        if (!cities) throw new Error("The city dataset failed to load");
+        return runInSlices(buildDatasetSearch(cities));
+      })
+      .then(
+        (search) => {
+          datasetSearch = search;
+          datasetError = null;
+          matcherListeners.forEach((listener) => listener());
+          return search;
+        },
+        (error) => {
+          datasetBuild = null;
+          datasetError = error;
+          matcherListeners.forEach((listener) => listener());
+          throw error;
+        }
+      );
+  }
+  return datasetBuild;
+}
+
+// The search to use: the dataset's once it is indexed (largest cities first), the built-in list until then.
+// Both are built on first use and shared by every caller (search bar, no-results page, Explore).
+function getSearch() {
+  if (datasetSearch) return datasetSearch;
+  // The built-in list stays in use if the dataset fails; getDestinationMatcherError() says why
+  buildDatasetSearchOnce().catch(() => {});
+  if (!fallbackSearch) fallbackSearch = runToEnd(buildSearch(fallbackEntries));
+  return fallbackSearch;
+}
+
+// Phonetic keys shorter than this ("T") are shared by too many places to mean much
+const MIN_PHONETIC_KEY = 2;
+// Sound-alike spellings checked per query, largest places first
+const MAX_PHONETIC_CANDIDATES = 200;
+
+// Confidence from which a match may replace what was typed (Explore, SmartSearchBar)
+export const AUTO_CORRECT_CONFIDENCE = 0.82;
+// Weaker evidence scores at most this, so it is only ever suggested: a near miss on another
+// language's spelling ("Monaco" and Munich's "Monacu"), or a sound two different places share
+// equally well. Places the query is actually named after still match exactly.
+const SUGGESTION_ONLY_CONFIDENCE = 0.81;
+
+// Public shape of a matched place
+const toSuggestion = (entry, similarity) => ({
+  name: entry.name,
+  country: entry.country,
+  countryCode: entry.countryCode || null,
+  population: entry.population ?? null,
+  lat: entry.lat ?? null,
+  lon: entry.lon ?? null,
+  similarity,
+});
+
+// Keep the first suggestion for each place; same-named towns in different countries both stay
+const isSamePlace = (a, b) => a.name === b.name && a.countryCode === b.countryCode;
+const firstOfEachPlace = (item, index, self) => index === self.findIndex((other) => isSamePlace(other, item));
+
+// Find the best matching destination in a search built by buildSearch
+function matchIn(search, query, threshold) {
+  const queryName = normalizeName(query);
+  const queryCompact = compactName(query);
+
+  // Exact matches first: a place's own name beats someone else's alternate spelling,
+  // and entries are ordered by population, so "London" is London, UK
+  const exact = (search.exactPrimary.get(queryCompact) ?? search.exactAlternate.get(queryCompact))?.[0];
+  if (exact !== undefined) {
+    return {
+      destination: search.entries[exact].name,
+      place: toSuggestion(search.entries[exact], 1.0),
+      confidence: 1.0,
+      isExact: true,
+      suggestions: []
+    };
+  }
+
+  // Best similarity (and the spelling that earned it) per place. `score` is the similarity
+  // before weak matches were capped, which still orders them among themselves.
+  const matches = new Map();
+  const consider = (id, score, weak) => {
+    const entryIndex = search.owners[id];
+    const similarity = weak ? Math.min(score, SUGGESTION_ONLY_CONFIDENCE) : score;
+    const current = matches.get(entryIndex);
+    if (!current || similarity > current.similarity || (similarity === current.similarity && score > current.score)) {
+      matches.set(entryIndex, { id, similarity, score });
     }
+  };
+
+  // Fuzzy matches from the trigram index; only the place's own names can earn an auto-correct
+  for (const { id, similarity } of search.fuzzy.search(queryName, { minSimilarity: threshold })) {
+    consider(id, similarity, !search.isPrimary[id]);
+  }
 
-    // Check fuzzy matches
-    for (const variation of destination.variations) {
-      const similarity = calculateSimilarity(queryLower, variation);
-      
-      if (similarity > bestScore) {
-        bestScore = similarity;
-        bestMatch = destination.name;
-      }
-      
-      // Collect good suggestions
-      if (similarity >= threshold && similarity < 1.0) {
-        suggestions.push({
-          name: destination.name,
-          country: destination.country,
-          similarity: similarity,
-          matchedVariation: variation
-        });
-      }
+  // Spellings that sound the same: a matching phonetic key closes half the gap to a perfect score.
+  // The closest sound-alike may auto-correct ("sidny" is Sydney) unless a differently named place
+  // is just as close, when neither is more likely than the other.
+  const key = phoneticKey(queryCompact);
+  if (key.length >= MIN_PHONETIC_KEY) {
+    const soundAlikes = [];
+    for (const id of (search.phonetic.get(key) || []).slice(0, MAX_PHONETIC_CANDIDATES)) {
+      const similarity = (1 + calculateSimilarity(queryName, search.names[id])) / 2;
+      if (similarity >= threshold) soundAlikes.push({ id, similarity });
     }
+    const top = Math.max(...soundAlikes.map(({ similarity }) => similarity));
+    const topNames = new Set(
+      soundAlikes
+        .filter(({ similarity }) => similarity === top)
+        .map(({ id }) => search.entries[search.owners[id]].name)
+    );
+    for (const { id, similarity } of soundAlikes) consider(id, similarity, topNames.size > 1);
   }
 
-  // Sort suggestions by similarity
-  suggestions.sort((a, b) => b.similarity - a.similarity);
-  
-  // Remove duplicates
-  const uniqueSuggestions = suggestions.filter((item, index, self) =>
-    index === self.findIndex(t => t.name === item.name)
-  ).slice(0, 3); // Limit to top 3 suggestions
+  // Sort suggestions by similarity. On a tie the stronger uncapped match wins, then a place
+  // matched by its own name (GeoNames gives the City of London London's population),
+  // then the larger place.
+  const suggestions = [...matches.entries()]
+    .map(([entryIndex, { id, similarity, score }]) => ({
+      score,
+      ownName: search.isPrimary[id],
+      suggestion: { ...toSuggestion(search.entries[entryIndex], similarity), matchedVariation: search.names[id] }
+    }))
+    .sort((a, b) =>
+      b.suggestion.similarity - a.suggestion.similarity ||
+      b.score - a.score ||
+      b.ownName - a.ownName ||
+      (b.suggestion.population || 0) - (a.suggestion.population || 0)
+    )
+    .map((match) => match.suggestion);
+  const best = suggestions[0];
 
   return {
-    destination: bestMatch,
-    confidence: bestScore,
+    destination: best?.name ?? null,
+    place: best ?? null,
+    confidence: best?.similarity ?? 0,
     isExact: false,
-    suggestions: uniqueSuggestions,
-    hasGoodMatch: bestScore >= threshold
+    // Remove duplicates and limit to the top 3
+    suggestions: suggestions.filter(firstOfEachPlace).slice(0, 3),
+    hasGoodMatch: !!best
   };
 }
 
-// Get destination suggestions based on partial input
-// Used for autocomplete functionality
-export function getDestinationSuggestions(query, limit = 5) {
-  const queryLower = query.toLowerCase().trim();
-  
+// Autocomplete in a search built by buildSearch. With thousands of places, prefix matches
+// on a place's own name come first and bigger places win within a rank:
+// 0 = starts the place's own name, 1 = starts a word of it, 2 = starts an alternate, 3 = anywhere
+function suggestIn(search, query, limit) {
+  const queryLower = normalizeName(query);
+
   if (queryLower.length < 2) return [];
 
+  // Best rank + 1 (0 = no match yet) and the spelling that earned it, per place
+  const { bestRank, bestName, entries } = search;
+  const touched = [];
+  const consider = (id, rank) => {
+    const entryIndex = search.owners[id];
+    const current = bestRank[entryIndex];
+    if (current === 0) touched.push(entryIndex);
+    if (current === 0 || rank + 1 < current) {
+      bestRank[entryIndex] = rank + 1;
+      bestName[entryIndex] = id;
+    }
+  };
+
+  for (const keyId of search.prefix.withPrefix(queryLower)) {
+    consider(search.keyNames[keyId], search.keyRanks[keyId]);
+  }
+  // Matches inside a name only matter when the prefixes did not fill the list
+  const distinctPlaces = new Set();
+  for (const entryIndex of touched) {
+    distinctPlaces.add(`${entries[entryIndex].name}|${entries[entryIndex].countryCode}`);
+    if (distinctPlaces.size >= limit) break;
+  }
+  if (distinctPlaces.size < limit) {
+    for (const id of search.fuzzy.containing(queryLower)) consider(id, 3);
+  }
+
+  // Sort by rank, then size. Entries are already largest first, so (rank, position) is the order
+  // and only the few suggestions shown need building. Places of equal size are ordered by similarity.
+  const order = Float64Array.from(touched, (entryIndex) => (bestRank[entryIndex] - 1) * entries.length + entryIndex).sort();
   const suggestions = [];
-  
-  for (const destination of destinationsDB) {
-    for (const variation of destination.variations) {
-      if (variation.startsWith(queryLower) || variation.includes(queryLower)) {
-        const similarity = calculateSimilarity(queryLower, variation);
-        suggestions.push({
-          name: destination.name,
-          country: destination.country,
-          similarity: similarity
-        });
-        break; // Only add each destination once
-      }
+  const places = new Set();
+  for (let i = 0; i < order.length && places.size < limit; ) {
+    const group = [];
+    const rank = Math.floor(order[i] / entries.length);
+    const population = entries[order[i] % entries.length].population || 0;
+    for (; i < order.length; i += 1) {
+      const entryIndex = order[i] % entries.length;
+      if (Math.floor(order[i] / entries.length) !== rank || (entries[entryIndex].population || 0) !== population) break;
+      group.push(toSuggestion(entries[entryIndex], calculateSimilarity(queryLower, search.names[bestName[entryIndex]])));
+    }
+    // Remove duplicates
+    for (const suggestion of group.sort((a, b) => b.similarity - a.similarity)) {
+      const place = `${suggestion.name}|${suggestion.countryCode}`;
+      if (places.size >= limit || places.has(place)) continue;
+      places.add(place);
+      suggestions.push(suggestion);
     }
   }
 
-  // Sort by similarity and remove duplicates
-  const uniqueSuggestions = suggestions
-    .filter((item, index, self) => index === self.findIndex(t => t.name === item.name))
-    .sort((a, b) => b.similarity - a.similarity)
+  for (const entryIndex of touched) bestRank[entryIndex] = 0;
+  return suggestions;
+}
+
+// Find the best matching destination
+// Returns the best match (its name, and as `place` with country code and coordinates),
+// confidence score, and other suggestions. Only spellings within the threshold are
+// considered, so with no good match the destination is null and the confidence 0.
+export function findBestMatch(query, threshold = 0.6) {
+  return matchIn(getSearch(), query, threshold);
+}
+
+// Places called exactly `query` (by their own name, or else by an alias), largest first.
+// More than one means the name is ambiguous: Paris, France or Paris, Texas.
+function placesIn(search, query, limit) {
+  const queryCompact = compactName(query);
+  const entryIndexes = search.exactPrimary.get(queryCompact) ?? search.exactAlternate.get(queryCompact) ?? [];
+  return entryIndexes
+    .map((entryIndex) => toSuggestion(search.entries[entryIndex], 1.0))
+    .filter(firstOfEachPlace)
     .slice(0, limit);
+}
+
+// The places closest to a point in a search built by buildSearch. A linear scan: a few
+// thousand distances take well under a millisecond, and it runs once per lookup.
+function nearbyIn(search, lat, lon, limit) {
+  const origin = { lat, lon };
+  const byDistance = search.entries
+    .filter((entry) => entry.lat != null && entry.lon != null)
+    .map((entry) => ({ entry, distance: distanceKm(origin, entry) }))
+    .sort((a, b) => a.distance - b.distance);
+  const nearby = [];
+  const places = new Set();
+  for (const { entry, distance } of byDistance) {
+    if (nearby.length >= limit) break;
+    const place = `${entry.name}|${entry.countryCode}`;
+    if (places.has(place)) continue;
+    places.add(place);
+    nearby.push({ ...toSuggestion(entry, 1.0), distanceKm: distance });
+  }
+  return nearby;
+}
+
+// Words that ask for a tag or a continent: "beaches" → beach, "south america" → SA
+const facetWords = new Map([
+  ...Object.entries(tagSynonyms).flatMap(([tag, words]) => words.map((word) => [word, { tag }])),
+  ...Object.entries(continentNames).flatMap(([continent, words]) => words.map((word) => [word, { continent }])),
+]);
+// Little words around facets ("beaches in asia"), ignored at either end of the leftover name
+const FILLER_WORDS = new Set(["in", "and", "with", "near", "en", "y", "con", "cerca"]);
+// Longest facet phrase ("america del norte")
+const MAX_FACET_WORDS = 4;
+
+// Read a query as tags, continents and countries plus the leftover name words.
+// Longer phrases win ("south america" before "america"). Null when no facet is named.
+function parseQuery(search, query) {
+  const words = normalizeName(query).split(" ").filter(Boolean);
+  const parsed = { tags: [], continents: [], countries: [], text: [] };
+  const add = (list, value) => {
+    if (!list.includes(value)) list.push(value);
+  };
+
+  for (let i = 0; i < words.length; ) {
+    let length = Math.min(MAX_FACET_WORDS, words.length - i);
+    for (; length > 0; length -= 1) {
+      const phrase = words.slice(i, i + length).join(" ");
+      const facet = facetWords.get(phrase);
+      const countryCode = search.countries.get(phrase);
+      if (facet?.tag) add(parsed.tags, facet.tag);
+      else if (facet?.continent) add(parsed.continents, facet.continent);
+      else if (countryCode) add(parsed.countries, countryCode);
+      else continue;
+      break;
+    }
+    if (length === 0) {
+      parsed.text.push(words[i]);
+      i += 1;
+    } else {
+      i += length;
+    }
+  }
+
+  if (parsed.tags.length + parsed.continents.length + parsed.countries.length === 0) return null;
+  while (FILLER_WORDS.has(parsed.text[0])) parsed.text.shift();
+  while (FILLER_WORDS.has(parsed.text[parsed.text.length - 1])) parsed.text.pop();
+  return { ...parsed, text: parsed.text.join(" ") };
+}
+
+// Structured search in a search built by buildSearch. Places must be in one of the countries or
+// continents asked for (if any), have at least one of the tags (if any) and start with the leftover
+// name words (if any). Places with more of the tags come first, then tagged places, then larger ones.
+// A query with leftover words that reads as a misspelled place name is left to findBestMatch.
+function destinationsIn(search, query, limit) {
+  const parsed = parseQuery(search, query);
+  if (!parsed) return null;
+  const { tags, continents, countries, text } = parsed;
+
+  // A query that is a city's own name means that city ("Mexico City", "Singapore"), unless it is
+  // just a country's name and the city lies elsewhere. Alternate names don't count, so "Mexico"
+  // (another name for Mexico City) lists the country.
+  const sameNamed = search.exactPrimary.get(compactName(query)) || [];
+  const isLoneCountry = !text && countries.length === 1 && tags.length + continents.length === 0;
+  if (sameNamed.length > 0
+    && (!isLoneCountry || sameNamed.some((entryIndex) => search.entries[entryIndex].countryCode === countries[0]))) {
+    return null;
+  }
+
+  // A tag or country word can be part of a misspelled name: "new yourk city" is New York City,
+  // not cities starting with "new yourk"
+  const placeMatch = text ? matchIn(search, query, 0.6) : null;
+  if (placeMatch?.confidence >= AUTO_CORRECT_CONFIDENCE) return null;
+
+  // Leftover words narrow the list by name: "paris france", "london canada"
+  const named = text
+    ? new Set(search.prefix.withPrefix(text).map((keyId) => search.owners[search.keyNames[keyId]]))
+    : null;
+  const hasLocation = continents.length > 0 || countries.length > 0;
+
+  const matches = [];
+  search.entries.forEach((entry, entryIndex) => {
+    if (hasLocation && !countries.includes(entry.countryCode) && !continents.includes(entry.continent)) return;
+    if (named && !named.has(entryIndex)) return;
+    const matchedTags = tags.filter((tag) => entry.tags.includes(tag)).length;
+    if (tags.length > 0 && matchedTags === 0) return;
+    matches.push({ entryIndex, matchedTags, isTagged: entry.tags.length > 0 });
+  });
+  // Nothing fits, but the whole query is close to a place name: offer that place instead
+  if (matches.length === 0 && placeMatch?.hasGoodMatch) return null;
 
-  return uniqueSuggestions;
-}
\ No newline at end of file
+  // Array#sort is stable and entries are largest first, so size breaks the remaining ties
+  matches.sort((a, b) => b.matchedTags - a.matchedTags || b.isTagged - a.isTagged);
+
+  const countryName = (countryCode) =>
+    search.entries.find((entry) => entry.countryCode === countryCode)?.country || countryCode;
+  return {
+    tags,
+    continents,
+    countries: countries.map((countryCode) => ({ countryCode, country: countryName(countryCode) })),
+    text,
+    total: matches.length,
+    results: matches.slice(0, limit).map(({ entryIndex }) => {
+      const entry = search.entries[entryIndex];
+      return { ...toSuggestion(entry, 1.0), continent: entry.continent, tags: entry.tags };
+    }),
+  };
+}
+
+// Get destination suggestions based on partial input
+// Used for autocomplete functionality
+export function getDestinationSuggestions(query, limit = 5) {
+  return suggestIn(getSearch(), query, limit);
+}
+
+/**
+ * Every place that goes by a name, for telling same-named places apart.
+ *
+ * @param {string} query - Place name, e.g. "London"
+ * @param {number} limit - Maximum number of places
+ * @returns {object[]} - Suggestions ({ name, country, countryCode, population, lat, lon }), largest first
+ */
+export function findPlaces(query, limit = 6) {
+  return placesIn(getSearch(), query, limit);
+}
+
+/**
+ * The destinations closest to a point, e.g. the user's position.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} limit - Maximum number of places
+ * @returns {object[]} - Suggestions with { distanceKm }, nearest first
+ */
+export function findNearby(lat, lon, limit = 8) {
+  return nearbyIn(getSearch(), lat, lon, limit);
+}
+
+/**
+ * Structured destination search by country, continent and tag, e.g. "japan", "beach asia",
+ * "cheap food europe" or "london canada". Queries that name no country, continent or tag,
+ * lone country names that are also a city ("Singapore") and misspelled place names that contain
+ * a tag word ("new yourk city") are not structured.
+ *
+ * @param {string} query
+ * @param {number} limit - Maximum number of results
+ * @returns {object|null} - { tags, continents, countries: [{ countryCode, country }], text, total,
+ *   results: suggestions with { continent, tags } }, or null when the query is not structured
+ */
+export function searchDestinations(query, limit = 24) {
+  return destinationsIn(getSearch(), query, limit);
+}
+
+// The query functions over one search
+function bindMatcher(search) {
+  return {
+    findBestMatch: (query, threshold = 0.6) => matchIn(search, query, threshold),
+    getDestinationSuggestions: (query, limit = 5) => suggestIn(search, query, limit),
+    findPlaces: (query, limit = 6) => placesIn(search, query, limit),
+    searchDestinations: (query, limit = 24) => destinationsIn(search, query, limit),
+    findNearby: (lat, lon, limit = 8) => nearbyIn(search, lat, lon, limit),
+    size: { places: search.entries.length, spellings: search.names.length },
+  };
+}
+
+let currentMatcher = null;
+let currentMatcherSearch = null;
+
+/**
+ * The matcher over the search in use right now: the built-in list, then the city dataset.
+ * It is a new object whenever the search changes, so components that match during render
+ * can list it as a memo dependency (see hooks/useDestinationMatcher.js).
+ *
+ * @returns {object} - Same shape as createDestinationMatcher()
+ */
+export function getDestinationMatcher() {
+  const search = getSearch();
+  if (currentMatcherSearch !== search) {
+    currentMatcher = bindMatcher(search);
+    currentMatcherSearch = search;
+  }
+  return currentMatcher;
+}
+
+/**
+ * Load the city dataset and wait for its index.
+ *
+ * @returns {Promise<object>} - The dataset's matcher
+ * @throws {Error} - When the dataset failed to load or index; a later call tries again
+ */
+export async function loadDestinationMatcher() {
+  await buildDatasetSearchOnce();
+  return getDestinationMatcher();
+}
+
+/**
+ * Why the city dataset last failed to load or index, while the built-in list is in use.
+ *
+ * @returns {Error|null} - null once the dataset is in use, or before any attempt failed
+ */
+export const getDestinationMatcherError = () => datasetError;
+
+// useSyncExternalStore plumbing for useDestinationMatcher
+export function subscribeDestinationMatcher(listener) {
+  matcherListeners.add(listener);
+  return () => matcherListeners.delete(listener);
+}
+
+/**
+ * Build a standalone matcher over a list of cities (see ./cityDataset.js), with the same
+ * behaviour as findBestMatch and getDestinationSuggestions. Used by scripts/bench-matcher.js.
+ *
+ * @param {import("./cityDataset").City[]} cities
+ * @returns {object} - { findBestMatch(query, threshold), getDestinationSuggestions(query, limit), findPlaces(query, limit),
+ *   searchDestinations(query, limit), findNearby(lat, lon, limit), size }
+ */
+export function createDestinationMatcher(cities) {
+  return runToEnd(buildDestinationMatcher(cities));
+}
+
+// createDestinationMatcher as a generator task, for runInSlices (./timeSlicing.js)
+export function* buildDestinationMatcher(cities) {
+  return bindMatcher(yield* buildDatasetSearch(cities));
+}
@@ -0,0 +1,119 @@
+import { afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { AUTO_CORRECT_CONFIDENCE, createDestinationMatcher, loadDestinationMatcher } from "./destinationMatcher";
+
+describe("destination matcher on the city dataset", () => {
+  let matcher;
+
+  beforeAll(async () => {
+    matcher = await loadDestinationMatcher();
+  });
+
+  it("auto-corrects typos of a place's own name", () => {
+    for (const [query, name] of [["pariis", "Paris"], ["lisbonn", "Lisbon"], ["kopenhagen", "Copenhagen"]]) {
+      const result = matcher.findBestMatch(query);
+      expect(result.destination).toBe(name);
+      expect(result.confidence).toBeGreaterThanOrEqual(AUTO_CORRECT_CONFIDENCE);
+    }
+  });
+
+  it("auto-corrects misspellings that sound like one place, or swap two letters", () => {
+    for (const [query, name] of [
+      ["sidny", "Sydney"],
+      ["cidney", "Sydney"],
+      ["amstredam", "Amsterdam"],
+      ["new yourk", "New York City"],
+      ["bangcock", "Bangkok"],
+      ["doobai", "Dubai"],
+      ["prauge", "Prague"],
+    ]) {
+      const result = matcher.findBestMatch(query);
+      expect(result.destination).toBe(name);
+      expect(result.confidence).toBeGreaterThanOrEqual(AUTO_CORRECT_CONFIDENCE);
+    }
+  });
+
+  it("only suggests places near another language's spelling", () => {
+    // "Jersey" would sound like Spanish "Jerez" read the English way; "Monaco" is one letter off Munich's "Monacu"
+    for (const [query, name] of [["jersey", "Jerez de la Frontera"], ["monaco", "Munich"]]) {
+      const result = matcher.findBestMatch(query);
+      expect(result.suggestions.map((suggestion) => suggestion.name)).toContain(name);
+      expect(result.confidence).toBeLessThan(AUTO_CORRECT_CONFIDENCE);
+    }
+  });
+
+  it("lists same-named places in different countries, largest first", () => {
+    expect(matcher.findPlaces("paris").map((place) => place.countryCode)).toEqual(["FR", "US"]);
+  });
+
+  it("still matches alternate spellings exactly", () => {
+    expect(matcher.findBestMatch("tokio")).toMatchObject({ destination: "Tokyo", confidence: 1.0 });
+  });
+
+  it("reads a misspelled place name with a tag word in it as the place", () => {
+    expect(matcher.searchDestinations("new yourk city")).toBeNull();
+    expect(matcher.findBestMatch("new yourk city").destination).toBe("New York City");
+  });
+
+  it("keeps structured searches whose leftover words name a place", () => {
+    expect(matcher.searchDestinations("london canada").results.map((place) => place.countryCode)).toEqual(["CA"]);
+    expect(matcher.searchDestinations("paris city").results[0]).toMatchObject({ name: "Paris", countryCode: "FR" });
+  });
+});
+
+describe("sound-alike places", () => {
+  const town = (id, name) => ({
+    id,
+    name,
+    asciiName: name,
+    alternateNames: [],
+    countryCode: "GB",
+    country: "United Kingdom",
+    continent: "EU",
+    population: 20000,
+    lat: 51,
+    lon: 0,
+  });
+
+  it("only suggests a sound that two differently named places share equally well", () => {
+    const matcher = createDestinationMatcher([town(1, "Saton"), town(2, "Satin")]);
+    const result = matcher.findBestMatch("satun");
+    expect(result.suggestions.map((suggestion) => suggestion.name)).toEqual(expect.arrayContaining(["Saton", "Satin"]));
+    expect(result.confidence).toBeLessThan(AUTO_CORRECT_CONFIDENCE);
+  });
+});
+
+describe("destination matcher when the city dataset fails", () => {
+  const testville = {
+    id: 1,
+    name: "Testville",
+    asciiName: "Testville",
+    alternateNames: [],
+    countryCode: "NZ",
+    country: "New Zealand",
+    continent: "OC",
+    population: 5000,
+    lat: -41.3,
+    lon: 174.8,
+  };
+
+  afterEach(() => {
+    vi.doUnmock("./cityDataset");
+    vi.resetModules();
+  });
+
+  it("rejects, reports the failure, keeps the built-in list and retries on the next call", async () => {
+    const loadCityDataset = vi.fn().mockResolvedValueOnce(null).mockResolvedValue([testville]);
+    vi.resetModules();
+    vi.doMock("./cityDataset", () => ({ loadCityDataset }));
+    const { getDestinationMatcher, getDestinationMatcherError, loadDestinationMatcher } = await import("./destinationMatcher");
+
+    await expect(loadDestinationMatcher()).rejects.toThrow("failed to load");
+    expect(getDestinationMatcherError()).toBeInstanceOf(Error);
+    expect(getDestinationMatcher().findBestMatch("paris").destination).toBe("Paris");
+
+    const matcher = await loadDestinationMatcher();
+    expect(loadCityDataset).toHaveBeenCalledTimes(2);
+    expect(getDestinationMatcherError()).toBeNull();
+    expect(matcher.findPlaces("testville").map((place) => place.countryCode)).toEqual(["NZ"]);
+  });
+});
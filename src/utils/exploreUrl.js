@@ -0,0 +1,108 @@
+// Links into the Explore page
+// Every Explore view state lives in the query string so any view can be bookmarked,
+// shared or restored after a reload:
+//   search  destination search term
+//   exact   "1" keeps the term exactly as typed (no spelling correction)
+//   tab     "weather" or "photos" (the overview is the default and omitted)
+//   units   "imperial" (metric is the default and omitted)
+//   country ISO country code of the place meant, e.g. "CA" for London, Ontario
+//   lat/lon coordinates of the place meant; weather is fetched for these when present
+//   photo   id of the photo open in the modal
+// plus the photo filters declared by the photo provider (orientation, color, ...).
+
+/**
+ * Build an Explore URL with every value properly encoded.
+ * Empty values (null, undefined, "") are left out.
+ *
+ * @param {string} search - Search term
+ * @param {object} params - Extra view state, e.g. { photo: "abc123", units: "imperial" }
+ * @returns {string} - e.g. "/explore?search=S%C3%A3o+Paulo&photo=abc123"
+ */
+export function exploreUrl(search, params = {}) {
+  const query = new URLSearchParams();
+  if (search) query.set("search", search);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== "") query.set(key, String(value));
+  }
+  const queryString = query.toString();
+  return queryString ? `/explore?${queryString}` : "/explore";
+}
+
+/**
+ * Apply changes to an existing query string.
+ *
+ * @param {string} search - Current location.search
+ * @param {object} changes - Values to set; empty values remove the key
+ * @returns {string} - New query string starting with "?" (or "" when empty)
+ */
+export function updateQueryString(search, changes) {
+  const query = new URLSearchParams(search);
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === undefined || value === null || value === "") query.delete(key);
+    else query.set(key, String(value));
+  }
+  const queryString = query.toString();
+  return queryString ? `?${queryString}` : "";
+}
+
+// Coordinates to four decimals (about 10 m) keep links short
+const roundCoordinate = (value) => (typeof value === "number" && Number.isFinite(value) ? Math.round(value * 1e4) / 1e4 : null);
+
+/**
+ * Query params for a specific place, to spread into exploreUrl() or updateQueryString().
+ * Unknown values come out empty, so they are left out (or removed).
+ *
+ * @param {object|null} place - { countryCode, lat, lon }, e.g. a destinationMatcher suggestion
+ * @returns {object} - { country, lat, lon }
+ */
+export function placeParams(place) {
+  return {
+    country: place?.countryCode || null,
+    lat: roundCoordinate(place?.lat),
+    lon: roundCoordinate(place?.lon),
+  };
+}
+
+/**
+ * Read the place params back from a query string, ignoring malformed values.
+ *
+ * @param {string} search - location.search
+ * @returns {object|null} - { countryCode, lat, lon } (either part may be null), or null when none are set
+ */
+export function readPlaceParams(search) {
+  const query = new URLSearchParams(search);
+  const country = (query.get("country") || "").toUpperCase();
+  const countryCode = /^[A-Z]{2}$/.test(country) ? country : null;
+  const lat = Number.parseFloat(query.get("lat"));
+  const lon = Number.parseFloat(query.get("lon"));
+  const hasCoordinates = Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+  if (!countryCode && !hasCoordinates) return null;
+  return { countryCode, lat: hasCoordinates ? lat : null, lon: hasCoordinates ? lon : null };
+}
+
+/**
+ * Whether a place fits the place params: the same country (if given) and coordinates
+ * within about a kilometre (if given).
+ *
+ * @param {object} place - { countryCode, lat, lon }
+ * @param {object} other - Place params, e.g. from readPlaceParams()
+ * @returns {boolean}
+ */
+export function isSamePlace(place, other) {
+  return (!other.countryCode || place.countryCode === other.countryCode) &&
+    (other.lat == null || (Math.abs(place.lat - other.lat) < 0.01 && Math.abs(place.lon - other.lon) < 0.01));
+}
+
+/**
+ * The place a name means among its namesakes: the one the place params name, else the largest.
+ * Params matching none of them stand in themselves; with neither, there is no place (the name
+ * alone is sent to the weather API).
+ *
+ * @param {object[]} places - Places with the name, largest first (destinationMatcher findPlaces)
+ * @param {object|null} urlPlace - Place params, e.g. from readPlaceParams()
+ * @returns {object|null}
+ */
+export function choosePlace(places, urlPlace) {
+  if (!urlPlace) return places[0] || null;
+  return places.find((place) => isSamePlace(place, urlPlace)) || urlPlace;
+}
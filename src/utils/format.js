@@ -0,0 +1,85 @@
+// Date and time formatting that follows the user's preferences (see context/PreferencesContext.js)
+// Every function takes the preferences object so it can be used outside React as well.
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// "YYYY-MM-DD" strings are calendar dates with no time zone; anything else is an instant
+const isCalendarDate = (value) => typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+const toDate = (value) => (isCalendarDate(value) ? new Date(`${value}T12:00:00Z`) : new Date(value));
+
+/**
+ * Format a date as digits in the preferred order, e.g. "01/05/2024", "05/01/2024" or "2024-05-01".
+ *
+ * @param {Date|number|string} value - Date, timestamp or "YYYY-MM-DD"
+ * @param {object} preferences - { dateFormat }
+ * @returns {string}
+ */
+export function formatDate(value, { dateFormat = "dmy" } = {}) {
+  const date = toDate(value);
+  if (Number.isNaN(date.getTime())) return "";
+  const utc = isCalendarDate(value);
+  const year = utc ? date.getUTCFullYear() : date.getFullYear();
+  const month = pad((utc ? date.getUTCMonth() : date.getMonth()) + 1);
+  const day = pad(utc ? date.getUTCDate() : date.getDate());
+
+  if (dateFormat === "ymd") return `${year}-${month}-${day}`;
+  if (dateFormat === "mdy") return `${month}/${day}/${year}`;
+  return `${day}/${month}/${year}`;
+}
+
+/**
+ * Format a time of day in the preferred clock, e.g. "18:30" or "6:30 PM".
+ *
+ * @param {Date|number} value - Date or timestamp
+ * @param {object} preferences - { timeFormat, language }
+ * @returns {string}
+ */
+export function formatTime(value, { timeFormat = "24h", language } = {}) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleTimeString(language, {
+    hour: timeFormat === "12h" ? "numeric" : "2-digit",
+    minute: "2-digit",
+    hour12: timeFormat === "12h",
+  });
+}
+
+/**
+ * Short weekday label for a calendar date in the preferred language, e.g. "Wed 1" or "mié 1".
+ *
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {object} preferences - { language }
+ * @returns {string}
+ */
+export const formatDayLabel = (date, { language } = {}) =>
+  toDate(date).toLocaleDateString(language, { weekday: "short", day: "numeric", timeZone: "UTC" });
+
+// Units for relative times, largest first, with their length in seconds
+const relativeUnits = [
+  ["year", 365 * 24 * 3600],
+  ["month", 30 * 24 * 3600],
+  ["week", 7 * 24 * 3600],
+  ["day", 24 * 3600],
+  ["hour", 3600],
+  ["minute", 60],
+];
+
+/**
+ * How long ago (or how soon) a moment is, in the preferred language, e.g. "2 days ago",
+ * "hace 2 días" or "now".
+ *
+ * @param {Date|number} value - Date or timestamp
+ * @param {object} preferences - { language }
+ * @param {number} now - Timestamp to count from (defaults to the current time)
+ * @returns {string}
+ */
+export function formatRelativeTime(value, { language } = {}, now = Date.now()) {
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) return "";
+  const seconds = (time - now) / 1000;
+  const format = new Intl.RelativeTimeFormat(language, { numeric: "auto" });
+  for (const [unit, length] of relativeUnits) {
+    if (Math.abs(seconds) >= length) return format.format(Math.round(seconds / length), unit);
+  }
+  return format.format(0, "second");
+}
@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { formatRelativeTime } from "./format";
+
+const now = Date.UTC(2026, 9, 19, 12);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("formatRelativeTime", () => {
+  it("counts back in the largest whole unit", () => {
+    expect(formatRelativeTime(now - 2 * DAY_MS, { language: "en" }, now)).toBe("2 days ago");
+    expect(formatRelativeTime(now - 14 * DAY_MS, { language: "en" }, now)).toBe("2 weeks ago");
+    expect(formatRelativeTime(now - 3 * 60 * 60 * 1000, { language: "en" }, now)).toBe("3 hours ago");
+  });
+
+  it("writes the preferred language", () => {
+    expect(formatRelativeTime(now - 3 * DAY_MS, { language: "es" }, now)).toBe("hace 3 días");
+    expect(formatRelativeTime(now - 7 * DAY_MS, { language: "es" }, now)).toBe("la semana pasada");
+  });
+
+  it("calls anything under a minute now", () => {
+    expect(formatRelativeTime(now - 20 * 1000, { language: "en" }, now)).toBe("now");
+    expect(formatRelativeTime(now, { language: "es" }, now)).toBe("ahora");
+  });
+
+  it("returns nothing for an invalid time", () => {
+    expect(formatRelativeTime("someday", { language: "en" }, now)).toBe("");
+  });
+});
@@ -0,0 +1,238 @@
+// Indexes for fast fuzzy and prefix lookups over a large list of names
+//
+// Fuzzy search narrows the list down with a trigram inverted index (names that share
+// no three-letter sequence with the query cannot be close to it), then checks the most
+// promising candidates with a banded edit distance that gives up as soon as the
+// distance exceeds what the caller would accept. Prefix search is a binary search over
+// the names in sorted order. Both are built once and reused for every query; the build* versions
+// are generator tasks (see ./timeSlicing.js) for lists too big to index in one go.
+import { runToEnd, STEP_SIZE } from "./timeSlicing";
+
+// Shared rows for boundedLevenshtein, grown on demand
+let olderRow = new Int32Array(64);
+let previousRow = new Int32Array(64);
+let currentRow = new Int32Array(64);
+
+/**
+ * Levenshtein distance that stops early once it exceeds `max`. Swapping two neighbouring
+ * letters ("prauge" for "prague") counts as one edit, not two (optimal string alignment).
+ * Only cells within `max` of the diagonal are computed.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Largest distance of interest
+ * @returns {number} - The distance, or max + 1 when it is larger than max
+ */
+export function boundedLevenshtein(a, b, max) {
+  if (a === b) return 0;
+  const lengthA = a.length;
+  const lengthB = b.length;
+  if (Math.abs(lengthA - lengthB) > max) return max + 1;
+  if (lengthA === 0 || lengthB === 0) return Math.max(lengthA, lengthB);
+
+  if (previousRow.length <= lengthB) {
+    olderRow = new Int32Array(lengthB * 2);
+    previousRow = new Int32Array(lengthB * 2);
+    currentRow = new Int32Array(lengthB * 2);
+  }
+  let older = olderRow;
+  let prev = previousRow;
+  let curr = currentRow;
+  const outside = max + 1;
+
+  for (let j = 0; j <= lengthB; j += 1) prev[j] = j <= max ? j : outside;
+
+  for (let i = 1; i <= lengthA; i += 1) {
+    const from = Math.max(1, i - max);
+    const to = Math.min(lengthB, i + max);
+    // The cell left of the band: the real value in column 0, "too far" anywhere else
+    curr[from - 1] = from === 1 ? i : outside;
+    let rowMin = curr[from - 1];
+    const charA = a.charCodeAt(i - 1);
+    const lastCharA = i > 1 ? a.charCodeAt(i - 2) : -1;
+
+    for (let j = from; j <= to; j += 1) {
+      const charB = b.charCodeAt(j - 1);
+      const substitution = prev[j - 1] + (charA === charB ? 0 : 1);
+      const deletion = prev[j] + 1;
+      const insertion = curr[j - 1] + 1;
+      let value = Math.min(substitution, deletion, insertion);
+      // Two rows up is inside its band here: it spans j - 2 for every j in this one
+      if (j > 1 && charA === b.charCodeAt(j - 2) && lastCharA === charB && charA !== charB) {
+        value = Math.min(value, older[j - 2] + 1);
+      }
+      curr[j] = value;
+      if (value < rowMin) rowMin = value;
+    }
+    // The next row reads one cell past this band
+    if (to < lengthB) curr[to + 1] = outside;
+    if (rowMin > max) return outside;
+
+    [older, prev, curr] = [prev, curr, older];
+  }
+
+  return Math.min(prev[lengthB], outside);
+}
+
+// Distinct trigrams of a name, padded so the first and last letters count for more
+function trigramsOf(text) {
+  const padded = `  ${text} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i += 1) grams.add(padded.slice(i, i + 3));
+  return grams;
+}
+
+/**
+ * Build a trigram index over a list of names (already normalized, e.g. lower case).
+ * Ids in results are positions in `texts`.
+ *
+ * @param {string[]} texts
+ * @returns {object} - { texts, search(query, options), containing(query) }
+ */
+export function createFuzzyIndex(texts) {
+  return runToEnd(buildFuzzyIndex(texts));
+}
+
+// createFuzzyIndex as a generator task
+export function* buildFuzzyIndex(texts) {
+  const postings = new Map();
+  for (let id = 0; id < texts.length; id += 1) {
+    if (id % STEP_SIZE === 0) yield;
+    for (const gram of trigramsOf(texts[id])) {
+      const list = postings.get(gram);
+      if (list) list.push(id);
+      else postings.set(gram, [id]);
+    }
+  }
+
+  // Per-query scratch space: shared-trigram counts and the ids that were touched
+  const counts = new Uint16Array(texts.length);
+
+  /**
+   * Names within a similarity of the query, best first.
+   * Similarity is 1 - distance / longer length, as in the original matcher.
+   *
+   * @param {string} query
+   * @param {object} options - { minSimilarity = 0.6, maxCandidates = 200 }
+   *   maxCandidates caps how many names (those sharing the most trigrams) are checked in full
+   * @returns {{ id: number, similarity: number }[]}
+   */
+  function search(query, { minSimilarity = 0.6, maxCandidates = 200 } = {}) {
+    if (!query) return [];
+    const grams = trigramsOf(query);
+
+    // Count shared trigrams, bucketing ids by count so the best candidates come first without sorting
+    const touched = [];
+    for (const gram of grams) {
+      const list = postings.get(gram);
+      if (!list) continue;
+      for (const id of list) {
+        if (counts[id] === 0) touched.push(id);
+        counts[id] += 1;
+      }
+    }
+    const buckets = Array.from({ length: grams.size + 1 }, () => []);
+    for (const id of touched) {
+      buckets[counts[id]].push(id);
+      counts[id] = 0;
+    }
+
+    const results = [];
+    let checked = 0;
+    for (let shared = buckets.length - 1; shared > 0 && checked < maxCandidates; shared -= 1) {
+      for (const id of buckets[shared]) {
+        if (checked >= maxCandidates) break;
+        const text = texts[id];
+        const longest = Math.max(query.length, text.length);
+        // The small epsilon keeps e.g. (1 - 0.9) * 10 (0.9999...) from rounding down to 0
+        const maxDistance = Math.floor((1 - minSimilarity) * longest + 1e-9);
+        if (Math.abs(query.length - text.length) > maxDistance) continue;
+
+        checked += 1;
+        const distance = boundedLevenshtein(query, text, maxDistance);
+        if (distance <= maxDistance) results.push({ id, similarity: 1 - distance / longest });
+      }
+    }
+
+    return results.sort((a, b) => b.similarity - a.similarity);
+  }
+
+  /**
+   * Ids of names that contain the query anywhere (queries of three letters or more).
+   *
+   * @param {string} query
+   * @returns {number[]}
+   */
+  function containing(query) {
+    if (query.length < 3) return [];
+    // Every trigram of the query must appear in the name; start from the rarest
+    let smallest = null;
+    for (let i = 0; i < query.length - 2; i += 1) {
+      const list = postings.get(query.slice(i, i + 3));
+      if (!list) return [];
+      if (!smallest || list.length < smallest.length) smallest = list;
+    }
+    return smallest.filter((id) => texts[id].includes(query));
+  }
+
+  return { texts, search, containing };
+}
+
+/**
+ * Build a prefix index: the keys in sorted order, searched with binary search.
+ *
+ * @param {string[]} keys
+ * @returns {object} - { withPrefix(prefix) } returning the positions in `keys` that start with prefix
+ */
+export function createPrefixIndex(keys) {
+  return runToEnd(buildPrefixIndex(keys));
+}
+
+// Merge two sorted runs of ids, left first on ties so the order matches a stable sort
+function* mergeRuns(left, right, compare) {
+  const merged = new Array(left.length + right.length);
+  let i = 0;
+  let j = 0;
+  for (let k = 0; k < merged.length; k += 1) {
+    if (k % STEP_SIZE === 0) yield;
+    merged[k] = j >= right.length || (i < left.length && compare(left[i], right[j]) <= 0) ? left[i++] : right[j++];
+  }
+  return merged;
+}
+
+// createPrefixIndex as a generator task. One sort of every key takes too long for a single
+// step, so blocks are sorted separately and then merged pairwise.
+export function* buildPrefixIndex(keys) {
+  const compare = (a, b) => (keys[a] < keys[b] ? -1 : keys[a] > keys[b] ? 1 : 0);
+  const blockSize = STEP_SIZE * 10;
+  let runs = [];
+  for (let start = 0; start < keys.length; start += blockSize) {
+    yield;
+    const block = [];
+    for (let id = start; id < Math.min(start + blockSize, keys.length); id += 1) block.push(id);
+    runs.push(block.sort(compare));
+  }
+  while (runs.length > 1) {
+    const merged = [];
+    for (let i = 0; i < runs.length; i += 2) {
+      merged.push(i + 1 < runs.length ? yield* mergeRuns(runs[i], runs[i + 1], compare) : runs[i]);
+    }
+    runs = merged;
+  }
+  const order = runs[0] || [];
+
+  function withPrefix(prefix) {
+    let low = 0;
+    let high = order.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (keys[order[middle]] < prefix) low = middle + 1;
+      else high = middle;
+    }
+    const ids = [];
+    for (let i = low; i < order.length && keys[order[i]].startsWith(prefix); i += 1) ids.push(order[i]);
+    return ids;
+  }
+
+  return { withPrefix };
+}
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { boundedLevenshtein, buildPrefixIndex, createPrefixIndex } from "./fuzzyIndex";
+import { runInSlices } from "./timeSlicing";
+
+// Enough keys for several sorted blocks and merge rounds, with repeats to check ties
+const keys = Array.from({ length: 4321 }, (_, id) => `${"abcdefgh"[(id * 7) % 8]}${(id * 7919) % 613}`);
+const idsWithPrefix = (prefix) =>
+  keys
+    .map((key, id) => ({ key, id }))
+    .filter(({ key }) => key.startsWith(prefix))
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .map(({ id }) => id);
+
+describe("boundedLevenshtein", () => {
+  it("counts insertions, deletions and substitutions", () => {
+    expect(boundedLevenshtein("paris", "pariss", 3)).toBe(1);
+    expect(boundedLevenshtein("lisbon", "lisbn", 3)).toBe(1);
+    expect(boundedLevenshtein("kitten", "sitting", 3)).toBe(3);
+  });
+
+  it("counts swapped neighbouring letters as one edit", () => {
+    expect(boundedLevenshtein("prauge", "prague", 3)).toBe(1);
+    expect(boundedLevenshtein("amstredam", "amsterdam", 3)).toBe(1);
+    expect(boundedLevenshtein("ab", "ba", 3)).toBe(1);
+  });
+
+  it("returns max + 1 once the distance is larger than max", () => {
+    expect(boundedLevenshtein("kitten", "sitting", 2)).toBe(3);
+    expect(boundedLevenshtein("rome", "barcelona", 3)).toBe(4);
+  });
+});
+
+describe("createPrefixIndex", () => {
+  it("returns the ids of keys with a prefix in sorted order, ties by position", () => {
+    const index = createPrefixIndex(keys);
+    for (const prefix of ["a", "b1", "h60", "c999", ""]) {
+      expect(index.withPrefix(prefix)).toEqual(idsWithPrefix(prefix));
+    }
+  });
+
+  it("builds the same index a slice at a time", async () => {
+    const index = await runInSlices(buildPrefixIndex(keys), { budgetMs: 1 });
+    expect(index.withPrefix("d")).toEqual(idsWithPrefix("d"));
+  });
+});
@@ -0,0 +1,20 @@
+// Distances between coordinates
+
+// Mean radius of the Earth
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points (haversine formula).
+ *
+ * @param {object} a - { lat, lon } in degrees
+ * @param {object} b - { lat, lon } in degrees
+ * @returns {number} - Distance in kilometres
+ */
+export function distanceKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
@@ -0,0 +1,44 @@
+// Normalization for place names, so spelling details don't stop a match:
+// "São Paulo" → "sao paulo", "Łódź" → "lodz", "St. John's" → "st johns", "Alma-Ata" → "alma ata"
+
+// Letters that Unicode decomposition leaves alone
+const SPECIAL_LETTERS = {
+  ß: "ss",
+  æ: "ae",
+  œ: "oe",
+  ø: "o",
+  ł: "l",
+  đ: "d",
+  ð: "d",
+  þ: "th",
+  ı: "i",
+  ħ: "h",
+};
+
+/**
+ * Fold a name to lower-case ASCII-ish letters and digits separated by single spaces.
+ * Diacritics are dropped, apostrophes and dots removed, other punctuation becomes a space
+ * and parenthesized qualifiers ("Christiania (historical)") are left out.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeName(text) {
+  return (text || "")
+    .replace(/\([^)]*\)/g, " ")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[ßæœøłđðþıħ]/g, (letter) => SPECIAL_LETTERS[letter])
+    .replace(/['’‘`ʻʼ.]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * normalizeName without spaces, so "New York", "new-york" and "NewYork" are the same key.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export const compactName = (text) => normalizeName(text).replace(/ /g, "");
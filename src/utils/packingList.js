@@ -0,0 +1,274 @@
+// Weather-driven packing list generator
+// A small rules engine: every rule looks at the trip context (current weather,
+// forecast, trip length and type) and contributes items to a category when it applies.
+
+export const tripTypes = [
+  { id: 'leisure', icon: '🌴' },
+  { id: 'business', icon: '💼' },
+  { id: 'adventure', icon: '🥾' },
+  { id: 'beach', icon: '🏖️' },
+];
+
+// Category order in the generated list
+const categories = [
+  { id: 'essentials', icon: '🛂' },
+  { id: 'clothing', icon: '👕' },
+  { id: 'weather', icon: '☂️' },
+  { id: 'toiletries', icon: '🧴' },
+  { id: 'tech', icon: '🔌' },
+  { id: 'activity', icon: '🎒' },
+];
+
+// Each rule: { category, when(ctx), items(ctx) }
+// Items are { id, count? } — ids are stable so checked state survives regeneration,
+// and name the item's label in the "packing.items" catalog section.
+const rules = [
+  // Always packed
+  {
+    category: 'essentials',
+    when: () => true,
+    items: () => [
+      { id: 'passport' },
+      { id: 'wallet' },
+      { id: 'insurance' },
+      { id: 'bookings' },
+    ],
+  },
+  {
+    category: 'toiletries',
+    when: () => true,
+    items: () => [
+      { id: 'toothbrush' },
+      { id: 'deodorant' },
+      { id: 'medication' },
+    ],
+  },
+  {
+    category: 'tech',
+    when: () => true,
+    items: () => [
+      { id: 'phone-charger' },
+      { id: 'adapter' },
+    ],
+  },
+  // Clothing scales with trip length
+  {
+    category: 'clothing',
+    when: () => true,
+    items: ({ tripLength }) => [
+      { id: 'underwear', count: tripLength + 1 },
+      { id: 'socks', count: tripLength + 1 },
+      { id: 'sleepwear' },
+    ],
+  },
+  {
+    category: 'clothing',
+    when: ({ maxTemp }) => maxTemp >= 20,
+    items: ({ tripLength }) => [
+      { id: 't-shirts', count: Math.max(2, tripLength) },
+      { id: 'shorts' },
+    ],
+  },
+  {
+    category: 'clothing',
+    when: ({ minTemp, maxTemp }) => minTemp < 20 && maxTemp >= 10,
+    items: ({ tripLength }) => [
+      { id: 'long-sleeves', count: Math.max(2, Math.ceil(tripLength / 2)) },
+      { id: 'light-jacket' },
+    ],
+  },
+  // Layers below 10°C
+  {
+    category: 'clothing',
+    when: ({ minTemp }) => minTemp < 10,
+    items: () => [
+      { id: 'base-layers' },
+      { id: 'mid-layer' },
+      { id: 'warm-coat' },
+    ],
+  },
+  {
+    category: 'weather',
+    when: ({ minTemp }) => minTemp < 3,
+    items: () => [
+      { id: 'hat' },
+      { id: 'gloves' },
+      { id: 'scarf' },
+    ],
+  },
+  // Rain gear when rain is current or likely
+  {
+    category: 'weather',
+    when: ({ conditions, maxPop }) =>
+      conditions.has('Rain') || conditions.has('Drizzle') || conditions.has('Thunderstorm') || maxPop >= 0.4,
+    items: () => [
+      { id: 'umbrella' },
+      { id: 'rain-jacket' },
+      { id: 'waterproof-shoes' },
+    ],
+  },
+  {
+    category: 'weather',
+    when: ({ conditions }) => conditions.has('Snow'),
+    items: () => [
+      { id: 'snow-boots' },
+      { id: 'hand-warmers' },
+    ],
+  },
+  {
+    category: 'weather',
+    when: ({ conditions, maxTemp }) => conditions.has('Clear') || maxTemp >= 25,
+    items: () => [
+      { id: 'sunglasses' },
+      { id: 'sunscreen' },
+      { id: 'sun-hat' },
+    ],
+  },
+  {
+    category: 'weather',
+    when: ({ windSpeed }) => windSpeed >= 10,
+    items: () => [{ id: 'windbreaker' }],
+  },
+  {
+    category: 'toiletries',
+    when: ({ humidity, maxTemp }) => humidity >= 70 && maxTemp >= 25,
+    items: () => [{ id: 'insect-repellent' }],
+  },
+  // Longer trips
+  {
+    category: 'toiletries',
+    when: ({ tripLength }) => tripLength >= 7,
+    items: () => [{ id: 'laundry' }],
+  },
+  {
+    category: 'tech',
+    when: ({ tripLength }) => tripLength >= 4,
+    items: () => [{ id: 'power-bank' }],
+  },
+  // Trip types
+  {
+    category: 'activity',
+    when: ({ tripType }) => tripType === 'business',
+    items: ({ tripLength }) => [
+      { id: 'formal-outfits', count: Math.max(1, Math.ceil(tripLength / 2)) },
+      { id: 'dress-shoes' },
+      { id: 'laptop' },
+      { id: 'business-cards' },
+    ],
+  },
+  {
+    category: 'activity',
+    when: ({ tripType }) => tripType === 'adventure',
+    items: () => [
+      { id: 'hiking-boots' },
+      { id: 'daypack' },
+      { id: 'water-bottle' },
+      { id: 'first-aid' },
+      { id: 'headlamp' },
+    ],
+  },
+  {
+    category: 'activity',
+    when: ({ tripType }) => tripType === 'beach',
+    items: () => [
+      { id: 'swimwear' },
+      { id: 'beach-towel' },
+      { id: 'flip-flops' },
+      { id: 'after-sun' },
+    ],
+  },
+  {
+    category: 'activity',
+    when: ({ tripType }) => tripType === 'leisure',
+    items: () => [
+      { id: 'walking-shoes' },
+      { id: 'day-bag' },
+      { id: 'guidebook' },
+    ],
+  },
+];
+
+// Build the rule context from normalized current weather and forecast days
+function buildContext({ weather, forecastDays = [], tripLength = 3, tripType = 'leisure' }) {
+  const temps = [];
+  const conditions = new Set();
+
+  if (weather) {
+    temps.push(weather.tempMin, weather.tempMax);
+    if (weather.condition) conditions.add(weather.condition);
+  }
+
+  for (const day of forecastDays) {
+    temps.push(day.min, day.max);
+    if (day.condition) conditions.add(day.condition);
+  }
+
+  // Without any data assume mild weather so the list is still useful
+  const minTemp = temps.length ? Math.min(...temps) : 15;
+  const maxTemp = temps.length ? Math.max(...temps) : 20;
+
+  return {
+    tripLength: Math.max(1, Math.round(tripLength)),
+    tripType,
+    minTemp,
+    maxTemp,
+    conditions,
+    maxPop: forecastDays.length ? Math.max(...forecastDays.map((day) => day.pop || 0)) : 0,
+    humidity: weather?.humidity ?? 0,
+    windSpeed: weather?.windSpeed ?? 0,
+  };
+}
+
+/**
+ * Generate a categorized packing list.
+ *
+ * @param {object} input - { weather, forecastDays, tripLength, tripType }
+ * @returns {Array} - [{ id, icon, items: [{ id, count? }] }], empty categories omitted
+ */
+export function generatePackingList(input) {
+  const context = buildContext(input);
+  const byCategory = new Map(categories.map((category) => [category.id, []]));
+
+  for (const rule of rules) {
+    if (!rule.when(context)) continue;
+    const items = byCategory.get(rule.category);
+    for (const item of rule.items(context)) {
+      // Several rules can suggest the same item; keep the first
+      if (!items.some((existing) => existing.id === item.id)) items.push(item);
+    }
+  }
+
+  return categories
+    .map((category) => ({ ...category, items: byCategory.get(category.id) }))
+    .filter((category) => category.items.length > 0);
+}
+
+// Translated names for a category and an item (t comes from useTranslation)
+export const categoryTitle = (t, category) => t(`packing.categories.${category.id}`);
+export const itemLabel = (t, item) => t(`packing.items.${item.id}`, { count: item.count });
+
+// Export the list as plain text with [x] / [ ] markers
+export function packingListToText(t, destination, list, checked = {}) {
+  const lines = [t('packing.export.title', { destination }), ''];
+  for (const category of list) {
+    lines.push(categoryTitle(t, category).toUpperCase());
+    for (const item of category.items) {
+      lines.push(`${checked[item.id] ? '[x]' : '[ ]'} ${itemLabel(t, item)}`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+// Export the list as a Markdown task list
+export function packingListToMarkdown(t, destination, list, checked = {}) {
+  const lines = [`# ${t('packing.export.title', { destination })}`, ''];
+  for (const category of list) {
+    lines.push(`## ${category.icon} ${categoryTitle(t, category)}`, '');
+    for (const item of category.items) {
+      lines.push(`- [${checked[item.id] ? 'x' : ' '}] ${itemLabel(t, item)}`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n').trimEnd() + '\n';
+}
@@ -0,0 +1,130 @@
+// Phonetic keys for place names, in the spirit of Metaphone: names that sound alike get
+// the same key, so "sidny", "cidney" and "Sydney" (all "STN") or "bankok" and "Bangkok"
+// ("BNKK") match without anyone listing the misspellings.
+//
+// The rules are a simplified English-reading Metaphone: consonants are mapped to a small
+// set of sounds, vowels are dropped after the first letter and repeated sounds collapse.
+
+const isVowel = (letter) => "aeiou".includes(letter || "#");
+const isSoftener = (letter) => "eiy".includes(letter || "#");
+
+/**
+ * Phonetic key of a name. Expects normalizeName/compactName output; anything but a-z is ignored.
+ *
+ * @param {string} name
+ * @returns {string} - e.g. "STN" for "sydney", "" when there are no Latin letters
+ */
+export function phoneticKey(name) {
+  const text = (name || "")
+    .replace(/[^a-z]/g, "")
+    // Silent first letters
+    .replace(/^(kn|gn|pn|wr|ps)/, (start) => start[1])
+    .replace(/^x/, "s")
+    .replace(/^wh/, "w");
+
+  let key = "";
+  // Last sound written; a vowel in between ends a run ("Weinan" is W-N-N, "Bangkok" B-N-K-K)
+  let lastSound = "";
+  for (let i = 0; i < text.length; i += 1) {
+    const letter = text[i];
+    const next = text[i + 1];
+    // Double letters sound like one
+    if (letter === text[i - 1]) continue;
+
+    let sound = "";
+    switch (letter) {
+      case "a":
+      case "e":
+      case "i":
+      case "o":
+      case "u":
+        sound = i === 0 ? "A" : "";
+        break;
+      case "b":
+        // Silent in a final "mb" (e.g. "Coulomb")
+        sound = text[i - 1] === "m" && i === text.length - 1 ? "" : "B";
+        break;
+      case "c":
+        if (next === "h") {
+          // "ch" before l or r is hard ("Christchurch")
+          sound = "lr".includes(text[i + 2] || "#") ? "K" : "X";
+          i += 1;
+        } else {
+          sound = isSoftener(next) ? "S" : "K";
+        }
+        break;
+      case "d":
+        sound = next === "g" && isSoftener(text[i + 2]) ? "J" : "T";
+        break;
+      case "f":
+      case "v":
+        sound = "F";
+        break;
+      case "g":
+        if (next === "h") {
+          // "gh" is silent unless a vowel follows ("Ghana" vs "Edinburgh")
+          sound = isVowel(text[i + 2]) ? "K" : "";
+          i += 1;
+        } else if (next === "n" && i + 2 === text.length) {
+          sound = "";
+        } else {
+          sound = isSoftener(next) ? "J" : "K";
+        }
+        break;
+      case "h":
+        sound = isVowel(next) && !"csptg".includes(text[i - 1] || "#") ? "H" : "";
+        break;
+      case "k":
+        sound = text[i - 1] === "c" ? "" : "K";
+        break;
+      case "p":
+        if (next === "h") {
+          sound = "F";
+          i += 1;
+        } else {
+          sound = "P";
+        }
+        break;
+      case "q":
+        sound = "K";
+        break;
+      case "s":
+        if (next === "h") {
+          sound = "X";
+          i += 1;
+        } else if (next === "c" && text[i + 2] === "h") {
+          sound = "SK";
+          i += 2;
+        } else {
+          sound = "S";
+        }
+        break;
+      case "t":
+        if (next === "h") {
+          sound = "0";
+          i += 1;
+        } else {
+          sound = "T";
+        }
+        break;
+      case "w":
+      case "y":
+        // Only a consonant at the start of a word ("Wien", "Yangon")
+        sound = i === 0 && isVowel(next) ? letter.toUpperCase() : "";
+        break;
+      case "x":
+        sound = "KS";
+        break;
+      case "z":
+        sound = "S";
+        break;
+      default:
+        // j, l, m, n, r
+        sound = letter.toUpperCase();
+    }
+
+    if (sound && sound !== lastSound) key += sound;
+    if (sound || isVowel(letter)) lastSound = sound;
+  }
+  return key;
+}
@@ -0,0 +1,194 @@
+// Client-side request budget per API host
+// Providers declare their quota (e.g. Unsplash demo: 50 requests per hour) and useFetch
+// asks for a slot before every network request. Calls are queued briefly when the
+// budget frees up soon, and refused otherwise, so the app stops before the API starts
+// answering 429. Servers that report X-Ratelimit-Remaining / Retry-After keep the
+// local count honest. Request times are persisted so the budget survives a reload.
+import { isMockMode } from "../mocks/config";
+import { readStorage, writeStorage } from "./storage";
+import sleep from "./sleep";
+
+// The mock backend's quota is kept apart so it never blocks real sessions
+const RATE_LIMIT_STORAGE_KEY = isMockMode() ? "travelwise:mock-rate-limits" : "travelwise:rate-limits";
+
+// Longest a call waits in the queue before it is refused instead
+const MAX_QUEUE_MS = 15 * 1000;
+
+// host -> { limit, windowMs, timestamps, serverRemaining, serverAt, blockedUntil }
+const budgets = new Map();
+// host -> quota snapshot handed to React (replaced, never mutated)
+const snapshots = new Map();
+const listeners = new Set();
+
+const saved = readStorage(RATE_LIMIT_STORAGE_KEY, {});
+
+/**
+ * Error thrown when a call is refused to protect the quota.
+ * `retryAt` is the time (ms) the budget frees up again.
+ */
+export class RateLimitError extends Error {
+  constructor(message, retryAt) {
+    super(message);
+    this.name = "RateLimitError";
+    this.status = 429;
+    this.retryAt = retryAt;
+  }
+}
+
+const hostOf = (url) => {
+  try {
+    return new URL(url, window.location.origin).hostname;
+  } catch {
+    return null;
+  }
+};
+
+// Drop request times that have left the window
+function prune(budget, now = Date.now()) {
+  budget.timestamps = budget.timestamps.filter((time) => now - time < budget.windowMs);
+  if (budget.serverAt && now - budget.serverAt >= budget.windowMs) {
+    budget.serverRemaining = null;
+    budget.serverAt = 0;
+  }
+}
+
+function remainingOf(budget) {
+  const local = budget.limit - budget.timestamps.length;
+  return Math.max(0, budget.serverRemaining === null ? local : Math.min(local, budget.serverRemaining));
+}
+
+// When the next request may go out (0 = now)
+function nextSlotAt(budget, now) {
+  let at = budget.blockedUntil > now ? budget.blockedUntil : 0;
+  if (remainingOf(budget) === 0) {
+    const windowReset = budget.timestamps.length
+      ? budget.timestamps[0] + budget.windowMs
+      : (budget.serverAt || now) + budget.windowMs;
+    at = Math.max(at, windowReset);
+  }
+  return at;
+}
+
+// Publish a fresh snapshot, persist request times and notify subscribers
+function publish(host) {
+  const budget = budgets.get(host);
+  const now = Date.now();
+  prune(budget, now);
+  snapshots.set(host, {
+    host,
+    limit: budget.limit,
+    remaining: remainingOf(budget),
+    resetAt: nextSlotAt(budget, now) || null,
+  });
+
+  const persisted = {};
+  budgets.forEach((value, key) => {
+    persisted[key] = { timestamps: value.timestamps, blockedUntil: value.blockedUntil };
+  });
+  writeStorage(RATE_LIMIT_STORAGE_KEY, persisted);
+
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Declare the quota for an API host. Called by the provider registry.
+ *
+ * @param {object} config - { host, limit, windowMs }
+ */
+export function setRateLimit({ host, limit, windowMs }) {
+  const previous = budgets.get(host) || saved[host] || {};
+  budgets.set(host, {
+    limit,
+    windowMs,
+    timestamps: previous.timestamps || [],
+    serverRemaining: previous.serverRemaining ?? null,
+    serverAt: previous.serverAt || 0,
+    blockedUntil: previous.blockedUntil || 0,
+  });
+  publish(host);
+}
+
+/**
+ * Reserve a request slot for a URL, waiting briefly if the budget frees up soon.
+ * URLs of hosts without a declared quota pass straight through.
+ *
+ * @param {string} url - Request URL
+ * @param {AbortSignal} signal - Cancels a queued call
+ * @throws {RateLimitError} - When the budget will not free up within the queue limit
+ */
+export async function acquireSlot(url, signal) {
+  const host = hostOf(url);
+  const budget = budgets.get(host);
+  if (!budget) return;
+
+  for (;;) {
+    const now = Date.now();
+    prune(budget, now);
+    const at = nextSlotAt(budget, now);
+    if (!at) break;
+    if (at - now > MAX_QUEUE_MS) {
+      const minutes = Math.max(1, Math.ceil((at - now) / 60000));
+      throw new RateLimitError(`Request limit reached for ${host} — try again in ${minutes} min`, at);
+    }
+    await sleep(at - now, signal);
+  }
+
+  budget.timestamps.push(Date.now());
+  if (budget.serverRemaining !== null) budget.serverRemaining -= 1;
+  publish(host);
+}
+
+/**
+ * Sync the budget with what the server reported.
+ * Reads X-Ratelimit-Limit / X-Ratelimit-Remaining and, on 429 or 503, Retry-After.
+ *
+ * @param {string} url - Request URL
+ * @param {Response} response
+ */
+export function recordResponse(url, response) {
+  const host = hostOf(url);
+  const budget = budgets.get(host);
+  if (!budget) return;
+
+  const remaining = response.headers.get("X-Ratelimit-Remaining");
+  if (remaining !== null && remaining !== "" && !Number.isNaN(Number(remaining))) {
+    budget.serverRemaining = Number(remaining);
+    budget.serverAt = Date.now();
+  }
+  const limit = Number(response.headers.get("X-Ratelimit-Limit"));
+  if (limit > 0) budget.limit = limit;
+
+  const retryAfter = parseRetryAfter(response.headers.get("Retry-After"));
+  if (retryAfter !== null && (response.status === 429 || response.status === 503)) {
+    budget.blockedUntil = Date.now() + retryAfter;
+  }
+  publish(host);
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date).
+ *
+ * @param {string|null} value
+ * @returns {number|null} - Delay in milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// useSyncExternalStore plumbing for useRateLimit
+export function subscribeRateLimits(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Current quota for a host.
+ *
+ * @param {string} host
+ * @returns {object|null} - { host, limit, remaining, resetAt } or null when the host has no quota
+ */
+export const getRateLimit = (host) => snapshots.get(host) || null;
@@ -0,0 +1,114 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { acquireSlot, getRateLimit, parseRetryAfter, RateLimitError, recordResponse, setRateLimit } from "./rateLimiter";
+
+const SECOND = 1000;
+const HOUR = 60 * 60 * 1000;
+
+// Every test gets a host of its own, as budgets are kept per host for the whole module
+let hostCount = 0;
+const nextHost = () => `api${(hostCount += 1)}.example.test`;
+
+const response = (status, headers = {}) => new Response("{}", { status, headers });
+
+describe("rateLimiter", () => {
+  let host;
+  let url;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date("2026-10-19T12:00:00Z"));
+    host = nextHost();
+    url = `https://${host}/photos?page=1`;
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe("window", () => {
+    it("allows the limit within the window, then refuses with the time the budget frees up", async () => {
+      setRateLimit({ host, limit: 2, windowMs: HOUR });
+      await acquireSlot(url);
+      vi.advanceTimersByTime(10 * SECOND);
+      await acquireSlot(url);
+      expect(getRateLimit(host)).toMatchObject({ limit: 2, remaining: 0, resetAt: Date.now() - 10 * SECOND + HOUR });
+
+      const refused = acquireSlot(url);
+      await expect(refused).rejects.toBeInstanceOf(RateLimitError);
+      await expect(refused).rejects.toMatchObject({ status: 429, retryAt: Date.now() - 10 * SECOND + HOUR });
+    });
+
+    it("frees each slot a window after it was used", async () => {
+      setRateLimit({ host, limit: 1, windowMs: HOUR });
+      await acquireSlot(url);
+
+      vi.advanceTimersByTime(HOUR);
+      await acquireSlot(url);
+      expect(getRateLimit(host).remaining).toBe(0);
+    });
+
+    it("queues a call when a slot frees up soon", async () => {
+      setRateLimit({ host, limit: 1, windowMs: 10 * SECOND });
+      await acquireSlot(url);
+
+      let granted = false;
+      const queued = acquireSlot(url).then(() => {
+        granted = true;
+      });
+      await vi.advanceTimersByTimeAsync(10 * SECOND - 1);
+      expect(granted).toBe(false);
+      await vi.advanceTimersByTimeAsync(1);
+      await queued;
+      expect(granted).toBe(true);
+    });
+
+    it("lets hosts without a quota through", async () => {
+      await expect(acquireSlot(url)).resolves.toBeUndefined();
+      expect(getRateLimit(host)).toBeNull();
+    });
+  });
+
+  describe("server headers", () => {
+    it("trusts X-Ratelimit-Remaining when it is lower than the local count", async () => {
+      setRateLimit({ host, limit: 50, windowMs: HOUR });
+      await acquireSlot(url);
+      recordResponse(url, response(200, { "X-Ratelimit-Limit": "50", "X-Ratelimit-Remaining": "0" }));
+
+      expect(getRateLimit(host).remaining).toBe(0);
+      await expect(acquireSlot(url)).rejects.toBeInstanceOf(RateLimitError);
+    });
+
+    it("blocks the host for the Retry-After of a 429", async () => {
+      setRateLimit({ host, limit: 50, windowMs: HOUR });
+      recordResponse(url, response(429, { "Retry-After": "120" }));
+      await expect(acquireSlot(url)).rejects.toMatchObject({ retryAt: Date.now() + 120 * SECOND });
+
+      vi.advanceTimersByTime(120 * SECOND);
+      await expect(acquireSlot(url)).resolves.toBeUndefined();
+    });
+  });
+
+  describe("persistence", () => {
+    it("remembers used slots and blocks across a reload", async () => {
+      setRateLimit({ host, limit: 3, windowMs: HOUR });
+      await acquireSlot(url);
+      await acquireSlot(url);
+      recordResponse(url, response(429, { "Retry-After": "60" }));
+
+      vi.resetModules();
+      const reloaded = await import("./rateLimiter");
+      reloaded.setRateLimit({ host, limit: 3, windowMs: HOUR });
+      expect(reloaded.getRateLimit(host)).toMatchObject({ remaining: 1, resetAt: Date.now() + 60 * SECOND });
+      await expect(reloaded.acquireSlot(url)).rejects.toBeInstanceOf(reloaded.RateLimitError);
+    });
+  });
+
+  describe("parseRetryAfter", () => {
+    it("reads seconds or an HTTP date", () => {
+      expect(parseRetryAfter("30")).toBe(30 * SECOND);
+      expect(parseRetryAfter(new Date(Date.now() + 90 * SECOND).toUTCString())).toBe(90 * SECOND);
+      expect(parseRetryAfter(null)).toBeNull();
+      expect(parseRetryAfter("soon")).toBeNull();
+    });
+  });
+});
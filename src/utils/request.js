@@ -0,0 +1,163 @@
+// Network layer behind useFetch
+// Every request goes through the client-side rate budget, is retried with backoff,
+// is shared between callers asking for the same key, and lands in the response cache.
+import { isMockMode } from "../mocks/config";
+import cache from "./cache/httpCache";
+import { acquireSlot, recordResponse, parseRetryAfter } from "./rateLimiter";
+import sleep from "./sleep";
+
+// In mock mode (VITE_MOCK_API=true) requests are answered from local fixtures. The mock backend
+// is loaded on first use so its fixtures stay out of the production bundle.
+async function fetcher(...args) {
+  if (!isMockMode()) return fetch(...args);
+  const { default: mockFetch } = await import("../mocks/mockFetch");
+  return mockFetch(...args);
+}
+
+// Responses are cached in a persistent, size-bounded LRU cache (utils/cache/httpCache.js)
+// keyed by url + fetch options, so repeat visits are instant even after a reload.
+export const DEFAULT_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Retries for network errors and 5xx responses; 429/503 wait for Retry-After when it is short enough
+export const DEFAULT_RETRY = { retries: 2, baseDelay: 500, maxDelay: 8000 };
+
+/**
+ * Separate the cache and retry settings from the options sent to fetch().
+ *
+ * @param {object} options - Fetch options plus ttl, staleWhileRevalidate and retry (see useFetch)
+ * @returns {object} - { ttl, staleWhileRevalidate, retry, fetchOptions }
+ */
+export function splitRequestOptions({ ttl = DEFAULT_TTL, staleWhileRevalidate = true, retry, ...fetchOptions } = {}) {
+  return { ttl, staleWhileRevalidate, retry, fetchOptions };
+}
+
+// Exponential backoff with jitter: half the delay is fixed, half random
+function backoff(attempt, { baseDelay, maxDelay }) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+function httpError(res) {
+  const error = new Error(`HTTP ${res.status} - ${res.statusText}`);
+  error.status = res.status;
+  return error;
+}
+
+/**
+ * fetch() with the client-side rate budget and retries.
+ *
+ * @param {string} url - Request URL
+ * @param {object} options - Fetch options including `signal`
+ * @param {object} retry - { retries, baseDelay, maxDelay }
+ * @returns {Promise<*>} - Parsed JSON
+ */
+async function fetchWithRetry(url, options, retry) {
+  // Mocked requests are not queued or refused locally: the mock backend enforces its own
+  // quota, and its rate-limit headers are still recorded below
+  const limited = !isMockMode();
+  for (let attempt = 0; ; attempt += 1) {
+    // Waits or throws RateLimitError when the quota for this host is used up
+    if (limited) await acquireSlot(url, options.signal);
+
+    let res;
+    try {
+      res = await fetcher(url, options);
+    } catch (err) {
+      // Network failure
+      if (err.name === "AbortError" || attempt >= retry.retries) throw err;
+      await sleep(backoff(attempt, retry), options.signal);
+      continue;
+    }
+
+    recordResponse(url, res);
+    if (res.ok) return res.json();
+
+    // 429 is only retried when the server says how long to wait
+    const retryAfter = parseRetryAfter(res.headers.get("Retry-After"));
+    const retryable = res.status >= 500 || (res.status === 429 && retryAfter !== null);
+    if (!retryable || attempt >= retry.retries || retryAfter > retry.maxDelay) throw httpError(res);
+    await sleep(retryAfter ?? backoff(attempt, retry), options.signal);
+  }
+}
+
+// Requests currently on the wire, keyed like the cache: { promise, controller, subscribers }
+// Components asking for the same key share one request instead of sending duplicates.
+const inflight = new Map();
+
+/**
+ * Fetch a key once, however many components ask for it at the same time.
+ * The shared request is only aborted when every subscriber has gone away.
+ *
+ * @param {string} key - Cache key
+ * @param {string} url - Request URL
+ * @param {object} options - Fetch options
+ * @param {number} ttl - Cache freshness for the response
+ * @param {object} retry - Retry settings for fetchWithRetry
+ * @param {AbortSignal} signal - The caller's signal
+ * @param {boolean} force - Start a new request instead of joining the one in flight, which may
+ *   have started before whatever the caller wants fresh data for (e.g. a refetch)
+ * @returns {Promise<*>} - Parsed JSON
+ */
+export function sharedRequest(key, url, options, ttl, retry, signal, force = false) {
+  let entry = force ? null : inflight.get(key);
+
+  if (!entry) {
+    // A forced request takes over the key; the one it replaces no longer writes to the cache
+    const replaced = inflight.get(key);
+    if (replaced) replaced.replaced = true;
+
+    const controller = new AbortController();
+    const promise = fetchWithRetry(url, { ...options, signal: controller.signal }, retry)
+      .then((json) => {
+        // Update cache with new data
+        if (!entry.replaced) cache.set(key, json, { ttl });
+        return json;
+      })
+      .finally(() => {
+        if (inflight.get(key) === entry) inflight.delete(key);
+      });
+    entry = { promise, controller, subscribers: 0, replaced: false };
+    inflight.set(key, entry);
+  }
+
+  const current = entry;
+  current.subscribers += 1;
+  signal.addEventListener(
+    "abort",
+    () => {
+      current.subscribers -= 1;
+      // Wait a tick: a StrictMode remount subscribes again straight after cleanup
+      setTimeout(() => {
+        if (current.subscribers > 0) return;
+        if (inflight.get(key) === current) inflight.delete(key);
+        current.controller.abort();
+      }, 0);
+    },
+    { once: true }
+  );
+
+  return current.promise;
+}
+
+/**
+ * Fetch JSON outside of React through the same cache, dedup and retry pipeline as useFetch,
+ * e.g. to load further pages on demand.
+ *
+ * @param {string} url - Request URL
+ * @param {object} options - Same options as useFetch (fetch options plus ttl and retry)
+ * @param {object} config - { signal, force } where force skips the cache and any request in flight
+ * @returns {Promise<*>} - Parsed JSON
+ */
+export async function fetchJson(url, options = {}, { signal, force = false } = {}) {
+  // staleWhileRevalidate only applies to the hook
+  const { ttl, retry, fetchOptions } = splitRequestOptions(options);
+  const key = `${url}|${JSON.stringify(fetchOptions)}`;
+
+  if (!force) {
+    const cached = await cache.get(key);
+    if (cached?.isFresh) return cached.data;
+  }
+
+  const retrySettings = { ...DEFAULT_RETRY, ...(retry === false ? { retries: 0 } : retry) };
+  return sharedRequest(key, url, fetchOptions, ttl, retrySettings, signal || new AbortController().signal, force);
+}
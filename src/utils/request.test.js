@@ -0,0 +1,103 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { fetchJson } from "./request";
+
+// Every test asks for its own URL, so the shared response cache never answers from an earlier test.
+// The host has no client-side rate budget.
+let urlCount = 0;
+const nextUrl = () => `https://api.example.test/retry?test=${(urlCount += 1)}`;
+
+const jsonResponse = (body, status = 200, headers = {}) =>
+  new Response(JSON.stringify(body), { status, statusText: status === 200 ? "OK" : "Error", headers });
+
+// Retry settings with round numbers: with Math.random() at 0 the backoff is half of
+// baseDelay * 2^attempt, i.e. 500 ms, then 1000 ms
+const retry = { retries: 2, baseDelay: 1000, maxDelay: 8000 };
+
+describe("fetchJson retries", () => {
+  let fetchStub;
+  let url;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(Math, "random").mockReturnValue(0);
+    fetchStub = vi.fn();
+    vi.stubGlobal("fetch", fetchStub);
+    url = nextUrl();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it("retries a 5xx response with exponential backoff", async () => {
+    fetchStub
+      .mockResolvedValueOnce(jsonResponse({}, 500))
+      .mockResolvedValueOnce(jsonResponse({}, 502))
+      .mockResolvedValueOnce(jsonResponse({ ok: true }));
+
+    const pending = fetchJson(url, { retry });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(fetchStub).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(499);
+    expect(fetchStub).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fetchStub).toHaveBeenCalledTimes(2);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(fetchStub).toHaveBeenCalledTimes(3);
+    await expect(pending).resolves.toEqual({ ok: true });
+  });
+
+  it("retries a network error", async () => {
+    fetchStub.mockRejectedValueOnce(new TypeError("Failed to fetch")).mockResolvedValueOnce(jsonResponse({ ok: true }));
+
+    const pending = fetchJson(url, { retry });
+    await vi.advanceTimersByTimeAsync(500);
+    await expect(pending).resolves.toEqual({ ok: true });
+    expect(fetchStub).toHaveBeenCalledTimes(2);
+  });
+
+  it("gives up with the last error after the allowed retries", async () => {
+    fetchStub.mockImplementation(async () => jsonResponse({}, 503));
+
+    const pending = fetchJson(url, { retry });
+    const outcome = expect(pending).rejects.toMatchObject({ status: 503 });
+    await vi.advanceTimersByTimeAsync(1500);
+    await outcome;
+    expect(fetchStub).toHaveBeenCalledTimes(3);
+  });
+
+  it("waits for the Retry-After of a 429", async () => {
+    fetchStub
+      .mockResolvedValueOnce(jsonResponse({}, 429, { "Retry-After": "3" }))
+      .mockResolvedValueOnce(jsonResponse({ ok: true }));
+
+    const pending = fetchJson(url, { retry });
+    await vi.advanceTimersByTimeAsync(2999);
+    expect(fetchStub).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    await expect(pending).resolves.toEqual({ ok: true });
+  });
+
+  it("does not retry a 429 without Retry-After, one that asks for too long, or a 4xx", async () => {
+    fetchStub
+      .mockResolvedValueOnce(jsonResponse({}, 429))
+      .mockResolvedValueOnce(jsonResponse({}, 429, { "Retry-After": "60" }))
+      .mockResolvedValueOnce(jsonResponse({}, 404));
+
+    await expect(fetchJson(url, { retry })).rejects.toMatchObject({ status: 429 });
+    await expect(fetchJson(nextUrl(), { retry })).rejects.toMatchObject({ status: 429 });
+    await expect(fetchJson(nextUrl(), { retry })).rejects.toMatchObject({ status: 404 });
+    expect(fetchStub).toHaveBeenCalledTimes(3);
+  });
+
+  it("does not retry with retry: false", async () => {
+    fetchStub.mockResolvedValueOnce(jsonResponse({}, 500));
+
+    await expect(fetchJson(url, { retry: false })).rejects.toMatchObject({ status: 500 });
+    expect(fetchStub).toHaveBeenCalledTimes(1);
+  });
+});
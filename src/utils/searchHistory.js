@@ -0,0 +1,117 @@
+// Search history helpers
+// Each entry is one place searched for: { name, country, countryCode, lat, lon, count, lastSearched }.
+// Places that were picked from suggestions keep their country and coordinates, so the
+// history can send the user back to the same Paris; typed names without a match have none.
+// Ranking uses "frecency": every search counts, recent ones count more.
+import { compactName, normalizeName } from "./normalizeName";
+
+// Most entries kept; the least recently searched are dropped first
+export const MAX_HISTORY_ENTRIES = 30;
+
+// A search's weight halves every two weeks
+const HALF_LIFE_MS = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * Identity of a history entry (or a suggestion): the folded name plus the country code.
+ *
+ * @param {object} item - { name, countryCode }
+ * @returns {string} - e.g. "saopaulo|BR", or "saopaulo|" without a country
+ */
+export const historyKey = (item) => `${compactName(item.name)}|${item.countryCode || ""}`;
+
+/**
+ * Drop malformed entries (e.g. from an older or hand-edited localStorage value).
+ *
+ * @param {*} saved - Parsed storage value
+ * @returns {object[]}
+ */
+export function sanitizeHistory(saved) {
+  if (!Array.isArray(saved)) return [];
+  return saved.filter((entry) => entry && typeof entry.name === "string" && entry.name.trim());
+}
+
+/**
+ * Add a search to the history, or bump the count and time of the entry it repeats.
+ *
+ * @param {object[]} history
+ * @param {string} name - Destination name that was searched
+ * @param {object|null} place - { country, countryCode, lat, lon } when the search resolved to a known city
+ * @param {number} now - Time of the search (ms)
+ * @returns {object[]} - New history, most recent first
+ */
+export function recordSearch(history, name, place = null, now = Date.now()) {
+  const entry = {
+    name,
+    country: place?.country || null,
+    countryCode: place?.countryCode || null,
+    lat: place?.lat ?? null,
+    lon: place?.lon ?? null,
+  };
+  const key = historyKey(entry);
+  const previous = history.find((item) => historyKey(item) === key);
+  const updated = { ...entry, count: (previous?.count || 0) + 1, lastSearched: now };
+  return [updated, ...history.filter((item) => item !== previous)].slice(0, MAX_HISTORY_ENTRIES);
+}
+
+/**
+ * How strongly an entry should be preferred: its search count, decayed by age.
+ *
+ * @param {object} entry - { count, lastSearched }
+ * @param {number} now
+ * @returns {number}
+ */
+export function frecency(entry, now = Date.now()) {
+  const age = Math.max(0, now - (entry.lastSearched || 0));
+  return (entry.count || 1) * 2 ** (-age / HALF_LIFE_MS);
+}
+
+// Whether a name starts with the query, or has a word that does ("york" → "New York")
+function matchesPrefix(name, query) {
+  const normalized = normalizeName(name);
+  return normalized.startsWith(query) || normalized.split(" ").some((word) => word.startsWith(query));
+}
+
+// A history entry stands for a suggestion with its name and country; an entry without a
+// country (a typed name) stands for the first suggestion with that name
+const isEntryFor = (entry, suggestion) =>
+  entry.countryCode ? historyKey(entry) === historyKey(suggestion) : compactName(entry.name) === compactName(suggestion.name);
+
+/**
+ * Merge the history into typeahead suggestions: places searched before that match the
+ * query are added if the matcher missed them, and frequently revisited places come first.
+ * Everything else keeps the matcher's order.
+ *
+ * @param {object[]} suggestions - From getDestinationSuggestions(), best first
+ * @param {object[]} history
+ * @param {string} query - What the user has typed so far
+ * @param {number} limit - Number of suggestions to return
+ * @param {number} now
+ * @returns {object[]} - Suggestions; those from the history have `fromHistory: true`
+ */
+export function rankWithHistory(suggestions, history, query, limit = 5, now = Date.now()) {
+  const folded = normalizeName(query);
+  if (!folded || history.length === 0) return suggestions.slice(0, limit);
+
+  const matching = history.filter((entry) => matchesPrefix(entry.name, folded));
+  const scores = suggestions.map(() => 0);
+  const extras = [];
+  for (const entry of matching) {
+    const score = frecency(entry, now);
+    const index = suggestions.findIndex((suggestion) => isEntryFor(entry, suggestion));
+    if (index >= 0) scores[index] = Math.max(scores[index], score);
+    else extras.push({ suggestion: { ...entry, similarity: 1 }, score });
+  }
+
+  const ranked = [
+    ...suggestions.map((suggestion, index) => ({ suggestion, score: scores[index] })),
+    // A typed name without a country is left out when the same name is listed with one
+    ...extras.filter(({ suggestion }, index) => suggestion.countryCode
+      || !extras.some((other, otherIndex) => otherIndex !== index && compactName(other.suggestion.name) === compactName(suggestion.name))),
+  ];
+
+  // Array#sort is stable, so ties keep the matcher's order
+  return ranked
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ suggestion, score }) => (score > 0 ? { ...suggestion, fromHistory: true } : suggestion));
+}
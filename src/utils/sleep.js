@@ -0,0 +1,25 @@
+/**
+ * Wait for a number of milliseconds, rejecting like fetch() does if the signal aborts first.
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export default function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => new DOMException("The operation was aborted.", "AbortError");
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(abortError());
+      },
+      { once: true }
+    );
+  });
+}
@@ -0,0 +1,41 @@
+// Thin wrappers around localStorage
+// Every persisted feature goes through these so storage failures (private mode,
+// quota exceeded, corrupted JSON) never crash the UI.
+
+/**
+ * Read and parse a JSON value from localStorage.
+ *
+ * @param {string} key - Storage key (e.g. "travelwise:favourites").
+ * @param {*} fallback - Value returned when the key is missing or unreadable.
+ * @returns {*} - The parsed value or the fallback.
+ */
+export function readStorage(key, fallback) {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Serialize and write a value to localStorage.
+ *
+ * @param {string} key - Storage key.
+ * @param {*} value - Any JSON-serializable value.
+ */
+export function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // ignore storage failures
+  }
+}
+
+// Generate a short unique id for locally stored records (itineraries, days, stops)
+export function createId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
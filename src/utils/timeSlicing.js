@@ -0,0 +1,47 @@
+// Long computations written as generators, so they can run to the end at once (scripts, tests)
+// or a few milliseconds at a time without freezing the page (see runInSlices).
+// A task `yield`s wherever it is safe to pause; the value it returns is the result.
+
+// Loop iterations between yields in index builds: about a millisecond of work at most
+export const STEP_SIZE = 100;
+
+/**
+ * Run a generator task synchronously.
+ *
+ * @param {Generator} task
+ * @returns {*} - The task's return value
+ */
+export function runToEnd(task) {
+  let step = task.next();
+  while (!step.done) step = task.next();
+  return step.value;
+}
+
+/**
+ * Run a generator task in slices of about `budgetMs`, giving the event loop (input, rendering)
+ * a turn between slices.
+ *
+ * @param {Generator} task
+ * @param {object} options - { budgetMs = 8, onSlice(ms) } onSlice reports how long each slice ran
+ * @returns {Promise<*>} - Resolves with the task's return value
+ */
+export function runInSlices(task, { budgetMs = 8, onSlice } = {}) {
+  return new Promise((resolve, reject) => {
+    const runSlice = () => {
+      const start = performance.now();
+      let step;
+      try {
+        do {
+          step = task.next();
+        } while (!step.done && performance.now() - start < budgetMs);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      onSlice?.(performance.now() - start);
+      if (step.done) resolve(step.value);
+      else setTimeout(runSlice, 0);
+    };
+    setTimeout(runSlice, 0);
+  });
+}
@@ -0,0 +1,61 @@
+// Unit conversion for display
+// Weather data carries the unit system it was fetched in (`units`); pages convert
+// to the system the user wants to see, so cached data in either system stays usable.
+
+export const unitSystems = [
+  { id: "metric", label: "°C" },
+  { id: "imperial", label: "°F" },
+];
+
+export const isUnitSystem = (value) => unitSystems.some((system) => system.id === value);
+
+const MPH_PER_MS = 2.23694;
+const KM_PER_MILE = 1.609344;
+
+const toCelsius = (value, from) => (from === "imperial" ? ((value - 32) * 5) / 9 : value);
+const toMetresPerSecond = (value, from) => (from === "imperial" ? value / MPH_PER_MS : value);
+
+// Temperature number in the chosen system, rounded
+export const convertTemperature = (value, units = "metric", from = "metric") => {
+  const celsius = toCelsius(value, from);
+  return Math.round(units === "imperial" ? (celsius * 9) / 5 + 32 : celsius);
+};
+
+/**
+ * Format a temperature, e.g. "21°C" or "70°F".
+ *
+ * @param {number} value
+ * @param {string} units - Display system, "metric" | "imperial"
+ * @param {string} from - System the value is in (defaults to metric)
+ * @returns {string}
+ */
+export const formatTemperature = (value, units = "metric", from = "metric") =>
+  `${convertTemperature(value, units, from)}°${units === "imperial" ? "F" : "C"}`;
+
+/**
+ * Format a wind speed, e.g. "3.6 m/s" or "8.1 mph".
+ *
+ * @param {number} value
+ * @param {string} units - Display system, "metric" | "imperial"
+ * @param {string} from - System the value is in (defaults to metric)
+ * @returns {string}
+ */
+export const formatSpeed = (value, units = "metric", from = "metric") => {
+  const metresPerSecond = toMetresPerSecond(value, from);
+  return units === "imperial"
+    ? `${(metresPerSecond * MPH_PER_MS).toFixed(1)} mph`
+    : `${Math.round(metresPerSecond * 10) / 10} m/s`;
+};
+
+/**
+ * Format a distance, e.g. "8.4 km" or "340 mi"; one decimal below 10.
+ *
+ * @param {number} km - Distance in kilometres
+ * @param {string} units - Display system, "metric" | "imperial"
+ * @returns {string}
+ */
+export const formatDistance = (km, units = "metric") => {
+  const value = units === "imperial" ? km / KM_PER_MILE : km;
+  const rounded = value < 10 ? Math.round(value * 10) / 10 : Math.round(value);
+  return `${rounded} ${units === "imperial" ? "mi" : "km"}`;
+};
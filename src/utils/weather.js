@@ -0,0 +1,16 @@
+// Weather helpers shared by the current-weather and forecast cards
+
+// Map a normalized condition group (see providers/types.js) to an emoji
+const conditionEmoji = {
+  Clear: '☀️',
+  Clouds: '☁️',
+  Rain: '🌧️',
+  Drizzle: '🌦️',
+  Thunderstorm: '⛈️',
+  Snow: '❄️',
+  Mist: '🌫️',
+};
+
+export function getWeatherEmoji(condition) {
+  return conditionEmoji[condition] || '🌤️';
+}
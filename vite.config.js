@@ -4,4 +4,12 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  build: {
+    // The lazily loaded city dataset (src/data/cities.json) is a ~525 kB chunk on its own
+    chunkSizeWarningLimit: 600,
+  },
+  test: {
+    // Hooks are rendered in a browser-like DOM; tests sit next to the code as *.test.js(x)
+    environment: 'jsdom',
+  },
 })